@@ -0,0 +1,38 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+const SCRIPTS = 'src/mostlylucid.activetranslatetag/wwwroot/js';
+
+module.exports = [
+    {
+        // Build output holds copies of the scripts
+        ignores: [`${SCRIPTS}/*.min.js`, '**/bin/**', '**/obj/**']
+    },
+    js.configs.recommended,
+    {
+        files: [`${SCRIPTS}/*.js`],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'script',
+            globals: { ...globals.browser, htmx: 'readonly', signalR: 'readonly' }
+        },
+        rules: {
+            // The URL checks strip control characters on purpose ("java\tscript:")
+            'no-control-regex': 'off'
+        }
+    },
+    {
+        files: [`${SCRIPTS}/translation-sw.js`],
+        languageOptions: {
+            globals: { ...globals.serviceworker }
+        }
+    },
+    {
+        files: ['eslint.config.js', 'src/mostlylucid.activetranslatetag.Tests/js/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: { ...globals.node }
+        }
+    }
+];
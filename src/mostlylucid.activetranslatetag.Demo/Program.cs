@@ -1,5 +1,6 @@
 using Microsoft.AspNetCore.Builder;
 using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.FileProviders;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Hosting;
 using Microsoft.Extensions.Logging;
@@ -31,6 +32,14 @@ if (!app.Environment.IsDevelopment())
 }
 app.UseStaticFiles();
 
+// The library's scripts (/js/translation-bundle.js, /js/language-select.js, ...) are copied to the build
+// output by the project reference, so the demo always serves the current ones rather than copies of its own
+var libraryAssets = Path.Combine(AppContext.BaseDirectory, "wwwroot");
+if (Directory.Exists(libraryAssets))
+{
+    app.UseStaticFiles(new StaticFileOptions { FileProvider = new PhysicalFileProvider(libraryAssets) });
+}
+
 app.UseRouting();
 
 // Map llmtranslate endpoints (controllers + SignalR hub)
@@ -283,4 +283,160 @@ public class HtmlTextExtractorTests
         // Assert
         result.Should().Be(text);
     }
+
+    [Fact]
+    public void BuildMarkupAllowlist_CollectsTagsAndAttributes()
+    {
+        // Arrange
+        var html = "Read the <a href=\"/terms\" class=\"link\">terms</a> and <strong>agree</strong>";
+
+        // Act
+        var result = HtmlTextExtractor.BuildMarkupAllowlist(html);
+
+        // Assert
+        result.Should().Be("a:class,href;strong");
+    }
+
+    [Fact]
+    public void BuildMarkupAllowlist_ExcludesScriptsAndEventHandlers()
+    {
+        // Arrange
+        var html = "<img src=\"/logo.png\" onerror=\"alert(1)\"><script>alert(1)</script><iframe src=\"x\"></iframe>";
+
+        // Act
+        var result = HtmlTextExtractor.BuildMarkupAllowlist(html);
+
+        // Assert
+        result.Should().Be("img:src");
+    }
+
+    [Fact]
+    public void BuildMarkupAllowlist_PlainText_ReturnsEmpty()
+    {
+        // Act
+        var result = HtmlTextExtractor.BuildMarkupAllowlist("Just text");
+
+        // Assert
+        result.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void StripHtmlForTranslation_NumbersTagsFromEndOfSource()
+    {
+        // Act
+        var result = HtmlTextExtractor.StripHtmlForTranslation("<p>Hello, <strong>World</strong>!</p>");
+
+        // Assert
+        result.CleanText.Should().Be("__TAG3__Hello, __TAG2__World__TAG1__!__TAG0__");
+        result.TagMap["__TAG3__"].Should().Be("<p>");
+        result.TagMap["__TAG0__"].Should().Be("</p>");
+    }
+
+    [Fact]
+    public void StripHtmlForTranslation_AttributeContainingGreaterThan_KeepsWholeTag()
+    {
+        // Act
+        var result = HtmlTextExtractor.StripHtmlForTranslation("See <a title=\"a > b\" href=\"/x\">this</a>");
+
+        // Assert
+        result.TagMap.Values.Should().Contain("<a title=\"a > b\" href=\"/x\">");
+        result.CleanText.Should().Be("See __TAG1__this__TAG0__");
+    }
+
+    [Fact]
+    public void RestoreHtmlWithValidation_AllPlaceholdersKept_Restores()
+    {
+        // Arrange
+        var html = "<p>Hello, <strong>World</strong>!</p>";
+        var stripped = HtmlTextExtractor.StripHtmlForTranslation(html);
+
+        // Act
+        var result = HtmlTextExtractor.RestoreHtmlWithValidation("__TAG3__Bonjour, __TAG2__Monde__TAG1__ !__TAG0__", stripped.TagMap, html);
+
+        // Assert
+        result.Status.Should().Be(HtmlRestoreStatus.Restored);
+        result.Html.Should().Be("<p>Bonjour, <strong>Monde</strong> !</p>");
+        result.Validation.IsValid.Should().BeTrue();
+    }
+
+    [Fact]
+    public void RestoreHtmlWithValidation_DuplicatedPlaceholder_KeepsFirstOccurrence()
+    {
+        // Arrange
+        var html = "Click <b>here</b>";
+        var stripped = HtmlTextExtractor.StripHtmlForTranslation(html);
+
+        // Act
+        var result = HtmlTextExtractor.RestoreHtmlWithValidation("Cliquez __TAG1__ici__TAG0__ __TAG0__", stripped.TagMap, html);
+
+        // Assert
+        result.Status.Should().Be(HtmlRestoreStatus.Repaired);
+        result.Html.Should().Be("Cliquez <b>ici</b> ");
+        result.Validation.Duplicated.Should().Equal("__TAG0__");
+    }
+
+    [Fact]
+    public void RestoreHtmlWithValidation_UnknownAndMisspelledPlaceholders_AreRepaired()
+    {
+        // Arrange
+        var html = "Click <b>here</b>";
+        var stripped = HtmlTextExtractor.StripHtmlForTranslation(html);
+
+        // Act
+        var result = HtmlTextExtractor.RestoreHtmlWithValidation("Cliquez __TAG 1__ici__tag0____TAG7__", stripped.TagMap, html);
+
+        // Assert
+        result.Status.Should().Be(HtmlRestoreStatus.Repaired);
+        result.Html.Should().Be("Cliquez <b>ici</b>");
+        result.Validation.Unknown.Should().Equal("__TAG7__");
+    }
+
+    [Fact]
+    public void RestoreHtmlWithValidation_MissingPlaceholder_FallsBackToSource()
+    {
+        // Arrange
+        var html = "Click <b>here</b>";
+        var stripped = HtmlTextExtractor.StripHtmlForTranslation(html);
+
+        // Act
+        var result = HtmlTextExtractor.RestoreHtmlWithValidation("Cliquez __TAG1__ici", stripped.TagMap, html);
+
+        // Assert
+        result.Status.Should().Be(HtmlRestoreStatus.FellBackToSource);
+        result.Html.Should().Be(html);
+        result.Validation.Missing.Should().Equal("__TAG0__");
+        result.Validation.Misnested.Should().BeEmpty();
+    }
+
+    [Fact]
+    public void RestoreHtmlWithValidation_MisnestedTags_FallsBackToSource()
+    {
+        // Arrange
+        var html = "<p>Hello, <strong>World</strong>!</p>";
+        var stripped = HtmlTextExtractor.StripHtmlForTranslation(html);
+
+        // Act
+        var result = HtmlTextExtractor.RestoreHtmlWithValidation("__TAG3__Bonjour, __TAG1__Monde__TAG2__!__TAG0__", stripped.TagMap, html);
+
+        // Assert
+        result.Status.Should().Be(HtmlRestoreStatus.FellBackToSource);
+        result.Html.Should().Be(html);
+        result.Validation.Misnested.Should().Contain("__TAG1__");
+    }
+
+    [Fact]
+    public void ReinjectHtmlWithValidation_MissingPlaceholder_FallsBackToSource()
+    {
+        // Arrange
+        var html = "<p>Hello <img src='test.jpg' /> World</p>";
+        var extracted = HtmlTextExtractor.ExtractWithPlaceholders(html);
+
+        // Act
+        var result = HtmlTextExtractor.ReinjectHtmlWithValidation("Bonjour Monde", extracted.Placeholders, html);
+
+        // Assert
+        result.Status.Should().Be(HtmlRestoreStatus.FellBackToSource);
+        result.Html.Should().Be(html);
+        result.Validation.Missing.Should().Equal("{#0#}");
+    }
 }
@@ -10,14 +10,14 @@ namespace mostlylucid.activetranslatetag.Tests;
 
 public class InMemoryTranslationServiceTests
 {
-    private static InMemoryTranslationService CreateService(out InMemoryStore store)
+    private static InMemoryTranslationService CreateService(out InMemoryStore store, string defaultLanguage = "en")
     {
         store = new InMemoryStore();
         var ai = new FakeAiProvider();
         var cache = new MemoryCache(new MemoryCacheOptions());
         var req = new RequestTranslationCache();
         var logger = new NullLogger<InMemoryTranslationService>();
-        return new InMemoryTranslationService(store, ai, cache, req, logger, enableMemoryCache: true, cacheDurationMinutes: 5);
+        return new InMemoryTranslationService(store, ai, cache, req, logger, enableMemoryCache: true, cacheDurationMinutes: 5, defaultLanguage: defaultLanguage);
     }
 
     [Fact]
@@ -225,5 +225,93 @@ public class InMemoryTranslationServiceTests
             translated.Should().Contain("<it>");
         }
     }
-}
 
+    [Fact]
+    public async Task SetTranslationAsync_ReplacesCachedAiTranslation()
+    {
+        // Arrange
+        var svc = CreateService(out var store);
+        await svc.EnsureStringAsync("home.title", "Welcome");
+        await svc.TranslateAllStringsAsync("fr", overwriteExisting: true);
+        await svc.GetAsync("home.title", "fr");
+
+        // Act
+        var saved = await svc.SetTranslationAsync("home.title", "fr", "Bienvenue");
+
+        // Assert
+        saved.Should().BeTrue();
+        (await svc.GetAsync("home.title", "fr")).Should().Be("Bienvenue");
+        var translation = await store.GetTranslationAsync("home.title", "fr");
+        translation!.Source.Should().Be(TranslationSource.Manual);
+        translation.IsApproved.Should().BeTrue();
+    }
+
+    [Fact]
+    public async Task SetTranslationAsync_UnknownKey_ReturnsFalse()
+    {
+        // Arrange
+        var svc = CreateService(out var store);
+
+        // Act
+        var saved = await svc.SetTranslationAsync("missing.key", "fr", "Bonjour");
+
+        // Assert
+        saved.Should().BeFalse();
+        (await store.GetStringAsync("missing.key")).Should().BeNull();
+    }
+
+    [Fact]
+    public async Task GetEntryAsync_ReturnsSourceCategoryContextAndTranslation()
+    {
+        // Arrange
+        var svc = CreateService(out var store);
+        await svc.EnsureStringAsync("home.title", "Welcome", category: "Home", context: "Page heading");
+        await svc.SetTranslationAsync("home.title", "fr", "Bienvenue");
+
+        // Act
+        var entry = await svc.GetEntryAsync("home.title", "fr");
+
+        // Assert
+        entry.Should().Be(new TranslationEntryDto("home.title", "Welcome", "Bienvenue", "Home", "Page heading"));
+    }
+
+    [Fact]
+    public async Task GetManyAsync_ReturnsTranslationsAndDefaults_ForRegisteredKeysOnly()
+    {
+        // Arrange
+        var svc = CreateService(out var store);
+        await svc.EnsureStringAsync("home.title", "Welcome");
+        await svc.EnsureStringAsync("home.lead", "Hello world");
+        await svc.SetTranslationAsync("home.title", "fr", "Bienvenue");
+
+        // Act
+        var texts = await svc.GetManyAsync(new[] { "home.title", "home.lead", "missing.key" }, "fr");
+
+        // Assert
+        texts.Should().BeEquivalentTo(new Dictionary<string, string>
+        {
+            ["home.title"] = "Bienvenue",
+            ["home.lead"] = "Hello world"
+        });
+    }
+
+    [Fact]
+    public async Task GetManyAsync_ServesDefaultText_ForTheConfiguredDefaultLanguage()
+    {
+        // Arrange
+        var svc = CreateService(out var store, defaultLanguage: "de");
+        await svc.EnsureStringAsync("home.title", "Willkommen");
+        // Stored directly, so the service's request cache does not already hold them
+        var ts = await store.GetStringAsync("home.title");
+        await store.UpsertTranslationAsync(ts!.Id, new Translation { LanguageCode = "de", TranslatedText = "Stale copy" });
+        await store.UpsertTranslationAsync(ts.Id, new Translation { LanguageCode = "en", TranslatedText = "Welcome" });
+
+        // Act
+        var german = await svc.GetManyAsync(new[] { "home.title" }, "de");
+        var english = await svc.GetManyAsync(new[] { "home.title" }, "en");
+
+        // Assert
+        german["home.title"].Should().Be("Willkommen");
+        english["home.title"].Should().Be("Welcome");
+    }
+}
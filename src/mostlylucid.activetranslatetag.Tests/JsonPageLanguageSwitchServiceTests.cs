@@ -0,0 +1,157 @@
+using FluentAssertions;
+using Microsoft.Extensions.DependencyInjection;
+using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Extensions;
+using mostlylucid.activetranslatetag.Models;
+using mostlylucid.activetranslatetag.Services;
+using mostlylucid.activetranslatetag.Services.InMemory;
+using Xunit;
+
+namespace mostlylucid.activetranslatetag.Tests;
+
+public class JsonPageLanguageSwitchServiceTests
+{
+    private static ServiceProvider CreateProvider(string defaultLanguage = "en", IAiTranslationProvider? ai = null)
+    {
+        var services = new ServiceCollection();
+        services.AddLogging();
+        if (ai != null)
+            services.AddSingleton(ai);
+        else
+            services.AddScoped<IAiTranslationProvider, FakeAiProvider>();
+        services.AddAutoTranslate(options =>
+        {
+            options.StorageType = TranslationStorageType.InMemory;
+            options.DefaultLanguage = defaultLanguage;
+        });
+        return services.BuildServiceProvider();
+    }
+
+    [Fact]
+    public async Task QueueMissingAsync_TranslatesRegisteredKeysInTheBackground()
+    {
+        // Arrange
+        using var provider = CreateProvider();
+        using var scope = provider.CreateScope();
+        var translationService = scope.ServiceProvider.GetRequiredService<ITranslationService>();
+        var switchService = scope.ServiceProvider.GetRequiredService<IPageLanguageSwitchService>();
+        await translationService.EnsureStringAsync("home.title", "Welcome");
+        var keys = new List<MissingKeyDto>
+        {
+            new("home.title", "Welcome", null, null),
+            new("unknown.key", "Anything", null, null)
+        };
+
+        // Act
+        var queued = await switchService.QueueMissingAsync("fr", keys);
+
+        // Assert
+        queued.Should().Be(1);
+        var store = provider.GetRequiredService<InMemoryStore>();
+        Translation? translation = null;
+        for (var i = 0; i < 50 && translation == null; i++)
+        {
+            await Task.Delay(20);
+            translation = await store.GetTranslationAsync("home.title", "fr");
+        }
+        translation.Should().NotBeNull();
+        translation!.TranslatedText.Should().Be("Welcome<fr>");
+        translation.Source.Should().Be(TranslationSource.AiGenerated);
+        translation.IsApproved.Should().BeFalse();
+        (await store.GetStringAsync("unknown.key")).Should().BeNull();
+    }
+
+    [Fact]
+    public async Task QueueMissingAsync_SkipsTranslatedKeys()
+    {
+        // Arrange
+        using var provider = CreateProvider();
+        using var scope = provider.CreateScope();
+        var translationService = scope.ServiceProvider.GetRequiredService<ITranslationService>();
+        var switchService = scope.ServiceProvider.GetRequiredService<IPageLanguageSwitchService>();
+        await translationService.EnsureStringAsync("home.title", "Welcome");
+        await translationService.SetTranslationAsync("home.title", "de", "Willkommen");
+
+        // Act
+        var queued = await switchService.QueueMissingAsync("de", new List<MissingKeyDto> { new("home.title", "Welcome", null, null) });
+
+        // Assert
+        queued.Should().Be(0);
+        (await translationService.GetAsync("home.title", "de")).Should().Be("Willkommen");
+    }
+
+    [Fact]
+    public async Task QueueMissingAsync_SkipsConfiguredDefaultLanguage()
+    {
+        // Arrange
+        using var provider = CreateProvider(defaultLanguage: "de");
+        using var scope = provider.CreateScope();
+        var translationService = scope.ServiceProvider.GetRequiredService<ITranslationService>();
+        var switchService = scope.ServiceProvider.GetRequiredService<IPageLanguageSwitchService>();
+        await translationService.EnsureStringAsync("home.title", "Willkommen");
+        var keys = new List<MissingKeyDto> { new("home.title", "Willkommen", null, null) };
+
+        // Act
+        var queuedDefault = await switchService.QueueMissingAsync("DE", keys);
+        var queuedEnglish = await switchService.QueueMissingAsync("en", keys);
+
+        // Assert
+        queuedDefault.Should().Be(0);
+        queuedEnglish.Should().Be(1);
+    }
+
+    [Fact]
+    public async Task QueueMissingAsync_TranslatesAStringOnceAcrossRequests()
+    {
+        // Arrange
+        var ai = new GatedAiProvider();
+        using var provider = CreateProvider(ai: ai);
+        using (var setup = provider.CreateScope())
+            await setup.ServiceProvider.GetRequiredService<ITranslationService>().EnsureStringAsync("home.title", "Welcome");
+        var keys = new List<MissingKeyDto> { new("home.title", "Welcome", null, null) };
+        using var firstRequest = provider.CreateScope();
+        using var secondRequest = provider.CreateScope();
+
+        // Act
+        var queuedFirst = await firstRequest.ServiceProvider.GetRequiredService<IPageLanguageSwitchService>().QueueMissingAsync("fr", keys);
+        var queuedSecond = await secondRequest.ServiceProvider.GetRequiredService<IPageLanguageSwitchService>().QueueMissingAsync("fr", keys);
+        ai.Release();
+
+        // Assert
+        queuedFirst.Should().Be(1);
+        queuedSecond.Should().Be(0);
+        var store = provider.GetRequiredService<InMemoryStore>();
+        Translation? translation = null;
+        for (var i = 0; i < 50 && translation == null; i++)
+        {
+            await Task.Delay(20);
+            translation = await store.GetTranslationAsync("home.title", "fr");
+        }
+        translation.Should().NotBeNull();
+        ai.Calls.Should().Be(1);
+    }
+
+    // Holds every batch until released, so a string stays in flight while a second request reports it
+    private sealed class GatedAiProvider : IAiTranslationProvider
+    {
+        private readonly TaskCompletionSource _gate = new(TaskCreationOptions.RunContinuationsAsynchronously);
+        private int _calls;
+
+        public int Calls => _calls;
+
+        public void Release() => _gate.TrySetResult();
+
+        public async Task<string> TranslateAsync(string text, string targetLanguage, string? sourceLanguage = "en", string? description = null, CancellationToken ct = default)
+        {
+            await _gate.Task;
+            return $"{text}<{targetLanguage}>";
+        }
+
+        public async Task<Dictionary<string, string>> TranslateBatchAsync(Dictionary<string, string> items, string targetLanguage, string? sourceLanguage = "en", string? description = null, CancellationToken ct = default)
+        {
+            Interlocked.Increment(ref _calls);
+            await _gate.Task;
+            return items.ToDictionary(kv => kv.Key, kv => $"{kv.Value}<{targetLanguage}>");
+        }
+    }
+}
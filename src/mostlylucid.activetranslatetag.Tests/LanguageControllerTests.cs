@@ -0,0 +1,122 @@
+using FluentAssertions;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.DependencyInjection;
+using Moq;
+using mostlylucid.activetranslatetag.Controllers;
+using mostlylucid.activetranslatetag.Models;
+using mostlylucid.activetranslatetag.Services;
+using Xunit;
+
+namespace mostlylucid.activetranslatetag.Tests;
+
+public class LanguageControllerTests
+{
+    private static LanguageController CreateController(Mock<IPageLanguageSwitchService> switchService)
+    {
+        return new LanguageController(new Mock<ITranslationService>().Object, switchService.Object);
+    }
+
+    [Fact]
+    public void Controller_BuildsWithoutSignalROrAuthorization()
+    {
+        // Arrange
+        var services = new ServiceCollection();
+        services.AddSingleton(new Mock<ITranslationService>().Object);
+        services.AddSingleton(new Mock<IPageLanguageSwitchService>().Object);
+        var provider = services.BuildServiceProvider();
+
+        // Act
+        var controller = ActivatorUtilities.CreateInstance<LanguageController>(provider);
+
+        // Assert
+        controller.Should().NotBeNull();
+    }
+
+    [Fact]
+    public async Task Entry_WithoutAuthorizationServices_ReturnsNotFound()
+    {
+        // Arrange
+        var translationService = new Mock<ITranslationService>();
+        var controller = new LanguageController(translationService.Object, new Mock<IPageLanguageSwitchService>().Object)
+        {
+            ControllerContext = new ControllerContext
+            {
+                HttpContext = new DefaultHttpContext { RequestServices = new ServiceCollection().BuildServiceProvider() }
+            }
+        };
+
+        // Act
+        var result = await controller.Entry("fr", "home.title");
+
+        // Assert
+        result.Should().BeOfType<NotFoundResult>();
+        translationService.Verify(s => s.GetEntryAsync(It.IsAny<string>(), It.IsAny<string>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task Missing_ValidReport_QueuesNonEmptyKeys()
+    {
+        // Arrange
+        var switchService = new Mock<IPageLanguageSwitchService>();
+        IReadOnlyCollection<MissingKeyDto>? queued = null;
+        switchService
+            .Setup(s => s.QueueMissingAsync("fr-CA", It.IsAny<IReadOnlyCollection<MissingKeyDto>>(), It.IsAny<CancellationToken>()))
+            .Callback<string, IReadOnlyCollection<MissingKeyDto>, CancellationToken>((_, keys, _) => queued = keys)
+            .ReturnsAsync(1);
+        var controller = CreateController(switchService);
+        var report = new MissingKeysReportDto("fr-CA", new List<MissingKeyDto>
+        {
+            new("home.title", "Welcome", "abc123", "https://example.com/"),
+            new(" ", null, null, null)
+        });
+
+        // Act
+        var result = await controller.Missing(report);
+
+        // Assert
+        result.Should().BeOfType<AcceptedResult>();
+        queued.Should().ContainSingle().Which.Key.Should().Be("home.title");
+    }
+
+    [Fact]
+    public async Task Missing_CapsKeysPerReport()
+    {
+        // Arrange
+        var switchService = new Mock<IPageLanguageSwitchService>();
+        IReadOnlyCollection<MissingKeyDto>? queued = null;
+        switchService
+            .Setup(s => s.QueueMissingAsync("de", It.IsAny<IReadOnlyCollection<MissingKeyDto>>(), It.IsAny<CancellationToken>()))
+            .Callback<string, IReadOnlyCollection<MissingKeyDto>, CancellationToken>((_, keys, _) => queued = keys)
+            .ReturnsAsync(0);
+        var controller = CreateController(switchService);
+        var keys = Enumerable.Range(0, LanguageController.MaxMissingKeysPerReport + 50)
+            .Select(i => new MissingKeyDto($"key.{i}", null, null, null))
+            .ToList();
+
+        // Act
+        await controller.Missing(new MissingKeysReportDto("de", keys));
+
+        // Assert
+        queued.Should().HaveCount(LanguageController.MaxMissingKeysPerReport);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("../etc")]
+    [InlineData("fr<script>")]
+    public async Task Missing_InvalidLanguageCode_ReturnsBadRequest(string languageCode)
+    {
+        // Arrange
+        var switchService = new Mock<IPageLanguageSwitchService>();
+        var controller = CreateController(switchService);
+        var report = new MissingKeysReportDto(languageCode, new List<MissingKeyDto> { new("home.title", null, null, null) });
+
+        // Act
+        var result = await controller.Missing(report);
+
+        // Assert
+        result.Should().BeOfType<BadRequestResult>();
+        switchService.Verify(s => s.QueueMissingAsync(It.IsAny<string>(), It.IsAny<IReadOnlyCollection<MissingKeyDto>>(), It.IsAny<CancellationToken>()), Times.Never);
+    }
+}
@@ -0,0 +1,118 @@
+using FluentAssertions;
+using Microsoft.AspNetCore.Http;
+using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Helpers;
+using Xunit;
+
+namespace mostlylucid.activetranslatetag.Tests;
+
+public class LanguageUrlTests
+{
+    private static HttpRequest CreateRequest(string path, string query = "")
+    {
+        var context = new DefaultHttpContext();
+        context.Request.Scheme = "https";
+        context.Request.Host = new HostString("example.com");
+        context.Request.Path = path;
+        context.Request.QueryString = new QueryString(query);
+        return context.Request;
+    }
+
+    [Fact]
+    public void TrySplitPath_WithConfiguredPrefix_ReturnsLanguageAndRemainder()
+    {
+        // Act
+        var result = LanguageUrl.TrySplitPath("/FR/about", new[] { "fr", "de" }, out var language, out var remainder);
+
+        // Assert
+        result.Should().BeTrue();
+        language.Should().Be("fr");
+        remainder.Value.Should().Be("/about");
+    }
+
+    [Fact]
+    public void TrySplitPath_LanguageOnly_ReturnsRootRemainder()
+    {
+        // Act
+        var result = LanguageUrl.TrySplitPath("/de", new[] { "fr", "de" }, out var language, out var remainder);
+
+        // Assert
+        result.Should().BeTrue();
+        language.Should().Be("de");
+        remainder.Value.Should().Be("/");
+    }
+
+    [Fact]
+    public void TrySplitPath_UnlistedSegment_ReturnsFalse()
+    {
+        // Act
+        var result = LanguageUrl.TrySplitPath("/faq/shipping", new[] { "fr", "de" }, out _, out var remainder);
+
+        // Assert
+        result.Should().BeFalse();
+        remainder.Value.Should().Be("/faq/shipping");
+    }
+
+    [Fact]
+    public void ReadLanguage_QueryMode_IgnoresValuesThatAreNotLanguageCodes()
+    {
+        // Arrange
+        var options = new LanguageUrlOptions();
+
+        // Act
+        var valid = LanguageUrl.ReadLanguage(CreateRequest("/about", "?lang=pt-BR"), options);
+        var invalid = LanguageUrl.ReadLanguage(CreateRequest("/about", "?lang=<script>"), options);
+
+        // Assert
+        valid.Should().Be("pt-BR");
+        invalid.Should().BeNull();
+    }
+
+    [Fact]
+    public void BuildUrl_QueryMode_ReplacesLanguageAndKeepsOtherParameters()
+    {
+        // Arrange
+        var request = CreateRequest("/about", "?page=2&lang=de");
+        var options = new LanguageUrlOptions();
+
+        // Act
+        var french = LanguageUrl.BuildUrl(request, "fr", options);
+        var english = LanguageUrl.BuildUrl(request, "en", options);
+
+        // Assert
+        french.Should().Be("https://example.com/about?page=2&lang=fr");
+        english.Should().Be("https://example.com/about?page=2");
+    }
+
+    [Fact]
+    public void BuildUrl_PathMode_ReplacesPrefix()
+    {
+        // Arrange
+        var request = CreateRequest("/de/about", "?page=2");
+        var options = new LanguageUrlOptions { Mode = LanguageUrlMode.Path, Languages = { "fr", "de" } };
+
+        // Act
+        var french = LanguageUrl.BuildUrl(request, "fr", options);
+        var english = LanguageUrl.BuildUrl(request, "en", options);
+
+        // Assert
+        french.Should().Be("https://example.com/fr/about?page=2");
+        english.Should().Be("https://example.com/about?page=2");
+    }
+
+    [Fact]
+    public void BuildUrl_PathModeAfterMiddleware_UsesOriginalPathBase()
+    {
+        // Arrange
+        var request = CreateRequest("/about");
+        request.PathBase = "/de"; // UseLanguageUrls moves the prefix into PathBase
+        request.HttpContext.Items[LanguageUrl.PathBaseItemKey] = PathString.Empty;
+        var options = new LanguageUrlOptions { Mode = LanguageUrlMode.Path, Languages = { "fr", "de" } };
+
+        // Act
+        var result = LanguageUrl.BuildUrl(request, "fr", options);
+
+        // Assert
+        result.Should().Be("https://example.com/fr/about");
+    }
+}
@@ -1,8 +1,10 @@
 using FluentAssertions;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Logging;
 using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Controllers;
 using mostlylucid.activetranslatetag.Extensions;
 using mostlylucid.activetranslatetag.Services;
 using mostlylucid.activetranslatetag.Services.InMemory;
@@ -284,4 +286,35 @@ public class ServiceCollectionExtensionsTests
         translationService.Should().NotBeNull();
         translationService.Should().BeOfType<EfTranslationService>();
     }
+
+    [Fact]
+    public async Task AddTranslationEditor_RegistersEditorPolicy()
+    {
+        // Arrange
+        var services = new ServiceCollection();
+        services.AddLogging();
+
+        // Act
+        services.AddTranslationEditor(policy => policy.RequireRole("Translator"));
+        var provider = services.BuildServiceProvider();
+
+        // Assert
+        var policyProvider = provider.GetRequiredService<IAuthorizationPolicyProvider>();
+        var policy = await policyProvider.GetPolicyAsync(LanguageController.EditorPolicy);
+        policy.Should().NotBeNull();
+    }
+
+    [Fact]
+    public void AddLanguageUrls_PathModeWithoutLanguages_ThrowsArgumentException()
+    {
+        // Arrange
+        var services = new ServiceCollection();
+
+        // Act
+        var act = () => services.AddLanguageUrls(options => options.Mode = LanguageUrlMode.Path);
+
+        // Assert
+        act.Should().Throw<ArgumentException>()
+            .WithMessage("*Languages*");
+    }
 }
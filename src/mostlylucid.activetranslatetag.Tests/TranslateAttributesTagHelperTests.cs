@@ -0,0 +1,53 @@
+using FluentAssertions;
+using mostlylucid.activetranslatetag.TagHelpers;
+using Xunit;
+
+namespace mostlylucid.activetranslatetag.Tests;
+
+public class TranslateAttributesTagHelperTests
+{
+    [Fact]
+    public void ParseAttributeKeys_MultiplePairs_ReturnsAllInOrder()
+    {
+        // Act
+        var result = TranslateAttributesTagHelper.ParseAttributeKeys("placeholder:forms.email;title:forms.email.hint").ToList();
+
+        // Assert
+        result.Should().Equal(("placeholder", "forms.email"), ("title", "forms.email.hint"));
+    }
+
+    [Fact]
+    public void ParseAttributeKeys_TrimsWhitespace()
+    {
+        // Act
+        var result = TranslateAttributesTagHelper.ParseAttributeKeys(" alt : images.logo ; aria-label:nav.menu ").ToList();
+
+        // Assert
+        result.Should().Equal(("alt", "images.logo"), ("aria-label", "nav.menu"));
+    }
+
+    [Fact]
+    public void ParseAttributeKeys_KeyContainingColon_SplitsOnFirstColon()
+    {
+        // Act
+        var result = TranslateAttributesTagHelper.ParseAttributeKeys("title:help:tooltip").ToList();
+
+        // Assert
+        result.Should().Equal(("title", "help:tooltip"));
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("placeholder")]
+    [InlineData(":forms.email")]
+    [InlineData("placeholder:")]
+    [InlineData(";;")]
+    public void ParseAttributeKeys_MalformedEntries_AreIgnored(string value)
+    {
+        // Act
+        var result = TranslateAttributesTagHelper.ParseAttributeKeys(value);
+
+        // Assert
+        result.Should().BeEmpty();
+    }
+}
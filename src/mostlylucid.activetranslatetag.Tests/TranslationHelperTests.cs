@@ -60,6 +60,92 @@ public class TranslationHelperTests
         result.Should().Be("fr");
     }
 
+    [Fact]
+    public void GetCurrentLanguage_WithUrlLanguage_PrefersItOverCookie()
+    {
+        // Arrange
+        var mockTranslationService = new Mock<ITranslationService>();
+        var mockHttpContextAccessor = new Mock<IHttpContextAccessor>();
+        var mockHttpContext = new Mock<HttpContext>();
+        var mockRequest = new Mock<HttpRequest>();
+        var mockCookies = new Mock<IRequestCookieCollection>();
+
+        var cookieValue = "fr";
+        mockCookies.Setup(c => c.TryGetValue("preferred-language", out cookieValue)).Returns(true);
+        mockRequest.Setup(r => r.Cookies).Returns(mockCookies.Object);
+        mockHttpContext.Setup(c => c.Request).Returns(mockRequest.Object);
+        mockHttpContext.Setup(c => c.Items).Returns(new Dictionary<object, object?> { [LanguageUrl.ItemKey] = "de" });
+        mockHttpContextAccessor.Setup(a => a.HttpContext).Returns(mockHttpContext.Object);
+
+        var helper = new TranslationHelper(mockTranslationService.Object, mockHttpContextAccessor.Object);
+
+        // Act
+        var result = helper.GetCurrentLanguage();
+
+        // Assert
+        result.Should().Be("de");
+    }
+
+    [Fact]
+    public void GetCurrentLanguage_WithLanguageHeader_PrefersItOverCookie()
+    {
+        // Arrange
+        var mockTranslationService = new Mock<ITranslationService>();
+        var mockHttpContextAccessor = new Mock<IHttpContextAccessor>();
+        var mockHttpContext = new Mock<HttpContext>();
+        var mockRequest = new Mock<HttpRequest>();
+        var mockCookies = new Mock<IRequestCookieCollection>();
+        var mockHeaders = new HeaderDictionary
+        {
+            { TranslationHelper.LanguageHeader, "pt-BR" }
+        };
+
+        var cookieValue = "fr";
+        mockCookies.Setup(c => c.TryGetValue("preferred-language", out cookieValue)).Returns(true);
+        mockRequest.Setup(r => r.Cookies).Returns(mockCookies.Object);
+        mockRequest.Setup(r => r.Headers).Returns(mockHeaders);
+        mockHttpContext.Setup(c => c.Request).Returns(mockRequest.Object);
+        mockHttpContextAccessor.Setup(a => a.HttpContext).Returns(mockHttpContext.Object);
+
+        var helper = new TranslationHelper(mockTranslationService.Object, mockHttpContextAccessor.Object);
+
+        // Act
+        var result = helper.GetCurrentLanguage();
+
+        // Assert
+        result.Should().Be("pt-BR");
+    }
+
+    [Fact]
+    public void GetCurrentLanguage_WithInvalidLanguageHeader_FallsBackToCookie()
+    {
+        // Arrange
+        var mockTranslationService = new Mock<ITranslationService>();
+        var mockHttpContextAccessor = new Mock<IHttpContextAccessor>();
+        var mockHttpContext = new Mock<HttpContext>();
+        var mockRequest = new Mock<HttpRequest>();
+        var mockCookies = new Mock<IRequestCookieCollection>();
+        var mockHeaders = new HeaderDictionary
+        {
+            { TranslationHelper.LanguageHeader, "../etc" }
+        };
+
+        var cookieValue = "fr";
+        mockCookies.Setup(c => c.TryGetValue("preferred-language", out cookieValue)).Returns(true);
+        mockRequest.Setup(r => r.Cookies).Returns(mockCookies.Object);
+        mockRequest.Setup(r => r.Headers).Returns(mockHeaders);
+        mockHttpContext.Setup(c => c.Request).Returns(mockRequest.Object);
+        mockHttpContextAccessor.Setup(a => a.HttpContext).Returns(mockHttpContext.Object);
+
+        var helper = new TranslationHelper(mockTranslationService.Object, mockHttpContextAccessor.Object);
+
+        // Act
+        var result = helper.GetCurrentLanguage();
+
+        // Assert
+        result.Should().Be("fr");
+    }
+
     [Fact]
     public void GetCurrentLanguage_WithAcceptLanguageHeader_ReturnsLanguageCode()
     {
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const PAGE = `<html><body>
+    <span id="t-a" data-translate-key="a">Hello</span>
+    <input id="email" placeholder="Email" title="Your email" data-translate-attr="placeholder:forms.email;title:forms.hint" />
+    <a id="link" href="/terms" data-translate-attr="href:links.terms">Terms</a>
+</body></html>`;
+
+const TRANSLATIONS = { a: 'Bonjour', 'forms.email': 'Courriel', 'forms.hint': 'Votre courriel', 'links.terms': 'javascript:alert(1)' };
+
+/**
+ * A page answering switch requests with an OOB span per requested key, as PageLanguageSwitchService does
+ */
+function switchPage(scripts) {
+    const requests = [];
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts,
+        fetch: async (url, options) => {
+            const keys = options.body.getAll('keys').filter(key => !key.startsWith('translation.ui.'));
+            requests.push(keys);
+            return {
+                ok: true,
+                text: async () => keys
+                    .filter(key => key in TRANSLATIONS)
+                    .map(key => `<span id="t-${key}" data-translate-key="${key}" hx-swap-oob="innerHTML">${TRANSLATIONS[key]}</span>`)
+                    .join('')
+            };
+        }
+    });
+    return { window, requests };
+}
+
+for (const [name, scripts] of [
+    ['bundle', ['translation-formatter.js', 'translation-bundle.js']],
+    ['translation.js', ['translation.js']]
+]) {
+    test(`${name}: attribute keys are requested and their values translated`, async () => {
+        const { window, requests } = switchPage(scripts);
+
+        await window.translationManager.switchLanguage('fr');
+
+        const input = window.document.getElementById('email');
+        assert.deepEqual(requests, [['a', 'forms.email', 'forms.hint', 'links.terms']]);
+        assert.equal(input.getAttribute('placeholder'), 'Courriel');
+        assert.equal(input.getAttribute('title'), 'Votre courriel');
+        assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+    });
+
+    test(`${name}: a translated script URL is rejected`, async () => {
+        const { window } = switchPage(scripts);
+
+        await window.translationManager.switchLanguage('fr');
+
+        assert.equal(window.document.getElementById('link').getAttribute('href'), '/terms');
+    });
+
+    test(`${name}: switching back restores the original attribute values`, async () => {
+        const { window } = switchPage(scripts);
+
+        await window.translationManager.switchLanguage('fr');
+        await window.translationManager.switchLanguage('en');
+
+        const input = window.document.getElementById('email');
+        assert.equal(input.getAttribute('placeholder'), 'Email');
+        assert.equal(input.getAttribute('title'), 'Your email');
+        assert.equal(window.document.getElementById('t-a').textContent, 'Hello');
+    });
+}
+
+test('client: attribute values are translated from the language file', async () => {
+    const window = createWindow({
+        html: PAGE,
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        fetch: async url => ({ ok: true, json: async () => (String(url).endsWith('/fr.json') ? TRANSLATIONS : {}) })
+    });
+    const client = window.TranslationClient;
+    client.init({});
+    const input = window.document.getElementById('email');
+
+    await client.setLanguage('fr');
+    assert.equal(input.getAttribute('placeholder'), 'Courriel');
+    assert.equal(input.getAttribute('title'), 'Votre courriel');
+    assert.equal(window.document.getElementById('link').getAttribute('href'), '/terms');
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const PAGE = `<html lang="de"><body>
+    <span id="current-lang">DE</span>
+    <span id="t-a" data-translate-key="a">Hallo</span>
+    <span id="t-b" data-translate-key="b">Welt</span>
+</body></html>`;
+
+/**
+ * A page authored in German whose switch requests return a translation for key a only
+ */
+function switchPage(scripts) {
+    return createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false, defaultLanguage: 'de' },
+        scripts,
+        fetch: async () => ({
+            ok: true,
+            text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">مرحبا</span>'
+        })
+    });
+}
+
+for (const [name, scripts] of [
+    ['bundle', ['translation-formatter.js', 'translation-bundle.js']],
+    ['translation.js', ['translation.js']]
+]) {
+    test(`${name}: a switch sets <html lang/dir> and keeps untranslated elements in the source language`, async () => {
+        const window = switchPage(scripts);
+        const root = window.document.documentElement;
+
+        await window.translationManager.switchLanguage('ar');
+
+        assert.equal(root.getAttribute('lang'), 'ar');
+        assert.equal(root.getAttribute('dir'), 'rtl');
+        const translated = window.document.getElementById('t-a');
+        assert.equal(translated.getAttribute('lang'), 'ar');
+        assert.equal(translated.getAttribute('dir'), 'rtl');
+        const untranslated = window.document.getElementById('t-b');
+        assert.equal(untranslated.getAttribute('lang'), 'de');
+        assert.equal(untranslated.getAttribute('dir'), 'ltr');
+    });
+
+    test(`${name}: switching back to the default language restores lang/dir`, async () => {
+        const window = switchPage(scripts);
+        const root = window.document.documentElement;
+
+        await window.translationManager.switchLanguage('ar');
+        await window.translationManager.switchLanguage('de');
+
+        assert.equal(root.getAttribute('lang'), 'de');
+        assert.equal(root.getAttribute('dir'), 'ltr');
+        assert.equal(window.document.getElementById('t-a').hasAttribute('lang'), false);
+        assert.equal(window.document.getElementById('t-b').hasAttribute('dir'), false);
+    });
+}
+
+function clientPage(cookie) {
+    const window = createWindow({
+        html: PAGE,
+        cookie,
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        fetch: async url => ({ ok: true, json: async () => (String(url).endsWith('/ar.json') ? { a: 'مرحبا' } : {}) })
+    });
+    window.TranslationClient.init({ defaultLang: 'de' });
+    return window;
+}
+
+test('client: untranslated elements keep the configured default language', async () => {
+    const window = clientPage();
+
+    await window.TranslationClient.setLanguage('ar');
+
+    assert.equal(window.document.documentElement.getAttribute('dir'), 'rtl');
+    const untranslated = window.document.getElementById('t-b');
+    assert.equal(untranslated.getAttribute('lang'), 'de');
+    assert.equal(untranslated.getAttribute('dir'), 'ltr');
+});
+
+test('client: the default language is not requested on load and its badge shows its code', async () => {
+    const loads = [];
+    const window = createWindow({
+        html: PAGE,
+        cookie: 'preferred-language=de',
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        fetch: async url => {
+            loads.push(String(url));
+            return { ok: true, json: async () => ({}) };
+        }
+    });
+    window.TranslationClient.init({ defaultLang: 'de' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    assert.deepEqual(loads, []);
+    assert.equal(window.document.getElementById('current-lang').textContent, 'DE');
+});
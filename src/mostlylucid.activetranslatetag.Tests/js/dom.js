@@ -0,0 +1,47 @@
+// Loads the library's browser scripts into a jsdom window for the client tests
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const SCRIPTS = path.join(__dirname, '..', '..', 'mostlylucid.activetranslatetag', 'wwwroot', 'js');
+
+/**
+ * Create a window running the given scripts (file names in wwwroot/js), in order.
+ * `fetch` replaces window.fetch, `config` becomes window.translationConfig and `cookie` is set first.
+ * `before(window)` runs before the scripts, e.g. to seed localStorage or listen for events they dispatch on load.
+ */
+function createWindow({ html, scripts = [], fetch, config, cookie, before, url = 'http://localhost/' } = {}) {
+    const dom = new JSDOM(html || '<!DOCTYPE html><html><head></head><body></body></html>', {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    // jsdom has no layout, so innerText falls back to textContent
+    Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+        get() { return this.textContent; },
+        set(value) { this.textContent = value; },
+        configurable: true
+    });
+    if (cookie) window.document.cookie = cookie;
+    window.fetch = fetch || (async () => { throw new TypeError('No network in tests'); });
+    if (config) window.translationConfig = config;
+    if (before) before(window);
+    for (const script of scripts) {
+        window.eval(fs.readFileSync(path.join(SCRIPTS, script), 'utf8'));
+    }
+    return window;
+}
+
+/**
+ * A promise with its resolve function, for holding a fake response until the test releases it
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { createWindow, deferred, sleep };
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+test('createWindow runs the scripts against the given page, cookie and config', () => {
+    const window = createWindow({
+        html: '<html><body><span data-translate-key="a">Hello</span></body></html>',
+        cookie: 'preferred-language=fr',
+        config: { enableSignalR: false },
+        scripts: ['translation-formatter.js']
+    });
+
+    assert.equal(typeof window.TranslationFormatter.format, 'function');
+    assert.equal(window.document.cookie, 'preferred-language=fr');
+    assert.deepEqual(window.translationConfig, { enableSignalR: false });
+    assert.equal(window.document.querySelector('[data-translate-key]').innerText, 'Hello');
+});
+
+test('createWindow has no network unless a fetch is given', async () => {
+    const window = createWindow();
+    await assert.rejects(window.fetch('/translations/fr.json'), TypeError);
+});
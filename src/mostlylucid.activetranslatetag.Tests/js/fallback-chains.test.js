@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const PAGE = `<html><body>
+    <span id="a" data-translate-key="a">Hello</span>
+    <span id="b" data-translate-key="b">World</span>
+    <span id="c" data-translate-key="c">Again</span>
+</body></html>`;
+
+/**
+ * A client-only page serving the given {lang}.json files; any other file is a 404.
+ * Each requested language is recorded in loads.
+ */
+function clientPage(files, opts = {}) {
+    const loads = [];
+    const window = createWindow({
+        html: PAGE,
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        fetch: async url => {
+            const lang = decodeURIComponent(String(url).split('/').pop().replace(/\.json$/, ''));
+            loads.push(lang);
+            if (!(lang in files)) return { ok: false, status: 404, json: async () => ({}) };
+            return { ok: true, status: 200, json: async () => files[lang] };
+        }
+    });
+    window.TranslationClient.init(opts);
+    return { window, loads };
+}
+
+const text = (window, id) => window.document.getElementById(id).textContent;
+
+test('client: a regional language merges its base language and the default language', async () => {
+    const { window, loads } = clientPage({
+        'fr-CA': { a: 'Allô' },
+        fr: { a: 'Bonjour', b: 'Monde' },
+        en: { a: 'Hello', b: 'World', c: 'Again' }
+    });
+
+    await window.TranslationClient.setLanguage('fr-CA');
+
+    assert.deepEqual(loads, ['fr-CA', 'fr', 'en']);
+    assert.equal(text(window, 'a'), 'Allô');
+    assert.equal(text(window, 'b'), 'Monde');
+    assert.equal(text(window, 'c'), 'Again');
+});
+
+test('client: missing files in the chain are skipped', async () => {
+    const { window, loads } = clientPage({ zh: { a: '你好' }, en: { a: 'Hello', b: 'World' } });
+
+    await window.TranslationClient.setLanguage('zh-Hant-TW');
+
+    assert.deepEqual(loads, ['zh-Hant-TW', 'zh-Hant', 'zh', 'en']);
+    assert.equal(text(window, 'a'), '你好');
+    assert.equal(text(window, 'b'), 'World');
+});
+
+test('client: a configured chain replaces the derived one', async () => {
+    const { window, loads } = clientPage(
+        { 'pt-PT': { a: 'Olá' }, pt: { a: 'Oi' }, en: { a: 'Hello' } },
+        { fallbacks: { 'pt-BR': ['pt-PT'] } }
+    );
+
+    await window.TranslationClient.setLanguage('pt-BR');
+
+    assert.deepEqual(loads, ['pt-BR', 'pt-PT', 'en']);
+    assert.equal(text(window, 'a'), 'Olá');
+});
+
+test('client: a language with no file anywhere in its chain fails', async () => {
+    const { window } = clientPage({}, { defaultLang: 'de' });
+
+    await assert.rejects(window.TranslationClient.setLanguage('fr-CA'), /Failed to load translations for fr-CA/);
+
+    assert.equal(text(window, 'a'), 'Hello');
+});
@@ -0,0 +1,168 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = `<html><body hx-ext="translation">
+    <span id="t-a" data-translate-key="a">Hello</span>
+    <span class="copy" data-translate-key="a">Hello</span>
+    <em id="t-rich" data-translate-key="rich" data-has-html>Plain <b>text</b></em>
+    <input id="search" placeholder="Search" data-translate-attr="placeholder:search" />
+    <div id="panel"></div>
+</body></html>`;
+
+// Language files and switch responses share these French translations
+const FRENCH = { a: 'Bonjour', b: 'Au revoir', search: 'Rechercher' };
+
+const SCRIPTS = {
+    bundle: ['translation-formatter.js', 'translation-bundle.js', 'translation-htmx.js'],
+    client: ['translation-formatter.js', 'translation.client.js', 'translation-htmx.js']
+};
+
+/**
+ * jsdom has no htmx: this stand-in only records the extension, which request() then drives through the
+ * events and response hook htmx calls, in htmx's order
+ */
+const fakeHtmx = window => {
+    window.htmx = { defineExtension: (name, extension) => { window.htmx.extension = extension; } };
+};
+
+function htmxPage(kind) {
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts: SCRIPTS[kind],
+        before: fakeHtmx,
+        fetch: async (url, options) => {
+            const oob = Object.keys(FRENCH)
+                .map(key => `<span data-translate-key="${key}" hx-swap-oob="innerHTML">${FRENCH[key]}</span>`).join('');
+            return { ok: true, status: 200, text: async () => oob, json: async () => (options && options.body ? {} : FRENCH) };
+        }
+    });
+    if (kind === 'client') window.TranslationClient.init({});
+    const events = [];
+    window.document.addEventListener('translation:switched', event => events.push(event.detail));
+    window.document.addEventListener('translation:error', event => events.push({ error: event.detail.error.message }));
+    return { window, events };
+}
+
+/**
+ * Run one htmx request: configRequest, beforeRequest, transformResponse, the innerHTML swap into target
+ * and the out-of-band swaps, then afterRequest. Resolves the request's detail, with cancelled set if
+ * configRequest was prevented.
+ */
+async function request(window, { verb = 'get', path, elt, target, response = '', status = 200 }) {
+    const extension = window.htmx.extension;
+    elt = elt || window.document.body;
+    const detail = { verb, path, elt, target, headers: {}, parameters: {} };
+    const configure = new window.CustomEvent('htmx:configRequest', { detail, cancelable: true });
+    extension.onEvent('htmx:configRequest', configure);
+    if (configure.defaultPrevented) return { ...detail, cancelled: true };
+
+    const xhr = { status, statusText: status === 200 ? 'OK' : 'Server Error' };
+    extension.onEvent('htmx:beforeRequest', { detail: { elt, xhr, requestConfig: { headers: detail.headers } } });
+    const template = window.document.createElement('template');
+    template.innerHTML = status === 200 ? extension.transformResponse(response, xhr, elt) : '';
+    template.content.querySelectorAll('[hx-swap-oob]').forEach(swap => {
+        let oobTarget = window.document.getElementById(swap.id);
+        swap.remove();
+        if (!oobTarget) return;
+        // hx-swap-oob="true" replaces the whole element, other values are treated as innerHTML here
+        if (swap.getAttribute('hx-swap-oob') === 'true') {
+            swap.removeAttribute('hx-swap-oob');
+            oobTarget.replaceWith(swap);
+            oobTarget = swap;
+        } else {
+            oobTarget.innerHTML = swap.innerHTML;
+        }
+        extension.onEvent('htmx:oobAfterSwap', { detail: { xhr, target: oobTarget } });
+    });
+    if (target && status === 200) {
+        target.innerHTML = template.innerHTML;
+        extension.onEvent('htmx:afterSwap', { detail: { xhr, target } });
+    }
+    extension.onEvent('htmx:afterRequest', { detail: { xhr, successful: status === 200 } });
+    await sleep(10);
+    return detail;
+}
+
+const switchTo = (window, lang) => window.TranslationClient.setLanguage(lang);
+const text = (window, selector) => window.document.querySelector(selector).textContent;
+
+for (const kind of ['bundle', 'client']) {
+    test(`${kind}: same-origin requests carry the language on screen`, async () => {
+        const { window } = htmxPage(kind);
+        await sleep(0);
+
+        assert.equal((await request(window, { path: '/items' })).headers['X-Translation-Language'], 'en');
+        await switchTo(window, 'fr');
+        assert.equal((await request(window, { path: '/items' })).headers['X-Translation-Language'], 'fr');
+        assert.deepEqual((await request(window, { path: 'https://api.example.com/items' })).headers, {});
+
+        await switchTo(window, 'qps-ploc');
+        assert.deepEqual((await request(window, { path: '/items' })).headers, {});
+    });
+
+    test(`${kind}: swapped-in and out-of-band content is translated into the current language`, async () => {
+        const { window } = htmxPage(kind);
+        await sleep(0);
+        await switchTo(window, 'fr');
+
+        await request(window, {
+            path: '/items',
+            target: window.document.getElementById('panel'),
+            response: '<span id="t-b" data-translate-key="b">Bye</span><span id="t-a" hx-swap-oob="true" data-translate-key="a">Hello</span>'
+        });
+
+        assert.equal(text(window, '#t-b'), 'Au revoir');
+        assert.equal(text(window, '#t-a'), 'Bonjour');
+    });
+}
+
+test('bundle: a declared switch posts the page keys and commits the swapped response', async () => {
+    const { window, events } = htmxPage('bundle');
+    await sleep(0);
+    const updates = [];
+    window.document.addEventListener('translation:element-updated', event => updates.push(event.detail.transport));
+
+    const detail = await request(window, {
+        verb: 'post',
+        path: '/Language/Switch/fr',
+        response: '<span id="t-a" hx-swap-oob="innerHTML" data-translate-key="a">Bonjour &lt;b&gt;</span>' +
+            '<em id="t-rich" hx-swap-oob="innerHTML" data-translate-key="rich">Du <b onclick="alert(1)">texte</b><img src=x></em>' +
+            '<span id="panel" hx-swap-oob="innerHTML" data-translate-key="b">Au revoir</span>' +
+            '<span hx-swap-oob="innerHTML" data-translate-key="search">Rechercher</span>'
+    });
+
+    assert.deepEqual([...detail.parameters.keys].filter(key => !key.startsWith('translation.ui.')), ['a', 'rich', 'search']);
+    assert.equal(window.translationManager.currentLanguage, 'fr');
+    assert.equal(text(window, '#t-a'), 'Bonjour <b>');
+    assert.equal(text(window, '.copy'), 'Bonjour <b>');
+    assert.equal(window.document.getElementById('t-rich').innerHTML, 'Du <b>texte</b>');
+    assert.equal(window.document.getElementById('search').getAttribute('placeholder'), 'Rechercher');
+    assert.equal(window.document.getElementById('panel').textContent, '');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].language, 'fr');
+    assert.ok(updates.includes('htmx'));
+});
+
+test('bundle: a failed declared switch keeps the language and reports the error', async () => {
+    const { window, events } = htmxPage('bundle');
+    await sleep(0);
+
+    await request(window, { verb: 'post', path: '/Language/Switch/fr', status: 500 });
+
+    assert.equal(window.translationManager.currentLanguage, 'en');
+    assert.deepEqual(events, [{ error: 'Language switch failed: 500 Server Error' }]);
+});
+
+test('bundle: posting to the default language restores in place instead of requesting', async () => {
+    const { window } = htmxPage('bundle');
+    await sleep(0);
+    await switchTo(window, 'fr');
+
+    const detail = await request(window, { verb: 'post', path: '/Language/Switch/en' });
+
+    assert.equal(detail.cancelled, true);
+    assert.equal(window.translationManager.currentLanguage, 'en');
+    assert.equal(text(window, '#t-a'), 'Hello');
+});
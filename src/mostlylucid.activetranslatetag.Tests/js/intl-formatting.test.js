@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+// Server-rendered text differs from every Intl output, so a test cannot pass on untouched values
+const PAGE = `<html><body>
+    <time id="date" data-format="date" datetime="2024-05-01T12:00:00Z" data-format-options='{"dateStyle":"long","timeZone":"UTC"}'>2024-05-01</time>
+    <span id="number" data-format="number" data-value="1234567.891">1234567.891</span>
+    <span id="price" data-format="currency" data-value="19.99" data-currency="EUR">EUR 19.99</span>
+    <span id="yesterday" data-format="relative" data-value="-1" data-unit="day">-1 day</span>
+    <span id="broken" data-format="currency" data-value="5">$5</span>
+</body></html>`;
+
+// Expected text comes from Node's own Intl, so ICU data updates (such as narrow no-break spaces) do not break the tests
+const expected = locale => ({
+    date: new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date('2024-05-01T12:00:00Z')),
+    number: new Intl.NumberFormat(locale).format(1234567.891),
+    price: new Intl.NumberFormat(locale, { style: 'currency', currency: 'EUR' }).format(19.99),
+    yesterday: new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(-1, 'day')
+});
+
+const CLIENTS = [
+    ['bundle', ['translation-formatter.js', 'translation-bundle.js'], (window, lang) => window.translationManager.switchLanguage(lang)],
+    ['client', ['translation-formatter.js', 'translation.client.js'], (window, lang) => window.TranslationClient.setLanguage(lang)]
+];
+
+/**
+ * A page whose translation requests find nothing, so only the formatted values change
+ */
+function formatPage(scripts) {
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts,
+        fetch: async () => ({ ok: true, status: 200, text: async () => '', json: async () => ({}) })
+    });
+    if (!window.translationManager) window.TranslationClient.init({ observeMutations: true, mutationDebounce: 10 });
+    return window;
+}
+
+const values = window => Object.fromEntries(['date', 'number', 'price', 'yesterday'].map(id => [id, window.document.getElementById(id).textContent]));
+
+for (const [name, scripts, switchTo] of CLIENTS) {
+    test(`${name}: a switch formats dates, numbers, prices and relative times for the language`, async () => {
+        const window = formatPage(scripts);
+
+        await switchTo(window, 'fr');
+
+        assert.deepEqual(values(window), expected('fr'));
+        assert.equal(expected('fr').yesterday, 'hier');
+    });
+
+    test(`${name}: switching back formats for the default language`, async () => {
+        const window = formatPage(scripts);
+
+        await switchTo(window, 'de');
+        await switchTo(window, 'en');
+
+        assert.deepEqual(values(window), expected('en'));
+    });
+
+    test(`${name}: an invalid value keeps the server-rendered text`, async () => {
+        const window = formatPage(scripts);
+
+        await switchTo(window, 'fr');
+
+        assert.equal(window.document.getElementById('broken').textContent, '$5');
+    });
+}
+
+test('client: inserted values are formatted by the mutation observer', async () => {
+    const window = formatPage(['translation-formatter.js', 'translation.client.js']);
+    await window.TranslationClient.setLanguage('de');
+
+    const total = window.document.createElement('span');
+    total.setAttribute('data-format', 'number');
+    total.setAttribute('data-value', '0.5');
+    total.setAttribute('data-format-options', '{"style":"percent"}');
+    window.document.body.appendChild(total);
+    await sleep(50);
+
+    assert.equal(total.textContent, new Intl.NumberFormat('de', { style: 'percent' }).format(0.5));
+});
+
+test('formatValue formats a single value', () => {
+    const window = formatPage(['translation-formatter.js', 'translation.client.js']);
+
+    assert.equal(
+        window.TranslationFormatter.formatValue('currency', 5, 'de', { currency: 'EUR' }),
+        new Intl.NumberFormat('de', { style: 'currency', currency: 'EUR' }).format(5));
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+/**
+ * A client-only page with a <language-select>; setLanguage calls are recorded instead of loading files
+ */
+function selectPage(select, { scripts = ['translation-formatter.js', 'translation.client.js'], fetch } = {}) {
+    const switches = [];
+    const window = createWindow({
+        html: `<html><body><span id="t-a" data-translate-key="a">Hello</span>${select}</body></html>`,
+        scripts: [...scripts, 'language-select.js'],
+        fetch: fetch || (async url => ({ ok: true, status: 200, json: async () => (String(url).endsWith('/fr.json') ? { a: 'Bonjour' } : {}) }))
+    });
+    if (window.TranslationClient) {
+        window.TranslationClient.init({});
+        const setLanguage = window.TranslationClient.setLanguage;
+        window.TranslationClient.setLanguage = lang => {
+            switches.push(lang);
+            return setLanguage(lang);
+        };
+    }
+    return { window, switches };
+}
+
+const parts = element => ({
+    button: element.shadowRoot.querySelector('[role="combobox"]'),
+    listbox: element.shadowRoot.querySelector('[role="listbox"]'),
+    options: Array.from(element.shadowRoot.querySelectorAll('[role="option"]'))
+});
+
+const press = (window, target, key) => target.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+
+const nativeName = code => {
+    const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+};
+
+test('options list the default language first with native names, lang and dir', async () => {
+    const { window } = selectPage('<language-select languages="fr,de,ar,en"></language-select>');
+    await sleep(0);
+
+    const { button, options } = parts(window.document.querySelector('language-select'));
+    assert.deepEqual(options.map(o => o.getAttribute('lang')), ['en', 'fr', 'de', 'ar']);
+    assert.deepEqual(options.map(o => o.textContent), ['en', 'fr', 'de', 'ar'].map(nativeName));
+    assert.equal(options[3].getAttribute('dir'), 'rtl');
+    assert.equal(options[0].getAttribute('aria-selected'), 'true');
+    assert.equal(button.textContent, nativeName('en'));
+    assert.equal(button.getAttribute('aria-label'), 'Language');
+});
+
+test('the keyboard opens the list, moves and chooses a language', async () => {
+    const { window, switches } = selectPage('<language-select languages="fr,de"></language-select>');
+    await sleep(0);
+    const element = window.document.querySelector('language-select');
+    const changes = [];
+    element.addEventListener('change', event => changes.push(event.detail));
+    const { button, listbox } = parts(element);
+
+    press(window, button, 'ArrowDown');
+    assert.equal(listbox.hidden, false);
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    press(window, button, 'ArrowDown');
+    assert.equal(button.getAttribute('aria-activedescendant'), 'option-1');
+    press(window, button, 'Enter');
+
+    assert.equal(listbox.hidden, true);
+    assert.deepEqual(switches, ['fr']);
+    assert.deepEqual({ ...changes[0] }, { language: 'fr', previousLanguage: 'en' });
+    await sleep(10);
+    assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+    assert.equal(element.value, 'fr');
+});
+
+test('Escape closes without switching and typing jumps to a language by name', async () => {
+    const { window, switches } = selectPage('<language-select languages="fr,de"></language-select>');
+    await sleep(0);
+    const { button, listbox } = parts(window.document.querySelector('language-select'));
+
+    press(window, button, nativeName('de')[0].toLowerCase());
+    assert.equal(listbox.hidden, false);
+    assert.equal(button.getAttribute('aria-activedescendant'), 'option-2');
+    press(window, button, 'Escape');
+
+    assert.equal(listbox.hidden, true);
+    assert.deepEqual(switches, []);
+});
+
+test('the selection follows switches made elsewhere', async () => {
+    const { window } = selectPage('<language-select languages="fr,de"></language-select>');
+    await sleep(0);
+    const element = window.document.querySelector('language-select');
+
+    await window.TranslationClient.setLanguage('de');
+
+    assert.equal(element.value, 'de');
+    assert.equal(parts(element).options[2].getAttribute('aria-selected'), 'true');
+});
+
+test('selectors without a list share one request to /Language/Available', async () => {
+    const requests = [];
+    const { window } = selectPage('<language-select></language-select><language-select show-codes></language-select>', {
+        fetch: async url => {
+            requests.push(String(url));
+            return { ok: true, status: 200, json: async () => ['fr', 'es'] };
+        }
+    });
+    await sleep(10);
+
+    assert.deepEqual(requests, ['/Language/Available']);
+    const [plain, coded] = window.document.querySelectorAll('language-select');
+    assert.equal(parts(plain).options.length, 3);
+    assert.equal(parts(coded).options[2].textContent, `${nativeName('es')} (ES)`);
+});
+
+test('translation.js: choosing a language calls window.setLanguage', async () => {
+    const { window } = selectPage('<language-select languages="fr"></language-select>', { scripts: ['translation.js'] });
+    await sleep(0);
+    const chosen = [];
+    window.setLanguage = lang => {
+        chosen.push(lang);
+        return Promise.resolve(lang);
+    };
+    const { options } = parts(window.document.querySelector('language-select'));
+
+    options[1].click();
+
+    assert.deepEqual(chosen, ['fr']);
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const PAGE = `<html><body>
+    <span id="t-a" data-translate-key="a">Hello</span>
+    <span id="t-b" data-translate-key="b">World</span>
+    <input id="email" placeholder="Email" data-translate-attr="placeholder:forms.email" />
+</body></html>`;
+
+/**
+ * A page whose switch requests return translations for a and forms.email, or fail with a 500 if failing is set
+ */
+function switchPage(scripts, { failing = false } = {}) {
+    const requests = [];
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts,
+        fetch: async () => {
+            requests.push(true);
+            return {
+                ok: !failing,
+                text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour</span>' +
+                    '<span id="t-forms.email" data-translate-key="forms.email" hx-swap-oob="innerHTML">Courriel</span>'
+            };
+        }
+    });
+    const events = [];
+    ['beforeswitch', 'switched', 'element-updated', 'error'].forEach(name => {
+        window.document.addEventListener(`translation:${name}`, event => events.push({ name, target: event.target, detail: event.detail }));
+    });
+    return { window, requests, events };
+}
+
+for (const [name, scripts] of [
+    ['bundle', ['translation-formatter.js', 'translation-bundle.js']],
+    ['translation.js', ['translation.js']]
+]) {
+    test(`${name}: a switch announces itself, each updated element and its outcome`, async () => {
+        const { window, events } = switchPage(scripts);
+
+        await window.translationManager.switchLanguage('fr');
+
+        assert.deepEqual(events.map(e => e.name), ['beforeswitch', 'element-updated', 'element-updated', 'switched']);
+        assert.equal(events[0].detail.language, 'fr');
+        assert.equal(events[0].detail.previousLanguage, 'en');
+
+        const updates = events.filter(e => e.name === 'element-updated');
+        assert.equal(updates[0].target.id, 't-a');
+        assert.equal(updates[0].detail.key, 'a');
+        assert.equal(updates[0].detail.source, 'switch');
+        assert.equal(updates[1].target.id, 'email');
+        assert.equal(updates[1].detail.attribute, 'placeholder');
+
+        const switched = events[3].detail;
+        assert.equal(switched.language, 'fr');
+        // Arrays from the page's realm are compared by value
+        assert.deepEqual([...switched.missingKeys], ['b']);
+        assert.equal(switched.partial, true);
+        assert.equal(switched.fromCache, false);
+    });
+
+    test(`${name}: a beforeswitch listener can cancel the switch`, async () => {
+        const { window, requests } = switchPage(scripts);
+        window.document.addEventListener('translation:beforeswitch', event => event.preventDefault());
+
+        await assert.rejects(window.translationManager.switchLanguage('fr'), { name: 'AbortError' });
+
+        assert.equal(requests.length, 0);
+        assert.equal(window.document.getElementById('t-a').textContent, 'Hello');
+        assert.equal(window.translationManager.currentLanguage, 'en');
+    });
+
+    test(`${name}: a failed switch emits translation:error`, async () => {
+        const { window, events } = switchPage(scripts, { failing: true });
+
+        await assert.rejects(window.translationManager.switchLanguage('fr'));
+
+        const error = events.find(e => e.name === 'error');
+        assert.equal(error.detail.phase, 'switch');
+        assert.equal(error.detail.language, 'fr');
+    });
+
+    test(`${name}: restoring the default language reports the restored elements`, async () => {
+        const { window, events } = switchPage(scripts);
+        await window.translationManager.switchLanguage('fr');
+        events.length = 0;
+
+        await window.translationManager.switchLanguage('en');
+
+        // b was untranslated, but marked with the source language
+        const restored = events.filter(e => e.name === 'element-updated');
+        assert.deepEqual(restored.map(e => e.target.id).sort(), ['email', 't-a', 't-b']);
+        assert.ok(restored.every(e => e.detail.source === 'restore'));
+        assert.equal(events.at(-1).name, 'switched');
+        assert.equal(events.at(-1).detail.previousLanguage, 'fr');
+    });
+}
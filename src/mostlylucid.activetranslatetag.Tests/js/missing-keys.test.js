@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = `<html><body>
+    <span data-translate-key="a" data-content-hash="hash-a">Hello</span>
+    <span data-translate-key="b" data-content-hash="hash-b">Bye</span>
+    <input placeholder="Search" data-translate-attr="placeholder:search" />
+</body></html>`;
+
+const CLIENTS = {
+    bundle: {
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        switchTo: (window, lang) => window.translationManager.switchLanguage(lang)
+    },
+    client: {
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        switchTo: (window, lang) => window.TranslationClient.setLanguage(lang)
+    }
+};
+
+// jsdom's Blob has no text()
+const readText = (window, blob) => new Promise(resolve => {
+    const reader = new window.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+});
+
+/**
+ * A page at /page?tab=2 where only a has a translation, in any language. Beacons are recorded as
+ * [url, body]; a refused beacon falls back to fetch, which is recorded the same way.
+ */
+function missingPage(kind, opts = {}, { refuseBeacons = false } = {}) {
+    const beacons = [];
+    const window = createWindow({
+        html: PAGE,
+        url: 'http://localhost/page?tab=2',
+        config: { enableSignalR: false, enableNotifications: false, ...opts },
+        scripts: CLIENTS[kind].scripts,
+        before: window => {
+            Object.defineProperty(window.navigator, 'sendBeacon', {
+                configurable: true,
+                value: (url, blob) => {
+                    if (refuseBeacons) return false;
+                    beacons.push(readText(window, blob).then(body => [url, JSON.parse(body)]));
+                    return true;
+                }
+            });
+        },
+        fetch: async (url, options = {}) => {
+            if (options.keepalive) {
+                beacons.push(Promise.resolve([String(url), JSON.parse(options.body)]));
+                return { ok: true, status: 202 };
+            }
+            const lang = String(url).match(/([a-z]{2})(\.json)?$/)[1];
+            if (lang === 'en') return { ok: false, status: 404, json: async () => ({}) };
+            return {
+                ok: true,
+                status: 200,
+                text: async () => `<span data-translate-key="a" hx-swap-oob="innerHTML">a:${lang}</span>`,
+                json: async () => ({ a: `a:${lang}` })
+            };
+        }
+    });
+    if (kind === 'client') window.TranslationClient.init(opts);
+    return { window, beacons: () => Promise.all(beacons) };
+}
+
+const missing = (key, sourceText, hash) => ({ key, sourceText, hash, url: 'http://localhost/page' });
+
+for (const [kind, { switchTo }] of Object.entries(CLIENTS)) {
+    test(`${kind}: untranslated keys are recorded once per language with their source text`, async () => {
+        const { window } = missingPage(kind);
+        await sleep(0);
+
+        await switchTo(window, 'fr');
+        await switchTo(window, 'de');
+        await switchTo(window, 'fr');
+
+        const keys = [...window.TranslationClient.getMissingKeys()].map(({ language, ...entry }) => [language, { ...entry }]);
+        assert.deepEqual(keys, [
+            ['fr', missing('b', 'Bye', 'hash-b')], ['fr', missing('search', 'Search', null)],
+            ['de', missing('b', 'Bye', 'hash-b')], ['de', missing('search', 'Search', null)]
+        ]);
+        assert.deepEqual([...window.TranslationClient.getMissingKeys('de')].map(entry => entry.key), ['b', 'search']);
+    });
+
+    test(`${kind}: reporting batches the keys per language after the delay`, async () => {
+        const { window, beacons } = missingPage(kind, { reportMissingKeys: true, missingKeysDelay: 20 });
+        await sleep(0);
+
+        await switchTo(window, 'fr');
+        await switchTo(window, 'de');
+        assert.deepEqual(await beacons(), []);
+        await sleep(40);
+
+        assert.deepEqual(await beacons(), [
+            ['/Language/Missing', { languageCode: 'fr', keys: [missing('b', 'Bye', 'hash-b'), missing('search', 'Search', null)] }],
+            ['/Language/Missing', { languageCode: 'de', keys: [missing('b', 'Bye', 'hash-b'), missing('search', 'Search', null)] }]
+        ]);
+    });
+
+    test(`${kind}: hiding the page sends what is queued, with fetch when the beacon is refused`, async () => {
+        const { window, beacons } = missingPage(kind, { reportMissingKeys: true, missingKeysEndpoint: '/api/missing' }, { refuseBeacons: true });
+        await sleep(0);
+        await switchTo(window, 'fr');
+
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        assert.deepEqual((await beacons()).map(([url, body]) => [url, body.languageCode, body.keys.length]), [['/api/missing', 'fr', 2]]);
+    });
+
+    test(`${kind}: without reporting nothing is sent`, async () => {
+        const { window, beacons } = missingPage(kind, { missingKeysDelay: 0 });
+        await sleep(0);
+
+        await switchTo(window, 'fr');
+        window.dispatchEvent(new window.Event('pagehide'));
+        await sleep(10);
+
+        assert.deepEqual(await beacons(), []);
+        assert.equal(window.TranslationClient.getMissingKeys().length, 2);
+    });
+}
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = '<html><body><span id="t-a" data-translate-key="a">Hello</span></body></html>';
+
+function insert(window, key, text) {
+    const element = window.document.createElement('span');
+    element.setAttribute('data-translate-key', key);
+    element.id = `t-${key}`;
+    element.textContent = text;
+    window.document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * Count the element-updated events per key
+ */
+function countUpdates(window) {
+    const updates = {};
+    window.document.addEventListener('translation:element-updated', event => {
+        updates[event.detail.key] = (updates[event.detail.key] || 0) + 1;
+    });
+    return updates;
+}
+
+function bundlePage(config = {}) {
+    const requests = [];
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false, observeMutations: true, mutationDebounce: 10, ...config },
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        fetch: async (url, options) => {
+            const keys = options.body.getAll('keys').filter(key => !key.startsWith('translation.ui.'));
+            requests.push(keys);
+            return {
+                ok: true,
+                text: async () => keys.map(key => `<span id="t-${key}" data-translate-key="${key}" hx-swap-oob="innerHTML">FR ${key}</span>`).join('')
+            };
+        }
+    });
+    return { window, requests };
+}
+
+test('bundle: an inserted keyed element is translated once into the current language', async () => {
+    const { window, requests } = bundlePage();
+    await window.translationManager.switchLanguage('fr');
+    const updates = countUpdates(window);
+
+    const element = insert(window, 'b', 'Goodbye');
+    await sleep(50);
+
+    assert.equal(element.textContent, 'FR b');
+    assert.deepEqual(requests, [['a'], ['b']]);
+    assert.equal(updates.b, 1);
+});
+
+test('bundle: a burst of inserts is translated in one request', async () => {
+    const { window, requests } = bundlePage();
+    await window.translationManager.switchLanguage('fr');
+
+    insert(window, 'b', 'One');
+    insert(window, 'c', 'Two');
+    await sleep(50);
+
+    assert.deepEqual(requests.slice(1), [['b', 'c']]);
+});
+
+test('bundle: inserted elements are left alone in the default language', async () => {
+    const { window, requests } = bundlePage();
+
+    const element = insert(window, 'b', 'Goodbye');
+    await sleep(50);
+
+    assert.equal(element.textContent, 'Goodbye');
+    assert.equal(requests.length, 0);
+});
+
+test('client: an inserted keyed element is translated once into the current language', async () => {
+    const loads = [];
+    const window = createWindow({
+        html: PAGE,
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        fetch: async url => {
+            loads.push(String(url));
+            return { ok: true, json: async () => (String(url).endsWith('/fr.json') ? { a: 'Bonjour', b: 'Au revoir' } : {}) };
+        }
+    });
+    window.TranslationClient.init({ observeMutations: true, mutationDebounce: 10 });
+    await window.TranslationClient.setLanguage('fr');
+    const updates = countUpdates(window);
+
+    const element = insert(window, 'b', 'Goodbye');
+    await sleep(50);
+
+    assert.equal(element.textContent, 'Au revoir');
+    assert.equal(updates.b, 1);
+    // The language map is cached, so the inserted element costs no extra request
+    assert.equal(loads.filter(url => url.endsWith('/fr.json')).length, 1);
+});
+
+test('client: inserted elements are left alone in a configured default language', async () => {
+    const loads = [];
+    const window = createWindow({
+        html: PAGE,
+        cookie: 'preferred-language=de',
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        fetch: async url => {
+            loads.push(String(url));
+            return { ok: true, json: async () => ({}) };
+        }
+    });
+    window.TranslationClient.init({ defaultLang: 'de', observeMutations: true, mutationDebounce: 10 });
+
+    const element = insert(window, 'b', 'Tschüss');
+    await sleep(50);
+
+    assert.equal(element.textContent, 'Tschüss');
+    assert.deepEqual(loads, []);
+});
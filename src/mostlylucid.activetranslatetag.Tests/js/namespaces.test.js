@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = `<html><body>
+    <span id="total" data-translate-key="checkout.total">Total</span>
+    <span id="hello" data-translate-key="hello">Hello</span>
+    <input id="search" placeholder="Search" data-translate-attr="placeholder:nav.search" />
+</body></html>`;
+
+// {baseUrl}/{lang}/{namespace}.json
+const FILES = {
+    'fr/checkout': { 'checkout.total': 'Montant' },
+    'fr/common': { hello: 'Bonjour' },
+    'fr/nav': { 'nav.search': 'Rechercher' },
+    'fr/billing': { 'billing.vat': 'TVA' },
+    'fr-CA/checkout': { 'checkout.total': 'Montant total' }
+};
+
+const MANIFEST = { namespaces: { checkout: '3', common: '1' } };
+
+/**
+ * A page serving FILES and MANIFEST under /translations; every request is recorded without its origin
+ */
+function filesPage(scripts, config) {
+    const loads = [];
+    const window = createWindow({
+        html: PAGE,
+        config,
+        scripts,
+        fetch: async url => {
+            const path = String(url).replace(/^https?:\/\/[^/]+/, '');
+            loads.push(path);
+            if (path === '/translations/manifest.json') return { ok: true, status: 200, json: async () => MANIFEST };
+            const file = FILES[decodeURIComponent(path.replace(/^\/translations\/|\.json(\?.*)?$/g, ''))];
+            return file
+                ? { ok: true, status: 200, json: async () => file }
+                : { ok: false, status: 404, statusText: 'Not Found', json: async () => ({}) };
+        }
+    });
+    return { window, loads };
+}
+
+const clientPage = opts => {
+    const page = filesPage(['translation-formatter.js', 'translation.client.js']);
+    page.window.TranslationClient.init({ baseUrl: '/translations', namespaces: true, ...opts });
+    return page;
+};
+
+const text = (window, id) => window.document.getElementById(id).textContent;
+
+test('client: a switch loads only the namespaces the page references, along the fallback chain', async () => {
+    const { window, loads } = clientPage();
+
+    await window.TranslationClient.setLanguage('fr-CA');
+
+    assert.deepEqual([...loads].sort(), [
+        '/translations/en/checkout.json', '/translations/en/common.json', '/translations/en/nav.json',
+        '/translations/fr-CA/checkout.json', '/translations/fr-CA/common.json', '/translations/fr-CA/nav.json',
+        '/translations/fr/checkout.json', '/translations/fr/common.json', '/translations/fr/nav.json'
+    ]);
+    assert.equal(text(window, 'total'), 'Montant total');
+    assert.equal(text(window, 'hello'), 'Bonjour');
+    assert.equal(window.document.getElementById('search').getAttribute('placeholder'), 'Rechercher');
+});
+
+test('client: with a manifest, unlisted namespaces are skipped and files carry their version', async () => {
+    const { window, loads } = clientPage({ manifest: '/translations/manifest.json' });
+
+    await window.TranslationClient.setLanguage('fr');
+
+    assert.deepEqual([...loads].sort(), [
+        '/translations/en/checkout.json?v=3', '/translations/en/common.json?v=1',
+        '/translations/fr/checkout.json?v=3', '/translations/fr/common.json?v=1',
+        '/translations/manifest.json'
+    ]);
+    assert.equal(text(window, 'total'), 'Montant');
+    assert.equal(window.document.getElementById('search').getAttribute('placeholder'), 'Search');
+});
+
+test('client: inserted content loads its own namespace once', async () => {
+    const { window, loads } = clientPage({ observeMutations: true, mutationDebounce: 10 });
+    await window.TranslationClient.setLanguage('fr');
+    loads.length = 0;
+
+    const vat = window.document.createElement('span');
+    vat.setAttribute('data-translate-key', 'billing.vat');
+    vat.textContent = 'VAT';
+    window.document.body.appendChild(vat);
+    await sleep(50);
+
+    assert.deepEqual([...loads].sort(), ['/translations/en/billing.json', '/translations/fr/billing.json']);
+    assert.equal(vat.textContent, 'TVA');
+
+    window.document.body.appendChild(vat.cloneNode(false)).textContent = 'VAT';
+    await sleep(50);
+    assert.equal(loads.length, 2);
+});
+
+test('bundle: the static transport loads namespaces listed in the manifest', async () => {
+    const { window, loads } = filesPage(['translation-formatter.js', 'translation-bundle.js'], {
+        enableSignalR: false,
+        enableNotifications: false,
+        transports: 'static',
+        staticNamespaces: true,
+        staticManifest: '/translations/manifest.json'
+    });
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.deepEqual([...loads].sort(), [
+        '/translations/fr/checkout.json?v=3', '/translations/fr/common.json?v=1', '/translations/manifest.json'
+    ]);
+    assert.equal(text(window, 'total'), 'Montant');
+    assert.equal(text(window, 'hello'), 'Bonjour');
+});
@@ -0,0 +1,121 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = '<html><body><span id="t-a" data-translate-key="a">Hello</span></body></html>';
+
+// jsdom reports en-US; a page-level property shadows the read-only getter
+const browserLanguages = languages => window => {
+    Object.defineProperty(window.navigator, 'languages', { value: languages, configurable: true });
+};
+
+/**
+ * A client-only page with fr.json only, for a browser preferring the given languages
+ */
+function clientPage(languages, opts, cookie) {
+    const loads = [];
+    const window = createWindow({
+        html: PAGE,
+        cookie,
+        before: browserLanguages(languages),
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        fetch: async url => {
+            loads.push(String(url));
+            return String(url).endsWith('/fr.json')
+                ? { ok: true, status: 200, json: async () => ({ a: 'Bonjour' }) }
+                : { ok: false, status: 404, json: async () => ({}) };
+        }
+    });
+    window.TranslationClient.init(opts);
+    return { window, loads };
+}
+
+test('client: negotiation prefers an exact match, then the base language, then another region', () => {
+    const available = ['fr', 'de', 'pt-BR'];
+
+    assert.equal(clientPage(['fr-CA', 'de']).window.TranslationClient.negotiateLanguage(available), 'fr');
+    assert.equal(clientPage(['pt-PT']).window.TranslationClient.negotiateLanguage(available), 'pt-BR');
+    assert.equal(clientPage(['ja', 'de-AT']).window.TranslationClient.negotiateLanguage(available), 'de');
+    assert.equal(clientPage(['ja']).window.TranslationClient.negotiateLanguage(available), null);
+});
+
+test('client: auto switches a first visit to the browser language and remembers it', async () => {
+    const { window } = clientPage(['fr-CA', 'en'], { languageNegotiation: 'auto', availableLanguages: ['fr'] });
+    await sleep(10);
+
+    assert.equal(window.TranslationClient.getCurrentLanguage(), 'fr');
+    assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+    assert.match(window.document.cookie, /preferred-language=fr/);
+});
+
+test('client: suggest offers the browser language and declining keeps the current one', async () => {
+    const { window, loads } = clientPage(['fr-CA'], { languageNegotiation: 'suggest', availableLanguages: ['fr'] });
+    await sleep(10);
+
+    const banner = window.document.querySelector('.translation-suggestion');
+    assert.ok(banner);
+    assert.deepEqual(loads, []);
+    banner.querySelectorAll('button')[1].click();
+
+    assert.equal(window.document.querySelector('.translation-suggestion'), null);
+    assert.match(window.document.cookie, /preferred-language=en/);
+    assert.equal(window.document.getElementById('t-a').textContent, 'Hello');
+});
+
+test('client: a visitor with a language cookie is not negotiated', async () => {
+    const { window, loads } = clientPage(['fr'], { languageNegotiation: 'auto', availableLanguages: ['fr'] }, 'preferred-language=en');
+    await sleep(10);
+
+    assert.equal(window.TranslationClient.getCurrentLanguage(), 'en');
+    assert.deepEqual(loads, []);
+});
+
+/**
+ * A bundle page for a browser preferring the given languages; switch requests are recorded by language
+ */
+function bundlePage(languages, config) {
+    const switches = [];
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false, ...config },
+        before: browserLanguages(languages),
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        fetch: async url => {
+            switches.push(String(url).split('/').pop());
+            return { ok: true, text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour</span>' };
+        }
+    });
+    return { window, switches };
+}
+
+test('bundle: auto switches a first visit to the best available language', async () => {
+    const { window, switches } = bundlePage(['fr-CA', 'en'], { languageNegotiation: 'auto', availableLanguages: ['fr', 'de'] });
+    await sleep(10);
+
+    assert.deepEqual(switches, ['fr']);
+    assert.equal(window.translationManager.currentLanguage, 'fr');
+    assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+});
+
+test('bundle: suggest renders a suggestion whose accept switches', async () => {
+    let suggestion = null;
+    const renderer = { suggestion: options => { suggestion = options; } };
+    const { window, switches } = bundlePage(['de-AT'], { languageNegotiation: 'suggest', availableLanguages: ['fr', 'de'], renderer });
+    await sleep(10);
+
+    assert.ok(suggestion);
+    assert.match(suggestion.text, /is available in /);
+    assert.deepEqual(switches, []);
+
+    await suggestion.onAccept();
+    assert.deepEqual(switches, ['de']);
+    assert.equal(window.translationManager.currentLanguage, 'de');
+});
+
+test('bundle: when nothing matches, the default language is kept and remembered', async () => {
+    const { window, switches } = bundlePage(['ja'], { languageNegotiation: 'auto', availableLanguages: ['fr'] });
+    await sleep(10);
+
+    assert.deepEqual(switches, []);
+    assert.match(window.document.cookie, /preferred-language=en/);
+});
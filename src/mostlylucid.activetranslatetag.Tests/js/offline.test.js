@@ -0,0 +1,238 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { createWindow, sleep } = require('./dom');
+
+const WORKER = fs.readFileSync(path.join(__dirname, '..', '..', 'mostlylucid.activetranslatetag', 'wwwroot', 'js', 'translation-sw.js'), 'utf8');
+
+/**
+ * Cache Storage kept in memory; entries match on the full URL, as the Cache API does by default
+ */
+function memoryCaches() {
+    const stores = new Map();
+    const urlOf = request => (typeof request === 'string' ? request : request.url);
+    const open = name => {
+        if (!stores.has(name)) {
+            const entries = new Map();
+            stores.set(name, {
+                entries,
+                match: async request => (entries.has(urlOf(request)) ? entries.get(urlOf(request)).clone() : undefined),
+                put: async (request, response) => { entries.set(urlOf(request), response); },
+                keys: async () => [...entries.keys()].map(url => new Request(url)),
+                delete: async request => entries.delete(urlOf(request))
+            });
+        }
+        return stores.get(name);
+    };
+    return {
+        open: async name => open(name),
+        keys: async () => [...stores.keys()],
+        delete: async name => stores.delete(name),
+        // Test helper: cached URLs (without the origin) per cache
+        list: () => Object.fromEntries([...stores].map(([name, store]) => [name, [...store.entries.keys()].map(url => url.replace('http://localhost', '')).sort()]))
+    };
+}
+
+/**
+ * Run translation-sw.js with the given URL parameters. network maps a path to [status, body]; while
+ * offline is set every request fails the way fetch() does without a connection.
+ */
+function startWorker(query, { network = {}, caches = memoryCaches(), delay = 0 } = {}) {
+    const listeners = {};
+    const requests = [];
+    const worker = {
+        offline: false,
+        requests,
+        caches,
+        network,
+        async dispatch(type, event = {}) {
+            const waits = [];
+            let response;
+            listeners[type]({ ...event, waitUntil: p => waits.push(p), respondWith: p => { response = p; } });
+            const result = response && await response;
+            await Promise.all(waits);
+            return result;
+        },
+        request: (url, init) => worker.dispatch('fetch', { request: new Request(new URL(url, 'http://localhost'), init) })
+    };
+    const self = {
+        location: new URL(`http://localhost/translation-sw.js${query}`),
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting: async () => {},
+        clients: { claim: async () => {} }
+    };
+    const fetch = async input => {
+        const url = new URL(typeof input === 'string' ? input : input.url, 'http://localhost');
+        requests.push(url.pathname + url.search);
+        if (delay) await sleep(delay);
+        if (worker.offline) throw new TypeError('Failed to fetch');
+        const [status, body] = worker.network[url.pathname + url.search] || worker.network[url.pathname] || [404, {}];
+        return new Response(JSON.stringify(body), { status });
+    };
+    // Relative URLs resolve against the worker's location, as they do in a worker
+    const WorkerRequest = class extends Request {
+        constructor(input, init) {
+            super(typeof input === 'string' ? new URL(input, self.location.href) : input, init);
+        }
+    };
+    vm.runInNewContext(WORKER, { self, caches, fetch, Request: WorkerRequest, URL, setTimeout, console });
+    return worker;
+}
+
+const body = async response => response && response.json();
+
+test('worker: install precaches the listed languages and skips files that fail', async () => {
+    const worker = startWorker('?languages=fr,de,es&precache=static,json', {
+        network: { '/translations/fr.json': [200, { a: 'Bonjour' }], '/translations/de.json': [500, {}], '/Language/GetAll/fr': [200, [{ key: 'a', translatedText: 'Bonjour' }]] }
+    });
+
+    await worker.dispatch('install');
+
+    assert.deepEqual(worker.caches.list(), { 'translations-1': ['/Language/GetAll/fr', '/translations/fr.json'] });
+});
+
+test('worker: static files come from the cache and are refreshed for the next load', async () => {
+    const worker = startWorker('?languages=fr', { network: { '/translations/fr.json': [200, { a: 'Bonjour' }] } });
+    await worker.dispatch('install');
+
+    worker.network['/translations/fr.json'] = [200, { a: 'Salut' }];
+    assert.deepEqual(await body(await worker.request('/translations/fr.json')), { a: 'Bonjour' });
+    assert.deepEqual(await body(await worker.request('/translations/fr.json')), { a: 'Salut' });
+
+    worker.offline = true;
+    assert.deepEqual(await body(await worker.request('/translations/fr.json')), { a: 'Salut' });
+});
+
+test('worker: GetAll goes to the network and falls back to the cache when it fails', async () => {
+    const worker = startWorker('', { network: { '/Language/GetAll/fr': [200, { a: 'Bonjour' }] } });
+    assert.deepEqual(await body(await worker.request('/Language/GetAll/fr')), { a: 'Bonjour' });
+
+    worker.network['/Language/GetAll/fr'] = [200, { a: 'Salut' }];
+    assert.deepEqual(await body(await worker.request('/Language/GetAll/fr')), { a: 'Salut' });
+
+    worker.network['/Language/GetAll/fr'] = [503, {}];
+    assert.deepEqual(await body(await worker.request('/Language/GetAll/fr')), { a: 'Salut' });
+
+    worker.offline = true;
+    assert.deepEqual(await body(await worker.request('/Language/GetAll/fr')), { a: 'Salut' });
+    await assert.rejects(worker.request('/Language/GetAll/de'), TypeError);
+});
+
+test('worker: a slow network is answered from the cache after the timeout', async () => {
+    const caches = memoryCaches();
+    const network = { '/Language/Available': [200, ['fr']] };
+    await startWorker('?timeout=10', { caches, network }).request('/Language/Available');
+
+    const slow = startWorker('?timeout=10', { caches, network: { '/Language/Available': [200, ['fr', 'de']] }, delay: 100 });
+    assert.deepEqual(await body(await slow.request('/Language/Available')), ['fr']);
+    // The late response still refreshes the cache, through waitUntil
+    assert.deepEqual(await body(await caches.open('translations-1').then(cache => cache.match('http://localhost/Language/Available'))), ['fr', 'de']);
+});
+
+test('worker: a new manifest version replaces the cached namespace file', async () => {
+    const caches = memoryCaches();
+    const files = version => ({
+        '/translations/manifest.json': [200, { namespaces: { common: version } }],
+        [`/translations/fr/common.json?v=${version}`]: [200, { hello: `Bonjour ${version}` }]
+    });
+    await startWorker('?languages=fr&manifest=/translations/manifest.json', { caches, network: files('1') }).dispatch('install');
+    await startWorker('?languages=fr&manifest=/translations/manifest.json', { caches, network: files('2') }).dispatch('install');
+
+    assert.deepEqual(caches.list(), { 'translations-1': ['/translations/fr/common.json?v=2', '/translations/manifest.json'] });
+});
+
+test('worker: activate drops the caches of other versions only', async () => {
+    const caches = memoryCaches();
+    await caches.open('translations-1');
+    await caches.open('site-assets');
+    const worker = startWorker('?version=2', { caches });
+    await caches.open('translations-2');
+
+    await worker.dispatch('activate');
+
+    assert.deepEqual(await caches.keys(), ['site-assets', 'translations-2']);
+});
+
+test('worker: POSTs, other origins and other paths go straight to the network', async () => {
+    const worker = startWorker('');
+
+    assert.equal(await worker.request('/Language/Switch/fr', { method: 'POST' }), undefined);
+    assert.equal(await worker.request('https://cdn.example.com/translations/fr.json'), undefined);
+    assert.equal(await worker.request('/css/site.css'), undefined);
+    assert.deepEqual(worker.requests, []);
+});
+
+const PAGE = '<html><body><span id="t-a" data-translate-key="a">Hello</span><span id="t-b" data-translate-key="b">Bye</span></body></html>';
+
+/**
+ * A page whose network can be taken down: server answers translate a and b, cached ones (GetAll, fr.json) only a
+ */
+function offlinePage(scripts) {
+    const network = { online: false, requests: [] };
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts,
+        fetch: async (url, options) => {
+            const path = String(url).replace(/^https?:\/\/[^/]+/, '');
+            network.requests.push(`${(options && options.method) || 'GET'} ${path}`);
+            if (path === '/Language/GetAll/fr' || path.endsWith('/fr.json')) {
+                return { ok: true, status: 200, json: async () => ({ a: 'Bonjour' }) };
+            }
+            if (!network.online) throw new TypeError('Failed to fetch');
+            return {
+                ok: true,
+                status: 200,
+                text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour</span><span id="t-b" data-translate-key="b" hx-swap-oob="innerHTML">Au revoir</span>',
+                json: async () => (options && options.body ? {} : { a: 'Bonjour', b: 'Au revoir' })
+            };
+        }
+    });
+    const events = [];
+    window.document.addEventListener('translation:switched', event => events.push(event.detail));
+    return { window, network, events };
+}
+
+const text = (window, id) => window.document.getElementById(id).textContent;
+
+test('bundle: offline, a switch completes from GetAll and catches up once back online', async () => {
+    const { window, network, events } = offlinePage(['translation-formatter.js', 'translation-bundle.js']);
+    await sleep(0);
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.deepEqual(network.requests, ['POST /Language/Switch/fr', 'GET /Language/GetAll/fr']);
+    assert.equal(events[0].offline, true);
+    assert.equal(text(window, 't-a'), 'Bonjour');
+    assert.equal(text(window, 't-b'), 'Bye');
+    assert.deepEqual([...window.TranslationClient.getMissingKeys()], []);
+
+    network.online = true;
+    window.dispatchEvent(new window.Event('online'));
+    await sleep(10);
+
+    assert.equal(network.requests[2], 'POST /Language/Switch/fr');
+    assert.equal(text(window, 't-b'), 'Au revoir');
+});
+
+test('client: offline, a switch completes with the files that load and reloads the rest once back online', async () => {
+    const { window, network, events } = offlinePage(['translation-formatter.js', 'translation.client.js']);
+    window.TranslationClient.init({});
+
+    await window.TranslationClient.setLanguage('fr-CA');
+
+    assert.equal(events[0].offline, true);
+    assert.equal(text(window, 't-a'), 'Bonjour');
+    assert.equal(text(window, 't-b'), 'Bye');
+    assert.deepEqual([...window.TranslationClient.getMissingKeys()], []);
+
+    network.online = true;
+    network.requests.length = 0;
+    window.dispatchEvent(new window.Event('online'));
+    await sleep(10);
+
+    assert.ok(network.requests.includes('GET /translations/fr-CA.json'));
+    assert.equal(text(window, 't-b'), 'Au revoir');
+});
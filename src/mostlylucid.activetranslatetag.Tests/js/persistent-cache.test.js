@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = `<html><body>
+    <span id="t-a" data-translate-key="a">Hello</span>
+    <span id="t-b" data-translate-key="b">World</span>
+    <input id="email" placeholder="Email" data-translate-attr="placeholder:forms.email" />
+</body></html>`;
+
+/**
+ * A bundle page loaded in French whose localStorage already holds the given French translations
+ */
+function cachedPage(entries) {
+    const requests = [];
+    const updates = [];
+    const switches = [];
+    const window = createWindow({
+        html: PAGE,
+        cookie: 'preferred-language=fr',
+        config: { enableSignalR: false, enableNotifications: false, persistentCache: true },
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        before: page => {
+            const store = {};
+            Object.entries(entries).forEach(([key, text]) => { store[key] = { hash: null, text, at: Date.now() }; });
+            page.localStorage.setItem('translation-cache:fr', JSON.stringify(store));
+            page.document.addEventListener('translation:element-updated', event => updates.push(event.detail));
+            page.document.addEventListener('translation:switched', event => switches.push(event.detail));
+        },
+        fetch: async (url, options) => {
+            const keys = options.body.getAll('keys').filter(key => !key.startsWith('translation.ui.'));
+            requests.push(keys);
+            return {
+                ok: true,
+                text: async () => keys.map(key => `<span id="t-${key}" data-translate-key="${key}" hx-swap-oob="innerHTML">FR ${key}</span>`).join('')
+            };
+        }
+    });
+    return { window, requests, updates, switches };
+}
+
+test('bundle: cached translations are applied once on load', async () => {
+    const { window, requests, updates, switches } = cachedPage({ a: 'Bonjour', b: 'Monde', 'forms.email': 'Courriel' });
+    // The deferred switch runs 100ms after initialize
+    await sleep(200);
+
+    assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+    assert.equal(window.document.getElementById('email').getAttribute('placeholder'), 'Courriel');
+    assert.deepEqual(updates.map(u => `${u.key}:${u.source}`).sort(), ['a:cache', 'b:cache', 'forms.email:cache']);
+    assert.deepEqual(requests.filter(keys => keys.length > 0), []);
+    assert.equal(switches.length, 1);
+    assert.equal(switches[0].fromCache, true);
+});
+
+test('bundle: only stale keys are requested on load, and the switch is not reported as from cache', async () => {
+    const { requests, updates, switches } = cachedPage({ a: 'Bonjour' });
+    await sleep(200);
+
+    assert.deepEqual(requests, [['b', 'forms.email']]);
+    assert.deepEqual(updates.map(u => `${u.key}:${u.source}`), ['a:cache', 'b:switch', 'forms.email:switch']);
+    assert.equal(switches.length, 1);
+    assert.equal(switches[0].fromCache, false);
+});
+
+test('bundle: a switch answered by the server is not reported as from cache', async () => {
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false, persistentCache: true },
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        fetch: async () => ({ ok: true, text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour</span>' })
+    });
+    const switches = [];
+    window.document.addEventListener('translation:switched', event => switches.push(event.detail));
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.equal(switches[0].fromCache, false);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = `<html><body>
+    <span id="t-greeting" data-translate-key="greeting">Hello {name}</span>
+    <input id="email" placeholder="Email" data-translate-attr="placeholder:forms.email" />
+</body></html>`;
+
+const CLIENTS = [
+    ['bundle', ['translation-formatter.js', 'translation-bundle.js'], (window, lang) => window.translationManager.switchLanguage(lang)],
+    ['client', ['translation-formatter.js', 'translation.client.js'], (window, lang) => window.TranslationClient.setLanguage(lang)]
+];
+
+/**
+ * A page on which any request to the server fails the test
+ */
+function pseudoPage(scripts) {
+    const requests = [];
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts,
+        fetch: async url => {
+            requests.push(String(url));
+            throw new TypeError('Pseudo-locales must not call the server');
+        }
+    });
+    if (window.TranslationClient && !window.translationManager) window.TranslationClient.init({});
+    return { window, requests };
+}
+
+test('localize accents, brackets and pads text but keeps ICU arguments', () => {
+    const { window } = pseudoPage(['translation-formatter.js', 'translation.client.js']);
+    const localizer = window.TranslationPseudoLocalizer;
+
+    assert.equal(localizer.localize('Hello {name}'), '[Ĥéļļö {name} ~~]');
+    assert.equal(localizer.localize('{count, plural, one {# item} other {# items}}'), '[{count, plural, one {# îŧéɱ} other {# îŧéɱš}} ~~~~]');
+    assert.equal(localizer.localize('Hello', { expansion: 0 }), '[Ĥéļļö]');
+    assert.equal(localizer.localize('Hi', { mirror: true }), '[‮Ĥî‬ ~]');
+});
+
+test('bundle: localizeHtml holds markup out of the pseudo-localized text', () => {
+    const { window } = pseudoPage(['translation-formatter.js', 'translation-bundle.js']);
+
+    assert.equal(window.TranslationPseudoLocalizer.localizeHtml('Read the <strong>guide</strong>'), '[Ŕéåđ ŧĥé <strong>ĝûîđé</strong> ~~~~~]');
+});
+
+for (const [name, scripts, switchTo] of CLIENTS) {
+    test(`${name}: qps-ploc pseudo-localizes content and attributes without the server or the cookie`, async () => {
+        const { window, requests } = pseudoPage(scripts);
+
+        await switchTo(window, 'qps-ploc');
+
+        assert.equal(window.document.getElementById('t-greeting').textContent, '[Ĥéļļö {name} ~~]');
+        assert.equal(window.document.getElementById('email').getAttribute('placeholder'), '[Éɱåîļ ~~]');
+        assert.deepEqual(requests, []);
+        assert.doesNotMatch(window.document.cookie, /preferred-language=qps/);
+    });
+
+    test(`${name}: qps-plocm lays the page out right-to-left`, async () => {
+        const { window } = pseudoPage(scripts);
+
+        await switchTo(window, 'qps-plocm');
+
+        assert.equal(window.document.documentElement.getAttribute('dir'), 'rtl');
+        assert.match(window.document.getElementById('t-greeting').textContent, /^\[‮/);
+    });
+
+    test(`${name}: switching back puts the source text back`, async () => {
+        const { window } = pseudoPage(scripts);
+
+        await switchTo(window, 'qps-ploc');
+        await switchTo(window, 'en');
+
+        assert.equal(window.document.getElementById('t-greeting').textContent, 'Hello {name}');
+        assert.equal(window.document.getElementById('email').getAttribute('placeholder'), 'Email');
+    });
+}
+
+test('bundle: a pseudo-locale in the URL is rendered on load without the server', async () => {
+    const requests = [];
+    const window = createWindow({
+        html: PAGE,
+        url: 'http://localhost/?lang=qps-ploc',
+        config: { enableSignalR: false, enableNotifications: false, urlLanguage: 'query' },
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        fetch: async url => {
+            requests.push(String(url));
+            throw new TypeError('Pseudo-locales must not call the server');
+        }
+    });
+    await sleep(150);
+
+    assert.equal(window.document.getElementById('t-greeting').textContent, '[Ĥéļļö {name} ~~]');
+    assert.deepEqual(requests, []);
+});
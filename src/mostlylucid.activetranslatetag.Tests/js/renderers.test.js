@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const PAGE = '<html><head></head><body><span id="t-a" data-translate-key="a">Hello</span></body></html>';
+
+function rendererPage(config, requests = []) {
+    return createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, ...config },
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        fetch: async (url, options) => {
+            requests.push(options.body.getAll('keys'));
+            return { ok: true, text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour</span>' };
+        }
+    });
+}
+
+test('bundle: a custom renderer draws the loading indicator and notifications with the UI strings', async () => {
+    const calls = [];
+    const renderer = {
+        showLoading: ({ message }) => calls.push(['showLoading', message]),
+        hideLoading: () => calls.push(['hideLoading']),
+        notify: ({ message, type }) => calls.push(['notify', message, type])
+    };
+    const window = rendererPage({ renderer, uiStrings: { en: { loading: 'Fetching…' } } });
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.deepEqual(calls[0], ['showLoading', 'Fetching…']);
+    assert.ok(calls.some(call => call[0] === 'hideLoading'));
+    const notice = calls.find(call => call[0] === 'notify');
+    assert.equal(notice[2], 'success');
+    assert.match(notice[1], /^Language changed to /);
+});
+
+test('bundle: headless pages draw nothing', async () => {
+    const window = rendererPage({ headless: true });
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.equal(window.translationManager.renderer.name, 'none');
+    assert.equal(window.document.getElementById('translation-loading'), null);
+    assert.equal(window.document.getElementById('translation-notifications'), null);
+});
+
+test('bundle: the plain renderer brings its own stylesheet', async () => {
+    const window = rendererPage({ renderer: 'plain' });
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.ok(window.document.getElementById('translation-ui-style'));
+    assert.ok(window.document.getElementById('translation-notifications'));
+});
+
+test('bundle: an unknown renderer name falls back to bootstrap instead of stopping initialization', () => {
+    const window = rendererPage({ renderer: 'fancy' });
+
+    assert.ok(window.translationManager);
+    assert.equal(window.translationManager.renderer.name, 'bootstrap');
+    assert.equal(window.TranslationRenderers.resolve('fancy').name, 'bootstrap');
+});
+
+test('bundle: the UI strings ride along with the page keys in one request', async () => {
+    const requests = [];
+    const window = rendererPage({ enableNotifications: false }, requests);
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.equal(requests.length, 1);
+    assert.ok(requests[0].includes('a'));
+    assert.ok(requests[0].some(key => key.startsWith('translation.ui.')));
+});
+
+test('bundle: configured UI strings override the English text', () => {
+    const window = rendererPage({ uiStrings: { fr: { languageChanged: 'Langue : {language}' } } });
+
+    assert.equal(window.translationManager.uiText('languageChanged', { language: 'Français' }, 'fr'), 'Langue : Français');
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const PAGE = `<html><body>
+    <span id="current-lang">EN</span>
+    <p id="t-intro" data-translate-key="intro" data-has-html="true">Read the <strong>guide</strong></p>
+    <span id="t-a" data-translate-key="a" lang="en-GB">Hello</span>
+    <input id="name" />
+</body></html>`;
+
+/**
+ * A page whose switch requests return French for intro and a; cookie sets the language it was rendered in
+ */
+function switchPage(scripts, cookie) {
+    const window = createWindow({
+        html: PAGE,
+        cookie,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts,
+        fetch: async () => ({
+            ok: true,
+            text: async () => '<span id="t-intro" data-translate-key="intro" hx-swap-oob="innerHTML">Lisez le <strong>guide</strong></span>' +
+                '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour</span>'
+        })
+    });
+    const switches = [];
+    window.document.addEventListener('translation:beforeswitch', event => switches.push(event.detail));
+    return { window, switches };
+}
+
+for (const [name, scripts] of [
+    ['bundle', ['translation-formatter.js', 'translation-bundle.js']],
+    ['translation.js', ['translation.js']]
+]) {
+    test(`${name}: switching back restores the original markup and lang without a reload`, async () => {
+        const { window, switches } = switchPage(scripts);
+        const document = window.document;
+
+        await window.translationManager.switchLanguage('fr');
+        assert.equal(document.getElementById('t-a').textContent, 'Bonjour');
+        document.getElementById('name').value = 'typed before switching back';
+
+        await window.translationManager.switchLanguage('en');
+
+        assert.equal(switches.at(-1).reload, false);
+        assert.equal(document.getElementById('t-intro').innerHTML, 'Read the <strong>guide</strong>');
+        const a = document.getElementById('t-a');
+        assert.equal(a.textContent, 'Hello');
+        assert.equal(a.getAttribute('lang'), 'en-GB');
+        assert.equal(document.getElementById('name').value, 'typed before switching back');
+        assert.equal(document.getElementById('current-lang').textContent, 'EN');
+        assert.equal(window.translationManager.currentLanguage, 'en');
+        assert.match(document.cookie, /preferred-language=en/);
+    });
+
+    test(`${name}: a page rendered in another language reloads to reach the default language`, async () => {
+        const { window, switches } = switchPage(scripts, 'preferred-language=fr');
+        // Cancelling keeps jsdom from navigating; the detail still says what would have happened
+        window.document.addEventListener('translation:beforeswitch', event => event.preventDefault());
+
+        await assert.rejects(window.translationManager.switchLanguage('en'), { name: 'AbortError' });
+
+        assert.equal(switches.at(-1).language, 'en');
+        assert.equal(switches.at(-1).reload, true);
+    });
+}
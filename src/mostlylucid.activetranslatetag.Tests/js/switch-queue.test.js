@@ -0,0 +1,181 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, deferred, sleep } = require('./dom');
+
+const PAGE = '<html><body><span id="current-lang">EN</span><span id="t-a" data-translate-key="a">Hello</span></body></html>';
+
+/**
+ * A page whose switch requests wait until the test answers them.
+ * Each request is recorded as { language, keys, answer(text) }.
+ */
+function switchPage(scripts) {
+    const requests = [];
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts,
+        fetch: async (url, options) => {
+            const response = deferred();
+            requests.push({
+                language: decodeURIComponent(String(url).split('/').pop()),
+                keys: options.body.getAll('keys'),
+                answer: text => response.resolve(text)
+            });
+            const text = await response.promise;
+            return { ok: true, text: async () => `<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">${text}</span>` };
+        }
+    });
+    return { window, requests };
+}
+
+const bundlePage = () => switchPage(['translation-formatter.js', 'translation-bundle.js']);
+
+test('bundle: a newer switch supersedes the one in flight', async () => {
+    const { window, requests } = bundlePage();
+    const manager = window.translationManager;
+
+    const toFrench = manager.switchLanguage('fr');
+    const toGerman = manager.switchLanguage('de');
+    const frenchResult = toFrench.then(() => 'resolved', error => error.name);
+
+    await sleep(0);
+    assert.deepEqual(requests.map(r => r.language), ['fr', 'de']);
+    requests[1].answer('Hallo');
+    requests[0].answer('Bonjour');
+
+    assert.equal(await toGerman, 'de');
+    assert.equal(await frenchResult, 'AbortError');
+    assert.equal(window.document.getElementById('t-a').textContent, 'Hallo');
+    assert.equal(manager.currentLanguage, 'de');
+    assert.equal(manager.isTranslating, false);
+});
+
+test('bundle: switching to the language already loading shares the switch', async () => {
+    const { window, requests } = bundlePage();
+    const manager = window.translationManager;
+
+    const first = manager.switchLanguage('fr');
+    const second = manager.switchLanguage('fr');
+
+    await sleep(0);
+    assert.equal(requests.length, 1);
+    requests[0].answer('Bonjour');
+    assert.deepEqual(await Promise.all([first, second]), ['fr', 'fr']);
+});
+
+test('bundle: switching back to the current language cancels the pending switch', async () => {
+    const { window, requests } = bundlePage();
+    const manager = window.translationManager;
+
+    const toFrench = manager.switchLanguage('fr').then(() => 'resolved', error => error.name);
+    assert.equal(await manager.switchLanguage('en'), 'en');
+
+    await sleep(0);
+    requests[0].answer('Bonjour');
+    assert.equal(await toFrench, 'AbortError');
+    assert.equal(window.document.getElementById('t-a').textContent, 'Hello');
+    assert.equal(manager.currentLanguage, 'en');
+});
+
+const legacyPage = () => switchPage(['translation.js']);
+
+test('translation.js: a newer switch supersedes the one in flight', async () => {
+    const { window, requests } = legacyPage();
+    const manager = window.translationManager;
+
+    const toFrench = manager.switchLanguage('fr').then(() => 'resolved', error => error.name);
+    const toGerman = manager.switchLanguage('de');
+
+    await sleep(0);
+    assert.deepEqual(requests.map(r => r.language), ['fr', 'de']);
+    requests[1].answer('Hallo');
+    requests[0].answer('Bonjour');
+
+    assert.equal(await toGerman, 'de');
+    assert.equal(await toFrench, 'AbortError');
+    assert.equal(window.document.getElementById('t-a').textContent, 'Hallo');
+    assert.equal(manager.currentLanguage, 'de');
+    assert.equal(manager.isTranslating, false);
+});
+
+test('translation.js: switching to the language already loading shares the switch', async () => {
+    const { window, requests } = legacyPage();
+    const manager = window.translationManager;
+
+    const first = manager.switchLanguage('fr');
+    const second = manager.switchLanguage('fr');
+
+    await sleep(0);
+    assert.equal(requests.length, 1);
+    requests[0].answer('Bonjour');
+    assert.deepEqual(await Promise.all([first, second]), ['fr', 'fr']);
+    assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+});
+
+test('translation.js: switching back to the current language cancels the pending switch', async () => {
+    const { window, requests } = legacyPage();
+    const manager = window.translationManager;
+
+    const toFrench = manager.switchLanguage('fr').then(() => 'resolved', error => error.name);
+    assert.equal(await manager.switchLanguage('en'), 'en');
+
+    await sleep(0);
+    requests[0].answer('Bonjour');
+    assert.equal(await toFrench, 'AbortError');
+    assert.equal(window.document.getElementById('t-a').textContent, 'Hello');
+    assert.equal(manager.currentLanguage, 'en');
+    assert.equal(manager.isTranslating, false);
+});
+
+/**
+ * A client-only page whose JSON loads wait until the test answers them. The fallback language (en) loads at once.
+ */
+function clientPage() {
+    const loads = [];
+    const window = createWindow({
+        html: PAGE,
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        fetch: async url => {
+            if (String(url).endsWith('/en.json')) return { ok: true, json: async () => ({}) };
+            const response = deferred();
+            loads.push({ url: String(url), answer: map => response.resolve(map) });
+            const map = await response.promise;
+            return { ok: true, json: async () => map };
+        }
+    });
+    window.TranslationClient.init({});
+    return { window, loads };
+}
+
+test('client: a newer setLanguage supersedes the one in flight', async () => {
+    const { window, loads } = clientPage();
+    const client = window.TranslationClient;
+
+    const toFrench = client.setLanguage('fr').then(() => 'resolved', error => error.name);
+    const toGerman = client.setLanguage('de');
+
+    await sleep(0);
+    assert.equal(loads.length, 2);
+    loads[1].answer({ a: 'Hallo' });
+    loads[0].answer({ a: 'Bonjour' });
+
+    await toGerman;
+    assert.equal(await toFrench, 'AbortError');
+    assert.equal(window.document.getElementById('t-a').textContent, 'Hallo');
+    assert.equal(client.getCurrentLanguage(), 'de');
+});
+
+test('client: setLanguage for the language already loading shares the switch', async () => {
+    const { loads, window } = clientPage();
+    const client = window.TranslationClient;
+
+    const first = client.setLanguage('fr');
+    const second = client.setLanguage('fr');
+
+    assert.equal(first, second);
+    await sleep(0);
+    assert.equal(loads.length, 1);
+    loads[0].answer({ a: 'Bonjour' });
+    await first;
+    assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+});
@@ -0,0 +1,147 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = '<html><body><span id="t-a" data-translate-key="a">Hello</span></body></html>';
+
+const SCRIPTS = {
+    bundle: {
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        switchTo: (window, lang) => window.translationManager.switchLanguage(lang),
+        current: window => window.translationManager.currentLanguage
+    },
+    client: {
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        switchTo: (window, lang) => window.TranslationClient.setLanguage(lang),
+        current: window => window.TranslationClient.getCurrentLanguage()
+    }
+};
+
+/**
+ * BroadcastChannel shared by the tabs of one test (jsdom has none); posts records every message sent
+ */
+function broadcastBus() {
+    const channels = new Set();
+    const posts = [];
+    const install = tab => window => {
+        window.BroadcastChannel = class {
+            constructor(name) {
+                this.name = name;
+                this.onmessage = null;
+                channels.add(this);
+            }
+
+            postMessage(data) {
+                posts.push({ tab, ...data });
+                channels.forEach(channel => {
+                    if (channel === this || channel.name !== this.name || !channel.onmessage) return;
+                    const message = JSON.parse(JSON.stringify(data));
+                    setTimeout(() => channel.onmessage({ data: message }), 0);
+                });
+            }
+
+            close() {
+                channels.delete(this);
+            }
+        };
+    };
+    return { install, posts };
+}
+
+/**
+ * A tab running the given script; it answers switch requests and fr.json with a French translation of a
+ */
+function openTab(kind, { before, config } = {}) {
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false, ...config },
+        scripts: SCRIPTS[kind].scripts,
+        before,
+        fetch: async (url, options) => ({
+            ok: true,
+            status: 200,
+            text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour</span>',
+            json: async () => (options && options.body ? {} : { a: 'Bonjour' })
+        })
+    });
+    if (kind === 'client') window.TranslationClient.init(config || {});
+    return window;
+}
+
+const text = window => window.document.getElementById('t-a').textContent;
+
+for (const [from, to] of [['bundle', 'client'], ['client', 'bundle'], ['bundle', 'bundle'], ['client', 'client']]) {
+    test(`${from} -> ${to}: a switch in one tab is applied in the other and not sent back`, async () => {
+        const bus = broadcastBus();
+        const first = openTab(from, { before: bus.install('first') });
+        const second = openTab(to, { before: bus.install('second') });
+
+        await SCRIPTS[from].switchTo(first, 'fr');
+        await sleep(20);
+
+        assert.equal(SCRIPTS[to].current(second), 'fr');
+        assert.equal(text(second), 'Bonjour');
+        assert.deepEqual(bus.posts.map(p => [p.tab, p.language]), [['first', 'fr']]);
+    });
+}
+
+for (const kind of ['bundle', 'client']) {
+    const { switchTo, current } = SCRIPTS[kind];
+
+    test(`${kind}: a hidden tab applies the switch once it is shown`, async () => {
+        const bus = broadcastBus();
+        const first = openTab(kind, { before: bus.install('first') });
+        const second = openTab(kind, { before: bus.install('second') });
+        Object.defineProperty(second.document, 'visibilityState', { value: 'hidden', configurable: true });
+
+        await switchTo(first, 'fr');
+        await sleep(20);
+        assert.equal(current(second), 'en');
+
+        Object.defineProperty(second.document, 'visibilityState', { value: 'visible', configurable: true });
+        second.document.dispatchEvent(new second.Event('visibilitychange'));
+        await sleep(20);
+        assert.equal(current(second), 'fr');
+    });
+
+    test(`${kind}: pseudo-locales stay in their tab`, async () => {
+        const bus = broadcastBus();
+        const first = openTab(kind, { before: bus.install('first') });
+        const second = openTab(kind, { before: bus.install('second') });
+
+        await switchTo(first, 'qps-ploc');
+        await sleep(20);
+
+        assert.deepEqual(bus.posts, []);
+        assert.equal(current(second), 'en');
+    });
+
+    test(`${kind}: without BroadcastChannel, storage events carry the switch`, async () => {
+        const window = openTab(kind);
+        // The bundle initializes on DOMContentLoaded
+        await sleep(0);
+
+        window.dispatchEvent(new window.StorageEvent('storage', {
+            key: 'translation-language',
+            newValue: JSON.stringify({ language: 'fr', at: Date.now() })
+        }));
+        await sleep(20);
+
+        assert.equal(current(window), 'fr');
+        assert.equal(text(window), 'Bonjour');
+    });
+
+    test(`${kind}: syncing can be turned off`, async () => {
+        const window = openTab(kind, { config: { syncTabs: false } });
+        // The bundle initializes on DOMContentLoaded
+        await sleep(0);
+
+        window.dispatchEvent(new window.StorageEvent('storage', {
+            key: 'translation-language',
+            newValue: JSON.stringify({ language: 'fr', at: Date.now() })
+        }));
+        await sleep(20);
+
+        assert.equal(current(window), 'en');
+    });
+}
@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = `<html><head></head><body>
+    <a id="t-a" href="#details" data-translate-key="a" data-translate-category="nav">Hello</a>
+    <input id="search" placeholder="Search" data-translate-attr="placeholder:a" />
+</body></html>`;
+
+const EDITOR = { tokenHeader: 'RequestVerificationToken', token: 'token-1' };
+
+/**
+ * A bundle page with the editor settings the tag helper renders for reviewers. Switches translate a,
+ * /Language/Entry answers the stored entry and /Language/Save answers saveStatus.
+ */
+function editorPage(config, { saveStatus = 200, entry = { category: 'nav', context: 'Top link', defaultText: 'Hello', translatedText: 'Bonjour' } } = {}) {
+    const requests = [];
+    const window = createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false, editor: EDITOR, ...config },
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        fetch: async (url, options = {}) => {
+            const path = String(url);
+            if (path.startsWith('/Language/Entry/')) {
+                requests.push(['entry', path]);
+                return { ok: true, status: 200, json: async () => entry };
+            }
+            if (path.startsWith('/Language/Save/')) {
+                requests.push(['save', path, { ...options.headers }, Object.fromEntries(options.body.entries())]);
+                return { ok: saveStatus === 200, status: saveStatus, statusText: saveStatus === 200 ? 'OK' : 'Forbidden' };
+            }
+            return { ok: true, status: 200, text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour</span>' };
+        }
+    });
+    return { window, requests };
+}
+
+const altClick = (window, element) => {
+    const click = new window.MouseEvent('click', { altKey: true, bubbles: true, cancelable: true });
+    element.dispatchEvent(click);
+    return click;
+};
+
+/**
+ * A renderer recording the editor it is asked to draw; the handle records what the bundle does with it
+ */
+function recordingRenderer() {
+    const panels = [];
+    const notices = [];
+    return {
+        panels,
+        notices,
+        renderer: {
+            notify: ({ message }) => notices.push(message),
+            editor(options) {
+                const panel = { options, updates: [], busy: [], closed: false };
+                panels.push(panel);
+                return {
+                    element: null,
+                    update: entry => panel.updates.push(entry),
+                    setBusy: busy => panel.busy.push(busy),
+                    close: () => { panel.closed = true; }
+                };
+            }
+        }
+    };
+}
+
+test('Alt-click opens the editor with the stored entry and does not follow the link', async () => {
+    const { renderer, panels } = recordingRenderer();
+    const { window, requests } = editorPage({ renderer });
+    await sleep(0);
+    await window.translationManager.switchLanguage('fr');
+
+    const click = altClick(window, window.document.getElementById('t-a'));
+    await sleep(10);
+
+    assert.equal(click.defaultPrevented, true);
+    assert.deepEqual(requests, [['entry', '/Language/Entry/fr?key=a']]);
+    const { options, updates } = panels[0];
+    assert.deepEqual([options.key, options.language, options.category, options.sourceText, options.translatedText], ['a', 'fr', 'nav', 'Hello', 'Bonjour']);
+    assert.deepEqual({ ...updates[0] }, { category: 'nav', description: 'Top link', sourceText: 'Hello', translatedText: 'Bonjour' });
+});
+
+test('saving posts with the antiforgery token and updates the page at once', async () => {
+    const { renderer, panels } = recordingRenderer();
+    const { window, requests } = editorPage({ renderer });
+    await sleep(0);
+    await window.translationManager.switchLanguage('fr');
+    const updated = [];
+    window.document.addEventListener('translation:element-updated', event => updated.push(event.detail.source));
+
+    altClick(window, window.document.getElementById('t-a'));
+    await panels[0].options.onSave('Salut');
+
+    assert.deepEqual(requests[1], ['save', '/Language/Save/fr', { RequestVerificationToken: 'token-1' }, { key: 'a', text: 'Salut' }]);
+    assert.equal(window.document.getElementById('t-a').textContent, 'Salut');
+    assert.equal(window.document.getElementById('search').getAttribute('placeholder'), 'Salut');
+    assert.deepEqual(updated, ['editor', 'editor']);
+    assert.equal(panels[0].closed, true);
+});
+
+test('a failed save keeps the panel open and reports an editor error', async () => {
+    const { renderer, panels } = recordingRenderer();
+    const { window } = editorPage({ renderer }, { saveStatus: 403 });
+    await sleep(0);
+    await window.translationManager.switchLanguage('fr');
+    const errors = [];
+    window.document.addEventListener('translation:error', event => errors.push(event.detail.phase));
+
+    altClick(window, window.document.getElementById('t-a'));
+    await panels[0].options.onSave('Salut');
+
+    assert.deepEqual(errors, ['editor']);
+    assert.deepEqual(panels[0].busy, [true, false]);
+    assert.equal(panels[0].closed, false);
+    assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+});
+
+test('the editor needs a translated language and editor settings', async () => {
+    const recorded = recordingRenderer();
+    const { window, requests } = editorPage({ renderer: recorded.renderer, enableNotifications: true });
+    await sleep(0);
+
+    altClick(window, window.document.getElementById('t-a'));
+    assert.equal(recorded.panels.length, 0);
+    assert.equal(recorded.notices.length, 1);
+
+    const visitor = editorPage({ renderer: recordingRenderer().renderer, editor: null });
+    await sleep(0);
+    await visitor.window.translationManager.switchLanguage('fr');
+    assert.equal(altClick(visitor.window, visitor.window.document.getElementById('t-a')).defaultPrevented, false);
+    assert.deepEqual([...requests, ...visitor.requests], []);
+});
+
+test('plain renderer: the panel keeps typed text and saves with Ctrl+Enter', async () => {
+    // The stored translation differs from the page, so overwriting typed text would show
+    const entry = { category: 'nav', context: null, defaultText: 'Hello', translatedText: 'Bonjour (stored)' };
+    const { window, requests } = editorPage({ renderer: 'plain' }, { entry });
+    await sleep(0);
+    await window.translationManager.switchLanguage('fr');
+
+    altClick(window, window.document.getElementById('t-a'));
+    const panel = window.document.querySelector('[role="dialog"]');
+    const textarea = panel.querySelector('textarea');
+    textarea.value = 'Coucou';
+    await sleep(10);
+    assert.equal(textarea.value, 'Coucou');
+    assert.equal(panel.querySelector('code').textContent, 'a');
+
+    textarea.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', ctrlKey: true, bubbles: true }));
+    await sleep(10);
+
+    assert.deepEqual(requests[1][3], { key: 'a', text: 'Coucou' });
+    assert.equal(window.document.querySelector('[role="dialog"]'), null);
+});
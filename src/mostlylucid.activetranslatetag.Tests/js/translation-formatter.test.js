@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const { TranslationFormatter } = createWindow({ scripts: ['translation-formatter.js'] });
+const { format, formatValue } = TranslationFormatter;
+
+test('format replaces simple arguments and leaves unknown ones as written', () => {
+    assert.equal(format('Hello {name}', { name: 'Ann' }, 'en'), 'Hello Ann');
+    assert.equal(format('{missing} stays', {}, 'en'), '{missing} stays');
+});
+
+test('format returns messages without arguments unchanged', () => {
+    assert.equal(format('Plain text', { name: 'Ann' }, 'en'), 'Plain text');
+    assert.equal(format(undefined, {}, 'en'), undefined);
+});
+
+test('format picks exact and locale plural categories and replaces #', () => {
+    const message = '{count, plural, =0 {No messages} one {# message} other {# messages}}';
+    assert.equal(format(message, { count: 0 }, 'en'), 'No messages');
+    assert.equal(format(message, { count: 1 }, 'en'), '1 message');
+    assert.equal(format(message, { count: 1234 }, 'en'), '1,234 messages');
+    assert.equal(format('{n, plural, one {# zdjęcie} few {# zdjęcia} many {# zdjęć} other {# zdjęcia}}', { n: 5 }, 'pl'), '5 zdjęć');
+});
+
+test('format applies a plural offset', () => {
+    const message = '{n, plural, offset:1 =0 {nobody} =1 {you} one {you and # other} other {you and # others}}';
+    assert.equal(format(message, { n: 1 }, 'en'), 'you');
+    assert.equal(format(message, { n: 2 }, 'en'), 'you and 1 other');
+    assert.equal(format(message, { n: 4 }, 'en'), 'you and 3 others');
+});
+
+test('format supports select and selectordinal', () => {
+    assert.equal(format('{g, select, male {He} female {She} other {They}} replied', { g: 'female' }, 'en'), 'She replied');
+    assert.equal(format('{g, select, male {He} female {She} other {They}} replied', { g: 'unknown' }, 'en'), 'They replied');
+    assert.equal(format('{n, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}', { n: 23 }, 'en'), '23rd');
+});
+
+test('format handles apostrophe quoting', () => {
+    assert.equal(format("It''s '{literal}' {name}", { name: 'Ann' }, 'en'), "It's {literal} Ann");
+});
+
+test('format escapes interpolated values only', () => {
+    const escape = value => value.replace(/</g, '&lt;');
+    assert.equal(format('<b>{name}</b>', { name: '<i>' }, 'en', escape), '<b>&lt;i></b>');
+});
+
+test('format uses the locale for numbers', () => {
+    assert.equal(format('{p, number, percent}', { p: 0.25 }, 'en'), '25%');
+    assert.equal(format('{n, number}', { n: 1234.5 }, 'de'), '1.234,5');
+});
+
+test('formatValue formats numbers and currencies and rejects non-numbers', () => {
+    assert.equal(formatValue('number', '1234.5', 'en'), '1,234.5');
+    assert.equal(formatValue('currency', 5, 'en', { currency: 'EUR' }), '€5.00');
+    assert.equal(formatValue('number', 'abc', 'en'), null);
+    assert.equal(formatValue('number', '', 'en'), null);
+});
+
+test('formatValue formats dates from ISO strings and timestamps', () => {
+    assert.equal(formatValue('date', '2024-01-05T12:00:00Z', 'en', { dateStyle: 'long', timeZone: 'UTC' }), 'January 5, 2024');
+    assert.equal(formatValue('date', String(Date.UTC(2024, 0, 5, 12)), 'en', { dateStyle: 'long', timeZone: 'UTC' }), 'January 5, 2024');
+    assert.equal(formatValue('date', 'not a date', 'en'), null);
+});
+
+test('formatValue formats relative amounts with an explicit unit', () => {
+    assert.equal(formatValue('relative', -3, 'en', { unit: 'day' }), '3 days ago');
+});
+
+const PARAMS_PAGE = '<html><body><span id="t-a" data-translate-key="a" data-translate-params=\'{"name":"Ann","count":2}\'>Hello {name}</span></body></html>';
+
+test('bundle: without translation-formatter.js, switches still run with plain {name} arguments', async () => {
+    const page = createWindow({
+        html: PARAMS_PAGE,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts: ['translation-bundle.js'],
+        fetch: async () => ({
+            ok: true,
+            text: async () => '<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">Bonjour {name}</span>'
+        })
+    });
+
+    await page.translationManager.switchLanguage('fr');
+
+    assert.equal(page.document.getElementById('t-a').textContent, 'Bonjour Ann');
+    assert.equal(page.TranslationClient.format('{count} items for {name}', { count: 2, name: 'Ann' }), '2 items for Ann');
+});
+
+test('client: without translation-formatter.js, switches still run with plain {name} arguments', async () => {
+    const page = createWindow({
+        html: PARAMS_PAGE,
+        scripts: ['translation.client.js'],
+        fetch: async url => ({ ok: true, json: async () => (String(url).endsWith('/fr.json') ? { a: 'Bonjour {name}' } : {}) })
+    });
+    page.TranslationClient.init({});
+
+    await page.TranslationClient.setLanguage('fr');
+
+    assert.equal(page.document.getElementById('t-a').textContent, 'Bonjour Ann');
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const window = createWindow({
+    config: { enableSignalR: false, enableNotifications: false },
+    scripts: ['translation-formatter.js', 'translation-bundle.js']
+});
+const { TranslationSanitizer } = window;
+const { parseAllowlist, allowlistFromElement, isSafeAttribute, sanitize } = TranslationSanitizer;
+
+test('parseAllowlist reads tags with their attributes and ignores dangerous tags', () => {
+    const allowlist = parseAllowlist('a:href, title; B ;script;strong:');
+    assert.deepEqual([...allowlist.keys()], ['a', 'b', 'strong']);
+    assert.deepEqual([...allowlist.get('a')], ['href', 'title']);
+    assert.equal(allowlist.get('b').size, 0);
+    assert.equal(parseAllowlist('').size, 0);
+});
+
+test('allowlistFromElement collects the tags and attributes of the source markup', () => {
+    const element = window.document.createElement('p');
+    element.innerHTML = 'Read <a href="/terms" class="link">the terms</a> <em>now</em><script>1</script>';
+    const allowlist = allowlistFromElement(element);
+    assert.deepEqual([...allowlist.keys()].sort(), ['a', 'em']);
+    assert.deepEqual([...allowlist.get('a')].sort(), ['class', 'href']);
+});
+
+test('isSafeAttribute rejects event handlers, srcdoc and script URLs', () => {
+    assert.equal(isSafeAttribute('onclick', 'alert(1)'), false);
+    assert.equal(isSafeAttribute('srcdoc', '<p>'), false);
+    assert.equal(isSafeAttribute('href', 'javascript:alert(1)'), false);
+    assert.equal(isSafeAttribute('HREF', 'java\tscript:alert(1)'), false);
+    assert.equal(isSafeAttribute('src', 'data:text/html,<script>'), false);
+});
+
+test('isSafeAttribute accepts relative, http(s), mailto and tel URLs', () => {
+    assert.equal(isSafeAttribute('href', '/about'), true);
+    assert.equal(isSafeAttribute('href', 'about#team'), true);
+    assert.equal(isSafeAttribute('href', 'https://example.com'), true);
+    assert.equal(isSafeAttribute('href', 'mailto:team@example.com'), true);
+    assert.equal(isSafeAttribute('href', 'tel:+441234'), true);
+    assert.equal(isSafeAttribute('title', 'javascript:alert(1)'), true);
+});
+
+test('sanitize keeps allowed markup and unwraps other tags', () => {
+    const allowlist = parseAllowlist('a:href;strong');
+    assert.equal(
+        sanitize('<strong>Hi</strong> <span class="x">there</span> <a href="/terms" style="color:red">terms</a>', allowlist),
+        '<strong>Hi</strong> there <a href="/terms">terms</a>');
+});
+
+test('sanitize drops scripts, styles and comments with their content', () => {
+    const allowlist = parseAllowlist('b');
+    assert.equal(
+        sanitize('<b>Safe</b><script>alert(1)</script><style>b{}</style><!-- note --><iframe src="/x"></iframe>', allowlist),
+        '<b>Safe</b>');
+});
+
+test('sanitize removes unsafe attribute values even when the attribute is allowed', () => {
+    const allowlist = parseAllowlist('a:href,onclick;img:src');
+    assert.equal(
+        sanitize('<a href="javascript:alert(1)" onclick="x()">link</a><img src="/logo.png" onerror="x()">', allowlist),
+        '<a>link</a><img src="/logo.png">');
+});
+
+test('sanitize without an allowlist keeps only text', () => {
+    assert.equal(sanitize('<em>Hello</em> <b>world</b>'), 'Hello world');
+});
+
+function translatedPage(html, translation) {
+    return createWindow({
+        html: `<html><body>${html}</body></html>`,
+        config: { enableSignalR: false, enableNotifications: false },
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        fetch: async () => ({
+            ok: true,
+            text: async () => `<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">${translation}</span>`
+        })
+    });
+}
+
+test('translated markup is sanitized against the source element', async () => {
+    const page = translatedPage(
+        '<p id="t-a" data-translate-key="a" data-has-html>Read <a href="/terms">the terms</a></p>',
+        'Lisez <a href="javascript:alert(1)">les conditions</a><img src=x onerror=alert(1)>');
+
+    await page.translationManager.switchLanguage('fr');
+
+    assert.equal(page.document.getElementById('t-a').innerHTML, 'Lisez <a>les conditions</a>');
+});
+
+test('translations of elements without data-has-html are injected as text', async () => {
+    const page = translatedPage('<p id="t-a" data-translate-key="a">Read the terms</p>', 'Lisez <b>les conditions</b>');
+
+    await page.translationManager.switchLanguage('fr');
+
+    const element = page.document.getElementById('t-a');
+    assert.equal(element.children.length, 0);
+    assert.equal(element.textContent, 'Lisez les conditions');
+});
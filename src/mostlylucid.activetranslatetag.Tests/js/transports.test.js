@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow } = require('./dom');
+
+const PAGE = '<html><body><span id="t-a" data-translate-key="a">Hello</span><span id="t-b" data-translate-key="b">World</span></body></html>';
+
+function transportPage(transports, fetch) {
+    return createWindow({
+        html: PAGE,
+        config: { enableSignalR: false, enableNotifications: false, transports },
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        fetch
+    });
+}
+
+test('bundle: each transport is asked only for the keys the previous ones did not return', async () => {
+    const asked = [];
+    const window = transportPage(
+        'static,oob',
+        async (url, options) => {
+            if (String(url).endsWith('/fr.json')) {
+                asked.push(['static']);
+                return { ok: true, json: async () => ({ a: 'Bonjour' }) };
+            }
+            asked.push(['oob', ...options.body.getAll('keys').filter(key => !key.startsWith('translation.ui.'))]);
+            return { ok: true, text: async () => '<span id="t-b" data-translate-key="b" hx-swap-oob="innerHTML">Monde</span>' };
+        });
+    const transports = {};
+    window.document.addEventListener('translation:element-updated', event => { transports[event.detail.key] = event.detail.transport; });
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.deepEqual(asked, [['static'], ['oob', 'b']]);
+    assert.equal(window.document.getElementById('t-a').textContent, 'Bonjour');
+    assert.equal(window.document.getElementById('t-b').textContent, 'Monde');
+    assert.deepEqual(transports, { a: 'static', b: 'oob' });
+});
+
+test('bundle: an unknown transport name is skipped instead of stopping initialization', () => {
+    const window = transportPage('carrier-pigeon,json');
+
+    // Arrays from the page's realm are compared by value
+    const names = transports => Array.from(transports, t => t.name);
+    assert.ok(window.translationManager);
+    assert.deepEqual(names(window.translationManager.transports), ['json']);
+    assert.deepEqual(names(window.TranslationTransports.resolve('carrier-pigeon')), ['oob']);
+});
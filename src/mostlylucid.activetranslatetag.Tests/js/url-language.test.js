@@ -0,0 +1,123 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const PAGE = '<html><body><span id="t-a" data-translate-key="a">Hello</span></body></html>';
+
+const SCRIPTS = {
+    bundle: {
+        scripts: ['translation-formatter.js', 'translation-bundle.js'],
+        switchTo: (window, lang) => window.translationManager.switchLanguage(lang),
+        current: window => window.translationManager.currentLanguage
+    },
+    client: {
+        scripts: ['translation-formatter.js', 'translation.client.js'],
+        switchTo: (window, lang) => window.TranslationClient.setLanguage(lang),
+        current: window => window.TranslationClient.getCurrentLanguage()
+    }
+};
+
+/**
+ * A page at the given URL; switch requests and language files both translate a, and every request is recorded
+ */
+function urlPage(kind, url, { config, cookie } = {}) {
+    const requests = [];
+    const window = createWindow({
+        html: PAGE,
+        url,
+        cookie,
+        config: { enableSignalR: false, enableNotifications: false, ...config },
+        scripts: SCRIPTS[kind].scripts,
+        fetch: async (requested, options) => {
+            requests.push(String(requested).replace(/^https?:\/\/[^/]+/, ''));
+            const lang = String(requested).match(/([a-z]{2})(\.json)?$/)[1];
+            const word = { fr: 'Bonjour', de: 'Hallo' }[lang];
+            return {
+                ok: true,
+                status: 200,
+                text: async () => `<span id="t-a" data-translate-key="a" hx-swap-oob="innerHTML">${word}</span>`,
+                json: async () => (options && options.body ? {} : { a: word })
+            };
+        }
+    });
+    if (kind === 'client') window.TranslationClient.init(config || {});
+    return { window, requests };
+}
+
+const address = window => window.location.pathname + window.location.search + window.location.hash;
+const text = window => window.document.getElementById('t-a').textContent;
+
+for (const kind of ['bundle', 'client']) {
+    const { switchTo, current } = SCRIPTS[kind];
+
+    test(`${kind}: a switch pushes the language into the query and keeps the rest of the URL`, async () => {
+        const { window } = urlPage(kind, 'http://localhost/about?page=2#team', { config: { urlLanguage: 'query' } });
+        await sleep(0);
+        const entries = window.history.length;
+
+        await switchTo(window, 'fr');
+
+        assert.equal(address(window), '/about?page=2&lang=fr#team');
+        assert.equal(window.history.length, entries + 1);
+    });
+
+    test(`${kind}: Back switches to the language of the URL without adding an entry`, async () => {
+        const { window } = urlPage(kind, 'http://localhost/about', { config: { urlLanguage: 'query' } });
+        await sleep(0);
+        await switchTo(window, 'fr');
+        await switchTo(window, 'de');
+        const entries = window.history.length;
+
+        window.history.back();
+        await sleep(20);
+
+        assert.equal(address(window), '/about?lang=fr');
+        assert.equal(current(window), 'fr');
+        assert.equal(text(window), 'Bonjour');
+        assert.equal(window.history.length, entries);
+    });
+
+    test(`${kind}: urlHistory replace rewrites the address without history entries`, async () => {
+        const { window } = urlPage(kind, 'http://localhost/about', { config: { urlLanguage: 'query', urlHistory: 'replace' } });
+        await sleep(0);
+        const entries = window.history.length;
+
+        await switchTo(window, 'fr');
+
+        assert.equal(address(window), '/about?lang=fr');
+        assert.equal(window.history.length, entries);
+    });
+
+    test(`${kind}: in path mode the URL prefix wins over the cookie and a switch moves it`, async () => {
+        const config = { urlLanguage: 'path', urlLanguages: ['fr', 'de'] };
+        const { window, requests } = urlPage(kind, 'http://localhost/fr/about', { config, cookie: 'preferred-language=de' });
+        await sleep(150);
+
+        assert.equal(current(window), 'fr');
+        assert.equal(text(window), 'Bonjour');
+        assert.ok(requests.every(path => !/de(\.json)?$/.test(path)));
+
+        await switchTo(window, 'de');
+        assert.equal(address(window), '/de/about');
+    });
+
+    test(`${kind}: a cookie language is written into an unmarked URL with replaceState`, async () => {
+        const { window } = urlPage(kind, 'http://localhost/about', { config: { urlLanguage: 'query' }, cookie: 'preferred-language=fr' });
+        const entries = window.history.length;
+        await sleep(150);
+
+        assert.equal(address(window), '/about?lang=fr');
+        assert.equal(window.history.length, entries);
+        assert.equal(text(window), 'Bonjour');
+    });
+
+    test(`${kind}: without urlLanguage the address is left alone`, async () => {
+        const { window } = urlPage(kind, 'http://localhost/about?lang=de');
+        await sleep(0);
+
+        await switchTo(window, 'fr');
+
+        assert.equal(address(window), '/about?lang=de');
+        assert.equal(current(window), 'fr');
+    });
+}
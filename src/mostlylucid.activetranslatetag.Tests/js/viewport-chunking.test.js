@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWindow, sleep } = require('./dom');
+
+const SCRIPTS = ['translation-formatter.js', 'translation-bundle.js'];
+
+/**
+ * An IntersectionObserver for jsdom, which has no layout: each element's top comes from data-top, and it
+ * intersects when it is within 200px (the default lazyRootMargin) of the 768px viewport
+ */
+function installIntersectionObserver(window) {
+    window.IntersectionObserver = class {
+        constructor(callback) {
+            this.callback = callback;
+            this.pending = [];
+        }
+
+        observe(target) {
+            this.pending.push(target);
+            if (this.pending.length > 1) return;
+            window.setTimeout(() => {
+                const entries = this.pending.splice(0).map(element => {
+                    const top = Number(element.dataset.top || 0);
+                    const boundingClientRect = { top, bottom: top + 20, left: 0, right: 100 };
+                    return { target: element, boundingClientRect, isIntersecting: top < window.innerHeight + 200 };
+                });
+                if (entries.length > 0) this.callback(entries, this);
+            }, 0);
+        }
+
+        unobserve() {}
+
+        disconnect() {
+            this.pending = [];
+        }
+    };
+}
+
+/**
+ * A page answering switch requests with an OOB span per key; requests records each request's page keys
+ * (the manager's own translation.ui.* strings ride along and are left out)
+ */
+function switchPage(html, config, before) {
+    const requests = [];
+    const sizes = [];
+    const window = createWindow({
+        html,
+        config: { enableSignalR: false, enableNotifications: false, ...config },
+        scripts: SCRIPTS,
+        before,
+        fetch: async (url, options) => {
+            const all = options.body.getAll('keys');
+            sizes.push(all.length);
+            const keys = all.filter(key => !key.startsWith('translation.ui.'));
+            const language = String(url).split('/').pop();
+            if (keys.length > 0) requests.push({ language, keys });
+            return {
+                ok: true,
+                text: async () => keys
+                    .map(key => `<span id="t-${key}" data-translate-key="${key}" hx-swap-oob="innerHTML">${key}:${language}</span>`)
+                    .join('')
+            };
+        }
+    });
+    const switches = [];
+    window.document.addEventListener('translation:switched', event => switches.push(event.detail));
+    return { window, requests, sizes, switches };
+}
+
+test('bundle: each key is requested once, in chunks of at most chunkSize', async () => {
+    const { window, requests, sizes } = switchPage(`<html><body>
+        <span data-translate-key="a">A</span><span data-translate-key="b">B</span>
+        <span data-translate-key="c">C</span><span data-translate-key="a">A again</span>
+        <input placeholder="D" data-translate-attr="placeholder:d" /><span data-translate-key="e">E</span>
+    </body></html>`, { chunkSize: 2 });
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.deepEqual(requests.map(r => r.keys), [['a', 'b'], ['c', 'd'], ['e']]);
+    assert.ok(sizes.every(size => size <= 2));
+    const a = window.document.querySelectorAll('[data-translate-key="a"]');
+    assert.deepEqual(Array.from(a, element => element.textContent), ['a:fr', 'a:fr']);
+    assert.equal(window.document.querySelector('input').getAttribute('placeholder'), 'd:fr');
+});
+
+const LONG_PAGE = `<html><body>
+    <span id="far" data-translate-key="far" data-top="5000">Far</span>
+    <span id="near" data-translate-key="near" data-top="900">Near</span>
+    <span id="visible" data-translate-key="visible" data-top="10">Visible</span>
+</body></html>`;
+
+test('bundle: lazy translation requests on-screen keys first and the rest when idle', async () => {
+    const { window, requests, switches } = switchPage(LONG_PAGE, { lazyTranslation: true }, installIntersectionObserver);
+
+    await window.translationManager.switchLanguage('fr');
+
+    assert.deepEqual(requests.map(r => r.keys), [['visible', 'near']]);
+    assert.deepEqual([...switches[0].deferredKeys], ['far']);
+    assert.equal(window.document.getElementById('far').textContent, 'Far');
+
+    await sleep(150);
+    assert.deepEqual(requests.map(r => r.keys), [['visible', 'near'], ['far']]);
+    assert.equal(window.document.getElementById('far').textContent, 'far:fr');
+});
+
+test('bundle: the next switch stops the deferred queue', async () => {
+    const { window, requests } = switchPage(LONG_PAGE, { lazyTranslation: true }, installIntersectionObserver);
+
+    await window.translationManager.switchLanguage('fr');
+    await window.translationManager.switchLanguage('de');
+    await sleep(150);
+
+    const french = requests.filter(r => r.language === 'fr').flatMap(r => r.keys);
+    assert.deepEqual(french, ['visible', 'near']);
+    assert.equal(window.document.getElementById('far').textContent, 'far:de');
+});
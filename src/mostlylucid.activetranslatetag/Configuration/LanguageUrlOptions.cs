@@ -0,0 +1,55 @@
+namespace mostlylucid.activetranslatetag.Configuration;
+
+/// <summary>
+/// Options for carrying the language in page URLs (see AddLanguageUrls and UseLanguageUrls),
+/// so links to a translated page can be shared and indexed
+/// </summary>
+public class LanguageUrlOptions
+{
+    /// <summary>
+    /// Where the language is read from and written to
+    /// Default: Query
+    /// </summary>
+    public LanguageUrlMode Mode { get; set; } = LanguageUrlMode.Query;
+
+    /// <summary>
+    /// Query string parameter holding the language in Query mode
+    /// Default: "lang"
+    /// </summary>
+    public string QueryParameter { get; set; } = "lang";
+
+    /// <summary>
+    /// Languages recognised as a path prefix in Path mode (e.g. "fr" for /fr/about), so ordinary first
+    /// segments such as /faq are never taken for a language. Required for Path mode.
+    /// </summary>
+    public List<string> Languages { get; set; } = new();
+
+    /// <summary>
+    /// Language of URLs without a language. Its own URLs carry no language, and they double as the
+    /// x-default alternate.
+    /// Default: "en"
+    /// </summary>
+    public string DefaultLanguage { get; set; } = "en";
+
+    /// <summary>
+    /// Whether a language switch in the browser adds a history entry (true) or replaces the current one (false)
+    /// Default: true
+    /// </summary>
+    public bool PushHistory { get; set; } = true;
+}
+
+/// <summary>
+/// Ways of carrying the language in a URL
+/// </summary>
+public enum LanguageUrlMode
+{
+    /// <summary>
+    /// Query string parameter: /about?lang=fr
+    /// </summary>
+    Query,
+
+    /// <summary>
+    /// First path segment: /fr/about
+    /// </summary>
+    Path
+}
@@ -46,6 +46,13 @@ public class TranslationStorageOptions
     /// Default: 60 minutes
     /// </summary>
     public int MemoryCacheDurationMinutes { get; set; } = 60;
+
+    /// <summary>
+    /// Language of the default texts strings are registered with. It is served as-is and never sent for
+    /// translation, and it is the source language of background translations.
+    /// Default: "en"
+    /// </summary>
+    public string DefaultLanguage { get; set; } = "en";
 }
 
 /// <summary>
@@ -1,4 +1,11 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.DependencyInjection;
+using mostlylucid.activetranslatetag.Hubs;
+using mostlylucid.activetranslatetag.Models;
 using mostlylucid.activetranslatetag.Services;
 
 namespace mostlylucid.activetranslatetag.Controllers;
@@ -7,12 +14,27 @@ namespace mostlylucid.activetranslatetag.Controllers;
 /// Controller for language switching and translation management
 /// </summary>
 [Route("[controller]")]
-public class LanguageController : Controller
+public partial class LanguageController : Controller
 {
+    /// <summary>
+    /// Authorization policy for the in-context translation editor. The editor endpoints return 404
+    /// until the application registers it (see AddTranslationEditor).
+    /// </summary>
+    public const string EditorPolicy = "TranslationEditor";
+
+    /// <summary>
+    /// Most keys accepted from a single missing-key report; the clients send at most 100 per beacon
+    /// </summary>
+    public const int MaxMissingKeysPerReport = 200;
+
     private readonly ITranslationService _translationService;
     private readonly IPageLanguageSwitchService _switchService;
 
-    public LanguageController(ITranslationService translationService, IPageLanguageSwitchService switchService)
+    // The editor services (authorization, SignalR) are resolved per request in Entry and Save, so hosts
+    // that never enable the editor don't need to register them
+    public LanguageController(
+        ITranslationService translationService,
+        IPageLanguageSwitchService switchService)
     {
         _translationService = translationService;
         _switchService = switchService;
@@ -78,4 +100,89 @@ public class LanguageController : Controller
 
         return Content(html, "text/html");
     }
+
+    /// <summary>
+    /// Receives the missing-key beacons sent by the clients (reportMissingKeys) and queues the keys for
+    /// background translation. Anonymous by design, so only keys already registered on the server are queued.
+    /// </summary>
+    [HttpPost("Missing")]
+    public async Task<IActionResult> Missing([FromBody] MissingKeysReportDto? report)
+    {
+        if (report?.Keys == null || string.IsNullOrWhiteSpace(report.LanguageCode) || !LanguageCodeRegex().IsMatch(report.LanguageCode))
+            return BadRequest();
+
+        var keys = report.Keys
+            .Where(k => !string.IsNullOrWhiteSpace(k?.Key))
+            .Take(MaxMissingKeysPerReport)
+            .ToList();
+
+        var queued = await _switchService.QueueMissingAsync(report.LanguageCode, keys);
+        return Accepted(new { Queued = queued });
+    }
+
+    /// <summary>
+    /// Source text, category, description and current translation of a key for the in-context editor
+    /// </summary>
+    [HttpGet("Entry/{languageCode}")]
+    public async Task<IActionResult> Entry(string languageCode, [FromQuery] string key)
+    {
+        var denied = await AuthorizeEditorAsync();
+        if (denied != null)
+            return denied;
+
+        if (string.IsNullOrWhiteSpace(key))
+            return BadRequest();
+
+        var entry = await _translationService.GetEntryAsync(key, languageCode);
+        return entry == null ? NotFound() : Ok(entry);
+    }
+
+    /// <summary>
+    /// Save a reviewed translation from the in-context editor and push it to all connected clients
+    /// </summary>
+    [HttpPost("Save/{languageCode}")]
+    [ValidateAntiForgeryToken]
+    public async Task<IActionResult> Save(string languageCode, [FromForm] string key, [FromForm] string text)
+    {
+        var denied = await AuthorizeEditorAsync();
+        if (denied != null)
+            return denied;
+
+        if (string.IsNullOrWhiteSpace(key) || string.IsNullOrWhiteSpace(text))
+            return BadRequest();
+
+        if (!await _translationService.SetTranslationAsync(key, languageCode, text))
+            return NotFound();
+
+        var hubContext = HttpContext.RequestServices.GetService<IHubContext<TranslationHub>>();
+        if (hubContext != null)
+        {
+            await hubContext.Clients.All.SendAsync("StringTranslated", new
+            {
+                Key = key,
+                LanguageCode = languageCode,
+                TranslatedText = text
+            });
+        }
+
+        return Ok(await _translationService.GetEntryAsync(key, languageCode));
+    }
+
+    [GeneratedRegex(@"^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$")]
+    private static partial Regex LanguageCodeRegex();
+
+    // Returns the response to send when the current user may not use the editor, otherwise null
+    private async Task<IActionResult?> AuthorizeEditorAsync()
+    {
+        var services = HttpContext.RequestServices;
+        var policyProvider = services.GetService<IAuthorizationPolicyProvider>();
+        var authorization = services.GetService<IAuthorizationService>();
+        if (policyProvider == null || authorization == null ||
+            await policyProvider.GetPolicyAsync(EditorPolicy) == null)
+            return NotFound();
+
+        var result = await authorization.AuthorizeAsync(User, EditorPolicy);
+        // Not Forbid(): the host app may not have an authentication scheme to challenge with
+        return result.Succeeded ? null : StatusCode(StatusCodes.Status403Forbidden);
+    }
 }
@@ -1,5 +1,9 @@
 ﻿using Microsoft.AspNetCore.Builder;
+using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Routing;
+using Microsoft.Extensions.DependencyInjection;
+using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Helpers;
 using mostlylucid.activetranslatetag.Hubs;
 
 namespace mostlylucid.activetranslatetag.Extensions;
@@ -28,4 +32,61 @@ public static class ApplicationBuilderExtensions
 
         return endpoints;
     }
+
+    /// <summary>
+    /// Reads the language from the page URL as configured with AddLanguageUrls (?lang=fr by default, or /fr/about),
+    /// so TranslationHelper renders that language, and stores it in the preferred-language cookie.
+    /// In Path mode the prefix moves into PathBase: routing sees /about and generated links keep /fr.
+    /// Call this before UseStaticFiles and UseRouting.
+    /// </summary>
+    /// <param name="app">Application builder (typically WebApplication)</param>
+    /// <returns>The same application builder for chaining.</returns>
+    public static IApplicationBuilder UseLanguageUrls(this IApplicationBuilder app)
+    {
+        var options = app.ApplicationServices.GetService<LanguageUrlOptions>() ?? new LanguageUrlOptions();
+
+        return app.Use(async (context, next) =>
+        {
+            var request = context.Request;
+            var originalPathBase = request.PathBase;
+            var originalPath = request.Path;
+
+            var language = LanguageUrl.ReadLanguage(request, options);
+            if (language == null)
+            {
+                await next();
+                return;
+            }
+
+            context.Items[LanguageUrl.ItemKey] = language;
+            if (options.Mode == LanguageUrlMode.Path && LanguageUrl.TrySplitPath(originalPath, options.Languages, out var prefix, out var remainder))
+            {
+                context.Items[LanguageUrl.PathBaseItemKey] = originalPathBase;
+                request.PathBase = originalPathBase.Add(new PathString("/" + prefix));
+                request.Path = remainder;
+            }
+
+            // A shared link also sets the preference, so the next page without a language stays in it
+            if (!string.Equals(request.Cookies["preferred-language"], language, StringComparison.Ordinal))
+            {
+                context.Response.Cookies.Append("preferred-language", language, new CookieOptions
+                {
+                    Path = "/",
+                    MaxAge = TimeSpan.FromDays(365),
+                    SameSite = SameSiteMode.Lax,
+                    HttpOnly = false // JavaScript needs to read this
+                });
+            }
+
+            try
+            {
+                await next();
+            }
+            finally
+            {
+                request.PathBase = originalPathBase;
+                request.Path = originalPath;
+            }
+        });
+    }
 }
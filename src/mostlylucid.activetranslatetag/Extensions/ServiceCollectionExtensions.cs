@@ -1,10 +1,13 @@
 using mostlylucid.activetranslatetag.Hubs;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.EntityFrameworkCore;
 using Microsoft.Extensions.Caching.Memory;
 using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.DependencyInjection.Extensions;
 using Microsoft.Extensions.Logging;
 using Microsoft.Extensions.Configuration;
 using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Controllers;
 using mostlylucid.activetranslatetag.Data;
 using mostlylucid.activetranslatetag.Helpers;
 using mostlylucid.activetranslatetag.Services;
@@ -39,6 +42,7 @@ public static class ServiceCollectionExtensions
         TranslationStorageOptions options)
     {
         // Register common services
+        services.AddSingleton(options);
         services.AddScoped<RequestTranslationCache>();
         services.AddScoped<TranslationHelper>();
 
@@ -73,7 +77,8 @@ public static class ServiceCollectionExtensions
                         sp.GetRequiredService<RequestTranslationCache>(),
                         sp.GetRequiredService<ILogger<EfTranslationService>>(),
                         options.EnableMemoryCache,
-                        options.MemoryCacheDurationMinutes));
+                        options.MemoryCacheDurationMinutes,
+                        options.DefaultLanguage));
                 break;
 
             case TranslationStorageType.Sqlite:
@@ -96,7 +101,8 @@ public static class ServiceCollectionExtensions
                         sp.GetRequiredService<RequestTranslationCache>(),
                         sp.GetRequiredService<ILogger<EfTranslationService>>(),
                         options.EnableMemoryCache,
-                        options.MemoryCacheDurationMinutes));
+                        options.MemoryCacheDurationMinutes,
+                        options.DefaultLanguage));
                 break;
 
             case TranslationStorageType.SqlServer:
@@ -119,7 +125,8 @@ public static class ServiceCollectionExtensions
                         sp.GetRequiredService<RequestTranslationCache>(),
                         sp.GetRequiredService<ILogger<EfTranslationService>>(),
                         options.EnableMemoryCache,
-                        options.MemoryCacheDurationMinutes));
+                        options.MemoryCacheDurationMinutes,
+                        options.DefaultLanguage));
                 break;
 
             case TranslationStorageType.InMemory:
@@ -132,7 +139,8 @@ public static class ServiceCollectionExtensions
                         sp.GetRequiredService<RequestTranslationCache>(),
                         sp.GetRequiredService<ILogger<Services.InMemory.InMemoryTranslationService>>(),
                         options.EnableMemoryCache,
-                        options.MemoryCacheDurationMinutes));
+                        options.MemoryCacheDurationMinutes,
+                        options.DefaultLanguage));
                 break;
 
             case TranslationStorageType.JsonFile:
@@ -153,14 +161,16 @@ public static class ServiceCollectionExtensions
                         sp.GetRequiredService<RequestTranslationCache>(),
                         sp.GetRequiredService<ILogger<JsonFileTranslationService>>(),
                         options.EnableMemoryCache,
-                        options.MemoryCacheDurationMinutes));
+                        options.MemoryCacheDurationMinutes,
+                        options.DefaultLanguage));
                 break;
 
             default:
                 throw new ArgumentException($"Unsupported storage type: {options.StorageType}");
         }
 
-        // Register language switch service depending on provider kind
+        // Register language switch service depending on provider kind; both hand missing strings to one background translator
+        services.TryAddSingleton<BackgroundTranslator>();
         if (options.StorageType == TranslationStorageType.JsonFile || options.StorageType == TranslationStorageType.InMemory)
         {
             services.AddScoped<IPageLanguageSwitchService, JsonPageLanguageSwitchService>();
@@ -354,6 +364,43 @@ public static class ServiceCollectionExtensions
         return services.AddAutoTranslate(options.Storage);
     }
 
+    /// <summary>
+    /// Enables the in-context translation editor for users who satisfy the given policy,
+    /// e.g. policy => policy.RequireRole("Translator"). Without it the editor endpoints return 404.
+    /// </summary>
+    /// <param name="services">Service collection</param>
+    /// <param name="configurePolicy">Requirements a reviewer must meet to edit translations</param>
+    /// <returns>Service collection for chaining</returns>
+    public static IServiceCollection AddTranslationEditor(
+        this IServiceCollection services,
+        Action<AuthorizationPolicyBuilder> configurePolicy)
+    {
+        services.AddAuthorization(options => options.AddPolicy(LanguageController.EditorPolicy, configurePolicy));
+        services.AddAntiforgery();
+        return services;
+    }
+
+    /// <summary>
+    /// Carries the language in page URLs: UseLanguageUrls reads it and the scripts write it on every switch,
+    /// e.g. options => { options.Mode = LanguageUrlMode.Path; options.Languages = ["fr", "de"]; }
+    /// </summary>
+    /// <param name="services">Service collection</param>
+    /// <param name="configure">Optional URL settings; the default is a ?lang= query parameter</param>
+    /// <returns>Service collection for chaining</returns>
+    public static IServiceCollection AddLanguageUrls(
+        this IServiceCollection services,
+        Action<LanguageUrlOptions>? configure = null)
+    {
+        var options = new LanguageUrlOptions();
+        configure?.Invoke(options);
+
+        if (options.Mode == LanguageUrlMode.Path && options.Languages.Count == 0)
+            throw new ArgumentException("Languages is required for path-prefix language URLs");
+
+        services.AddSingleton(options);
+        return services;
+    }
+
     /// <summary>
     /// Adds auto-translate services using an existing DbContext that implements ITranslationDbContext
     /// </summary>
@@ -368,6 +415,7 @@ public static class ServiceCollectionExtensions
         services.AddScoped<ITranslationDbContext>(sp => sp.GetRequiredService<TContext>());
 
         // Add auto-translate services (without registering TranslationDbContext)
+        services.TryAddSingleton(new TranslationStorageOptions());
         services.AddScoped<RequestTranslationCache>();
         services.AddScoped<ITranslationService>(sp =>
             new EfTranslationService(
@@ -375,7 +423,9 @@ public static class ServiceCollectionExtensions
                 sp.GetRequiredService<IAiTranslationProvider>(),
                 sp.GetRequiredService<IMemoryCache>(),
                 sp.GetRequiredService<RequestTranslationCache>(),
-                sp.GetRequiredService<Microsoft.Extensions.Logging.ILogger<EfTranslationService>>()));
+                sp.GetRequiredService<Microsoft.Extensions.Logging.ILogger<EfTranslationService>>(),
+                defaultLanguage: sp.GetRequiredService<TranslationStorageOptions>().DefaultLanguage));
+        services.TryAddSingleton<BackgroundTranslator>();
         services.AddScoped<IPageLanguageSwitchService, PageLanguageSwitchService>();
         services.AddScoped<TranslationHelper>();
 
@@ -21,6 +21,12 @@ public static partial class HtmlTextExtractor
         "p", "div", "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "blockquote", "pre", "table", "tr", "section", "article", "aside", "header", "footer", "nav"
     };
 
+    // Elements never allowed in translated markup, even when the source contains them
+    private static readonly HashSet<string> UnsafeElements = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "script", "style", "iframe", "object", "embed", "frame", "frameset", "template", "noscript", "base", "link", "meta", "svg", "math"
+    };
+
     /// <summary>
     /// Extracts plain text from HTML content
     /// </summary>
@@ -195,36 +201,43 @@ public static partial class HtmlTextExtractor
     /// Strips HTML tags but preserves the structure with placeholders
     /// Useful for translation APIs that don't support HTML
     /// </summary>
+    /// <remarks>
+    /// Tags are collected by walking the parsed document, so every element contributes its opening tag and,
+    /// unless it is a void element, a matching closing tag. Placeholders are numbered from the end of the
+    /// source (__TAG0__ is the last tag), which keeps previously stored translations valid.
+    /// </remarks>
     public static (string CleanText, Dictionary<string, string> TagMap) StripHtmlForTranslation(string html)
     {
         if (!ContainsHtml(html))
             return (html, new Dictionary<string, string>());
 
-        var tagMap = new Dictionary<string, string>();
-        var processed = html;
-        var tagCounter = 0;
-
         var doc = new HtmlDocument();
         doc.LoadHtml(html);
 
-        // Build a list of all tags in order
-        var tagsToReplace = new List<(int Index, int Length, string Tag)>();
-        CollectAllTags(doc.DocumentNode, processed, tagsToReplace);
-
-        // Sort by index in descending order to replace from end to start
-        tagsToReplace.Sort((a, b) => b.Index.CompareTo(a.Index));
+        // Text and tags in document order
+        var parts = new List<(string Text, bool IsTag)>();
+        CollectParts(doc.DocumentNode, html, parts);
 
-        // Replace tags with placeholders from end to start
-        foreach (var tag in tagsToReplace)
+        var tagMap = new Dictionary<string, string>();
+        var tagCount = parts.Count(p => p.IsTag);
+        var tagIndex = 0;
+        var sb = new StringBuilder();
+        foreach (var (text, isTag) in parts)
         {
-            var tagId = $"__TAG{tagCounter}__";
-            tagMap[tagId] = tag.Tag;
-            processed = processed.Remove(tag.Index, tag.Length).Insert(tag.Index, tagId);
-            tagCounter++;
+            if (!isTag)
+            {
+                sb.Append(text);
+                continue;
+            }
+
+            var tagId = $"__TAG{tagCount - 1 - tagIndex}__";
+            tagMap[tagId] = text;
+            sb.Append(tagId);
+            tagIndex++;
         }
 
         // Decode entities
-        processed = System.Net.WebUtility.HtmlDecode(processed);
+        var processed = System.Net.WebUtility.HtmlDecode(sb.ToString());
 
         // Clean up whitespace
         processed = MultipleSpacesRegex().Replace(processed, " ");
@@ -233,56 +246,66 @@ public static partial class HtmlTextExtractor
         return (processed, tagMap);
     }
 
-    private static void CollectAllTags(HtmlNode node, string originalHtml, List<(int Index, int Length, string Tag)> tags)
+    private static void CollectParts(HtmlNode node, string originalHtml, List<(string Text, bool IsTag)> parts)
     {
-        // For each element node, find its opening and closing tags in the original HTML
         foreach (var child in node.ChildNodes)
         {
-            if (child.NodeType == HtmlNodeType.Element)
+            if (child is HtmlTextNode textNode)
             {
-                // Add opening tag
-                if (child.StreamPosition >= 0 && child.StreamPosition < originalHtml.Length)
-                {
-                    // Find the end of opening tag
-                    var startPos = child.StreamPosition;
-                    var endPos = originalHtml.IndexOf('>', startPos);
-                    if (endPos > startPos)
-                    {
-                        var tagLength = endPos - startPos + 1;
-                        var tagText = originalHtml.Substring(startPos, tagLength);
-                        tags.Add((startPos, tagLength, tagText));
-                    }
-                }
+                // Raw text; entities are decoded once the placeholders are in place
+                parts.Add((textNode.Text, false));
+            }
+            else if (child.NodeType == HtmlNodeType.Element)
+            {
+                parts.Add((ReadOpeningTag(originalHtml, child), true));
 
-                // Recursively process children
-                CollectAllTags(child, originalHtml, tags);
+                CollectParts(child, originalHtml, parts);
 
-                // Add closing tag if it exists
-                if (!child.Name.Equals("br", StringComparison.OrdinalIgnoreCase) &&
-                    !child.Name.Equals("hr", StringComparison.OrdinalIgnoreCase) &&
-                    !child.Name.Equals("img", StringComparison.OrdinalIgnoreCase) &&
-                    !child.Name.Equals("input", StringComparison.OrdinalIgnoreCase) &&
-                    !SelfClosingTags.Contains(child.Name) &&
-                    !child.OuterHtml.TrimEnd().EndsWith("/>"))
+                if (!IsVoidElement(child))
                 {
-                    var closingTag = $"</{child.Name}>";
-                    var lastIndex = originalHtml.LastIndexOf(closingTag,
-                        child.StreamPosition + child.OuterHtml.Length > originalHtml.Length
-                            ? originalHtml.Length - 1
-                            : child.StreamPosition + child.OuterHtml.Length);
-
-                    if (lastIndex >= 0)
-                    {
-                        tags.Add((lastIndex, closingTag.Length, closingTag));
-                    }
+                    parts.Add(($"</{child.OriginalName}>", true));
                 }
             }
         }
     }
 
+    // The opening tag exactly as written in the source; quoted attribute values may contain '>'
+    private static string ReadOpeningTag(string html, HtmlNode node)
+    {
+        var start = node.StreamPosition;
+        if (start < 0 || start >= html.Length || html[start] != '<')
+            return $"<{node.OriginalName}>";
+
+        char? quote = null;
+        for (var i = start + 1; i < html.Length; i++)
+        {
+            var c = html[i];
+            if (quote.HasValue)
+            {
+                if (c == quote.Value) quote = null;
+            }
+            else if (c == '"' || c == '\'')
+            {
+                quote = c;
+            }
+            else if (c == '>')
+            {
+                return html.Substring(start, i - start + 1);
+            }
+        }
+
+        return html[start..];
+    }
+
+    private static bool IsVoidElement(HtmlNode node) =>
+        SelfClosingTags.Contains(node.Name) || node.OuterHtml.TrimEnd().EndsWith("/>");
+
     /// <summary>
     /// Restores HTML tags from placeholders after translation
     /// </summary>
+    /// <remarks>
+    /// Does not check the translation; use <see cref="RestoreHtmlWithValidation"/> for machine-translated text.
+    /// </remarks>
     public static string RestoreHtmlAfterTranslation(string translatedText, Dictionary<string, string> tagMap)
     {
         if (string.IsNullOrWhiteSpace(translatedText) || tagMap == null || tagMap.Count == 0)
@@ -297,6 +320,173 @@ public static partial class HtmlTextExtractor
         return result;
     }
 
+    /// <summary>
+    /// Restores __TAGn__ placeholders after checking the translation kept every tag exactly once and
+    /// correctly nested. Unknown, duplicated or misspelled placeholders ("__TAG 3__") are repaired;
+    /// missing or misnested tags cannot be, so the source HTML is returned instead.
+    /// </summary>
+    public static HtmlRestoreResult RestoreHtmlWithValidation(string translatedText, Dictionary<string, string> tagMap, string sourceHtml)
+    {
+        return RestoreTokens(translatedText, tagMap ?? new Dictionary<string, string>(), sourceHtml);
+    }
+
+    /// <summary>
+    /// Validated counterpart of <see cref="ReinjectHtml"/> for {#n#} placeholders, see <see cref="RestoreHtmlWithValidation"/>
+    /// </summary>
+    public static HtmlRestoreResult ReinjectHtmlWithValidation(string translatedText, List<HtmlPlaceholder> placeholders, string sourceHtml)
+    {
+        var tokens = (placeholders ?? new List<HtmlPlaceholder>())
+            .GroupBy(p => p.Placeholder)
+            .ToDictionary(g => g.Key, g => g.First().OriginalHtml);
+        return RestoreTokens(translatedText, tokens, sourceHtml);
+    }
+
+    /// <summary>
+    /// Reports placeholders the translation dropped, invented, repeated or moved out of their tag pair
+    /// </summary>
+    public static PlaceholderValidationResult ValidatePlaceholders(string translatedText, IReadOnlyDictionary<string, string> tokens)
+    {
+        var result = new PlaceholderValidationResult();
+        var seen = new HashSet<string>();
+        var ordered = new List<string>();
+
+        foreach (Match match in PlaceholderTokenRegex().Matches(translatedText ?? string.Empty))
+        {
+            var token = CanonicalToken(match);
+            if (!tokens.ContainsKey(token))
+            {
+                result.Unknown.Add(match.Value);
+            }
+            else if (!seen.Add(token))
+            {
+                result.Duplicated.Add(token);
+            }
+            else
+            {
+                ordered.Add(token);
+            }
+        }
+
+        result.Missing.AddRange(tokens.Keys.Where(token => !seen.Contains(token)));
+
+        // Pair opening and closing tags by name; only placeholders present in the translation are checked
+        var open = new List<(string Token, string Name)>();
+        foreach (var token in ordered)
+        {
+            var html = tokens[token];
+            var closing = ClosingTagRegex().Match(html);
+            if (closing.Success)
+            {
+                var name = closing.Groups[1].Value;
+                // Openings left inside the pair are fine only if their own closing tag is missing
+                var at = open.FindLastIndex(o => o.Name.Equals(name, StringComparison.OrdinalIgnoreCase));
+                if (at >= 0 && open.Skip(at + 1).All(o => HasMissingTag(tokens, result.Missing, o.Name, closing: true)))
+                {
+                    open.RemoveRange(at, open.Count - at);
+                }
+                else if (at >= 0 || !HasMissingTag(tokens, result.Missing, name, closing: false))
+                {
+                    result.Misnested.Add(token);
+                }
+                continue;
+            }
+
+            var opening = OpeningTagRegex().Match(html);
+            if (opening.Success && !SelfClosingTags.Contains(opening.Groups[1].Value) && !html.TrimEnd().EndsWith("/>"))
+            {
+                open.Add((token, opening.Groups[1].Value));
+            }
+        }
+
+        // Unclosed openings are misnested unless their closing tag is simply missing
+        result.Misnested.AddRange(open
+            .Where(o => !HasMissingTag(tokens, result.Missing, o.Name, closing: true))
+            .Select(o => o.Token));
+
+        return result;
+    }
+
+    private static bool HasMissingTag(IReadOnlyDictionary<string, string> tokens, List<string> missing, string name, bool closing) =>
+        missing.Any(m => (closing ? ClosingTagRegex() : OpeningTagRegex()).Match(tokens[m]) is { Success: true } match &&
+                         match.Groups[1].Value.Equals(name, StringComparison.OrdinalIgnoreCase));
+
+    private static HtmlRestoreResult RestoreTokens(string translatedText, IReadOnlyDictionary<string, string> tokens, string sourceHtml)
+    {
+        var validation = ValidatePlaceholders(translatedText, tokens);
+
+        if (validation.Missing.Count > 0 || validation.Misnested.Count > 0)
+        {
+            return new HtmlRestoreResult
+            {
+                Html = sourceHtml ?? string.Empty,
+                Status = HtmlRestoreStatus.FellBackToSource,
+                Validation = validation
+            };
+        }
+
+        // Replace the first occurrence of each placeholder; drop repeats and placeholders we never issued
+        var repaired = false;
+        var used = new HashSet<string>();
+        var html = PlaceholderTokenRegex().Replace(translatedText ?? string.Empty, match =>
+        {
+            var token = CanonicalToken(match);
+            if (match.Value != token) repaired = true;
+            if (!tokens.TryGetValue(token, out var tag) || !used.Add(token)) return string.Empty;
+            return tag;
+        });
+
+        return new HtmlRestoreResult
+        {
+            Html = html,
+            Status = repaired || !validation.IsValid ? HtmlRestoreStatus.Repaired : HtmlRestoreStatus.Restored,
+            Validation = validation
+        };
+    }
+
+    // Normalizes the spellings translation engines produce ("__ TAG 3 __", "__tag3__", "{ #3# }")
+    private static string CanonicalToken(Match match) =>
+        match.Groups["tag"].Success ? $"__TAG{match.Groups["tag"].Value}__" : $"{{#{match.Groups["ph"].Value}#}}";
+
+    /// <summary>
+    /// Builds the allowlist of markup a translation of this source HTML may contain, in the
+    /// "tag:attr,attr;tag" form read by the client-side sanitizer (data-html-allowlist).
+    /// Script-capable elements and on* event handler attributes are never included.
+    /// </summary>
+    public static string BuildMarkupAllowlist(string html)
+    {
+        if (!ContainsHtml(html))
+            return string.Empty;
+
+        var doc = new HtmlDocument();
+        doc.LoadHtml(html);
+
+        var allowed = new SortedDictionary<string, SortedSet<string>>(StringComparer.Ordinal);
+        foreach (var node in doc.DocumentNode.Descendants().Where(n => n.NodeType == HtmlNodeType.Element))
+        {
+            var tagName = node.Name.ToLowerInvariant();
+            if (UnsafeElements.Contains(tagName))
+                continue;
+
+            if (!allowed.TryGetValue(tagName, out var attributes))
+            {
+                attributes = new SortedSet<string>(StringComparer.Ordinal);
+                allowed[tagName] = attributes;
+            }
+
+            foreach (var attribute in node.Attributes)
+            {
+                var attributeName = attribute.Name.ToLowerInvariant();
+                if (!attributeName.StartsWith("on", StringComparison.Ordinal))
+                {
+                    attributes.Add(attributeName);
+                }
+            }
+        }
+
+        return string.Join(';', allowed.Select(entry =>
+            entry.Value.Count == 0 ? entry.Key : $"{entry.Key}:{string.Join(',', entry.Value)}"));
+    }
+
     // Regex patterns - keep simple tag detection that doesn't require full parsing
     [GeneratedRegex(@" {2,}")]
     private static partial Regex MultipleSpacesRegex();
@@ -309,6 +499,15 @@ public static partial class HtmlTextExtractor
 
     [GeneratedRegex(@"<[^>]+>")]
     private static partial Regex HtmlTagRegex();
+
+    [GeneratedRegex(@"__\s*TAG\s*(?<tag>\d+)\s*__|\{\s*#\s*(?<ph>\d+)\s*#\s*\}", RegexOptions.IgnoreCase)]
+    private static partial Regex PlaceholderTokenRegex();
+
+    [GeneratedRegex(@"^<\s*/\s*([a-zA-Z][\w:-]*)")]
+    private static partial Regex ClosingTagRegex();
+
+    [GeneratedRegex(@"^<\s*([a-zA-Z][\w:-]*)")]
+    private static partial Regex OpeningTagRegex();
 }
 
 /// <summary>
@@ -321,3 +520,48 @@ public class HtmlPlaceholder
     public required string Placeholder { get; set; }
     public bool IsInline { get; set; }
 }
+
+/// <summary>
+/// How translated text was turned back into HTML
+/// </summary>
+public enum HtmlRestoreStatus
+{
+    /// <summary>Every placeholder was present once and correctly nested</summary>
+    Restored,
+
+    /// <summary>Unknown, duplicated or misspelled placeholders were removed or normalized</summary>
+    Repaired,
+
+    /// <summary>Tags were missing or misnested; the source HTML was returned instead of the translation</summary>
+    FellBackToSource
+}
+
+/// <summary>
+/// Placeholder problems found in a translation
+/// </summary>
+public class PlaceholderValidationResult
+{
+    /// <summary>Placeholders from the source that the translation dropped</summary>
+    public List<string> Missing { get; } = new();
+
+    /// <summary>Placeholder-like tokens that were never issued (as written in the translation)</summary>
+    public List<string> Unknown { get; } = new();
+
+    /// <summary>Placeholders that appear more than once (one entry per repeat)</summary>
+    public List<string> Duplicated { get; } = new();
+
+    /// <summary>Tag placeholders whose opening/closing pair is out of order or interleaved with another pair</summary>
+    public List<string> Misnested { get; } = new();
+
+    public bool IsValid => Missing.Count == 0 && Unknown.Count == 0 && Duplicated.Count == 0 && Misnested.Count == 0;
+}
+
+/// <summary>
+/// Result of restoring HTML into a translation, see <see cref="HtmlTextExtractor.RestoreHtmlWithValidation"/>
+/// </summary>
+public class HtmlRestoreResult
+{
+    public required string Html { get; set; }
+    public HtmlRestoreStatus Status { get; set; }
+    public required PlaceholderValidationResult Validation { get; set; }
+}
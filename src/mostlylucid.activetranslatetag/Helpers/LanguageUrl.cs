@@ -0,0 +1,114 @@
+using System.Diagnostics.CodeAnalysis;
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Http.Extensions;
+using Microsoft.AspNetCore.WebUtilities;
+using mostlylucid.activetranslatetag.Configuration;
+
+namespace mostlylucid.activetranslatetag.Helpers;
+
+/// <summary>
+/// Reads and writes the language carried in page URLs (/about?lang=fr or /fr/about), see LanguageUrlOptions
+/// </summary>
+public static partial class LanguageUrl
+{
+    /// <summary>
+    /// HttpContext.Items key of the language UseLanguageUrls found in the request URL
+    /// </summary>
+    public const string ItemKey = "activetranslatetag:url-language";
+
+    /// <summary>
+    /// HttpContext.Items key of the PathBase before UseLanguageUrls moved a language prefix into it
+    /// </summary>
+    public const string PathBaseItemKey = "activetranslatetag:url-path-base";
+
+    [GeneratedRegex(@"^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$")]
+    private static partial Regex LanguageCodeRegex();
+
+    /// <summary>
+    /// The language UseLanguageUrls found in the URL of the current request, or null
+    /// </summary>
+    public static string? GetLanguage(HttpContext? context)
+    {
+        return context?.Items != null && context.Items.TryGetValue(ItemKey, out var value) ? value as string : null;
+    }
+
+    /// <summary>
+    /// Split a leading language segment off a path: /fr/about becomes ("fr", /about). Only the given languages
+    /// are recognised, case-insensitively, and the language is returned as configured.
+    /// </summary>
+    public static bool TrySplitPath(PathString path, IEnumerable<string> languages, out string language, out PathString remainder)
+    {
+        foreach (var candidate in languages)
+        {
+            if (!string.IsNullOrWhiteSpace(candidate) &&
+                path.StartsWithSegments("/" + candidate, StringComparison.OrdinalIgnoreCase, out var rest))
+            {
+                language = candidate;
+                remainder = rest.HasValue ? rest : new PathString("/");
+                return true;
+            }
+        }
+
+        language = string.Empty;
+        remainder = path;
+        return false;
+    }
+
+    /// <summary>
+    /// The language in the request URL for the configured mode, or null. A query value must look like a
+    /// language code.
+    /// </summary>
+    public static string? ReadLanguage(HttpRequest request, LanguageUrlOptions options)
+    {
+        if (options.Mode == LanguageUrlMode.Path)
+            return TrySplitPath(request.Path, options.Languages, out var language, out _) ? language : null;
+
+        var value = request.Query[options.QueryParameter].ToString();
+        return IsLanguageCode(value) ? value : null;
+    }
+
+    /// <summary>
+    /// Whether a value looks like a language code (fr, pt-BR, zh-Hant-TW)
+    /// </summary>
+    public static bool IsLanguageCode([NotNullWhen(true)] string? value)
+    {
+        return !string.IsNullOrEmpty(value) && LanguageCodeRegex().IsMatch(value);
+    }
+
+    /// <summary>
+    /// Absolute URL of the current page in a language, for hreflang alternates and selector links.
+    /// The default language gets the URL without a language.
+    /// </summary>
+    public static string BuildUrl(HttpRequest request, string languageCode, LanguageUrlOptions options)
+    {
+        var isDefault = string.Equals(languageCode, options.DefaultLanguage, StringComparison.OrdinalIgnoreCase);
+
+        if (options.Mode == LanguageUrlMode.Path)
+        {
+            var pathBase = request.PathBase;
+            var path = request.Path;
+            if (request.HttpContext.Items.TryGetValue(PathBaseItemKey, out var original) && original is PathString originalBase)
+            {
+                pathBase = originalBase;
+            }
+            else if (TrySplitPath(path, options.Languages, out _, out var rest))
+            {
+                // UseLanguageUrls is not in the pipeline, so the prefix is still part of the path
+                path = rest;
+            }
+
+            var prefix = isDefault ? PathString.Empty : new PathString("/" + languageCode);
+            return UriHelper.BuildAbsolute(request.Scheme, request.Host, pathBase.Add(prefix), path, request.QueryString);
+        }
+
+        var parameters = QueryHelpers.ParseQuery(request.QueryString.Value)
+            .Where(p => !string.Equals(p.Key, options.QueryParameter, StringComparison.OrdinalIgnoreCase))
+            .SelectMany(p => p.Value.Select(value => new KeyValuePair<string, string?>(p.Key, value)))
+            .ToList();
+        if (!isDefault)
+            parameters.Add(new KeyValuePair<string, string?>(options.QueryParameter, languageCode));
+
+        return UriHelper.BuildAbsolute(request.Scheme, request.Host, request.PathBase, request.Path, QueryString.Create(parameters));
+    }
+}
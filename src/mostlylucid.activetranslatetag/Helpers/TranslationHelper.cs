@@ -18,13 +18,29 @@ public class TranslationHelper
     }
 
     /// <summary>
-    /// Get the current user's preferred language from cookie or default to English
+    /// Request header carrying the page's current language, sent on htmx requests by translation-htmx.js
+    /// </summary>
+    public const string LanguageHeader = "X-Translation-Language";
+
+    /// <summary>
+    /// Get the current user's preferred language from the page URL (see UseLanguageUrls), the
+    /// X-Translation-Language header, the cookie, the Accept-Language header, or default to English
     /// </summary>
     public string GetCurrentLanguage()
     {
         var context = _httpContextAccessor.HttpContext;
         if (context == null) return "en";
 
+        // A language in the page URL wins, so shared links render in their language
+        var urlLanguage = LanguageUrl.GetLanguage(context);
+        if (urlLanguage != null)
+            return urlLanguage;
+
+        // htmx requests name the language the page is showing, so fragments match it
+        var headerLanguage = context.Request.Headers?[LanguageHeader].ToString();
+        if (LanguageUrl.IsLanguageCode(headerLanguage))
+            return headerLanguage;
+
         // Try to get language from cookie
         if (context.Request.Cookies.TryGetValue("preferred-language", out var lang))
             return lang;
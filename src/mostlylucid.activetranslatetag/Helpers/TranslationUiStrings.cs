@@ -0,0 +1,50 @@
+namespace mostlylucid.activetranslatetag.Helpers;
+
+/// <summary>
+/// Strings the translation scripts show in their own UI: loading indicator, notifications, progress, language
+/// suggestion, in-context editor and the language-select label. Each one is the translation key
+/// KeyPrefix + name, so it is stored and translated like page content.
+/// </summary>
+public static class TranslationUiStrings
+{
+    /// <summary>
+    /// Prefix of the UI string keys, e.g. translation.ui.loading
+    /// </summary>
+    public const string KeyPrefix = "translation.ui.";
+
+    /// <summary>
+    /// English text by name, matching UI_STRINGS in translation-bundle.js. {placeholders} are message parameters.
+    /// </summary>
+    public static IReadOnlyDictionary<string, string> Defaults { get; } = new Dictionary<string, string>
+    {
+        ["loading"] = "Loading translations...",
+        ["languageChanged"] = "Language changed to {language}",
+        ["languageChangedOffline"] = "Language changed to {language} (offline: some text is not translated yet)",
+        ["switchFailed"] = "Failed to switch language",
+        ["translating"] = "Translating…",
+        ["translationsComplete"] = "Translations complete",
+        ["translationsCompleted"] = "{count, plural, one {# translation completed} other {# translations completed}}",
+        ["progressCurrent"] = "Current: {key}",
+        ["close"] = "Close",
+        ["suggestionLabel"] = "Language suggestion",
+        ["suggestionText"] = "This page is available in {language}.",
+        ["suggestionAccept"] = "Switch to {language}",
+        ["suggestionDismiss"] = "No thanks",
+        ["editorLabel"] = "Edit translation",
+        ["editorCategory"] = "Category",
+        ["editorDescription"] = "Description",
+        ["editorSource"] = "Source",
+        ["editorTranslation"] = "Translation",
+        ["editorCancel"] = "Cancel",
+        ["editorSave"] = "Save",
+        ["editorNeedsLanguage"] = "Switch to a translated language to edit translations",
+        ["translationSaved"] = "Translation saved",
+        ["saveFailed"] = "Failed to save translation",
+        ["languageSelectLabel"] = "Language"
+    };
+
+    /// <summary>
+    /// Translation key of a UI string
+    /// </summary>
+    public static string KeyFor(string name) => KeyPrefix + name;
+}
@@ -2,6 +2,12 @@ namespace mostlylucid.activetranslatetag.Models;
 
 public record TranslationStringDto(string Key, string DefaultText, string? TranslatedText);
 
+public record TranslationEntryDto(string Key, string DefaultText, string? TranslatedText, string? Category, string? Context);
+
+public record MissingKeyDto(string Key, string? SourceText, string? Hash, string? Url);
+
+public record MissingKeysReportDto(string LanguageCode, List<MissingKeyDto> Keys);
+
 public record TranslationProgress(int Total, int Completed, string? CurrentKey);
 
 public record TranslationStats(
@@ -0,0 +1,159 @@
+using System.Collections.Concurrent;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Hubs;
+using mostlylucid.activetranslatetag.Models;
+
+namespace mostlylucid.activetranslatetag.Services;
+
+/// <summary>
+/// Translates strings missing from a language outside the request that found them, for every storage provider.
+/// Results are saved through ITranslationService as AI-generated and broadcast on the TranslationHub.
+/// </summary>
+internal sealed class BackgroundTranslator
+{
+    // Language/key pairs being translated, so that pages and missing-key reports asking for the same
+    // string at once translate it only once
+    private readonly ConcurrentDictionary<(string LanguageCode, string Key), byte> _inFlight = new();
+
+    private readonly IHubContext<TranslationHub> _hubContext;
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<BackgroundTranslator> _logger;
+    private readonly string _defaultLanguage;
+
+    public BackgroundTranslator(
+        IHubContext<TranslationHub> hubContext,
+        IServiceScopeFactory scopeFactory,
+        ILogger<BackgroundTranslator> logger,
+        TranslationStorageOptions storageOptions)
+    {
+        _hubContext = hubContext;
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+        _defaultLanguage = storageOptions.DefaultLanguage;
+    }
+
+    /// <summary>
+    /// Starts translating the given strings and returns how many were handed to the job,
+    /// skipping those already being translated
+    /// </summary>
+    public int Start(string languageCode, IReadOnlyCollection<(string Key, string DefaultText)> missing)
+    {
+        var queued = missing.Where(m => _inFlight.TryAdd((languageCode, m.Key), 0)).ToList();
+        if (queued.Count == 0)
+            return 0;
+
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                await TranslateAsync(languageCode, queued);
+            }
+            finally
+            {
+                foreach (var m in queued)
+                    _inFlight.TryRemove((languageCode, m.Key), out _);
+            }
+        }, CancellationToken.None);
+
+        return queued.Count;
+    }
+
+    private async Task TranslateAsync(string languageCode, List<(string Key, string DefaultText)> missing)
+    {
+        // Do NOT use the HTTP request CancellationToken or scoped services after the request ends.
+        // Create a new scope and use a fresh TranslationService instance.
+        using var scope = _scopeFactory.CreateScope();
+        var translationService = scope.ServiceProvider.GetRequiredService<ITranslationService>();
+        var ai = scope.ServiceProvider.GetRequiredService<IAiTranslationProvider>();
+
+        var bgCt = CancellationToken.None; // prevent disposal-related cancellations
+
+        // Progress tracking context
+        var jobId = Guid.NewGuid().ToString("N");
+        var total = missing.Count;
+        var completed = 0;
+
+        try
+        {
+            // Broadcast initial progress (0%)
+            await _hubContext.Clients.All.SendAsync("TranslationProgress", new
+            {
+                JobId = jobId,
+                Total = total,
+                Completed = completed,
+                CurrentKey = (string?)null,
+                Percentage = 0
+            }, bgCt);
+
+            Dictionary<string, string> map;
+            try
+            {
+                map = await ai.TranslateBatchAsync(missing.ToDictionary(m => m.Key, m => m.DefaultText), languageCode, _defaultLanguage, null, bgCt);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Batch translation failed, falling back to per-item translation");
+                map = new Dictionary<string, string>();
+            }
+
+            foreach (var m in missing)
+            {
+                // Notify current key being processed
+                await _hubContext.Clients.All.SendAsync("TranslationProgress", new
+                {
+                    JobId = jobId,
+                    Total = total,
+                    Completed = completed,
+                    CurrentKey = m.Key,
+                    Percentage = completed / (double)total * 100.0
+                }, bgCt);
+
+                try
+                {
+                    if (!map.TryGetValue(m.Key, out var translated) || string.IsNullOrWhiteSpace(translated))
+                        translated = await ai.TranslateAsync(m.DefaultText, languageCode, _defaultLanguage, null, bgCt);
+
+                    if (!await translationService.SetTranslationAsync(m.Key, languageCode, translated, TranslationSource.AiGenerated, bgCt))
+                        continue;
+
+                    // Broadcast the updated string
+                    await _hubContext.Clients.All.SendAsync("StringTranslated", new
+                    {
+                        Key = m.Key,
+                        LanguageCode = languageCode,
+                        TranslatedText = translated
+                    }, bgCt);
+
+                    // Increment and broadcast progress
+                    completed++;
+                    await _hubContext.Clients.All.SendAsync("TranslationProgress", new
+                    {
+                        JobId = jobId,
+                        Total = total,
+                        Completed = completed,
+                        CurrentKey = m.Key,
+                        Percentage = completed / (double)total * 100.0
+                    }, bgCt);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogWarning(ex, "Failed to save/broadcast translation for {Key} ({Lang})", m.Key, languageCode);
+                }
+            }
+
+            // Broadcast completion
+            await _hubContext.Clients.All.SendAsync("TranslationComplete", new
+            {
+                JobId = jobId,
+                TranslatedCount = completed
+            }, bgCt);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Background translation failed for {Lang}", languageCode);
+        }
+    }
+}
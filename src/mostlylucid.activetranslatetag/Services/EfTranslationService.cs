@@ -20,6 +20,8 @@ public class EfTranslationService : ITranslationService
 
     private readonly bool _enableMemoryCache;
     private readonly int _cacheDurationMinutes;
+    // Language the keys' default text is written in; it is served as-is rather than looked up
+    private readonly string _defaultLanguage;
 
     public EfTranslationService(
         ITranslationDbContext db,
@@ -28,7 +30,8 @@ public class EfTranslationService : ITranslationService
         RequestTranslationCache requestCache,
         ILogger<EfTranslationService> logger,
         bool enableMemoryCache = true,
-        int cacheDurationMinutes = 60)
+        int cacheDurationMinutes = 60,
+        string defaultLanguage = "en")
     {
         _db = db;
         _ai = ai;
@@ -37,6 +40,7 @@ public class EfTranslationService : ITranslationService
         _logger = logger;
         _enableMemoryCache = enableMemoryCache;
         _cacheDurationMinutes = cacheDurationMinutes;
+        _defaultLanguage = defaultLanguage;
     }
 
     public async Task<string> GetAsync(string key, string languageCode, CancellationToken ct = default)
@@ -61,7 +65,7 @@ public class EfTranslationService : ITranslationService
             return key; // fallback to key
         }
 
-        if (string.Equals(languageCode, "en", StringComparison.OrdinalIgnoreCase))
+        if (string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase))
         {
             if (_enableMemoryCache)
                 _cache.Set(cacheKey, ts.DefaultText, TimeSpan.FromMinutes(_cacheDurationMinutes));
@@ -81,6 +85,49 @@ public class EfTranslationService : ITranslationService
         return result;
     }
 
+    public async Task<Dictionary<string, string>> GetManyAsync(IEnumerable<string> keys, string languageCode, CancellationToken ct = default)
+    {
+        var result = new Dictionary<string, string>();
+        var uncached = new List<string>();
+        foreach (var key in keys.Distinct())
+        {
+            if (_requestCache.TryGet(languageCode, key, out var reqCached) && reqCached != null)
+                result[key] = reqCached;
+            else if (_enableMemoryCache && _cache.TryGetValue<string>($"trans:{languageCode}:{key}", out var cached))
+                result[key] = cached!;
+            else
+                uncached.Add(key);
+        }
+        if (uncached.Count == 0)
+            return result;
+
+        // One query for every key the caches did not have
+        var items = await _db.TranslationStrings
+            .AsNoTracking()
+            .Where(ts => uncached.Contains(ts.Key))
+            .Select(ts => new
+            {
+                ts.Key,
+                ts.DefaultText,
+                Translated = ts.Translations
+                    .Where(t => t.LanguageCode == languageCode)
+                    .Select(t => t.TranslatedText)
+                    .FirstOrDefault()
+            })
+            .ToListAsync(ct);
+
+        var isDefault = string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase);
+        foreach (var it in items)
+        {
+            var text = isDefault ? it.DefaultText : it.Translated ?? it.DefaultText;
+            if (_enableMemoryCache)
+                _cache.Set($"trans:{languageCode}:{it.Key}", text, TimeSpan.FromMinutes(_cacheDurationMinutes));
+            _requestCache.Set(languageCode, it.Key, text);
+            result[it.Key] = text;
+        }
+        return result;
+    }
+
     public async Task<int> EnsureStringAsync(string key, string defaultText, string? category = null, string? context = null, CancellationToken ct = default)
     {
         var existing = await _db.TranslationStrings.FirstOrDefaultAsync(x => x.Key == key, ct);
@@ -191,4 +238,48 @@ public class EfTranslationService : ITranslationService
             .ToListAsync(ct);
         return data;
     }
+
+    public async Task<TranslationEntryDto?> GetEntryAsync(string key, string languageCode, CancellationToken ct = default)
+    {
+        return await _db.TranslationStrings
+            .AsNoTracking()
+            .Where(ts => ts.Key == key)
+            .Select(ts => new TranslationEntryDto(
+                ts.Key,
+                ts.DefaultText,
+                ts.Translations.Where(t => t.LanguageCode == languageCode).Select(t => t.TranslatedText).FirstOrDefault(),
+                ts.Category,
+                ts.Context))
+            .FirstOrDefaultAsync(ct);
+    }
+
+    public async Task<bool> SetTranslationAsync(string key, string languageCode, string translatedText, TranslationSource source = TranslationSource.Manual, CancellationToken ct = default)
+    {
+        var ts = await _db.TranslationStrings.AsNoTracking().FirstOrDefaultAsync(x => x.Key == key, ct);
+        if (ts == null)
+            return false;
+
+        var entity = await _db.Translations.FirstOrDefaultAsync(t => t.TranslationStringId == ts.Id && t.LanguageCode == languageCode, ct);
+        if (entity == null)
+        {
+            entity = new Translation
+            {
+                TranslationStringId = ts.Id,
+                LanguageCode = languageCode,
+                CreatedAtUtc = DateTime.UtcNow
+            };
+            _db.Translations.Add(entity);
+        }
+        entity.TranslatedText = translatedText;
+        entity.Source = source;
+        entity.AiModel = null;
+        entity.IsApproved = source == TranslationSource.Manual;
+        entity.UpdatedAtUtc = DateTime.UtcNow;
+        await _db.SaveChangesAsync(ct);
+
+        // The cached text is the previous translation
+        _cache.Remove($"trans:{languageCode}:{key}");
+        _requestCache.Set(languageCode, key, translatedText);
+        return true;
+    }
 }
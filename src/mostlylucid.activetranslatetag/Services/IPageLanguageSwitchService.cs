@@ -1,3 +1,5 @@
+using mostlylucid.activetranslatetag.Models;
+
 namespace mostlylucid.activetranslatetag.Services;
 
 /// <summary>
@@ -14,4 +16,14 @@ public interface IPageLanguageSwitchService
     /// <param name="ct">Cancellation token.</param>
     /// <returns>Concatenated HTML string containing OOB swap elements.</returns>
     Task<string> BuildSwitchResponseAsync(string languageCode, IEnumerable<string> keys, CancellationToken ct = default);
+
+    /// <summary>
+    /// Queues translation of keys a browser reported as missing. Only keys already registered on the server are
+    /// queued, and always from their stored default text; the reported source text is informational.
+    /// </summary>
+    /// <param name="languageCode">Target ISO language code.</param>
+    /// <param name="keys">Keys reported by the client.</param>
+    /// <param name="ct">Cancellation token.</param>
+    /// <returns>Number of keys queued for translation.</returns>
+    Task<int> QueueMissingAsync(string languageCode, IReadOnlyCollection<MissingKeyDto> keys, CancellationToken ct = default);
 }
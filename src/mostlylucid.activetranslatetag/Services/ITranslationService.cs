@@ -13,6 +13,12 @@ public interface ITranslationService
     /// </summary>
     Task<string> GetAsync(string key, string languageCode, CancellationToken ct = default);
 
+    /// <summary>
+    /// Get translated text for several keys in one lookup, falling back to default text like GetAsync.
+    /// Keys that are not registered are left out of the result.
+    /// </summary>
+    Task<Dictionary<string, string>> GetManyAsync(IEnumerable<string> keys, string languageCode, CancellationToken ct = default);
+
     /// <summary>
     /// Get or create a translation string by key
     /// </summary>
@@ -37,4 +43,17 @@ public interface ITranslationService
     /// Get all translation strings with their translations for a language
     /// </summary>
     Task<List<TranslationStringDto>> GetAllStringsWithTranslationsAsync(string languageCode, CancellationToken ct = default);
+
+    /// <summary>
+    /// Get a string's source text, category and context with its translation for a language.
+    /// Returns null if the key does not exist.
+    /// </summary>
+    Task<TranslationEntryDto?> GetEntryAsync(string key, string languageCode, CancellationToken ct = default);
+
+    /// <summary>
+    /// Save a translation for an existing key, replacing any earlier text. By default it is stored as a
+    /// human-reviewed translation; pass TranslationSource.AiGenerated for machine output that still needs review.
+    /// Returns false if the key does not exist.
+    /// </summary>
+    Task<bool> SetTranslationAsync(string key, string languageCode, string translatedText, TranslationSource source = TranslationSource.Manual, CancellationToken ct = default);
 }
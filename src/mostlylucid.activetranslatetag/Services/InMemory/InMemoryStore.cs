@@ -63,7 +63,9 @@ public class InMemoryStore
         if (existing != null)
         {
             existing.TranslatedText = translation.TranslatedText;
+            existing.Source = translation.Source;
             existing.AiModel = translation.AiModel;
+            existing.IsApproved = translation.IsApproved;
             existing.UpdatedAtUtc = DateTime.UtcNow;
         }
         else
@@ -17,6 +17,8 @@ public class InMemoryTranslationService : ITranslationService
     private readonly ILogger<InMemoryTranslationService> _logger;
     private readonly bool _enableMemoryCache;
     private readonly int _cacheDurationMinutes;
+    // Language the keys' default text is written in; it is served as-is rather than looked up
+    private readonly string _defaultLanguage;
 
     public InMemoryTranslationService(
         InMemoryStore store,
@@ -25,7 +27,8 @@ public class InMemoryTranslationService : ITranslationService
         RequestTranslationCache requestCache,
         ILogger<InMemoryTranslationService> logger,
         bool enableMemoryCache = true,
-        int cacheDurationMinutes = 60)
+        int cacheDurationMinutes = 60,
+        string defaultLanguage = "en")
     {
         _store = store;
         _ai = ai;
@@ -34,6 +37,7 @@ public class InMemoryTranslationService : ITranslationService
         _logger = logger;
         _enableMemoryCache = enableMemoryCache;
         _cacheDurationMinutes = cacheDurationMinutes;
+        _defaultLanguage = defaultLanguage;
     }
 
     public async Task<string> GetAsync(string key, string languageCode, CancellationToken ct = default)
@@ -55,7 +59,7 @@ public class InMemoryTranslationService : ITranslationService
             return key;
         }
 
-        if (string.Equals(languageCode, "en", StringComparison.OrdinalIgnoreCase))
+        if (string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase))
         {
             if (_enableMemoryCache)
                 _cache.Set(cacheKey, ts.DefaultText, TimeSpan.FromMinutes(_cacheDurationMinutes));
@@ -71,6 +75,20 @@ public class InMemoryTranslationService : ITranslationService
         return result;
     }
 
+    public async Task<Dictionary<string, string>> GetManyAsync(IEnumerable<string> keys, string languageCode, CancellationToken ct = default)
+    {
+        var wanted = keys.ToHashSet(StringComparer.Ordinal);
+        var strings = await _store.GetAllStringsAsync(ct);
+        var isDefault = string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase);
+        return strings
+            .Where(ts => wanted.Contains(ts.Key))
+            .ToDictionary(
+                ts => ts.Key,
+                ts => isDefault
+                    ? ts.DefaultText
+                    : ts.Translations.FirstOrDefault(t => t.LanguageCode == languageCode)?.TranslatedText ?? ts.DefaultText);
+    }
+
     public async Task<int> EnsureStringAsync(string key, string defaultText, string? category = null, string? context = null, CancellationToken ct = default)
     {
         var existing = await _store.GetStringAsync(key, ct);
@@ -157,4 +175,36 @@ public class InMemoryTranslationService : ITranslationService
             ts.Translations.FirstOrDefault(t => t.LanguageCode == lang)?.TranslatedText
         )).ToList();
     }
+
+    public async Task<TranslationEntryDto?> GetEntryAsync(string key, string languageCode, CancellationToken ct = default)
+    {
+        var ts = await _store.GetStringAsync(key, ct);
+        if (ts == null)
+            return null;
+
+        var translation = await _store.GetTranslationAsync(key, languageCode, ct);
+        return new TranslationEntryDto(ts.Key, ts.DefaultText, translation?.TranslatedText, ts.Category, ts.Context);
+    }
+
+    public async Task<bool> SetTranslationAsync(string key, string languageCode, string translatedText, TranslationSource source = TranslationSource.Manual, CancellationToken ct = default)
+    {
+        var ts = await _store.GetStringAsync(key, ct);
+        if (ts == null)
+            return false;
+
+        await _store.UpsertTranslationAsync(ts.Id, new Translation
+        {
+            LanguageCode = languageCode,
+            TranslatedText = translatedText,
+            Source = source,
+            IsApproved = source == TranslationSource.Manual,
+            CreatedAtUtc = DateTime.UtcNow,
+            UpdatedAtUtc = DateTime.UtcNow
+        }, ct);
+
+        if (_enableMemoryCache)
+            _cache.Remove($"trans:{languageCode}:{key}");
+        _requestCache.Set(languageCode, key, translatedText);
+        return true;
+    }
 }
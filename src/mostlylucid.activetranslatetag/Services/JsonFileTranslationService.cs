@@ -17,6 +17,8 @@ public class JsonFileTranslationService : ITranslationService
     private readonly ILogger<JsonFileTranslationService> _logger;
     private readonly bool _enableMemoryCache;
     private readonly int _cacheDurationMinutes;
+    // Language the keys' default text is written in; it is served as-is rather than looked up
+    private readonly string _defaultLanguage;
 
     public JsonFileTranslationService(
         JsonFileTranslationStore store,
@@ -25,7 +27,8 @@ public class JsonFileTranslationService : ITranslationService
         RequestTranslationCache requestCache,
         ILogger<JsonFileTranslationService> logger,
         bool enableMemoryCache = true,
-        int cacheDurationMinutes = 60)
+        int cacheDurationMinutes = 60,
+        string defaultLanguage = "en")
     {
         _store = store;
         _ai = ai;
@@ -34,6 +37,7 @@ public class JsonFileTranslationService : ITranslationService
         _logger = logger;
         _enableMemoryCache = enableMemoryCache;
         _cacheDurationMinutes = cacheDurationMinutes;
+        _defaultLanguage = defaultLanguage;
     }
 
     public async Task<string> GetAsync(string key, string languageCode, CancellationToken ct = default)
@@ -59,7 +63,7 @@ public class JsonFileTranslationService : ITranslationService
         }
 
         // If requesting default language, return default text
-        if (languageCode == "en")
+        if (string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase))
         {
             if (_enableMemoryCache)
             {
@@ -81,6 +85,50 @@ public class JsonFileTranslationService : ITranslationService
         return result;
     }
 
+    public async Task<Dictionary<string, string>> GetManyAsync(IEnumerable<string> keys, string languageCode, CancellationToken ct = default)
+    {
+        var result = new Dictionary<string, string>();
+        var uncached = new HashSet<string>();
+        foreach (var key in keys)
+        {
+            if (_requestCache.TryGet(languageCode, key, out var requestCached) && requestCached != null)
+            {
+                result[key] = requestCached;
+            }
+            else if (_enableMemoryCache && _cache.TryGetValue<string>($"trans:{languageCode}:{key}", out var cached))
+            {
+                result[key] = cached!;
+            }
+            else
+            {
+                uncached.Add(key);
+            }
+        }
+
+        if (uncached.Count == 0)
+        {
+            return result;
+        }
+
+        // One read of the store for every key the caches did not have
+        var strings = await _store.GetAllStringsAsync(ct);
+        foreach (var str in strings.Where(s => uncached.Contains(s.Key)))
+        {
+            var text = string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase)
+                ? str.DefaultText
+                : str.Translations.FirstOrDefault(t => t.LanguageCode == languageCode)?.TranslatedText ?? str.DefaultText;
+
+            if (_enableMemoryCache)
+            {
+                _cache.Set($"trans:{languageCode}:{str.Key}", text, TimeSpan.FromMinutes(_cacheDurationMinutes));
+            }
+            _requestCache.Set(languageCode, str.Key, text);
+            result[str.Key] = text;
+        }
+
+        return result;
+    }
+
     public async Task<int> EnsureStringAsync(string key, string defaultText, string? category = null, string? context = null, CancellationToken ct = default)
     {
         var existing = await _store.GetStringAsync(key, ct);
@@ -130,7 +178,7 @@ public class JsonFileTranslationService : ITranslationService
 
             try
             {
-                var translatedText = await _ai.TranslateAsync(str.DefaultText, targetLanguage, "en", str.Context, ct);
+                var translatedText = await _ai.TranslateAsync(str.DefaultText, targetLanguage, _defaultLanguage, str.Context, ct);
 
                 var translation = new Translation
                 {
@@ -173,7 +221,7 @@ public class JsonFileTranslationService : ITranslationService
         var allStrings = await _store.GetAllStringsAsync(ct);
         var totalStrings = allStrings.Count;
 
-        if (languageCode == "en")
+        if (string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase))
         {
             return new TranslationStats(
                 LanguageCode: languageCode,
@@ -215,4 +263,43 @@ public class JsonFileTranslationService : ITranslationService
 
         return result;
     }
+
+    public async Task<TranslationEntryDto?> GetEntryAsync(string key, string languageCode, CancellationToken ct = default)
+    {
+        var str = await _store.GetStringAsync(key, ct);
+        if (str == null)
+        {
+            return null;
+        }
+
+        var translation = await _store.GetTranslationAsync(key, languageCode, ct);
+        return new TranslationEntryDto(str.Key, str.DefaultText, translation?.TranslatedText, str.Category, str.Context);
+    }
+
+    public async Task<bool> SetTranslationAsync(string key, string languageCode, string translatedText, TranslationSource source = TranslationSource.Manual, CancellationToken ct = default)
+    {
+        var str = await _store.GetStringAsync(key, ct);
+        if (str == null)
+        {
+            return false;
+        }
+
+        await _store.UpsertTranslationAsync(str.Id, new Translation
+        {
+            LanguageCode = languageCode,
+            TranslatedText = translatedText,
+            Source = source,
+            IsApproved = source == TranslationSource.Manual,
+            CreatedAtUtc = DateTime.UtcNow,
+            UpdatedAtUtc = DateTime.UtcNow
+        }, ct);
+
+        // Invalidate cache
+        if (_enableMemoryCache)
+        {
+            _cache.Remove($"trans:{languageCode}:{key}");
+        }
+        _requestCache.Set(languageCode, key, translatedText);
+        return true;
+    }
 }
@@ -1,30 +1,32 @@
 using System.Text;
-using Microsoft.AspNetCore.SignalR;
 using Microsoft.Extensions.Logging;
-using mostlylucid.activetranslatetag.Hubs;
+using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Models;
 
 namespace mostlylucid.activetranslatetag.Services;
 
 /// <summary>
 /// Language switch service for JSON-file backed storage that does not depend on a DbContext.
 /// It renders OOB swaps for requested keys via ITranslationService and updates the current language indicator.
-/// Optionally, a background translation job for all strings can be triggered by calling TranslateAllStringsAsync
-/// elsewhere (e.g., admin action). This class keeps runtime dependencies minimal for file-based deployments.
+/// Keys reported missing by the browser are translated by BackgroundTranslator, as for the database providers.
 /// </summary>
 internal sealed class JsonPageLanguageSwitchService : IPageLanguageSwitchService
 {
     private readonly ITranslationService _translationService;
-    private readonly IHubContext<TranslationHub> _hubContext;
+    private readonly BackgroundTranslator _backgroundTranslator;
     private readonly ILogger<JsonPageLanguageSwitchService> _logger;
+    private readonly string _defaultLanguage;
 
     public JsonPageLanguageSwitchService(
         ITranslationService translationService,
-        IHubContext<TranslationHub> hubContext,
-        ILogger<JsonPageLanguageSwitchService> logger)
+        BackgroundTranslator backgroundTranslator,
+        ILogger<JsonPageLanguageSwitchService> logger,
+        TranslationStorageOptions storageOptions)
     {
         _translationService = translationService;
-        _hubContext = hubContext;
+        _backgroundTranslator = backgroundTranslator;
         _logger = logger;
+        _defaultLanguage = storageOptions.DefaultLanguage;
     }
 
     public async Task<string> BuildSwitchResponseAsync(string languageCode, IEnumerable<string> keys, CancellationToken ct = default)
@@ -45,7 +47,7 @@ internal sealed class JsonPageLanguageSwitchService : IPageLanguageSwitchService
             {
                 var text = await _translationService.GetAsync(key, languageCode, ct);
                 var elementId = $"t-{Helpers.ContentHash.Generate(key)}";
-                html.AppendLine($"<span id=\"{elementId}\" hx-swap-oob=\"innerHTML\">{System.Net.WebUtility.HtmlEncode(text)}</span>");
+                html.AppendLine($"<span id=\"{elementId}\" data-translate-key=\"{System.Net.WebUtility.HtmlEncode(key)}\" hx-swap-oob=\"innerHTML\">{System.Net.WebUtility.HtmlEncode(text)}</span>");
             }
             catch (Exception ex)
             {
@@ -58,4 +60,25 @@ internal sealed class JsonPageLanguageSwitchService : IPageLanguageSwitchService
 
         return html.ToString();
     }
+
+    public async Task<int> QueueMissingAsync(string languageCode, IReadOnlyCollection<MissingKeyDto> keys, CancellationToken ct = default)
+    {
+        if (string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase))
+            return 0;
+
+        var requested = keys.Select(k => k.Key).Distinct().ToList();
+        var missing = new List<(string Key, string DefaultText)>();
+        foreach (var key in requested)
+        {
+            // Unregistered keys are skipped: the report is anonymous, so it must not add strings to the store
+            var entry = await _translationService.GetEntryAsync(key, languageCode, ct);
+            if (entry != null && string.IsNullOrEmpty(entry.TranslatedText))
+                missing.Add((entry.Key, entry.DefaultText));
+        }
+
+        _logger.LogDebug("Browser reported {Reported} missing keys for {Lang}, {Untranslated} registered and untranslated",
+            requested.Count, languageCode, missing.Count);
+
+        return _backgroundTranslator.Start(languageCode, missing);
+    }
 }
@@ -1,12 +1,9 @@
 using System.Text;
-using System.Text.Json;
-using Microsoft.AspNetCore.SignalR;
 using Microsoft.EntityFrameworkCore;
-using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Logging;
+using mostlylucid.activetranslatetag.Configuration;
 using mostlylucid.activetranslatetag.Data;
 using mostlylucid.activetranslatetag.Helpers;
-using mostlylucid.activetranslatetag.Hubs;
 using mostlylucid.activetranslatetag.Models;
 
 namespace mostlylucid.activetranslatetag.Services;
@@ -14,26 +11,20 @@ namespace mostlylucid.activetranslatetag.Services;
 internal sealed class PageLanguageSwitchService : IPageLanguageSwitchService
 {
     private readonly ITranslationDbContext _db;
-    private readonly ITranslationService _translationService;
-    private readonly IHubContext<TranslationHub> _hubContext;
-    private readonly IAiTranslationProvider _ai;
+    private readonly BackgroundTranslator _backgroundTranslator;
     private readonly ILogger<PageLanguageSwitchService> _logger;
-    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly string _defaultLanguage;
 
     public PageLanguageSwitchService(
         ITranslationDbContext db,
-        ITranslationService translationService,
-        IHubContext<TranslationHub> hubContext,
-        IAiTranslationProvider ai,
+        BackgroundTranslator backgroundTranslator,
         ILogger<PageLanguageSwitchService> logger,
-        IServiceScopeFactory scopeFactory)
+        TranslationStorageOptions storageOptions)
     {
         _db = db;
-        _translationService = translationService;
-        _hubContext = hubContext;
-        _ai = ai;
+        _backgroundTranslator = backgroundTranslator;
         _logger = logger;
-        _scopeFactory = scopeFactory;
+        _defaultLanguage = storageOptions.DefaultLanguage;
     }
 
     public async Task<string> BuildSwitchResponseAsync(string languageCode, IEnumerable<string> keys, CancellationToken ct = default)
@@ -52,7 +43,6 @@ internal sealed class PageLanguageSwitchService : IPageLanguageSwitchService
             .Where(ts => requested.Contains(ts.Key))
             .Select(ts => new
             {
-                ts.Id,
                 ts.Key,
                 ts.DefaultText,
                 Translated = ts.Translations
@@ -62,158 +52,52 @@ internal sealed class PageLanguageSwitchService : IPageLanguageSwitchService
             })
             .ToListAsync(ct);
 
-        var missing = new List<(int Id, string Key, string DefaultText)>();
+        var missing = new List<(string Key, string DefaultText)>();
 
         foreach (var it in items)
         {
             var elementId = $"t-{ContentHash.Generate(it.Key)}";
             if (!string.IsNullOrEmpty(it.Translated))
             {
-                html.AppendLine($"<span id=\"{elementId}\" hx-swap-oob=\"innerHTML\">{it.Translated}</span>");
+                // data-translate-key lets the client also apply the text to data-translate-attr bindings
+                html.AppendLine($"<span id=\"{elementId}\" data-translate-key=\"{System.Net.WebUtility.HtmlEncode(it.Key)}\" hx-swap-oob=\"innerHTML\">{it.Translated}</span>");
             }
             else
             {
-                missing.Add((it.Id, it.Key, it.DefaultText));
+                missing.Add((it.Key, it.DefaultText));
             }
         }
 
         // Always update indicator
         html.AppendLine($"<span id=\"current-lang\" hx-swap-oob=\"innerHTML\">{languageCode.ToUpperInvariant()}</span>");
 
-        if (missing.Count > 0 && !string.Equals(languageCode, "en", StringComparison.OrdinalIgnoreCase))
+        if (!string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase))
         {
-            _ = Task.Run(() => BackgroundTranslateAsync(languageCode, missing), CancellationToken.None);
+            _backgroundTranslator.Start(languageCode, missing);
         }
 
         return html.ToString();
     }
 
-    private async Task BackgroundTranslateAsync(string languageCode, List<(int Id, string Key, string DefaultText)> missing)
+    public async Task<int> QueueMissingAsync(string languageCode, IReadOnlyCollection<MissingKeyDto> keys, CancellationToken ct = default)
     {
-        // Do NOT use the HTTP request CancellationToken or scoped services after the request ends.
-        // Create a new scope and use a fresh DbContext and TranslationService instance.
-        using var scope = _scopeFactory.CreateScope();
-        var db = scope.ServiceProvider.GetRequiredService<ITranslationDbContext>();
-        var translationService = scope.ServiceProvider.GetRequiredService<ITranslationService>();
-        var ai = scope.ServiceProvider.GetRequiredService<IAiTranslationProvider>();
+        if (string.Equals(languageCode, _defaultLanguage, StringComparison.OrdinalIgnoreCase))
+            return 0;
 
-        var bgCt = CancellationToken.None; // prevent disposal-related cancellations
-
-        // Progress tracking context
-        var jobId = Guid.NewGuid().ToString("N");
-        var total = missing.Count;
-        var completed = 0;
-
-        try
-        {
-            // Build batch and ask for JSON array response only
-            var inputs = missing.ToDictionary(x => x.Key, x => x.DefaultText);
+        var requested = keys.Select(k => k.Key).Distinct().ToList();
+        if (requested.Count == 0)
+            return 0;
 
-            // Broadcast initial progress (0%)
-            await _hubContext.Clients.All.SendAsync("TranslationProgress", new
-            {
-                JobId = jobId,
-                Total = total,
-                Completed = completed,
-                CurrentKey = (string?)null,
-                Percentage = total > 0 ? 0 : 100
-            }, bgCt);
-
-            Dictionary<string, string> map;
-            try
-            {
-                map = await ai.TranslateBatchAsync(inputs, languageCode, "en", null, bgCt);
-            }
-            catch (Exception ex)
-            {
-                _logger.LogWarning(ex, "Batch translation failed, falling back to per-item translation");
-                map = new Dictionary<string, string>();
-            }
+        var missing = await _db.TranslationStrings
+            .AsNoTracking()
+            .Where(ts => requested.Contains(ts.Key) &&
+                         !ts.Translations.Any(t => t.LanguageCode == languageCode && !string.IsNullOrEmpty(t.TranslatedText)))
+            .Select(ts => new { ts.Key, ts.DefaultText })
+            .ToListAsync(ct);
 
-            foreach (var m in missing)
-            {
-                // Notify current key being processed
-                await _hubContext.Clients.All.SendAsync("TranslationProgress", new
-                {
-                    JobId = jobId,
-                    Total = total,
-                    Completed = completed,
-                    CurrentKey = m.Key,
-                    Percentage = total > 0 ? (completed / (double)total) * 100.0 : 0
-                }, bgCt);
-
-                string translated;
-                if (!map.TryGetValue(m.Key, out var translatedFromBatch) || string.IsNullOrWhiteSpace(translatedFromBatch))
-                {
-                    // Fallback per-item translate
-                    translated = await ai.TranslateAsync(m.DefaultText, languageCode, "en", null, bgCt);
-                }
-                else
-                {
-                    translated = translatedFromBatch;
-                }
-
-                try
-                {
-                    var existing = await db.Translations
-                        .Where(t => t.TranslationStringId == m.Id && t.LanguageCode == languageCode)
-                        .FirstOrDefaultAsync(bgCt);
-
-                    if (existing != null)
-                    {
-                        existing.TranslatedText = translated;
-                        existing.UpdatedAtUtc = DateTime.UtcNow;
-                        existing.Source = TranslationSource.AiGenerated;
-                    }
-                    else
-                    {
-                        db.Translations.Add(new Translation
-                        {
-                            TranslationStringId = m.Id,
-                            LanguageCode = languageCode,
-                            TranslatedText = translated,
-                            Source = TranslationSource.AiGenerated,
-                            AiModel = "Translation AI"
-                        });
-                    }
-
-                    await db.SaveChangesAsync(bgCt);
-
-                    // Broadcast the updated string
-                    await _hubContext.Clients.All.SendAsync("StringTranslated", new
-                    {
-                        Key = m.Key,
-                        LanguageCode = languageCode,
-                        TranslatedText = translated
-                    }, bgCt);
-
-                    // Increment and broadcast progress
-                    completed++;
-                    await _hubContext.Clients.All.SendAsync("TranslationProgress", new
-                    {
-                        JobId = jobId,
-                        Total = total,
-                        Completed = completed,
-                        CurrentKey = m.Key,
-                        Percentage = total > 0 ? (completed / (double)total) * 100.0 : 100
-                    }, bgCt);
-                }
-                catch (Exception ex)
-                {
-                    _logger.LogWarning(ex, "Failed to upsert/broadcast translation for {Key} ({Lang})", m.Key, languageCode);
-                }
-            }
+        _logger.LogDebug("Browser reported {Reported} missing keys for {Lang}, {Untranslated} registered and untranslated",
+            requested.Count, languageCode, missing.Count);
 
-            // Broadcast completion
-            await _hubContext.Clients.All.SendAsync("TranslationComplete", new
-            {
-                JobId = jobId,
-                TranslatedCount = completed
-            }, bgCt);
-        }
-        catch (Exception ex)
-        {
-            _logger.LogError(ex, "Batch translation failed for {Lang}", languageCode);
-        }
+        return _backgroundTranslator.Start(languageCode, missing.Select(m => (m.Key, m.DefaultText)).ToList());
     }
 }
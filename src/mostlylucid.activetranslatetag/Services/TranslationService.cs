@@ -26,6 +26,12 @@ public class TranslationService : ITranslationService
         return Task.FromResult(key);
     }
 
+    public Task<Dictionary<string, string>> GetManyAsync(IEnumerable<string> keys, string languageCode, CancellationToken ct = default)
+    {
+        // Nothing is registered in this minimal implementation
+        return Task.FromResult(new Dictionary<string, string>());
+    }
+
     public Task<int> EnsureStringAsync(string key, string defaultText, string? category = null, string? context = null, CancellationToken ct = default)
     {
         // No persistence in this minimal implementation
@@ -54,4 +60,16 @@ public class TranslationService : ITranslationService
     {
         return Task.FromResult(new List<TranslationStringDto>());
     }
+
+    public Task<TranslationEntryDto?> GetEntryAsync(string key, string languageCode, CancellationToken ct = default)
+    {
+        return Task.FromResult<TranslationEntryDto?>(null);
+    }
+
+    public Task<bool> SetTranslationAsync(string key, string languageCode, string translatedText, TranslationSource source = TranslationSource.Manual, CancellationToken ct = default)
+    {
+        // No persistence in this minimal implementation
+        _logger.LogDebug("SetTranslation called for {Key} ({Lang})", key, languageCode);
+        return Task.FromResult(false);
+    }
 }
\ No newline at end of file
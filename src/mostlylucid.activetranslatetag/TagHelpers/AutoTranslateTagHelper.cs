@@ -113,10 +113,11 @@ public partial class AutoTranslateTagHelper : TagHelper
         // Get or create translation using the plain text
         var translatedText = await _translator.T(translationKey, textForTranslation, Description);
 
-        // Restore HTML tags if we stripped them
+        // Restore HTML tags if we stripped them. Translations that lost or scrambled tags
+        // fall back to the source markup rather than rendering broken HTML.
         if (tagMap != null && tagMap.Count > 0)
         {
-            translatedText = HtmlTextExtractor.RestoreHtmlAfterTranslation(translatedText, tagMap);
+            translatedText = HtmlTextExtractor.RestoreHtmlWithValidation(translatedText, tagMap, originalHtml).Html;
         }
 
         // Generate deterministic ID for HTMX OOB targeting
@@ -128,15 +129,22 @@ public partial class AutoTranslateTagHelper : TagHelper
         output.Attributes.SetAttribute("data-translate-key", translationKey);
         output.Attributes.SetAttribute("data-content-hash", ContentHash.Generate(textForKey));
 
+        if (!string.IsNullOrEmpty(Category))
+        {
+            output.Attributes.SetAttribute("data-translate-category", Category);
+        }
+
         if (!string.IsNullOrEmpty(Description))
         {
             output.Attributes.SetAttribute("data-translate-description", Description);
         }
 
-        // Store whether this element contains HTML for client-side processing
+        // Store whether this element contains HTML for client-side processing; the client
+        // only keeps the tags and attributes of the source markup when injecting translations
         if (HtmlTextExtractor.ContainsHtml(originalHtml))
         {
             output.Attributes.SetAttribute("data-has-html", "true");
+            output.Attributes.SetAttribute("data-html-allowlist", HtmlTextExtractor.BuildMarkupAllowlist(originalHtml));
         }
 
         // Set translated content; allow HTML in translations
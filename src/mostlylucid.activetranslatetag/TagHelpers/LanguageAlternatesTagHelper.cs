@@ -0,0 +1,67 @@
+using System.Net;
+using System.Text;
+using Microsoft.AspNetCore.Mvc.Rendering;
+using Microsoft.AspNetCore.Mvc.ViewFeatures;
+using Microsoft.AspNetCore.Razor.TagHelpers;
+using Microsoft.Extensions.DependencyInjection;
+using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Helpers;
+using mostlylucid.activetranslatetag.Services;
+
+namespace mostlylucid.activetranslatetag.TagHelpers;
+
+/// <summary>
+/// Tag helper for the hreflang alternate links of the current page, one per language plus x-default
+/// Usage: <language-alternates /> in <head>; renders nothing unless AddLanguageUrls is registered
+/// </summary>
+[HtmlTargetElement("language-alternates", TagStructure = TagStructure.WithoutEndTag)]
+public class LanguageAlternatesTagHelper : TagHelper
+{
+    private readonly ITranslationService _translationService;
+
+    /// <summary>
+    /// Languages to link (comma-separated). If empty, uses LanguageUrlOptions.Languages, then all available languages.
+    /// Example: "en,es,fr"
+    /// </summary>
+    [HtmlAttributeName("languages")]
+    public string? Languages { get; set; }
+
+    [ViewContext]
+    [HtmlAttributeNotBound]
+    public ViewContext? ViewContext { get; set; }
+
+    public LanguageAlternatesTagHelper(ITranslationService translationService)
+    {
+        _translationService = translationService;
+    }
+
+    public override async Task ProcessAsync(TagHelperContext context, TagHelperOutput output)
+    {
+        output.TagName = null;
+
+        var request = ViewContext?.HttpContext.Request;
+        var options = ViewContext?.HttpContext.RequestServices.GetService<LanguageUrlOptions>();
+        if (request == null || options == null)
+        {
+            output.SuppressOutput();
+            return;
+        }
+
+        IEnumerable<string> languages = !string.IsNullOrWhiteSpace(Languages)
+            ? Languages.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            : options.Languages.Count > 0
+                ? options.Languages
+                : await _translationService.GetAvailableLanguagesAsync();
+
+        var sb = new StringBuilder();
+        foreach (var lang in languages.Prepend(options.DefaultLanguage).Distinct(StringComparer.OrdinalIgnoreCase))
+        {
+            sb.AppendLine($"<link rel=\"alternate\" hreflang=\"{WebUtility.HtmlEncode(lang)}\" href=\"{WebUtility.HtmlEncode(LanguageUrl.BuildUrl(request, lang, options))}\" />");
+        }
+
+        // The URL without a language serves the default language, or the visitor's saved preference
+        sb.AppendLine($"<link rel=\"alternate\" hreflang=\"x-default\" href=\"{WebUtility.HtmlEncode(LanguageUrl.BuildUrl(request, options.DefaultLanguage, options))}\" />");
+
+        output.Content.SetHtmlContent(sb.ToString());
+    }
+}
@@ -1,5 +1,11 @@
+using Microsoft.AspNetCore.Mvc.Rendering;
+using Microsoft.AspNetCore.Mvc.ViewFeatures;
 using Microsoft.AspNetCore.Razor.TagHelpers;
+using Microsoft.Extensions.DependencyInjection;
+using System.Net;
 using System.Text;
+using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Helpers;
 using mostlylucid.activetranslatetag.Services;
 
 namespace mostlylucid.activetranslatetag.TagHelpers;
@@ -15,7 +21,7 @@ public class LanguageSelectorTagHelper : TagHelper
 
     /// <summary>
     /// Style of the language selector
-    /// Options: "dropdown", "flags", "buttons", "select"
+    /// Options: "dropdown", "flags", "buttons", "select", "element" (the framework-free &lt;language-select&gt;)
     /// Default: "dropdown"
     /// </summary>
     [HtmlAttributeName("style")]
@@ -46,6 +52,10 @@ public class LanguageSelectorTagHelper : TagHelper
     [HtmlAttributeName("languages")]
     public string? Languages { get; set; }
 
+    [ViewContext]
+    [HtmlAttributeNotBound]
+    public ViewContext? ViewContext { get; set; }
+
     public LanguageSelectorTagHelper(ITranslationService translationService)
     {
         _translationService = translationService;
@@ -75,6 +85,7 @@ public class LanguageSelectorTagHelper : TagHelper
             "flags" => RenderFlags(languagesToShow),
             "buttons" => RenderButtons(languagesToShow),
             "select" => RenderSelect(languagesToShow),
+            "element" => RenderElement(languagesToShow),
             _ => RenderDropdown(languagesToShow)
         };
 
@@ -99,7 +110,7 @@ public class LanguageSelectorTagHelper : TagHelper
                          ShowNames ? displayName :
                          lang.ToUpperInvariant();
 
-            sb.AppendLine($"    <li><a class=\"dropdown-item\" href=\"#\" onclick=\"setLanguage('{lang}'); return false;\">{display}</a></li>");
+            sb.AppendLine($"    <li><a class=\"dropdown-item\" {GetLinkAttributes(lang)} onclick=\"setLanguage('{lang}'); return false;\">{display}</a></li>");
         }
 
         sb.AppendLine("  </ul>");
@@ -107,6 +118,18 @@ public class LanguageSelectorTagHelper : TagHelper
         return sb.ToString();
     }
 
+    // With language URLs (AddLanguageUrls) each item links to this page in its language, so crawlers and
+    // middle-clicks reach it; a normal click still switches in place
+    private string GetLinkAttributes(string lang)
+    {
+        var request = ViewContext?.HttpContext.Request;
+        var options = ViewContext?.HttpContext.RequestServices.GetService<LanguageUrlOptions>();
+        if (request == null || options == null)
+            return "href=\"#\"";
+
+        return $"href=\"{WebUtility.HtmlEncode(LanguageUrl.BuildUrl(request, lang, options))}\" hreflang=\"{WebUtility.HtmlEncode(lang)}\"";
+    }
+
     private string RenderFlags(List<string> languages)
     {
         var sb = new StringBuilder();
@@ -168,6 +191,20 @@ public class LanguageSelectorTagHelper : TagHelper
         return sb.ToString();
     }
 
+    private string RenderElement(List<string> languages)
+    {
+        // The element reads native names from Intl and follows whichever translation client is loaded
+        var sb = new StringBuilder();
+        sb.Append($"<language-select languages=\"{WebUtility.HtmlEncode(string.Join(",", languages))}\"");
+        if (ShowCodes)
+        {
+            sb.Append(" show-codes");
+        }
+        sb.AppendLine("></language-select>");
+        sb.AppendLine("<script src=\"/js/language-select.js\"></script>");
+        return sb.ToString();
+    }
+
     private static string GetLanguageName(string code)
     {
         return code.ToLowerInvariant() switch
@@ -0,0 +1,70 @@
+using Microsoft.AspNetCore.Razor.TagHelpers;
+using mostlylucid.activetranslatetag.Helpers;
+
+namespace mostlylucid.activetranslatetag.TagHelpers;
+
+/// <summary>
+/// Translates attribute values (placeholder, title, alt, aria-label, ...) of any element with data-translate-attr
+/// Usage: <input placeholder="Email" title="Your work email" data-translate-attr="placeholder:forms.email;title:forms.email.hint" />
+/// The current attribute value is used as the default text for each key.
+/// </summary>
+[HtmlTargetElement(Attributes = "data-translate-attr")]
+public class TranslateAttributesTagHelper : TagHelper
+{
+    private readonly TranslationHelper _translator;
+
+    public TranslateAttributesTagHelper(TranslationHelper translator)
+    {
+        _translator = translator;
+    }
+
+    [HtmlAttributeName("translation-description")]
+    public string? Description { get; set; }
+
+    public override async Task ProcessAsync(TagHelperContext context, TagHelperOutput output)
+    {
+        // data-* attributes cannot be bound to tag helper properties, so read it from the output.
+        // It stays on the element so the client scripts can re-apply translations on language switch.
+        if (!output.Attributes.TryGetAttribute("data-translate-attr", out var bindings))
+        {
+            return;
+        }
+
+        var attributeKeys = bindings.Value?.ToString();
+        if (string.IsNullOrWhiteSpace(attributeKeys))
+        {
+            return;
+        }
+
+        foreach (var (attributeName, key) in ParseAttributeKeys(attributeKeys))
+        {
+            if (!output.Attributes.TryGetAttribute(attributeName, out var attribute))
+            {
+                continue;
+            }
+
+            var defaultText = attribute.Value?.ToString() ?? string.Empty;
+            var translatedText = await _translator.T(key, defaultText, Description);
+
+            // Attribute values are plain text; let the tag helper encode them
+            output.Attributes.SetAttribute(attributeName, translatedText);
+        }
+    }
+
+    /// <summary>
+    /// Parses "attr:key;attr2:key2" into (attribute, key) pairs, ignoring malformed entries
+    /// </summary>
+    public static IEnumerable<(string Attribute, string Key)> ParseAttributeKeys(string value)
+    {
+        foreach (var pair in value.Split(';', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+        {
+            var separator = pair.IndexOf(':');
+            if (separator <= 0 || separator == pair.Length - 1)
+            {
+                continue;
+            }
+
+            yield return (pair[..separator].Trim(), pair[(separator + 1)..].Trim());
+        }
+    }
+}
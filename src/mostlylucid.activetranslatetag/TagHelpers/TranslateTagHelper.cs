@@ -64,6 +64,13 @@ public class TranslateTagHelper : TagHelper
         if (!string.IsNullOrEmpty(Description))
             output.Attributes.SetAttribute("data-translate-description", Description);
 
+        // Without data-has-html the client injects translations as plain text
+        if (HtmlTextExtractor.ContainsHtml(defaultText))
+        {
+            output.Attributes.SetAttribute("data-has-html", "true");
+            output.Attributes.SetAttribute("data-html-allowlist", HtmlTextExtractor.BuildMarkupAllowlist(defaultText));
+        }
+
         // Allow translations to include intentional HTML markup
         output.Content.SetHtmlContent(translatedText);
     }
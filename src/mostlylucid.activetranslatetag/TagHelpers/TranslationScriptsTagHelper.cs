@@ -1,4 +1,15 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Antiforgery;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc.Rendering;
+using Microsoft.AspNetCore.Mvc.ViewFeatures;
+using Microsoft.AspNetCore.WebUtilities;
 using Microsoft.AspNetCore.Razor.TagHelpers;
+using Microsoft.Extensions.DependencyInjection;
+using mostlylucid.activetranslatetag.Configuration;
+using mostlylucid.activetranslatetag.Controllers;
+using mostlylucid.activetranslatetag.Helpers;
+using mostlylucid.activetranslatetag.Services;
 
 namespace mostlylucid.activetranslatetag.TagHelpers;
 
@@ -34,7 +45,150 @@ public class TranslationScriptsTagHelper : TagHelper
     [HtmlAttributeName("enable-notifications")]
     public bool EnableNotifications { get; set; } = true;
 
-    public override Task ProcessAsync(TagHelperContext context, TagHelperOutput output)
+    /// <summary>
+    /// Whether to watch the DOM and translate [data-translate-key] elements inserted after load (default: false)
+    /// </summary>
+    [HtmlAttributeName("observe-mutations")]
+    public bool ObserveMutations { get; set; } = false;
+
+    /// <summary>
+    /// Whether to persist received translations in localStorage and re-apply them on the next page load (default: false)
+    /// </summary>
+    [HtmlAttributeName("persistent-cache")]
+    public bool PersistentCache { get; set; } = false;
+
+    /// <summary>
+    /// Comma-separated right-to-left language codes, replacing the built-in list (ar, he, fa, ur, ...)
+    /// Example: "ar,he,fa"
+    /// </summary>
+    [HtmlAttributeName("rtl-languages")]
+    public string? RtlLanguages { get; set; }
+
+    /// <summary>
+    /// Language the page content is authored in (default: en). Switching back to it restores the
+    /// original content in place instead of reloading the page.
+    /// </summary>
+    [HtmlAttributeName("default-language")]
+    public string DefaultLanguage { get; set; } = "en";
+
+    /// <summary>
+    /// Whether to enable the in-context editor (Alt-click a translated element) for users who satisfy the
+    /// policy registered with AddTranslationEditor (default: false). Other users get no editor settings.
+    /// </summary>
+    [HtmlAttributeName("editor")]
+    public bool Editor { get; set; } = false;
+
+    /// <summary>
+    /// Whether to report keys without a translation to /Language/Missing, which queues them for background
+    /// translation (default: false)
+    /// </summary>
+    [HtmlAttributeName("report-missing-keys")]
+    public bool ReportMissingKeys { get; set; } = false;
+
+    /// <summary>
+    /// Whether to translate elements on and near the screen first and the rest of the page in idle time,
+    /// for very long pages (default: false)
+    /// </summary>
+    [HtmlAttributeName("lazy-translation")]
+    public bool LazyTranslation { get; set; } = false;
+
+    /// <summary>
+    /// Most keys sent in one /Language/Switch request (default: 200, 0 for no limit)
+    /// </summary>
+    [HtmlAttributeName("chunk-size")]
+    public int ChunkSize { get; set; } = 200;
+
+    /// <summary>
+    /// On a first visit (no language cookie), match the browser's languages against /Language/Available:
+    /// "auto" switches to the best match, "suggest" offers it in a banner (default: off)
+    /// </summary>
+    [HtmlAttributeName("language-negotiation")]
+    public string? LanguageNegotiation { get; set; }
+
+    /// <summary>
+    /// Comma-separated transports asked for translations in order, each for the keys the previous ones lacked:
+    /// oob (/Language/Switch), json (/Language/GetAll) and static ({static-base-url}/{lang}.json). Default: oob
+    /// Example: "static,oob"
+    /// </summary>
+    [HtmlAttributeName("transports")]
+    public string? Transports { get; set; }
+
+    /// <summary>
+    /// Folder of the {lang}.json files read by the static transport (default: /translations)
+    /// </summary>
+    [HtmlAttributeName("static-base-url")]
+    public string? StaticBaseUrl { get; set; }
+
+    /// <summary>
+    /// Whether the static transport reads one file per key prefix, {static-base-url}/{lang}/{prefix}.json, loading
+    /// only the prefixes used on the page (default: false)
+    /// </summary>
+    [HtmlAttributeName("static-namespaces")]
+    public bool StaticNamespaces { get; set; } = false;
+
+    /// <summary>
+    /// Manifest listing the namespaces and their versions, { "namespaces": { "checkout": "3" } }.
+    /// Unlisted namespaces are not requested.
+    /// </summary>
+    [HtmlAttributeName("static-manifest")]
+    public string? StaticManifest { get; set; }
+
+    /// <summary>
+    /// Whether a language switch is applied in the other open tabs of the site too (default: true)
+    /// </summary>
+    [HtmlAttributeName("sync-tabs")]
+    public bool SyncTabs { get; set; } = true;
+
+    /// <summary>
+    /// URL of the offline service worker (translation-sw.js), registered by the scripts. Serve it from the site
+    /// root so it controls every page. Example: "/translation-sw.js"
+    /// </summary>
+    [HtmlAttributeName("service-worker")]
+    public string? ServiceWorker { get; set; }
+
+    /// <summary>
+    /// Comma-separated languages whose translations the service worker caches when it installs, for the
+    /// configured transports. Other languages are cached the first time they load.
+    /// Example: "fr,de,es"
+    /// </summary>
+    [HtmlAttributeName("offline-languages")]
+    public string? OfflineLanguages { get; set; }
+
+    /// <summary>
+    /// Whether to include the htmx extension (translation-htmx.js), enabled with hx-ext="translation" (default: false).
+    /// htmx must be loaded before these scripts.
+    /// </summary>
+    [HtmlAttributeName("htmx-extension")]
+    public bool HtmxExtension { get; set; } = false;
+
+    /// <summary>
+    /// How the scripts draw their loading indicator, notifications, progress and language suggestion:
+    /// "bootstrap" (Bootstrap 5, the default), "daisyui" (DaisyUI / Tailwind) or "plain" (their own small stylesheet)
+    /// </summary>
+    [HtmlAttributeName("renderer")]
+    public string? Renderer { get; set; }
+
+    /// <summary>
+    /// Whether the scripts draw no UI of their own (default: false). Build it from the translation: events
+    /// or pass a renderer object to TranslationClient.init.
+    /// </summary>
+    [HtmlAttributeName("headless")]
+    public bool Headless { get; set; } = false;
+
+    /// <summary>
+    /// Whether the scripts' UI strings (translation.ui.* keys) are translated like page content (default: true).
+    /// The current language's strings are rendered with the page; others are requested on a switch.
+    /// </summary>
+    [HtmlAttributeName("translate-ui")]
+    public bool TranslateUi { get; set; } = true;
+
+    private static int _uiStringsRegistered;
+
+    [ViewContext]
+    [HtmlAttributeNotBound]
+    public ViewContext? ViewContext { get; set; }
+
+    public override async Task ProcessAsync(TagHelperContext context, TagHelperOutput output)
     {
         output.TagName = null; // Remove the tag itself
 
@@ -42,6 +196,59 @@ public class TranslationScriptsTagHelper : TagHelper
 <!-- SignalR for real-time translation updates -->
 <script src=""https://cdn.jsdelivr.net/npm/@microsoft/signalr@latest/dist/browser/signalr.min.js""></script>" : "";
 
+        var rtlLanguages = string.IsNullOrWhiteSpace(RtlLanguages)
+            ? ""
+            : $@",
+    rtlLanguages: {JsonSerializer.Serialize(RtlLanguages.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))}";
+
+        var negotiation = LanguageNegotiation is "auto" or "suggest"
+            ? $@",
+    languageNegotiation: {JsonSerializer.Serialize(LanguageNegotiation)}"
+            : "";
+
+        var transports = string.IsNullOrWhiteSpace(Transports)
+            ? ""
+            : $@",
+    transports: {JsonSerializer.Serialize(Transports.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))}";
+
+        if (!string.IsNullOrWhiteSpace(StaticBaseUrl))
+        {
+            transports += $@",
+    staticBaseUrl: {JsonSerializer.Serialize(StaticBaseUrl)}";
+        }
+
+        if (StaticNamespaces)
+        {
+            transports += @",
+    staticNamespaces: true";
+
+            if (!string.IsNullOrWhiteSpace(StaticManifest))
+            {
+                transports += $@",
+    staticManifest: {JsonSerializer.Serialize(StaticManifest)}";
+            }
+        }
+
+        var serviceWorker = string.IsNullOrWhiteSpace(ServiceWorker)
+            ? ""
+            : $@",
+    serviceWorker: {JsonSerializer.Serialize(BuildServiceWorkerUrl(ServiceWorker))}";
+
+        var htmxExtension = HtmxExtension ? @"
+<script src=""/js/translation-htmx.js""></script>" : "";
+
+        var ui = Headless
+            ? @",
+    headless: true"
+            : string.IsNullOrWhiteSpace(Renderer)
+                ? ""
+                : $@",
+    renderer: {JsonSerializer.Serialize(Renderer.Trim())}";
+        ui += await BuildUiStringsConfigAsync();
+
+        var urlLanguage = BuildUrlLanguageConfig();
+        var editor = await BuildEditorConfigAsync();
+
         var html = $@"{signalrCdn}
 
 <!-- Translation System Bundle -->
@@ -51,13 +258,140 @@ window.translationConfig = {{
     debug: {Debug.ToString().ToLowerInvariant()},
     signalRHub: '{SignalRHub}',
     enableNotifications: {EnableNotifications.ToString().ToLowerInvariant()},
-    enableSignalR: {IncludeSignalR.ToString().ToLowerInvariant()}
+    enableSignalR: {IncludeSignalR.ToString().ToLowerInvariant()},
+    observeMutations: {ObserveMutations.ToString().ToLowerInvariant()},
+    defaultLanguage: {JsonSerializer.Serialize(DefaultLanguage)},
+    persistentCache: {PersistentCache.ToString().ToLowerInvariant()},
+    reportMissingKeys: {ReportMissingKeys.ToString().ToLowerInvariant()},
+    lazyTranslation: {LazyTranslation.ToString().ToLowerInvariant()},
+    syncTabs: {SyncTabs.ToString().ToLowerInvariant()},
+    chunkSize: {ChunkSize}{rtlLanguages}{negotiation}{transports}{serviceWorker}{ui}{urlLanguage}{editor}
 }};
 </script>
-<script src=""/js/translation-bundle.js""></script>
+<script src=""/js/translation-formatter.js""></script>
+<script src=""/js/translation-bundle.js""></script>{htmxExtension}
 ";
 
         output.Content.SetHtmlContent(html);
-        return Task.CompletedTask;
+    }
+
+    // The worker reads its settings from its URL: the languages to precache and where this page's transports load from.
+    // Switches through /Language/Switch fall back to /Language/GetAll offline, so server transports precache that.
+    private string BuildServiceWorkerUrl(string url)
+    {
+        var transports = string.IsNullOrWhiteSpace(Transports)
+            ? new[] { "oob" }
+            : Transports.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+        var precache = new List<string>();
+        if (transports.Contains("static"))
+            precache.Add("static");
+        if (transports.Contains("oob") || transports.Contains("json"))
+            precache.Add("json");
+
+        var query = new Dictionary<string, string?>
+        {
+            ["languages"] = OfflineLanguages?.Replace(" ", ""),
+            ["precache"] = precache.Count > 0 ? string.Join(",", precache) : "none",
+            ["baseUrl"] = StaticBaseUrl,
+            ["manifest"] = StaticNamespaces ? StaticManifest : null
+        };
+        return QueryHelpers.AddQueryString(url, query.Where(p => !string.IsNullOrWhiteSpace(p.Value)));
+    }
+
+    // The current language's UI strings ship with the page, so its first notification needs no request.
+    // They are read in one lookup; the keys are registered once per application so /Language/Switch can translate them.
+    private async Task<string> BuildUiStringsConfigAsync()
+    {
+        if (!TranslateUi)
+            return @",
+    translateUi: false";
+
+        var services = ViewContext?.HttpContext.RequestServices;
+        var translator = services?.GetService<TranslationHelper>();
+        var translationService = services?.GetService<ITranslationService>();
+        if (translator == null || translationService == null)
+            return "";
+
+        RegisterUiStrings(services!);
+
+        var language = translator.GetCurrentLanguage();
+        var texts = await translationService.GetManyAsync(
+            TranslationUiStrings.Defaults.Keys.Select(TranslationUiStrings.KeyFor), language);
+        var strings = new Dictionary<string, string>();
+        foreach (var (name, defaultText) in TranslationUiStrings.Defaults)
+        {
+            // Strings still in English are left to the scripts, which know the English text
+            if (texts.TryGetValue(TranslationUiStrings.KeyFor(name), out var text) && text != defaultText)
+                strings[name] = text;
+        }
+
+        return strings.Count == 0
+            ? ""
+            : $@",
+    uiStrings: {{ {JsonSerializer.Serialize(language)}: {JsonSerializer.Serialize(strings)} }}";
+    }
+
+    // Registers the UI string keys in the background, once; a failed attempt is retried on a later page
+    private static void RegisterUiStrings(IServiceProvider services)
+    {
+        var scopeFactory = services.GetService<IServiceScopeFactory>();
+        if (scopeFactory == null || Interlocked.Exchange(ref _uiStringsRegistered, 1) == 1)
+            return;
+
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                using var scope = scopeFactory.CreateScope();
+                var translationService = scope.ServiceProvider.GetRequiredService<ITranslationService>();
+                foreach (var (name, defaultText) in TranslationUiStrings.Defaults)
+                {
+                    await translationService.EnsureStringAsync(TranslationUiStrings.KeyFor(name), defaultText,
+                        context: "Message shown by the translation scripts (notifications, progress, editor)");
+                }
+            }
+            catch
+            {
+                Interlocked.Exchange(ref _uiStringsRegistered, 0);
+            }
+        });
+    }
+
+    // Language URLs registered with AddLanguageUrls: the scripts keep the address bar in step with the language
+    private string BuildUrlLanguageConfig()
+    {
+        var options = ViewContext?.HttpContext.RequestServices.GetService<LanguageUrlOptions>();
+        if (options == null)
+            return "";
+
+        return $@",
+    urlLanguage: {JsonSerializer.Serialize(options.Mode == LanguageUrlMode.Path ? "path" : "query")},
+    urlParameter: {JsonSerializer.Serialize(options.QueryParameter)},
+    urlLanguages: {JsonSerializer.Serialize(options.Languages)},
+    urlHistory: {JsonSerializer.Serialize(options.PushHistory ? "push" : "replace")}";
+    }
+
+    // Editor settings are only rendered for reviewers, with the antiforgery token the save endpoint requires
+    private async Task<string> BuildEditorConfigAsync()
+    {
+        var httpContext = ViewContext?.HttpContext;
+        if (!Editor || httpContext == null)
+            return "";
+
+        var services = httpContext.RequestServices;
+        var policyProvider = services.GetService<IAuthorizationPolicyProvider>();
+        var authorization = services.GetService<IAuthorizationService>();
+        var antiforgery = services.GetService<IAntiforgery>();
+        if (policyProvider == null || authorization == null || antiforgery == null ||
+            await policyProvider.GetPolicyAsync(LanguageController.EditorPolicy) == null)
+            return "";
+
+        var result = await authorization.AuthorizeAsync(httpContext.User, LanguageController.EditorPolicy);
+        if (!result.Succeeded)
+            return "";
+
+        var tokens = antiforgery.GetAndStoreTokens(httpContext);
+        return $@",
+    editor: {{ tokenHeader: {JsonSerializer.Serialize(tokens.HeaderName)}, token: {JsonSerializer.Serialize(tokens.RequestToken)} }}";
     }
 }
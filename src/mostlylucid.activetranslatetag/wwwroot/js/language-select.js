@@ -0,0 +1,359 @@
+/**
+ * <language-select> custom element: an accessible language picker that needs no CSS framework.
+ * Works with whichever translation script is loaded (translation-bundle.js, translation.client.js or translation.js).
+ *
+ * Usage:
+ * - Include: <script src="/js/language-select.js"></script>
+ * - Languages from /Language/Available: <language-select></language-select>
+ * - Fixed list (client-only pages): <language-select languages="en,fr,de"></language-select>
+ * - Attributes: src (languages endpoint), default-language, show-codes, label (accessible name, default the
+ *   translated "Language" UI string of the translation script)
+ * - Style with ::part(button), ::part(listbox), ::part(option) and the --language-select-* custom properties
+ */
+(function (global) {
+  if (!global.customElements || global.customElements.get('language-select')) return;
+
+  // endpoint -> Promise<string[]>, shared by every selector on the page
+  const availableLoads = {};
+
+  function loadAvailable(src) {
+    if (!availableLoads[src]) {
+      availableLoads[src] = fetch(src, { headers: { Accept: 'application/json' } })
+        .then(res => {
+          if (!res.ok) throw new Error(`Failed to load available languages: ${res.status}`);
+          return res.json();
+        })
+        .catch(err => {
+          delete availableLoads[src];
+          throw err;
+        });
+    }
+    return availableLoads[src];
+  }
+
+  // Native name of a language (fr -> Français), as LanguageSelectorTagHelper shows
+  function getLanguageName(code) {
+    try {
+      const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+      if (name && name.toLowerCase() !== code.toLowerCase()) {
+        return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+      }
+    } catch {
+      // Not a language Intl knows, such as a pseudo-locale
+    }
+    return code.toUpperCase();
+  }
+
+  function getTextDirection(code) {
+    try {
+      const locale = new Intl.Locale(code);
+      const info = locale.getTextInfo ? locale.getTextInfo() : locale.textInfo;
+      if (info && info.direction) return info.direction;
+    } catch {
+      // Fall through to the common right-to-left languages
+    }
+    return /^(ar|fa|he|iw|ps|sd|ug|ur|yi)(-|$)/i.test(code) ? 'rtl' : 'ltr';
+  }
+
+  function config() {
+    return global.translationConfig || {};
+  }
+
+  function getCookieLanguage() {
+    const match = (document.cookie.match(/(?:^|; )preferred-language=([^;]*)/) || [])[1];
+    return match ? decodeURIComponent(match) : '';
+  }
+
+  // The active language according to the loaded client, the cookie or <html lang>
+  function getCurrentLanguage(defaultLanguage) {
+    if (global.TranslationClient && typeof global.TranslationClient.getCurrentLanguage === 'function') {
+      return global.TranslationClient.getCurrentLanguage();
+    }
+    if (global.translationManager && typeof global.translationManager.getCurrentLanguage === 'function') {
+      return global.translationManager.getCurrentLanguage();
+    }
+    return getCookieLanguage() || document.documentElement.getAttribute('lang') || defaultLanguage;
+  }
+
+  // Accessible name of the picker in the active language, when the loaded client translates its UI strings
+  function uiLabel() {
+    if (global.TranslationClient && typeof global.TranslationClient.uiText === 'function') {
+      return global.TranslationClient.uiText('languageSelectLabel');
+    }
+    return 'Language';
+  }
+
+  function switchLanguage(code) {
+    if (global.TranslationClient && typeof global.TranslationClient.setLanguage === 'function') {
+      return Promise.resolve(global.TranslationClient.setLanguage(code));
+    }
+    if (typeof global.setLanguage === 'function') return Promise.resolve(global.setLanguage(code));
+    return Promise.reject(new Error('No translation client is loaded'));
+  }
+
+  const STYLE = `
+    :host { display: inline-block; position: relative; font: inherit; }
+    :host([hidden]) { display: none; }
+    [part~="button"] {
+      display: inline-flex; align-items: center; gap: 0.5em; cursor: pointer; user-select: none;
+      padding: var(--language-select-padding, 0.375em 0.75em);
+      border: 1px solid var(--language-select-border-color, currentColor);
+      border-radius: var(--language-select-radius, 0.375em);
+      background: var(--language-select-background, transparent);
+      color: inherit;
+    }
+    [part~="button"]:focus-visible { outline: 2px solid var(--language-select-focus-color, Highlight); outline-offset: 2px; }
+    [part~="button"][aria-busy="true"] { opacity: 0.6; cursor: progress; }
+    [part~="button"]::after {
+      content: ''; margin-top: 0.25em;
+      border: 0.3em solid transparent; border-top-color: currentColor;
+    }
+    [part~="listbox"] {
+      position: absolute; top: 100%; inset-inline-start: 0; z-index: var(--language-select-z-index, 1000);
+      min-width: 100%; max-height: var(--language-select-max-height, 20em); overflow-y: auto;
+      margin: 0.25em 0 0; padding: 0.25em 0; box-sizing: border-box;
+      background: var(--language-select-menu-background, Canvas);
+      color: var(--language-select-menu-color, CanvasText);
+      border: 1px solid var(--language-select-border-color, rgba(0, 0, 0, 0.2));
+      border-radius: var(--language-select-radius, 0.375em);
+      box-shadow: 0 0.5em 1em rgba(0, 0, 0, 0.15);
+    }
+    [part~="listbox"][hidden] { display: none; }
+    [part~="option"] { padding: var(--language-select-padding, 0.375em 0.75em); white-space: nowrap; cursor: pointer; }
+    [part~="option"][aria-selected="true"] { font-weight: 600; }
+    [part~="active"] {
+      background: var(--language-select-active-background, Highlight);
+      color: var(--language-select-active-color, HighlightText);
+    }
+  `;
+
+  class LanguageSelectElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['languages', 'src', 'default-language', 'show-codes', 'label'];
+    }
+
+    constructor() {
+      super();
+      this.languages = [];
+      this.activeIndex = -1;
+      this.typeahead = '';
+      this.typeaheadTimer = null;
+      this.loadId = 0;
+      this._value = '';
+
+      const root = this.attachShadow({ mode: 'open' });
+      root.innerHTML = `<style>${STYLE}</style>
+        <div part="button" role="combobox" tabindex="0" aria-haspopup="listbox" aria-expanded="false" aria-controls="listbox"></div>
+        <div part="listbox" id="listbox" role="listbox" tabindex="-1" hidden></div>`;
+      this.button = root.querySelector('[role="combobox"]');
+      this.listbox = root.querySelector('[role="listbox"]');
+
+      this.onSwitched = e => {
+        if (e.detail && e.detail.language) this.value = e.detail.language;
+      };
+      this.onOutsidePointer = e => {
+        if (!e.composedPath().includes(this)) this.close(false);
+      };
+      this.button.addEventListener('click', () => (this.isOpen ? this.close(false) : this.open()));
+      this.button.addEventListener('keydown', e => this.onKeyDown(e));
+      this.button.addEventListener('blur', e => {
+        if (!this.shadowRoot.contains(e.relatedTarget)) this.close(false);
+      });
+      // Keep focus on the combobox while an option is clicked
+      this.listbox.addEventListener('mousedown', e => e.preventDefault());
+      this.listbox.addEventListener('click', e => {
+        const option = e.target.closest('[role="option"]');
+        if (option) this.choose(this.languages[Number(option.dataset.index)]);
+      });
+    }
+
+    connectedCallback() {
+      document.addEventListener('translation:switched', this.onSwitched);
+      this.load();
+    }
+
+    disconnectedCallback() {
+      document.removeEventListener('translation:switched', this.onSwitched);
+      this.close(false);
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this.isConnected || oldValue === newValue) return;
+      if (name === 'languages' || name === 'src' || name === 'default-language') this.load();
+      else this.render();
+    }
+
+    get defaultLanguage() {
+      return this.getAttribute('default-language') || config().defaultLanguage || config().defaultLang || 'en';
+    }
+
+    get isOpen() {
+      return !this.listbox.hidden;
+    }
+
+    // The language shown as selected; setting it only updates the display, choosing an option switches
+    get value() {
+      return this._value;
+    }
+
+    set value(code) {
+      this._value = String(code || '');
+      this.render();
+    }
+
+    async load() {
+      const loadId = ++this.loadId;
+      let languages;
+      const list = this.getAttribute('languages');
+      if (list) {
+        languages = list.split(',');
+      } else if (Array.isArray(config().availableLanguages)) {
+        languages = config().availableLanguages;
+      } else {
+        try {
+          languages = await loadAvailable(this.getAttribute('src') || '/Language/Available');
+        } catch (err) {
+          console.warn('[LanguageSelect] Showing only the default language:', err);
+          languages = [];
+        }
+      }
+      if (loadId !== this.loadId) return;
+
+      const seen = new Set();
+      this.languages = [this.defaultLanguage, ...languages]
+        .map(code => String(code).trim())
+        .filter(code => code && !seen.has(code.toLowerCase()) && seen.add(code.toLowerCase()));
+      this._value = getCurrentLanguage(this.defaultLanguage);
+      this.render();
+    }
+
+    render() {
+      const current = this.languages.findIndex(code => code.toLowerCase() === this._value.toLowerCase());
+      const label = code => (this.hasAttribute('show-codes') ? `${getLanguageName(code)} (${code.toUpperCase()})` : getLanguageName(code));
+
+      const name = this.getAttribute('label') || uiLabel();
+      this.button.setAttribute('aria-label', name);
+      this.button.textContent = this._value ? label(this._value) : '';
+      this.button.setAttribute('lang', this._value || this.defaultLanguage);
+
+      this.listbox.setAttribute('aria-label', name);
+      this.listbox.replaceChildren(...this.languages.map((code, index) => {
+        const option = document.createElement('div');
+        option.id = `option-${index}`;
+        option.dataset.index = String(index);
+        option.setAttribute('role', 'option');
+        option.setAttribute('part', index === this.activeIndex ? 'option active' : 'option');
+        option.setAttribute('aria-selected', String(index === current));
+        // Screen readers pronounce each native name in its own language
+        option.setAttribute('lang', code);
+        option.setAttribute('dir', getTextDirection(code));
+        option.textContent = label(code);
+        return option;
+      }));
+    }
+
+    open(index) {
+      if (this.languages.length === 0) return;
+      if (!this.isOpen) {
+        this.listbox.hidden = false;
+        this.button.setAttribute('aria-expanded', 'true');
+        document.addEventListener('pointerdown', this.onOutsidePointer, true);
+      }
+      const current = this.languages.findIndex(code => code.toLowerCase() === this._value.toLowerCase());
+      this.setActive(index != null ? index : Math.max(current, 0));
+    }
+
+    // Close the list; with select, switch to the active option
+    close(select) {
+      if (!this.isOpen) return;
+      const active = this.languages[this.activeIndex];
+      this.listbox.hidden = true;
+      this.button.setAttribute('aria-expanded', 'false');
+      this.button.removeAttribute('aria-activedescendant');
+      document.removeEventListener('pointerdown', this.onOutsidePointer, true);
+      this.activeIndex = -1;
+      this.render();
+      if (select && active) this.choose(active);
+    }
+
+    setActive(index) {
+      this.activeIndex = Math.min(Math.max(index, 0), this.languages.length - 1);
+      this.render();
+      const option = this.shadowRoot.getElementById(`option-${this.activeIndex}`);
+      if (!option) return;
+      this.button.setAttribute('aria-activedescendant', option.id);
+      if (typeof option.scrollIntoView === 'function') option.scrollIntoView({ block: 'nearest' });
+    }
+
+    choose(code) {
+      this.close(false);
+      if (!code || code.toLowerCase() === this._value.toLowerCase()) return;
+
+      const previous = this._value;
+      this.value = code;
+      this.dispatchEvent(new CustomEvent('change', { bubbles: true, detail: { language: code, previousLanguage: previous } }));
+      this.button.setAttribute('aria-busy', 'true');
+      switchLanguage(code)
+        .catch(err => {
+          if (err && err.name === 'AbortError') return;
+          console.error('[LanguageSelect] Failed to switch language:', err);
+          this.value = getCurrentLanguage(this.defaultLanguage) || previous;
+        })
+        .finally(() => this.button.removeAttribute('aria-busy'));
+    }
+
+    // Keyboard interaction of the WAI-ARIA select-only combobox
+    onKeyDown(e) {
+      const last = this.languages.length - 1;
+      if (e.altKey && e.key === 'ArrowUp' && this.isOpen) {
+        this.close(true);
+      } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!this.isOpen) this.open();
+        else this.setActive(this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Home' || e.key === 'End') {
+        this.open(e.key === 'Home' ? 0 : last);
+      } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+        if (!this.isOpen) return;
+        this.setActive(this.activeIndex + (e.key === 'PageDown' ? 10 : -10));
+      } else if (e.key === 'Enter' || e.key === ' ') {
+        if (e.key === ' ' && this.typeahead) {
+          this.search(' ');
+        } else if (this.isOpen) {
+          this.close(true);
+        } else {
+          this.open();
+        }
+      } else if (e.key === 'Escape') {
+        if (!this.isOpen) return;
+        this.close(false);
+      } else if (e.key === 'Tab') {
+        this.close(true);
+        return;
+      } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        this.search(e.key);
+      } else {
+        return;
+      }
+      e.preventDefault();
+    }
+
+    // Type-ahead: jump to the first language whose name starts with the characters typed in quick succession
+    search(char) {
+      clearTimeout(this.typeaheadTimer);
+      this.typeahead += char.toLowerCase();
+      this.typeaheadTimer = setTimeout(() => { this.typeahead = ''; }, 500);
+
+      // Repeating one character cycles through the languages starting with it; a longer prefix refines
+      // the search from the active option
+      const repeated = this.typeahead.split('').every(c => c === this.typeahead[0]);
+      const prefix = repeated ? this.typeahead[0] : this.typeahead;
+      const start = (this.isOpen ? this.activeIndex : -1) + (repeated ? 1 : 0);
+      const names = this.languages.map(code => getLanguageName(code).toLocaleLowerCase(code));
+      const match = names.map((_, i) => (start + i + names.length) % names.length).find(i => names[i].startsWith(prefix));
+      if (match !== undefined) this.open(match);
+    }
+  }
+
+  global.customElements.define('language-select', LanguageSelectElement);
+  global.LanguageSelectElement = LanguageSelectElement;
+})(window);
@@ -0,0 +1 @@
+!function(e){if(!e.customElements||e.customElements.get("language-select"))return;const t={};function n(e){try{const t=new Intl.DisplayNames([e],{type:"language"}).of(e);if(t&&t.toLowerCase()!==e.toLowerCase())return t.charAt(0).toLocaleUpperCase(e)+t.slice(1)}catch{}return e.toUpperCase()}function a(){return e.translationConfig||{}}function i(t){return e.TranslationClient&&"function"==typeof e.TranslationClient.getCurrentLanguage?e.TranslationClient.getCurrentLanguage():e.translationManager&&"function"==typeof e.translationManager.getCurrentLanguage?e.translationManager.getCurrentLanguage():function(){const e=(document.cookie.match(/(?:^|; )preferred-language=([^;]*)/)||[])[1];return e?decodeURIComponent(e):""}()||document.documentElement.getAttribute("lang")||t}class s extends HTMLElement{static get observedAttributes(){return["languages","src","default-language","show-codes","label"]}constructor(){super(),this.languages=[],this.activeIndex=-1,this.typeahead="",this.typeaheadTimer=null,this.loadId=0,this._value="";const e=this.attachShadow({mode:"open"});e.innerHTML='<style>\n    :host { display: inline-block; position: relative; font: inherit; }\n    :host([hidden]) { display: none; }\n    [part~="button"] {\n      display: inline-flex; align-items: center; gap: 0.5em; cursor: pointer; user-select: none;\n      padding: var(--language-select-padding, 0.375em 0.75em);\n      border: 1px solid var(--language-select-border-color, currentColor);\n      border-radius: var(--language-select-radius, 0.375em);\n      background: var(--language-select-background, transparent);\n      color: inherit;\n    }\n    [part~="button"]:focus-visible { outline: 2px solid var(--language-select-focus-color, Highlight); outline-offset: 2px; }\n    [part~="button"][aria-busy="true"] { opacity: 0.6; cursor: progress; }\n    [part~="button"]::after {\n      content: \'\'; margin-top: 0.25em;\n      border: 0.3em solid transparent; border-top-color: currentColor;\n    }\n    [part~="listbox"] {\n      position: absolute; top: 100%; inset-inline-start: 0; z-index: var(--language-select-z-index, 1000);\n      min-width: 100%; max-height: var(--language-select-max-height, 20em); overflow-y: auto;\n      margin: 0.25em 0 0; padding: 0.25em 0; box-sizing: border-box;\n      background: var(--language-select-menu-background, Canvas);\n      color: var(--language-select-menu-color, CanvasText);\n      border: 1px solid var(--language-select-border-color, rgba(0, 0, 0, 0.2));\n      border-radius: var(--language-select-radius, 0.375em);\n      box-shadow: 0 0.5em 1em rgba(0, 0, 0, 0.15);\n    }\n    [part~="listbox"][hidden] { display: none; }\n    [part~="option"] { padding: var(--language-select-padding, 0.375em 0.75em); white-space: nowrap; cursor: pointer; }\n    [part~="option"][aria-selected="true"] { font-weight: 600; }\n    [part~="active"] {\n      background: var(--language-select-active-background, Highlight);\n      color: var(--language-select-active-color, HighlightText);\n    }\n  </style>\n        <div part="button" role="combobox" tabindex="0" aria-haspopup="listbox" aria-expanded="false" aria-controls="listbox"></div>\n        <div part="listbox" id="listbox" role="listbox" tabindex="-1" hidden></div>',this.button=e.querySelector('[role="combobox"]'),this.listbox=e.querySelector('[role="listbox"]'),this.onSwitched=e=>{e.detail&&e.detail.language&&(this.value=e.detail.language)},this.onOutsidePointer=e=>{e.composedPath().includes(this)||this.close(!1)},this.button.addEventListener("click",()=>this.isOpen?this.close(!1):this.open()),this.button.addEventListener("keydown",e=>this.onKeyDown(e)),this.button.addEventListener("blur",e=>{this.shadowRoot.contains(e.relatedTarget)||this.close(!1)}),this.listbox.addEventListener("mousedown",e=>e.preventDefault()),this.listbox.addEventListener("click",e=>{const t=e.target.closest('[role="option"]');t&&this.choose(this.languages[Number(t.dataset.index)])})}connectedCallback(){document.addEventListener("translation:switched",this.onSwitched),this.load()}disconnectedCallback(){document.removeEventListener("translation:switched",this.onSwitched),this.close(!1)}attributeChangedCallback(e,t,n){this.isConnected&&t!==n&&("languages"===e||"src"===e||"default-language"===e?this.load():this.render())}get defaultLanguage(){return this.getAttribute("default-language")||a().defaultLanguage||a().defaultLang||"en"}get isOpen(){return!this.listbox.hidden}get value(){return this._value}set value(e){this._value=String(e||""),this.render()}async load(){const e=++this.loadId;let n;const s=this.getAttribute("languages");if(s)n=s.split(",");else if(Array.isArray(a().availableLanguages))n=a().availableLanguages;else try{n=await(o=this.getAttribute("src")||"/Language/Available",t[o]||(t[o]=fetch(o,{headers:{Accept:"application/json"}}).then(e=>{if(!e.ok)throw new Error(`Failed to load available languages: ${e.status}`);return e.json()}).catch(e=>{throw delete t[o],e})),t[o])}catch(e){console.warn("[LanguageSelect] Showing only the default language:",e),n=[]}var o;if(e!==this.loadId)return;const r=new Set;this.languages=[this.defaultLanguage,...n].map(e=>String(e).trim()).filter(e=>e&&!r.has(e.toLowerCase())&&r.add(e.toLowerCase())),this._value=i(this.defaultLanguage),this.render()}render(){const t=this.languages.findIndex(e=>e.toLowerCase()===this._value.toLowerCase()),a=e=>this.hasAttribute("show-codes")?`${n(e)} (${e.toUpperCase()})`:n(e),i=this.getAttribute("label")||(e.TranslationClient&&"function"==typeof e.TranslationClient.uiText?e.TranslationClient.uiText("languageSelectLabel"):"Language");this.button.setAttribute("aria-label",i),this.button.textContent=this._value?a(this._value):"",this.button.setAttribute("lang",this._value||this.defaultLanguage),this.listbox.setAttribute("aria-label",i),this.listbox.replaceChildren(...this.languages.map((e,n)=>{const i=document.createElement("div");return i.id=`option-${n}`,i.dataset.index=String(n),i.setAttribute("role","option"),i.setAttribute("part",n===this.activeIndex?"option active":"option"),i.setAttribute("aria-selected",String(n===t)),i.setAttribute("lang",e),i.setAttribute("dir",function(e){try{const t=new Intl.Locale(e),n=t.getTextInfo?t.getTextInfo():t.textInfo;if(n&&n.direction)return n.direction}catch{}return/^(ar|fa|he|iw|ps|sd|ug|ur|yi)(-|$)/i.test(e)?"rtl":"ltr"}(e)),i.textContent=a(e),i}))}open(e){if(0===this.languages.length)return;this.isOpen||(this.listbox.hidden=!1,this.button.setAttribute("aria-expanded","true"),document.addEventListener("pointerdown",this.onOutsidePointer,!0));const t=this.languages.findIndex(e=>e.toLowerCase()===this._value.toLowerCase());this.setActive(null!=e?e:Math.max(t,0))}close(e){if(!this.isOpen)return;const t=this.languages[this.activeIndex];this.listbox.hidden=!0,this.button.setAttribute("aria-expanded","false"),this.button.removeAttribute("aria-activedescendant"),document.removeEventListener("pointerdown",this.onOutsidePointer,!0),this.activeIndex=-1,this.render(),e&&t&&this.choose(t)}setActive(e){this.activeIndex=Math.min(Math.max(e,0),this.languages.length-1),this.render();const t=this.shadowRoot.getElementById(`option-${this.activeIndex}`);t&&(this.button.setAttribute("aria-activedescendant",t.id),"function"==typeof t.scrollIntoView&&t.scrollIntoView({block:"nearest"}))}choose(t){if(this.close(!1),!t||t.toLowerCase()===this._value.toLowerCase())return;const n=this._value;this.value=t,this.dispatchEvent(new CustomEvent("change",{bubbles:!0,detail:{language:t,previousLanguage:n}})),this.button.setAttribute("aria-busy","true"),function(t){return e.TranslationClient&&"function"==typeof e.TranslationClient.setLanguage?Promise.resolve(e.TranslationClient.setLanguage(t)):"function"==typeof e.setLanguage?Promise.resolve(e.setLanguage(t)):Promise.reject(new Error("No translation client is loaded"))}(t).catch(e=>{e&&"AbortError"===e.name||(console.error("[LanguageSelect] Failed to switch language:",e),this.value=i(this.defaultLanguage)||n)}).finally(()=>this.button.removeAttribute("aria-busy"))}onKeyDown(e){const t=this.languages.length-1;if(e.altKey&&"ArrowUp"===e.key&&this.isOpen)this.close(!0);else if("ArrowDown"===e.key||"ArrowUp"===e.key)this.isOpen?this.setActive(this.activeIndex+("ArrowDown"===e.key?1:-1)):this.open();else if("Home"===e.key||"End"===e.key)this.open("Home"===e.key?0:t);else if("PageDown"===e.key||"PageUp"===e.key){if(!this.isOpen)return;this.setActive(this.activeIndex+("PageDown"===e.key?10:-10))}else if("Enter"===e.key||" "===e.key)" "===e.key&&this.typeahead?this.search(" "):this.isOpen?this.close(!0):this.open();else if("Escape"===e.key){if(!this.isOpen)return;this.close(!1)}else{if("Tab"===e.key)return void this.close(!0);if(1!==e.key.length||e.ctrlKey||e.metaKey||e.altKey)return;this.search(e.key)}e.preventDefault()}search(e){clearTimeout(this.typeaheadTimer),this.typeahead+=e.toLowerCase(),this.typeaheadTimer=setTimeout(()=>{this.typeahead=""},500);const t=this.typeahead.split("").every(e=>e===this.typeahead[0]),a=t?this.typeahead[0]:this.typeahead,i=(this.isOpen?this.activeIndex:-1)+(t?1:0),s=this.languages.map(e=>n(e).toLocaleLowerCase(e)),o=s.map((e,t)=>(i+t+s.length)%s.length).find(e=>s[e].startsWith(a));void 0!==o&&this.open(o)}}e.customElements.define("language-select",s),e.LanguageSelectElement=s}(window);
\ No newline at end of file
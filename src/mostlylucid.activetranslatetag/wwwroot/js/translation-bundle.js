@@ -1,7 +1,8 @@
 /**
  * LLM Translation System - Complete Bundle
  * Includes SignalR connection and all translation functionality
- * No external dependencies required
+ * Load translation-formatter.js before it for ICU plural/select and Intl formatting (the translation-scripts
+ * tag helper includes both); without it, messages get plain {name} interpolation
  */
 
 // Include SignalR client library inline (for standalone operation)
@@ -11,17 +12,1067 @@
 (function(window) {
     'use strict';
 
+    // ICU message formatting from translation-formatter.js. Without it messages still get their {name}
+    // arguments; plural, select and Intl value formatting need the formatter.
+    const TranslationFormatter = window.TranslationFormatter || (function () {
+        console.warn('[Translation] translation-formatter.js is not loaded; messages get plain {name} interpolation');
+        return {
+            format(message, params, locale, escape) {
+                if (typeof message !== 'string' || !params) return message;
+                return message.replace(/\{\s*([\w.-]+)\s*\}/g, (match, name) => {
+                    if (!(name in params)) return match;
+                    return escape ? escape(params[name]) : String(params[name]);
+                });
+            },
+            // Keeps the server-rendered text
+            formatValue() {
+                return null;
+            }
+        };
+    })();
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Allowlist sanitizer for translated markup. Translations are produced by an LLM provider, so only the
+     * tags and attributes of the element's source markup are kept (data-html-allowlist, built server-side by
+     * HtmlTextExtractor.BuildMarkupAllowlist); other elements are unwrapped to their text.
+     */
+    const TranslationSanitizer = (function () {
+        // Removed together with their content, whatever the allowlist says
+        const DROP = new Set(['script', 'style', 'iframe', 'object', 'embed', 'frame', 'frameset', 'template', 'noscript', 'base', 'link', 'meta', 'svg', 'math']);
+        const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite', 'background']);
+        // Relative URLs and http(s)/mailto/tel only
+        const SAFE_URL = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+        /**
+         * Parse "tag:attr,attr;tag" into a Map of tag -> Set of attribute names
+         */
+        function parseAllowlist(value) {
+            const allowlist = new Map();
+            (value || '').split(';').forEach(entry => {
+                const separator = entry.indexOf(':');
+                const tag = (separator === -1 ? entry : entry.slice(0, separator)).trim().toLowerCase();
+                if (!tag || DROP.has(tag)) return;
+                const attributes = separator === -1 ? [] : entry.slice(separator + 1).split(',');
+                allowlist.set(tag, new Set(attributes.map(a => a.trim().toLowerCase()).filter(Boolean)));
+            });
+            return allowlist;
+        }
+
+        /**
+         * Allowlist from an element's current (source) markup, for pages rendered without data-html-allowlist
+         */
+        function allowlistFromElement(element) {
+            const allowlist = new Map();
+            element.querySelectorAll('*').forEach(node => {
+                const tag = node.localName;
+                if (DROP.has(tag)) return;
+                if (!allowlist.has(tag)) allowlist.set(tag, new Set());
+                Array.from(node.attributes).forEach(attribute => allowlist.get(tag).add(attribute.name.toLowerCase()));
+            });
+            return allowlist;
+        }
+
+        function isSafeAttribute(name, value) {
+            const attribute = name.toLowerCase();
+            if (attribute.startsWith('on') || attribute === 'srcdoc') return false;
+            // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+            return !URL_ATTRIBUTES.has(attribute) || SAFE_URL.test(String(value).replace(/[\u0000- ]/g, ''));
+        }
+
+        function clean(parent, allowlist) {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                const tag = node.localName;
+                if (DROP.has(tag)) {
+                    node.remove();
+                    return;
+                }
+                clean(node, allowlist);
+
+                const allowedAttributes = allowlist.get(tag);
+                if (!allowedAttributes) {
+                    node.replaceWith(...node.childNodes);
+                    return;
+                }
+                Array.from(node.attributes).forEach(attribute => {
+                    if (!allowedAttributes.has(attribute.name.toLowerCase()) || !isSafeAttribute(attribute.name, attribute.value)) {
+                        node.removeAttribute(attribute.name);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Sanitize an HTML string. Parsing happens in an inert <template>, so nothing loads or runs.
+         */
+        function sanitize(html, allowlist) {
+            const template = document.createElement('template');
+            template.innerHTML = html;
+            clean(template.content, allowlist || new Map());
+            return template.innerHTML;
+        }
+
+        return { parseAllowlist, allowlistFromElement, isSafeAttribute, sanitize };
+    })();
+
+    /**
+     * Pseudo-locales for QA: qps-ploc accents, brackets and pads source text by ~40% so hard-coded strings and
+     * layouts that cannot take longer translations stand out; qps-plocm also mirrors it right-to-left.
+     * Markup and entities are swapped for {#n#} placeholders as in HtmlTextExtractor, and ICU arguments such as
+     * {name} or {count, plural, ...} are kept, so only the translatable text changes.
+     */
+    const TranslationPseudoLocalizer = (function () {
+        // Pseudo-locale -> mirrored
+        const LOCALES = { 'qps-ploc': false, 'qps-plocm': true };
+        const PLAIN = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+        const ACCENTED = Array.from('ÅƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŦÛṼŴẊÝŽåƀçđéƒĝĥîĵķļɱñöþǫŕšŧûṽŵẋýž');
+        const MARKUP = /<!--[\s\S]*?-->|<(?:[^>"']|"[^"]*"|'[^']*')*>|&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);/gi;
+
+        function isPseudoLocale(languageCode) {
+            return !!languageCode && Object.prototype.hasOwnProperty.call(LOCALES, languageCode.toLowerCase());
+        }
+
+        function isMirrored(languageCode) {
+            return isPseudoLocale(languageCode) && LOCALES[languageCode.toLowerCase()];
+        }
+
+        function accent(run, mirror) {
+            const text = Array.from(run, ch => {
+                const index = PLAIN.indexOf(ch);
+                return index === -1 ? ch : ACCENTED[index];
+            }).join('');
+            // Right-to-left override shows each run mirrored, as an RTL translation would be laid out
+            return mirror && text.trim() ? `\u202E${text}\u202C` : text;
+        }
+
+        /**
+         * Pseudo-localize plain message text. Text at an even brace depth is message text (the top level and
+         * plural/select cases); odd depths are argument syntax and are copied unchanged.
+         */
+        function localize(message, options = {}) {
+            if (typeof message !== 'string' || !message.trim()) return message;
+            const [, leading, body, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(message);
+            let out = '';
+            let run = '';
+            let depth = 0;
+            let letters = 0;
+            for (const ch of body) {
+                if (ch === '{' || ch === '}') {
+                    if (depth % 2 === 0) {
+                        out += accent(run, options.mirror);
+                        run = '';
+                    }
+                    depth = Math.max(0, depth + (ch === '{' ? 1 : -1));
+                    out += ch;
+                } else if (depth % 2 === 0) {
+                    run += ch;
+                    if (/\p{L}/u.test(ch)) letters++;
+                } else {
+                    out += ch;
+                }
+            }
+            out += accent(run, options.mirror);
+
+            const expansion = options.expansion != null ? options.expansion : 0.4;
+            const padding = '~'.repeat(Math.ceil(letters * expansion));
+            return `${leading}[${out}${padding ? ' ' + padding : ''}]${trailing}`;
+        }
+
+        /**
+         * Pseudo-localize markup: tags, comments and entities are held out as placeholders and put back unchanged
+         */
+        function localizeHtml(html, options = {}) {
+            if (typeof html !== 'string' || !html.trim()) return html;
+            const placeholders = [];
+            const text = html.replace(MARKUP, markup => `{#${placeholders.push(markup) - 1}#}`);
+            return localize(text, options).replace(/\{#(\d+)#\}/g, (token, index) => placeholders[Number(index)]);
+        }
+
+        return { isPseudoLocale, isMirrored, localize, localizeHtml };
+    })();
+
+    // Shape of a language code read from a ?lang= query parameter
+    const LANGUAGE_CODE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+    // fetch() rejects with a TypeError when the network (or a service worker without a cached copy) fails
+    function isNetworkFailure(error) {
+        return (error && error.name === 'TypeError') || navigator.onLine === false;
+    }
+
+    // Scripts written right-to-left; override with translationConfig.rtlLanguages
+    const DEFAULT_RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'ha', 'he', 'iw', 'khw', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+    /**
+     * First of the requested language tags (in navigator.languages order) that is available: an exact match,
+     * then its base language (fr-CA -> fr), then another region of it (pt-PT -> pt-BR). Returns the available
+     * code or null.
+     */
+    function negotiateLanguage(requested, available) {
+        const codes = available.map(code => ({ code, tag: String(code).toLowerCase() }));
+        for (const language of requested) {
+            const tag = String(language).toLowerCase();
+            const base = tag.split('-')[0];
+            const match = codes.find(c => c.tag === tag)
+                || codes.find(c => c.tag === base)
+                || codes.find(c => c.tag.split('-')[0] === base);
+            if (match) return match.code;
+        }
+        return null;
+    }
+
+    /**
+     * Per-language translation cache persisted in localStorage.
+     * Entries remember the data-content-hash of the source text they were translated from,
+     * so a changed source string invalidates its cached translation.
+     */
+    class PersistentTranslationCache {
+        constructor(options = {}) {
+            this.prefix = options.prefix || 'translation-cache:';
+            this.maxAge = options.maxAge != null ? options.maxAge : 7 * 24 * 60 * 60 * 1000;
+            this.stores = {};
+            this.saveTimers = {};
+        }
+
+        load(languageCode) {
+            if (this.stores[languageCode]) return this.stores[languageCode];
+            let entries = {};
+            try {
+                entries = JSON.parse(localStorage.getItem(this.prefix + languageCode) || '{}') || {};
+            } catch {
+                entries = {};
+            }
+            this.stores[languageCode] = entries;
+            return entries;
+        }
+
+        /**
+         * Cached text for a key, or null when missing, expired or translated from a different source hash
+         */
+        get(languageCode, key, hash) {
+            const entry = this.load(languageCode)[key];
+            if (!entry) return null;
+            if (hash && entry.hash && entry.hash !== hash) return null;
+            if (this.maxAge > 0 && Date.now() - entry.at > this.maxAge) return null;
+            return entry.text;
+        }
+
+        set(languageCode, key, hash, text) {
+            this.load(languageCode)[key] = { hash: hash || null, text, at: Date.now() };
+            clearTimeout(this.saveTimers[languageCode]);
+            this.saveTimers[languageCode] = setTimeout(() => this.save(languageCode), 0);
+        }
+
+        save(languageCode) {
+            try {
+                localStorage.setItem(this.prefix + languageCode, JSON.stringify(this.stores[languageCode] || {}));
+            } catch (error) {
+                console.warn('[Translation] Unable to persist translation cache:', error);
+            }
+        }
+
+        clear(languageCode) {
+            const languages = languageCode ? [languageCode] : Object.keys(this.stores);
+            languages.forEach(lang => {
+                delete this.stores[lang];
+                try {
+                    localStorage.removeItem(this.prefix + lang);
+                } catch {
+                    // Storage unavailable
+                }
+            });
+        }
+    }
+
+    /**
+     * Keys a language had no translation for, each recorded once per page with its source text, content hash
+     * and URL. When reporting is on they are sent in batches with navigator.sendBeacon, so the server can
+     * queue them for translation.
+     */
+    class MissingKeyReporter {
+        constructor(options = {}) {
+            this.report = options.report || false;
+            this.endpoint = options.endpoint || '/Language/Missing';
+            this.delay = options.delay != null ? options.delay : 2000;
+            this.batchSize = options.batchSize || 100;
+            this.entries = new Map();
+            this.unsent = [];
+            this.timer = null;
+
+            // A beacon outlives the page, so whatever is still queued goes out when the page is hidden
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+            window.addEventListener('pagehide', () => this.flush());
+        }
+
+        record(entry) {
+            const id = `${entry.language}\n${entry.key}`;
+            if (this.entries.has(id)) return;
+            this.entries.set(id, entry);
+            if (!this.report) return;
+            this.unsent.push(entry);
+            if (!this.timer) this.timer = setTimeout(() => this.flush(), this.delay);
+        }
+
+        /**
+         * Copies of the recorded entries, optionally for one language
+         */
+        list(languageCode) {
+            const entries = Array.from(this.entries.values());
+            return (languageCode ? entries.filter(entry => entry.language === languageCode) : entries).map(entry => ({ ...entry }));
+        }
+
+        flush() {
+            clearTimeout(this.timer);
+            this.timer = null;
+            const byLanguage = new Map();
+            this.unsent.forEach(({ language, ...entry }) => {
+                if (!byLanguage.has(language)) byLanguage.set(language, []);
+                byLanguage.get(language).push(entry);
+            });
+            this.unsent = [];
+
+            byLanguage.forEach((keys, languageCode) => {
+                for (let i = 0; i < keys.length; i += this.batchSize) {
+                    this.send(JSON.stringify({ languageCode, keys: keys.slice(i, i + this.batchSize) }));
+                }
+            });
+        }
+
+        send(body) {
+            if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) return;
+            // No beacon support, or the browser refused to queue it
+            fetch(this.endpoint, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+                .catch(error => console.warn('[Translation] Unable to report missing keys:', error));
+        }
+    }
+
+    /**
+     * Shares language switches with the other tabs of this origin, over a BroadcastChannel or, without one,
+     * through 'storage' events on a localStorage entry. translation.client.js uses the same channel.
+     */
+    class LanguageTabSync {
+        constructor(onLanguage) {
+            this.onLanguage = onLanguage;
+            this.channel = null;
+            this.storageHandler = null;
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(LanguageTabSync.NAME);
+                this.channel.onmessage = event => this.receive(event.data);
+            } else {
+                this.storageHandler = event => {
+                    if (event.key !== LanguageTabSync.NAME || !event.newValue) return;
+                    try {
+                        this.receive(JSON.parse(event.newValue));
+                    } catch {
+                        // Not written by this script
+                    }
+                };
+                window.addEventListener('storage', this.storageHandler);
+            }
+        }
+
+        post(languageCode) {
+            // The timestamp makes every write a change, so switching to the same language again still notifies
+            const message = { language: languageCode, at: Date.now() };
+            if (this.channel) {
+                this.channel.postMessage(message);
+                return;
+            }
+            try {
+                localStorage.setItem(LanguageTabSync.NAME, JSON.stringify(message));
+            } catch {
+                // Storage disabled: other tabs pick the language up from the cookie on their next navigation
+            }
+        }
+
+        receive(message) {
+            if (message && typeof message.language === 'string' && message.language) this.onLanguage(message.language);
+        }
+
+        close() {
+            if (this.channel) this.channel.close();
+            if (this.storageHandler) window.removeEventListener('storage', this.storageHandler);
+        }
+    }
+
+    LanguageTabSync.NAME = 'translation-language';
+
+    /**
+     * Where translations come from. A transport is { name, fetch(languageCode, keys, { signal }) } resolving to
+     * { key: value } for the keys it has. A value is the stored text (markup for HTML elements), or
+     * { html, text } when the source has both. The manager asks its transports in order, each one only for
+     * the keys the previous ones lacked, so e.g. static files can be tried before the server.
+     */
+    const TranslationTransports = (function () {
+        /**
+         * HTMX OOB swap HTML from /Language/Switch, which also starts server-side translation of missing keys
+         */
+        function oob(options = {}) {
+            const endpoint = options.endpoint || (languageCode => `/Language/Switch/${encodeURIComponent(languageCode)}`);
+            return {
+                name: 'oob',
+                async fetch(languageCode, keys, { signal } = {}) {
+                    const formData = new FormData();
+                    keys.forEach(key => formData.append('keys', key));
+
+                    const response = await fetch(endpoint(languageCode), { method: 'POST', body: formData, signal });
+                    if (!response.ok) {
+                        throw new Error(`Failed to switch language: ${response.statusText}`);
+                    }
+                    return parseSwapResponse(await response.text());
+                }
+            };
+        }
+
+        /**
+         * Key -> { html, text } of the OOB swap elements in a switch response. Swap elements without
+         * data-translate-key are matched to keys through the page element with the same id.
+         */
+        function parseSwapResponse(html) {
+            // A <template> parses inertly: an injected <img onerror> would fire even in a detached <div>
+            const temp = document.createElement('template');
+            temp.innerHTML = html;
+
+            const translations = {};
+            temp.content.querySelectorAll('[hx-swap-oob]').forEach(element => {
+                const target = element.id ? document.getElementById(element.id) : null;
+                const key = element.getAttribute('data-translate-key') || (target && target.getAttribute('data-translate-key'));
+                if (key) translations[key] = { html: element.innerHTML, text: element.textContent };
+            });
+            return translations;
+        }
+
+        // { key: text } or [{ key, translatedText }] (the GetAll shape); empty translations count as missing
+        function normalizeMap(input) {
+            const map = {};
+            if (Array.isArray(input)) {
+                input.forEach(item => {
+                    const text = item && (item.text || item.translatedText);
+                    if (item && item.key && typeof text === 'string') map[item.key] = text;
+                });
+            } else if (input && typeof input === 'object') {
+                Object.entries(input).forEach(([key, text]) => {
+                    if (typeof text === 'string' && text.length > 0) map[key] = text;
+                });
+            }
+            return map;
+        }
+
+        /**
+         * A transport that loads a whole language once and answers every later request from memory.
+         * A 404 is an empty language rather than an error.
+         */
+        function languageMap(name, urlFor) {
+            const loads = {};
+            const load = async (languageCode, signal) => {
+                const response = await fetch(urlFor(languageCode), { cache: 'no-cache', signal });
+                if (response.status === 404) return {};
+                if (!response.ok) {
+                    throw new Error(`Failed to load translations for ${languageCode}: ${response.statusText}`);
+                }
+                return normalizeMap(await response.json());
+            };
+            return {
+                name,
+                async fetch(languageCode, keys, { signal } = {}) {
+                    if (!loads[languageCode]) {
+                        // A failed or aborted load is retried by the next request
+                        loads[languageCode] = load(languageCode, signal).catch(error => {
+                            delete loads[languageCode];
+                            throw error;
+                        });
+                    }
+                    const map = await loads[languageCode];
+                    const translations = {};
+                    keys.forEach(key => {
+                        if (key in map) translations[key] = map[key];
+                    });
+                    return translations;
+                },
+                clear(languageCode) {
+                    if (languageCode) delete loads[languageCode];
+                    else Object.keys(loads).forEach(code => delete loads[code]);
+                }
+            };
+        }
+
+        /**
+         * JSON from /Language/GetAll/{languageCode}; nothing is translated server-side on a miss
+         */
+        function json(options = {}) {
+            return languageMap('json', options.endpoint || (languageCode => `/Language/GetAll/${encodeURIComponent(languageCode)}`));
+        }
+
+        /**
+         * Static {baseUrl}/{languageCode}.json files, the format translation.client.js reads
+         */
+        function staticFiles(options = {}) {
+            const baseUrl = (options.baseUrl || '/translations').replace(/\/$/, '');
+            if (options.namespaces) return namespacedFiles(baseUrl, options.manifest);
+            return languageMap('static', options.endpoint || (languageCode => `${baseUrl}/${encodeURIComponent(languageCode)}.json`));
+        }
+
+        /**
+         * Static {baseUrl}/{languageCode}/{namespace}.json files, where the namespace is the key prefix
+         * (checkout.total -> checkout, unprefixed keys -> common). A namespace is loaded the first time one of
+         * its keys is requested. A manifest ({ namespaces: { name: version } }) limits requests to the listed
+         * namespaces and adds ?v={version} so the files can be cached by the browser.
+         */
+        function namespacedFiles(baseUrl, manifestUrl) {
+            const namespaceOf = key => (key.indexOf('.') > 0 ? key.slice(0, key.indexOf('.')) : 'common');
+            let manifest = null;
+            const loadManifest = () => {
+                if (!manifestUrl) return Promise.resolve(null);
+                if (!manifest) {
+                    manifest = fetch(manifestUrl, { cache: 'no-cache' })
+                        .then(response => {
+                            if (!response.ok) throw new Error(`Failed to load ${manifestUrl}: ${response.statusText}`);
+                            return response.json();
+                        })
+                        .then(json => (json && json.namespaces) || {})
+                        .catch(error => {
+                            console.warn('[Translation] Loading every requested namespace without a manifest:', error);
+                            return null;
+                        });
+                }
+                return manifest;
+            };
+
+            const namespaces = {};
+            return {
+                name: 'static',
+                async fetch(languageCode, keys, { signal } = {}) {
+                    const versions = await loadManifest();
+                    const names = Array.from(new Set(keys.map(namespaceOf)))
+                        .filter(ns => !versions || Object.prototype.hasOwnProperty.call(versions, ns));
+                    const maps = await Promise.all(names.map(ns => {
+                        if (!namespaces[ns]) {
+                            const version = versions ? versions[ns] : null;
+                            const query = version ? `?v=${encodeURIComponent(version)}` : '';
+                            namespaces[ns] = languageMap('static', code =>
+                                `${baseUrl}/${encodeURIComponent(code)}/${encodeURIComponent(ns)}.json${query}`);
+                        }
+                        return namespaces[ns].fetch(languageCode, keys.filter(key => namespaceOf(key) === ns), { signal });
+                    }));
+                    return Object.assign({}, ...maps);
+                },
+                clear(languageCode) {
+                    Object.values(namespaces).forEach(transport => transport.clear(languageCode));
+                }
+            };
+        }
+
+        /**
+         * Transports from configuration: built-in names ('oob', 'json', 'static') as an array or comma-separated
+         * string, transport objects, or fetch functions (languageCode, keys, { signal }) => { key: value }.
+         * Unknown names are skipped with a warning; if nothing usable is left, the oob transport is used.
+         */
+        function resolve(spec, options = {}) {
+            const items = Array.isArray(spec) ? spec : String(spec || 'oob').split(',');
+            const transports = items.map(item => {
+                if (item && typeof item.fetch === 'function') return item;
+                if (typeof item === 'function') return { name: item.name || 'custom', fetch: item };
+                switch (String(item).trim()) {
+                    case 'oob': return oob();
+                    case 'json': return json();
+                    case 'static': return staticFiles({
+                        baseUrl: options.staticBaseUrl,
+                        namespaces: options.staticNamespaces,
+                        manifest: options.staticManifest
+                    });
+                    default:
+                        console.warn(`[Translation] Unknown translation transport: ${item}`);
+                        return null;
+                }
+            }).filter(Boolean);
+            return transports.length > 0 ? transports : [oob()];
+        }
+
+        return { oob, json, staticFiles, parseSwapResponse, resolve };
+    })();
+
+    /**
+     * English text of the manager's own UI. Each string is also the translation key translation.ui.{name}, so it
+     * is translated like page content; {placeholders} are message parameters.
+     */
+    const UI_STRINGS = {
+        loading: 'Loading translations...',
+        languageChanged: 'Language changed to {language}',
+        languageChangedOffline: 'Language changed to {language} (offline: some text is not translated yet)',
+        switchFailed: 'Failed to switch language',
+        translating: 'Translating…',
+        translationsComplete: 'Translations complete',
+        translationsCompleted: '{count, plural, one {# translation completed} other {# translations completed}}',
+        progressCurrent: 'Current: {key}',
+        close: 'Close',
+        suggestionLabel: 'Language suggestion',
+        suggestionText: 'This page is available in {language}.',
+        suggestionAccept: 'Switch to {language}',
+        suggestionDismiss: 'No thanks',
+        editorLabel: 'Edit translation',
+        editorCategory: 'Category',
+        editorDescription: 'Description',
+        editorSource: 'Source',
+        editorTranslation: 'Translation',
+        editorCancel: 'Cancel',
+        editorSave: 'Save',
+        editorNeedsLanguage: 'Switch to a translated language to edit translations',
+        translationSaved: 'Translation saved',
+        saveFailed: 'Failed to save translation',
+        languageSelectLabel: 'Language'
+    };
+    const UI_KEY_PREFIX = 'translation.ui.';
+
+    /**
+     * How the manager's UI is drawn. A renderer is an object with any of:
+     *   showLoading({ message }), hideLoading()
+     *   notify({ message, type, closeLabel })                 type: success, info or error
+     *   error({ message, phase, language, error, closeLabel })  failures; notify is used when absent
+     *   progress({ title, status, percentage, current, done, closeLabel, onClose }), hideProgress()
+     *   suggestion({ label, text, acceptLabel, dismissLabel, onAccept, onDismiss })
+     *   editor({ label, key, language, category, description, sourceText, translatedText, labels, onSave, onCancel })
+     *     labels: { category, description, source, translation, cancel, save }; onSave(text). Returns
+     *     { element, update(details), setBusy(busy), close() }: update takes the fields of the stored entry and
+     *     keeps text the reviewer has already typed. Without it the in-context editor is unavailable.
+     * Every string it receives is already translated. Missing methods draw nothing, so {} is headless.
+     * The built-in renderers share one layout with the classes of Bootstrap 5, DaisyUI (Tailwind) or a small
+     * stylesheet of their own; their stacking order is var(--translation-ui-z-index, 1060).
+     */
+    const TranslationRenderers = (function () {
+        const Z_INDEX = 'var(--translation-ui-z-index, 1060)';
+        // The editor stays above the notifications it triggers
+        const EDITOR_Z_INDEX = 'calc(var(--translation-ui-z-index, 1060) + 10)';
+
+        const PLAIN_STYLE = `
+.translation-ui-stack{position:fixed;top:1rem;inset-inline-end:1rem;display:flex;flex-direction:column;gap:.5rem;width:min(22rem,calc(100vw - 2rem));font:14px/1.4 system-ui,sans-serif}
+.translation-ui-stack--bottom{top:auto;bottom:1rem}
+.translation-ui-card{display:flex;align-items:center;gap:.5rem;padding:.6rem .8rem;border:1px solid var(--translation-ui-border,#d0d7de);border-inline-start-width:4px;border-radius:6px;background:var(--translation-ui-bg,#fff);color:var(--translation-ui-fg,#1f2328);box-shadow:0 4px 12px rgba(0,0,0,.12)}
+.translation-ui-card--success{border-inline-start-color:var(--translation-ui-success,#1a7f37)}
+.translation-ui-card--info{border-inline-start-color:var(--translation-ui-info,#0969da)}
+.translation-ui-card--error{border-inline-start-color:var(--translation-ui-error,#cf222e)}
+.translation-ui-card--column{flex-direction:column;align-items:stretch}
+.translation-ui-row{display:flex;align-items:center;gap:.5rem}
+.translation-ui-title{margin-inline-end:auto}
+.translation-ui-muted{font-size:.85em;opacity:.7}
+.translation-ui-spinner{flex:none;width:1em;height:1em;border:2px solid currentColor;border-inline-end-color:transparent;border-radius:50%;animation:translation-ui-spin .75s linear infinite}
+@keyframes translation-ui-spin{to{transform:rotate(360deg)}}
+.translation-ui-progress{height:6px;border-radius:3px;overflow:hidden;background:var(--translation-ui-border,#d0d7de)}
+.translation-ui-progress-fill{height:100%;background:var(--translation-ui-info,#0969da);transition:width .2s}
+.translation-ui-close{margin-inline-start:auto;padding:0 .25rem;border:0;background:none;color:inherit;font-size:1.2em;line-height:1;cursor:pointer}
+.translation-ui-banner{position:fixed;bottom:1rem;left:50%;transform:translateX(-50%);max-width:calc(100vw - 2rem)}
+.translation-ui-button{padding:.25rem .6rem;border:1px solid var(--translation-ui-border,#d0d7de);border-radius:4px;background:none;color:inherit;font:inherit;cursor:pointer}
+.translation-ui-button--primary{border-color:var(--translation-ui-info,#0969da);background:var(--translation-ui-info,#0969da);color:#fff}
+.translation-ui-details{display:grid;grid-template-columns:auto 1fr;gap:.15rem .5rem;margin:0;font-size:.85em}
+.translation-ui-details dt{font-weight:600}
+.translation-ui-details dd{margin:0;overflow-wrap:anywhere}
+.translation-ui-label{font-weight:600}
+.translation-ui-input{box-sizing:border-box;width:100%;padding:.35rem .5rem;border:1px solid var(--translation-ui-border,#d0d7de);border-radius:4px;background:var(--translation-ui-bg,#fff);color:inherit;font:inherit;resize:vertical}
+.translation-ui-actions{display:flex;justify-content:flex-end;gap:.5rem}`;
+
+        const THEMES = {
+            bootstrap: {
+                stack: 'position-fixed top-0 end-0 p-3',
+                corner: 'position-fixed bottom-0 end-0 p-3',
+                loading: 'toast show toast-body d-flex align-items-center gap-2 mb-2',
+                spinner: 'spinner-border spinner-border-sm',
+                notice: type => `alert alert-${type === 'error' ? 'danger' : type} d-flex align-items-center gap-2 mb-2`,
+                close: 'btn-close ms-auto',
+                closeText: '',
+                progress: 'toast show',
+                progressHeader: 'toast-header',
+                progressTitle: 'me-auto',
+                progressStatus: 'text-body-secondary',
+                progressBody: 'toast-body',
+                progressBar: 'progress',
+                progressFill: 'progress-bar',
+                progressCurrent: 'mt-2 small text-muted',
+                banner: 'alert alert-info d-flex align-items-center gap-2 position-fixed bottom-0 start-50 translate-middle-x mb-3',
+                accept: 'btn btn-sm btn-primary',
+                dismiss: 'btn btn-sm btn-outline-secondary',
+                editor: 'toast show',
+                editorHeader: 'toast-header gap-2',
+                editorKey: 'me-auto',
+                editorBadge: 'badge bg-secondary',
+                editorBody: 'toast-body',
+                editorDetails: 'small mb-2',
+                editorLabel: 'form-label small fw-bold',
+                editorInput: 'form-control',
+                editorActions: 'd-flex justify-content-end gap-2 mt-2'
+            },
+            daisyui: {
+                stack: 'toast toast-top toast-end',
+                corner: 'toast toast-bottom toast-end',
+                loading: 'alert alert-info',
+                spinner: 'loading loading-spinner loading-sm',
+                notice: type => `alert alert-${type}`,
+                close: 'btn btn-ghost btn-xs ms-auto',
+                closeText: '✕',
+                progress: 'card card-compact w-80 bg-base-100 shadow-lg',
+                progressHeader: 'flex items-center gap-2 px-4 pt-3',
+                progressTitle: 'font-bold me-auto',
+                progressStatus: 'text-xs opacity-70',
+                progressBody: 'card-body pt-2',
+                progressBar: 'h-2 w-full overflow-hidden rounded bg-base-300',
+                progressFill: 'h-full bg-primary transition-all',
+                progressCurrent: 'text-xs opacity-70',
+                banner: 'alert alert-info fixed bottom-4 left-1/2 w-auto -translate-x-1/2',
+                accept: 'btn btn-sm btn-primary',
+                dismiss: 'btn btn-sm btn-ghost',
+                editor: 'card card-compact w-96 max-w-full bg-base-100 shadow-lg',
+                editorHeader: 'flex items-center gap-2 px-4 pt-3',
+                editorKey: 'me-auto',
+                editorBadge: 'badge badge-neutral',
+                editorBody: 'card-body pt-2',
+                editorDetails: 'text-xs',
+                editorLabel: 'label-text font-bold',
+                editorInput: 'textarea textarea-bordered w-full',
+                editorActions: 'card-actions justify-end'
+            },
+            plain: {
+                style: PLAIN_STYLE,
+                stack: 'translation-ui-stack',
+                corner: 'translation-ui-stack translation-ui-stack--bottom',
+                loading: 'translation-ui-card translation-ui-card--info',
+                spinner: 'translation-ui-spinner',
+                notice: type => `translation-ui-card translation-ui-card--${type}`,
+                close: 'translation-ui-close',
+                closeText: '×',
+                progress: 'translation-ui-card translation-ui-card--info translation-ui-card--column',
+                progressHeader: 'translation-ui-row',
+                progressTitle: 'translation-ui-title',
+                progressStatus: 'translation-ui-muted',
+                progressBody: '',
+                progressBar: 'translation-ui-progress',
+                progressFill: 'translation-ui-progress-fill',
+                progressCurrent: 'translation-ui-muted',
+                banner: 'translation-ui-card translation-ui-card--info translation-ui-banner',
+                accept: 'translation-ui-button translation-ui-button--primary',
+                dismiss: 'translation-ui-button',
+                editor: 'translation-ui-card translation-ui-card--info translation-ui-card--column',
+                editorHeader: 'translation-ui-row',
+                editorKey: 'translation-ui-title',
+                editorBadge: 'translation-ui-muted',
+                editorBody: '',
+                editorDetails: 'translation-ui-details',
+                editorLabel: 'translation-ui-label',
+                editorInput: 'translation-ui-input',
+                editorActions: 'translation-ui-actions'
+            }
+        };
+
+        function make(tag, className, text) {
+            const node = document.createElement(tag);
+            if (className) node.className = className;
+            if (text != null) node.textContent = text;
+            return node;
+        }
+
+        function button(className, text, label, onClick) {
+            const node = make('button', className, text);
+            node.type = 'button';
+            if (label) node.setAttribute('aria-label', label);
+            node.addEventListener('click', onClick);
+            return node;
+        }
+
+        // Fixed containers are appended to <body> on first use
+        function layer(className, id, zIndex = Z_INDEX) {
+            const node = make('div', className);
+            if (id) node.id = id;
+            node.style.zIndex = zIndex;
+            document.body.appendChild(node);
+            return node;
+        }
+
+        function themed(name, theme) {
+            let stack = null;
+            let loading = null;
+            let loadingTimer = null;
+            let progress = null;
+
+            const ensureStyle = () => {
+                if (!theme.style || document.getElementById('translation-ui-style')) return;
+                const style = make('style', null, theme.style);
+                style.id = 'translation-ui-style';
+                document.head.appendChild(style);
+            };
+            const getStack = () => {
+                ensureStyle();
+                if (!stack || !stack.isConnected) stack = layer(theme.stack, 'translation-notifications');
+                return stack;
+            };
+
+            return {
+                name,
+                showLoading({ message }) {
+                    clearTimeout(loadingTimer);
+                    if (!loading) {
+                        loading = make('div', theme.loading);
+                        loading.id = 'translation-loading';
+                        loading.setAttribute('role', 'status');
+                        loading.append(make('span', theme.spinner), make('span'));
+                    }
+                    loading.lastChild.textContent = message;
+                    if (!loading.isConnected) getStack().prepend(loading);
+                },
+                hideLoading() {
+                    // A quick switch should not make the indicator flicker
+                    clearTimeout(loadingTimer);
+                    loadingTimer = setTimeout(() => loading && loading.remove(), 300);
+                },
+                notify({ message, type = 'info', closeLabel }) {
+                    const notice = make('div', theme.notice(type));
+                    notice.setAttribute('role', type === 'error' ? 'alert' : 'status');
+                    notice.append(make('span', null, message), button(theme.close, theme.closeText, closeLabel, () => notice.remove()));
+                    getStack().appendChild(notice);
+                    setTimeout(() => notice.remove(), type === 'error' ? 6000 : 3000);
+                },
+                progress({ title, status, percentage, current, closeLabel, onClose }) {
+                    if (!progress || !progress.root.isConnected) {
+                        ensureStyle();
+                        const root = layer(theme.corner, 'translation-progress-toast');
+                        root.setAttribute('role', 'status');
+                        root.setAttribute('aria-live', 'polite');
+                        const card = make('div', theme.progress);
+                        const header = make('div', theme.progressHeader);
+                        const body = make('div', theme.progressBody);
+                        const bar = make('div', theme.progressBar);
+                        bar.setAttribute('role', 'progressbar');
+                        bar.setAttribute('aria-valuemin', '0');
+                        bar.setAttribute('aria-valuemax', '100');
+                        progress = {
+                            root,
+                            bar,
+                            title: make('strong', theme.progressTitle),
+                            status: make('small', theme.progressStatus),
+                            fill: make('div', theme.progressFill),
+                            current: make('div', theme.progressCurrent)
+                        };
+                        header.append(progress.title, progress.status, button(theme.close, theme.closeText, closeLabel, () => onClose && onClose()));
+                        bar.appendChild(progress.fill);
+                        body.append(bar, progress.current);
+                        card.append(header, body);
+                        root.appendChild(card);
+                    }
+                    const percent = Math.max(0, Math.min(100, Math.round(percentage || 0)));
+                    progress.title.textContent = title;
+                    progress.status.textContent = status || '';
+                    progress.fill.style.width = `${percent}%`;
+                    progress.bar.setAttribute('aria-valuenow', String(percent));
+                    progress.current.textContent = current || '';
+                },
+                hideProgress() {
+                    if (progress) progress.root.remove();
+                    progress = null;
+                },
+                suggestion({ label, text, acceptLabel, dismissLabel, onAccept, onDismiss }) {
+                    ensureStyle();
+                    const banner = layer(theme.banner);
+                    banner.setAttribute('role', 'region');
+                    banner.setAttribute('aria-label', label);
+                    banner.append(
+                        make('span', null, text),
+                        button(theme.accept, acceptLabel, null, () => {
+                            banner.remove();
+                            onAccept();
+                        }),
+                        button(theme.dismiss, dismissLabel, null, () => {
+                            banner.remove();
+                            onDismiss();
+                        }));
+                },
+                editor({ label, key, language, category, description, sourceText, translatedText, labels, onSave, onCancel }) {
+                    ensureStyle();
+                    const root = layer(theme.corner, 'translation-editor', EDITOR_Z_INDEX);
+                    root.setAttribute('role', 'dialog');
+                    root.setAttribute('aria-label', label);
+                    const card = make('div', theme.editor);
+                    const header = make('div', theme.editorHeader);
+                    header.append(make('code', theme.editorKey, key), make('span', theme.editorBadge, language.toUpperCase()));
+
+                    // Everything shown is set as text: the stored translation is never rendered as markup here
+                    const details = make('dl', theme.editorDetails);
+                    const detail = (name, value) => {
+                        const dd = make('dd', null, value);
+                        details.append(make('dt', null, labels[name]), dd);
+                        return dd;
+                    };
+                    const fields = {
+                        category: detail('category', category || '-'),
+                        description: detail('description', description || '-'),
+                        source: detail('source', sourceText || '')
+                    };
+                    const textarea = make('textarea', theme.editorInput);
+                    textarea.id = 'translation-editor-text';
+                    textarea.rows = 4;
+                    textarea.value = textarea.defaultValue = translatedText || '';
+                    const textLabel = make('label', theme.editorLabel, labels.translation);
+                    textLabel.htmlFor = textarea.id;
+
+                    const save = button(theme.accept, labels.save, null, () => onSave(textarea.value));
+                    const actions = make('div', theme.editorActions);
+                    actions.append(button(theme.dismiss, labels.cancel, null, () => onCancel()), save);
+                    const body = make('div', theme.editorBody);
+                    body.append(details, textLabel, textarea, actions);
+                    card.append(header, body);
+                    root.appendChild(card);
+                    root.addEventListener('keydown', event => {
+                        if (event.key === 'Escape') onCancel();
+                        if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) onSave(textarea.value);
+                    });
+                    textarea.focus();
+
+                    return {
+                        element: root,
+                        update(entry) {
+                            if (entry.category) fields.category.textContent = entry.category;
+                            if (entry.description) fields.description.textContent = entry.description;
+                            if (entry.sourceText != null) fields.source.textContent = entry.sourceText;
+                            // Keep anything the reviewer already typed
+                            if (entry.translatedText != null && textarea.value === textarea.defaultValue) {
+                                textarea.value = textarea.defaultValue = entry.translatedText;
+                            }
+                        },
+                        setBusy(busy) {
+                            save.disabled = busy;
+                        },
+                        close() {
+                            root.remove();
+                        }
+                    };
+                }
+            };
+        }
+
+        function bootstrap() {
+            return themed('bootstrap', THEMES.bootstrap);
+        }
+
+        function daisyui() {
+            return themed('daisyui', THEMES.daisyui);
+        }
+
+        function plain() {
+            return themed('plain', THEMES.plain);
+        }
+
+        /**
+         * Renderer from configuration: a renderer object, a built-in name ('bootstrap', the default, 'daisyui', 'plain') or
+         * 'none' for headless pages that draw everything from the translation: events. An unknown name falls back
+         * to bootstrap with a warning.
+         */
+        function resolve(spec) {
+            if (spec && typeof spec === 'object') return spec;
+            switch (String(spec || 'bootstrap').trim().toLowerCase()) {
+                case 'plain': return plain();
+                case 'bootstrap': return bootstrap();
+                case 'daisyui':
+                case 'tailwind': return daisyui();
+                case 'none': return { name: 'none' };
+                default:
+                    console.warn(`[Translation] Unknown translation renderer: ${spec}, using bootstrap`);
+                    return bootstrap();
+            }
+        }
+
+        return { bootstrap, daisyui, plain, resolve };
+    })();
+
     /**
      * Translation Manager - Handles HTMX-based translation switching
      */
     class TranslationManager {
         constructor(options = {}) {
+            // The language the page is authored in: switching to it restores the original content
+            this.defaultLanguage = (options.defaultLanguage || 'en').toLowerCase();
+            // Language in the page URL: 'query' (?lang=fr) or 'path' (/fr/about, for the urlLanguages prefixes).
+            // It wins over the cookie, and switches update it with history.pushState (urlHistory 'replace' for replaceState).
+            this.urlLanguage = options.urlLanguage || false;
+            this.urlParameter = options.urlParameter || 'lang';
+            this.urlLanguages = options.urlLanguages || [];
+            this.urlHistory = options.urlHistory || 'push';
+            this.urlUpdate = null;
+            this.urlPopstateHandler = null;
             this.currentLanguage = this.getCurrentLanguage();
+            // Original content can only be restored in place if the server rendered the default language
+            this.renderedLanguage = this.currentLanguage;
             this.isTranslating = false;
             this.debug = options.debug || false;
             this.signalRHub = options.signalRHub || '/hubs/translation';
             this.enableNotifications = options.enableNotifications !== false;
             this.signalRConnection = null;
+            this.switchController = null;
+            this.pendingLanguage = null;
+            this.pendingSwitch = null;
+            this.observeMutations = options.observeMutations || false;
+            this.mutationDebounce = options.mutationDebounce != null ? options.mutationDebounce : 150;
+            this.mutationObserver = null;
+            this.mutationTimer = null;
+            this.pendingElements = new Set();
+            this.messagePatterns = new WeakMap();
+            this.markupAllowlists = new WeakMap();
+            this.originals = new WeakMap();
+            this.rtlLanguages = (options.rtlLanguages || DEFAULT_RTL_LANGUAGES).map(code => code.toLowerCase());
+            this.pseudoExpansion = options.pseudoExpansion != null ? options.pseudoExpansion : 0.4;
+            // { tokenHeader, token } rendered by the scripts tag helper for users allowed to edit translations
+            this.editor = options.editor || null;
+            this.editorPanel = null;
+            this.editorClickHandler = null;
+            this.cache = options.persistentCache ? new PersistentTranslationCache({ maxAge: options.cacheMaxAge }) : null;
+            // Lazy mode translates on-screen elements first and the rest in idle time; requests carry at most chunkSize keys
+            this.lazyTranslation = options.lazyTranslation || false;
+            this.lazyRootMargin = options.lazyRootMargin || '200px';
+            this.chunkSize = options.chunkSize != null ? options.chunkSize : 200;
+            this.transports = TranslationTransports.resolve(options.transports, options);
+            this.lazyController = null;
+            // First visit without a language cookie: 'auto' switches to the browser's language, 'suggest' offers it
+            this.languageNegotiation = options.languageNegotiation || false;
+            this.availableLanguages = options.availableLanguages || null;
+            // Switches made in another tab are applied here too; hidden tabs catch up when they become visible
+            this.syncTabs = options.syncTabs !== false;
+            this.tabSync = null;
+            this.tabSyncVisibilityHandler = null;
+            this.remoteLanguage = null;
+            this.deferredRemoteLanguage = null;
+            // Without a network a switch uses whatever is known; the language is re-requested once back online
+            this.serviceWorker = options.serviceWorker || null;
+            this.offlineTransport = null;
+            this.offlineLanguage = null;
+            this.onlineHandler = null;
+            // Set once htmx swapped in content the server rendered in another language (see translateElements)
+            this.translatedFragments = false;
+            // Loading indicator, notifications, progress and the language suggestion: a TranslationRenderers
+            // name or object; headless draws none of them
+            this.renderer = TranslationRenderers.resolve(options.headless ? 'none' : options.renderer);
+            // { language: { name: text } } of the UI strings; other languages are requested on their first switch
+            this.translateUi = options.translateUi !== false;
+            this.uiStrings = {};
+            Object.entries(options.uiStrings || {}).forEach(([code, strings]) => {
+                this.uiStrings[code.toLowerCase()] = { ...strings };
+            });
+            this.uiStringsLoaded = new Set(Object.keys(this.uiStrings));
+            this.progressTimer = null;
+            this.progressEscapeHandler = null;
+            this.missingKeys = new MissingKeyReporter({
+                report: options.reportMissingKeys,
+                endpoint: options.missingKeysEndpoint,
+                delay: options.missingKeysDelay
+            });
 
             if (this.debug) {
                 console.log('[Translation] Initializing with options:', options);
@@ -29,108 +1080,1208 @@
         }
 
         getCurrentLanguage() {
+            const fromUrl = this.getUrlLanguage();
+            if (fromUrl) return fromUrl;
             const value = `; ${document.cookie}`;
             const parts = value.split(`; preferred-language=`);
             if (parts.length === 2) {
                 return parts.pop().split(';').shift();
             }
-            return 'en';
-        }
+            return this.defaultLanguage;
+        }
+
+        /**
+         * Language carried in the page URL for the urlLanguage mode, or null
+         */
+        getUrlLanguage() {
+            if (this.urlLanguage === 'query') {
+                const value = new URLSearchParams(window.location.search).get(this.urlParameter);
+                return value && LANGUAGE_CODE_PATTERN.test(value) ? value : null;
+            }
+            if (this.urlLanguage === 'path') {
+                const segment = window.location.pathname.split('/')[1] || '';
+                return this.urlLanguages.find(code => code.toLowerCase() === segment.toLowerCase()) || null;
+            }
+            return null;
+        }
+
+        /**
+         * This page's URL (path, query and hash) in a language. The default language gets the URL without one.
+         */
+        urlForLanguage(languageCode) {
+            const url = new URL(window.location.href);
+            const marked = !this.isDefaultLanguage(languageCode);
+            if (this.urlLanguage === 'path') {
+                const segments = url.pathname.split('/');
+                const first = (segments[1] || '').toLowerCase();
+                if (this.urlLanguages.some(code => code.toLowerCase() === first)) segments.splice(1, 1);
+                if (marked) segments.splice(1, 0, languageCode);
+                url.pathname = segments.join('/') || '/';
+            } else {
+                url.searchParams.delete(this.urlParameter);
+                if (marked) url.searchParams.set(this.urlParameter, languageCode);
+            }
+            return url.pathname + url.search + url.hash;
+        }
+
+        /**
+         * Write a language into the address bar: pushState or replaceState per urlHistory, unless the switch
+         * asked otherwise through urlUpdate (popstate switches leave the URL alone, remote ones replace it)
+         */
+        updateUrl(languageCode) {
+            const override = this.urlUpdate && this.urlUpdate.language === languageCode ? this.urlUpdate.mode : null;
+            this.urlUpdate = null;
+            const mode = override || this.urlHistory;
+            if (!this.urlLanguage || mode === 'none') return;
+
+            const url = this.urlForLanguage(languageCode);
+            if (url === window.location.pathname + window.location.search + window.location.hash) return;
+            if (mode === 'push') {
+                window.history.pushState(null, '', url);
+            } else {
+                window.history.replaceState(window.history.state, '', url);
+            }
+        }
+
+        /**
+         * Back and forward switch to the language of the URL navigated to
+         */
+        startUrlTracking() {
+            if (this.urlPopstateHandler) return;
+            this.urlPopstateHandler = () => {
+                const languageCode = this.getUrlLanguage() || this.defaultLanguage;
+                if (languageCode.toLowerCase() === String(this.pendingLanguage || this.currentLanguage).toLowerCase()) return;
+
+                if (this.debug) console.log(`[Translation] Following the URL back to ${languageCode}`);
+                this.urlUpdate = { language: languageCode, mode: 'none' };
+                this.switchLanguage(languageCode).catch(() => {});
+            };
+            window.addEventListener('popstate', this.urlPopstateHandler);
+        }
+
+        hasLanguageCookie() {
+            return /(?:^|;\s*)preferred-language=/.test(document.cookie);
+        }
+
+        isDefaultLanguage(languageCode) {
+            return !languageCode || languageCode.toLowerCase() === this.defaultLanguage;
+        }
+
+        /**
+         * Collect all translation keys from the current page
+         */
+        collectTranslationKeys() {
+            const keys = new Set();
+            document.querySelectorAll('[data-translate-key], [data-translate-attr]').forEach(el => {
+                this.getElementKeys(el).forEach(key => keys.add(key));
+            });
+            return Array.from(keys);
+        }
+
+        /**
+         * Content key plus any attribute keys of an element
+         */
+        getElementKeys(element) {
+            const keys = this.readAttributeKeys(element).map(binding => binding.key);
+            const key = element.getAttribute('data-translate-key');
+            if (key) keys.unshift(key);
+            return keys;
+        }
+
+        /**
+         * Parse data-translate-attr="placeholder:forms.email;title:forms.email.hint" into [{ attr, key }]
+         */
+        readAttributeKeys(element) {
+            const spec = element.getAttribute('data-translate-attr');
+            if (!spec) return [];
+            return spec.split(';')
+                .map(pair => {
+                    const separator = pair.indexOf(':');
+                    return separator > 0 ? { attr: pair.slice(0, separator).trim(), key: pair.slice(separator + 1).trim() } : null;
+                })
+                .filter(binding => binding && binding.attr && binding.key);
+        }
+
+        /**
+         * Map of key -> [{ element, attr }] for all attribute bindings on the page
+         */
+        indexAttributeBindings() {
+            const index = new Map();
+            document.querySelectorAll('[data-translate-attr]').forEach(element => {
+                this.readAttributeKeys(element).forEach(({ attr, key }) => {
+                    if (!index.has(key)) index.set(key, []);
+                    index.get(key).push({ element, attr });
+                });
+            });
+            return index;
+        }
+
+        /**
+         * All elements on the page whose content is bound to a key
+         */
+        findElementsByKey(key) {
+            const escaped = window.CSS && CSS.escape ? CSS.escape(key) : key.replace(/["\\]/g, '\\$&');
+            return Array.from(document.querySelectorAll(`[data-translate-key="${escaped}"]`));
+        }
+
+        /**
+         * Dispatch a translation:* CustomEvent. Element events bubble up to document, so a single
+         * document listener sees everything. Returns false if a listener called preventDefault().
+         */
+        emit(name, detail, target = document) {
+            const event = new CustomEvent(`translation:${name}`, {
+                detail,
+                bubbles: true,
+                cancelable: name === 'beforeswitch'
+            });
+            return target.dispatchEvent(event);
+        }
+
+        /**
+         * Listen for a lifecycle event ('switched' or 'translation:switched'). Returns an unsubscribe function.
+         */
+        on(name, handler) {
+            const type = name.startsWith('translation:') ? name : `translation:${name}`;
+            document.addEventListener(type, handler);
+            return () => this.off(name, handler);
+        }
+
+        off(name, handler) {
+            const type = name.startsWith('translation:') ? name : `translation:${name}`;
+            document.removeEventListener(type, handler);
+        }
+
+        /**
+         * Switch language using HTMX OOB swaps.
+         * The latest requested language wins: a switch still in flight is aborted and its promise rejects
+         * with an AbortError. Resolves with the language code once the page has been updated.
+         */
+        switchLanguageHtmx(languageCode) {
+            if (this.switchController) {
+                // Same language already loading: share the in-flight switch
+                if (this.pendingLanguage === languageCode) return this.pendingSwitch;
+
+                if (this.debug) console.log(`[Translation] Superseding in-flight switch with ${languageCode}`);
+                this.switchController.abort();
+            }
+            this.stopLazyTranslation();
+            const controller = new AbortController();
+            this.switchController = controller;
+            this.pendingLanguage = languageCode;
+            this.pendingSwitch = this.performSwitch(languageCode, controller);
+            return this.pendingSwitch;
+        }
+
+        async performSwitch(languageCode, controller) {
+            const previousLanguage = this.currentLanguage;
+            try {
+                if (!this.emit('beforeswitch', { language: languageCode, previousLanguage })) {
+                    throw new DOMException('Language switch prevented by a beforeswitch listener', 'AbortError');
+                }
+                // Keys without a translation in the new language must not keep their pseudo-localized text
+                if (TranslationPseudoLocalizer.isPseudoLocale(previousLanguage)) this.restoreAll(this.defaultLanguage);
+
+                this.isTranslating = true;
+                this.showLoadingIndicator();
+
+                // Cached translations are applied immediately; only stale or missing keys are requested
+                const staleKeys = this.cache ? Array.from(new Set(this.applyCachedTranslations(languageCode))) : this.collectTranslationKeys();
+
+                if (staleKeys.length === 0) {
+                    if (this.debug) console.log('[Translation] No translations to request for this page');
+                    // Listeners of translation:switched may show UI strings, such as the <language-select> label
+                    await this.loadUiStrings(languageCode, controller.signal);
+                    if (controller.signal.aborted) {
+                        throw new DOMException('Language switch superseded', 'AbortError');
+                    }
+                    this.completeSwitch(languageCode, previousLanguage, { requestedKeys: [], missingKeys: [], deferredKeys: [], updatedCount: 0, fromCache: !!this.cache });
+                    return languageCode;
+                }
+
+                // In lazy mode the switch completes once elements on and near the screen are translated
+                let keys = staleKeys;
+                let deferredKeys = [];
+                if (this.lazyTranslation && typeof IntersectionObserver !== 'undefined') {
+                    ({ now: keys, later: deferredKeys } = await this.partitionByViewport(staleKeys));
+                    if (controller.signal.aborted) {
+                        throw new DOMException('Language switch superseded', 'AbortError');
+                    }
+                }
+
+                if (this.offlineLanguage === languageCode) this.offlineLanguage = null;
+                // The UI strings ride along, so listeners of translation:switched can show them
+                const uiKeys = this.pendingUiKeys(languageCode);
+                const { updatedCount, keys: returnedKeys, offline } = await this.requestTranslations(languageCode, keys.concat(uiKeys), controller.signal);
+                if (uiKeys.length > 0) this.markUiStringsLoaded(languageCode, offline);
+                const missingKeys = keys.filter(key => !returnedKeys.has(key));
+
+                if (this.debug) {
+                    console.log(`[Translation] Language switched to ${languageCode} (${updatedCount}/${keys.length} elements updated, ${deferredKeys.length} keys deferred${offline ? ', offline' : ''})`);
+                }
+                this.completeSwitch(languageCode, previousLanguage, { requestedKeys: keys, missingKeys, deferredKeys, updatedCount, offline });
+                this.recordMissingKeys(languageCode, missingKeys);
+                if (deferredKeys.length > 0) this.translateDeferred(languageCode, deferredKeys);
+
+                if (this.enableNotifications && offline) {
+                    this.showNotification(this.uiText('languageChangedOffline', { language: this.getLanguageName(languageCode) }), 'info');
+                } else if (this.enableNotifications) {
+                    this.showNotification(this.uiText('languageChanged', { language: this.getLanguageName(languageCode) }), 'success');
+                }
+
+                return languageCode;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    if (this.debug) console.log(`[Translation] Switch to ${languageCode} cancelled`);
+                    throw error;
+                }
+                console.error('[Translation] Error switching language:', error);
+                this.emit('error', { phase: 'switch', language: languageCode, previousLanguage, error });
+                if (this.enableNotifications) {
+                    this.showError(this.uiText('switchFailed'), { phase: 'switch', language: languageCode, error });
+                }
+                throw error;
+            } finally {
+                // A superseding switch owns the indicator and flag from here on
+                if (this.switchController === controller) {
+                    this.switchController = null;
+                    this.pendingLanguage = null;
+                    this.pendingSwitch = null;
+                    this.isTranslating = false;
+                    this.hideLoadingIndicator();
+                }
+            }
+        }
+
+        /**
+         * Commit a finished switch: cookie, display, document lang/dir and the translation:switched event.
+         * missingKeys lists requested keys the server returned nothing for (partial failure), deferredKeys
+         * those a lazy switch left for idle time. fromCache is true when the persistent cache had every key.
+         */
+        completeSwitch(languageCode, previousLanguage, result) {
+            this.currentLanguage = languageCode;
+            // The server sets the cookie too, but an aborted request may still have delivered its headers.
+            // Pseudo-locales only exist in the browser, so the server keeps rendering the last real language.
+            if (!TranslationPseudoLocalizer.isPseudoLocale(languageCode)) {
+                this.setLanguageCookie(languageCode);
+                // Switches received from another tab are not sent back, or two tabs could keep flipping each other
+                if (this.tabSync && languageCode !== this.remoteLanguage) this.tabSync.post(languageCode);
+                this.updateUrl(languageCode);
+            }
+            this.remoteLanguage = null;
+            this.updateCurrentLanguageDisplay(languageCode);
+            this.applyDocumentLanguage(languageCode);
+            this.formatValues(languageCode);
+            this.emit('switched', {
+                language: languageCode,
+                previousLanguage,
+                fromCache: false,
+                partial: result.missingKeys.length > 0,
+                offline: false,
+                ...result
+            });
+        }
+
+        /**
+         * Back online after a switch served offline: request the page's keys again so it catches up
+         */
+        async refreshOfflineTranslations() {
+            const languageCode = this.offlineLanguage;
+            if (!languageCode || languageCode !== this.currentLanguage || this.switchController) return;
+
+            this.offlineLanguage = null;
+            const keys = this.collectTranslationKeys();
+            try {
+                const { updatedCount, keys: returnedKeys } = await this.requestTranslations(languageCode, keys);
+                this.recordMissingKeys(languageCode, keys.filter(key => !returnedKeys.has(key)));
+                if (this.debug) console.log(`[Translation] Back online: ${updatedCount} elements updated`);
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.error('[Translation] Error refreshing translations after going online:', error);
+                this.emit('error', { phase: 'online', language: languageCode, error });
+            }
+        }
+
+        /**
+         * Register the offline service worker (translation-sw.js); its scope follows its URL
+         */
+        registerServiceWorker() {
+            if (!this.serviceWorker || !('serviceWorker' in navigator)) return;
+            navigator.serviceWorker.register(this.serviceWorker).catch(error => {
+                console.warn('[Translation] Service worker registration failed:', error);
+            });
+        }
+
+        /**
+         * Follow language switches made in the other tabs of this origin
+         */
+        startTabSync() {
+            if (this.tabSync) return;
+            this.tabSync = new LanguageTabSync(languageCode => this.applyRemoteLanguage(languageCode));
+            if (!this.tabSyncVisibilityHandler) {
+                this.tabSyncVisibilityHandler = () => {
+                    if (document.visibilityState !== 'visible' || !this.deferredRemoteLanguage) return;
+                    const languageCode = this.deferredRemoteLanguage;
+                    this.deferredRemoteLanguage = null;
+                    this.applyRemoteLanguage(languageCode);
+                };
+                document.addEventListener('visibilitychange', this.tabSyncVisibilityHandler);
+            }
+        }
+
+        stopTabSync() {
+            if (this.tabSync) this.tabSync.close();
+            this.tabSync = null;
+            this.deferredRemoteLanguage = null;
+        }
+
+        /**
+         * Switch to a language chosen in another tab. A hidden tab defers the switch until it is shown, so
+         * background tabs do not all request translations at once.
+         */
+        applyRemoteLanguage(languageCode) {
+            if (document.visibilityState === 'hidden') {
+                this.deferredRemoteLanguage = languageCode;
+                return;
+            }
+            const code = languageCode.toLowerCase();
+            if (code === String(this.pendingLanguage || this.currentLanguage).toLowerCase()) return;
+
+            if (this.debug) console.log(`[Translation] Applying ${languageCode} from another tab`);
+            this.remoteLanguage = languageCode;
+            // Another tab's switch is not a navigation of this one, so it adds no history entry
+            this.urlUpdate = { language: languageCode, mode: 'replace' };
+            this.switchLanguage(languageCode)
+                .catch(() => {})
+                .finally(() => {
+                    if (this.remoteLanguage === languageCode) this.remoteLanguage = null;
+                });
+        }
+
+        /**
+         * Abort the switch currently in flight, if any, and the idle-time translation of a lazy switch
+         */
+        cancelPendingSwitch() {
+            if (this.switchController) this.switchController.abort();
+            this.stopLazyTranslation();
+        }
+
+        setLanguageCookie(languageCode) {
+            document.cookie = `preferred-language=${languageCode}; path=/; max-age=31536000; SameSite=Lax`;
+        }
+
+        /**
+         * Synchronously apply persisted translations for a language.
+         * Returns the keys that still need to be requested (missing, expired or with a changed content hash).
+         * Page load applies the cache before the deferred switch does; targets already showing the language are
+         * skipped, so each is rendered and reported once.
+         */
+        applyCachedTranslations(languageCode) {
+            if (!this.cache) return this.collectTranslationKeys();
+
+            const stale = [];
+            document.querySelectorAll('[data-translate-key]').forEach(element => {
+                if (element.getAttribute('data-translated-lang') === languageCode) return;
+                const key = element.getAttribute('data-translate-key');
+                const text = this.cache.get(languageCode, key, element.getAttribute('data-content-hash'));
+                if (text === null) {
+                    stale.push(key);
+                    return;
+                }
+                this.renderContent(element, text, languageCode);
+                this.markTranslated(element, languageCode);
+                this.emit('element-updated', { key, language: languageCode, source: 'cache' }, element);
+            });
+
+            this.indexAttributeBindings().forEach((bindings, key) => {
+                const text = this.cache.get(languageCode, key, null);
+                if (text === null) {
+                    stale.push(key);
+                    return;
+                }
+                bindings.forEach(({ element, attr }) => {
+                    if (element.getAttribute(attr) === text || !this.setTranslatedAttribute(element, attr, text)) return;
+                    this.emit('element-updated', { key, attribute: attr, language: languageCode, source: 'cache' }, element);
+                });
+            });
+
+            if (this.debug) console.log(`[Translation] Applied cached translations for ${languageCode} (${stale.length} keys stale or missing)`);
+            return stale;
+        }
+
+        /**
+         * Ask the transports in order for the keys still untranslated. Returns { translations, offline } with
+         * translations as key -> { value, transport }. A failing transport is skipped; the error is only thrown
+         * if no transport returned anything, unless the network is down: then the keys are looked up in
+         * /Language/GetAll (which the service worker may have cached) and offline is true.
+         */
+        async fetchTranslations(languageCode, keys, signal) {
+            const translations = {};
+            let offline = false;
+            let remaining = keys;
+            let failure = null;
+            for (const transport of this.transports) {
+                if (remaining.length === 0) break;
+                try {
+                    const result = await transport.fetch(languageCode, remaining, { signal }) || {};
+                    remaining.forEach(key => {
+                        if (result[key] != null) translations[key] = { value: result[key], transport: transport.name };
+                    });
+                    remaining = remaining.filter(key => !(key in translations));
+                } catch (error) {
+                    if (error.name === 'AbortError') throw error;
+                    console.warn(`[Translation] ${transport.name} transport failed:`, error);
+                    failure = error;
+                }
+            }
+            if (failure && Object.keys(translations).length === 0) {
+                if (!isNetworkFailure(failure)) throw failure;
+                offline = true;
+                // The service worker may still hold /Language/GetAll for this language
+                if (!this.transports.some(transport => transport.name === 'json')) {
+                    this.offlineTransport = this.offlineTransport || TranslationTransports.json();
+                    try {
+                        const result = await this.offlineTransport.fetch(languageCode, keys, { signal });
+                        Object.entries(result).forEach(([key, value]) => {
+                            translations[key] = { value, transport: 'json' };
+                        });
+                    } catch (error) {
+                        if (error.name === 'AbortError') throw error;
+                    }
+                }
+            }
+            return { translations, offline };
+        }
+
+        /**
+         * Request keys in chunks of at most chunkSize, applying each response as it arrives. Returns the number
+         * of updated targets and the set of keys the responses contained. Without a signal, a response arriving
+         * after the page moved to another language is dropped.
+         */
+        async requestTranslations(languageCode, keys, signal) {
+            const unique = Array.from(new Set(keys));
+            const size = this.chunkSize > 0 ? this.chunkSize : unique.length;
+            const returnedKeys = new Set();
+            let updatedCount = 0;
+            let offline = false;
+            for (let i = 0; i < unique.length; i += size) {
+                const chunk = await this.fetchTranslations(languageCode, unique.slice(i, i + size), signal);
+                const translations = chunk.translations;
+                offline = offline || chunk.offline;
+                if (signal ? signal.aborted : languageCode !== this.currentLanguage) {
+                    throw new DOMException('Language switch superseded', 'AbortError');
+                }
+                const result = this.applyTranslations(translations, languageCode);
+                updatedCount += result.updatedCount;
+                result.keys.forEach(key => returnedKeys.add(key));
+            }
+            if (offline) this.offlineLanguage = languageCode;
+            return { updatedCount, keys: returnedKeys, offline };
+        }
+
+        /**
+         * Split keys by the IntersectionObserver's first report: keys of on-screen elements, then those within
+         * lazyRootMargin of the viewport (now), and keys of elements further away or hidden (later)
+         */
+        partitionByViewport(keys) {
+            const wanted = new Set(keys);
+            const elements = Array.from(document.querySelectorAll('[data-translate-key], [data-translate-attr]'))
+                .filter(element => this.getElementKeys(element).some(key => wanted.has(key)));
+            if (elements.length === 0) return Promise.resolve({ now: [], later: keys });
+
+            return new Promise(resolve => {
+                const visible = new Set();
+                const near = new Set();
+                let reported = 0;
+                const observer = new IntersectionObserver(entries => {
+                    entries.forEach(entry => {
+                        if (!entry.isIntersecting) return;
+                        const rect = entry.boundingClientRect;
+                        const onScreen = rect.bottom > 0 && rect.top < window.innerHeight && rect.right > 0 && rect.left < window.innerWidth;
+                        this.getElementKeys(entry.target).forEach(key => {
+                            if (wanted.has(key)) (onScreen ? visible : near).add(key);
+                        });
+                    });
+                    reported += entries.length;
+                    if (reported < elements.length) return;
+
+                    observer.disconnect();
+                    const now = [...visible, ...Array.from(near).filter(key => !visible.has(key))];
+                    resolve({ now, later: keys.filter(key => !visible.has(key) && !near.has(key)) });
+                }, { rootMargin: this.lazyRootMargin });
+                elements.forEach(element => observer.observe(element));
+            });
+        }
+
+        /**
+         * Translate the keys a lazy switch deferred, one chunk per idle period. Elements scrolled to within
+         * lazyRootMargin of the viewport move to the front of the queue. Stops at the next switch or on an error.
+         */
+        translateDeferred(languageCode, keys) {
+            const controller = new AbortController();
+            this.lazyController = controller;
+            const queue = new Set(keys);
+            const urgent = new Set();
+            const size = this.chunkSize > 0 ? this.chunkSize : queue.size;
+            let busy = false;
+
+            const observer = new IntersectionObserver(entries => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    observer.unobserve(entry.target);
+                    this.getElementKeys(entry.target).forEach(key => {
+                        if (queue.delete(key)) urgent.add(key);
+                    });
+                });
+                if (urgent.size > 0) next();
+            }, { rootMargin: this.lazyRootMargin });
+            controller.signal.addEventListener('abort', () => observer.disconnect());
+
+            const next = async () => {
+                if (busy || controller.signal.aborted) return;
+                const source = urgent.size > 0 ? urgent : queue;
+                if (source.size === 0) {
+                    if (this.debug) console.log(`[Translation] Finished deferred translation for ${languageCode}`);
+                    this.stopLazyTranslation(controller);
+                    return;
+                }
+
+                const chunk = Array.from(source).slice(0, size);
+                chunk.forEach(key => source.delete(key));
+                busy = true;
+                try {
+                    const { keys: returnedKeys } = await this.requestTranslations(languageCode, chunk, controller.signal);
+                    this.recordMissingKeys(languageCode, chunk.filter(key => !returnedKeys.has(key)));
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    console.error('[Translation] Error translating deferred content:', error);
+                    this.emit('error', { phase: 'lazy', language: languageCode, keys: chunk, error });
+                    this.stopLazyTranslation(controller);
+                    return;
+                } finally {
+                    busy = false;
+                }
+
+                if (urgent.size > 0) next();
+                else this.whenIdle(next);
+            };
+
+            document.querySelectorAll('[data-translate-key], [data-translate-attr]').forEach(element => {
+                if (this.getElementKeys(element).some(key => queue.has(key))) observer.observe(element);
+            });
+            this.whenIdle(next);
+        }
+
+        /**
+         * Stop the idle-time translation of a lazy switch (only the given run, when one is passed)
+         */
+        stopLazyTranslation(controller = this.lazyController) {
+            if (!controller || controller !== this.lazyController) return;
+            controller.abort();
+            this.lazyController = null;
+        }
+
+        whenIdle(callback) {
+            // Safari has no requestIdleCallback
+            if (typeof requestIdleCallback === 'function') requestIdleCallback(callback, { timeout: 2000 });
+            else setTimeout(callback, 50);
+        }
+
+        /**
+         * Apply fetched translations (key -> { value, transport }) to every element and attribute bound to each
+         * key. Returns the number of updated targets and the set of keys applied. Elements in swapped already
+         * hold their translation (htmx swapped it in) and are only marked.
+         */
+        applyTranslations(translations, languageCode, swapped = null) {
+            const attributeBindings = this.indexAttributeBindings();
+            const elementsByKey = new Map();
+            document.querySelectorAll('[data-translate-key]').forEach(element => {
+                const key = element.getAttribute('data-translate-key');
+                if (!elementsByKey.has(key)) elementsByKey.set(key, []);
+                elementsByKey.get(key).push(element);
+            });
+            const keys = new Set();
+            let updatedCount = 0;
+            Object.entries(translations).forEach(([key, { value, transport }]) => {
+                const html = typeof value === 'string' ? value : value.html;
+                const text = typeof value === 'string' ? value : value.text;
+                if (key.startsWith(UI_KEY_PREFIX)) {
+                    this.setUiString(languageCode, key, text);
+                    return;
+                }
+                keys.add(key);
+
+                (elementsByKey.get(key) || []).forEach(target => {
+                    const content = this.allowsHtml(target) ? html : text;
+                    if (!swapped || !swapped.has(target)) this.renderContent(target, content, languageCode);
+                    this.markTranslated(target, languageCode);
+                    if (this.cache) this.cache.set(languageCode, key, target.getAttribute('data-content-hash'), content);
+                    this.animateTranslationUpdate(target);
+                    this.emit('element-updated', { key, language: languageCode, source: 'switch', transport }, target);
+                    updatedCount++;
+                });
+
+                // Attribute values are plain text
+                const bindings = attributeBindings.get(key) || [];
+                bindings.forEach(({ element, attr }) => {
+                    if (!this.setTranslatedAttribute(element, attr, text)) return;
+                    element.setAttribute('data-translated-lang', languageCode);
+                    this.emit('element-updated', { key, attribute: attr, language: languageCode, source: 'switch', transport }, element);
+                    updatedCount++;
+                });
+                if (this.cache && bindings.length > 0) this.cache.set(languageCode, key, null, text);
+            });
+            return { updatedCount, keys };
+        }
+
+        /**
+         * Apply OOB swap elements from a switch response. Returns the number of updated targets
+         * and the set of keys the response contained.
+         */
+        applySwapResponse(html, languageCode) {
+            const translations = {};
+            Object.entries(TranslationTransports.parseSwapResponse(html)).forEach(([key, value]) => {
+                translations[key] = { value, transport: 'oob' };
+            });
+            return this.applyTranslations(translations, languageCode);
+        }
+
+        /**
+         * Record keys the server returned no translation for, with the source text of the first element bound to each
+         */
+        recordMissingKeys(languageCode, keys) {
+            // Keys untranslated because the network is down are not missing on the server
+            if (keys.length === 0 || this.isDefaultLanguage(languageCode) || languageCode === this.offlineLanguage) return;
+            const attributeBindings = this.indexAttributeBindings();
+            const url = location.origin + location.pathname;
+            new Set(keys).forEach(key => {
+                const element = this.findElementsByKey(key)[0];
+                const binding = element ? null : (attributeBindings.get(key) || [])[0];
+                this.missingKeys.record({
+                    key,
+                    language: languageCode,
+                    sourceText: element ? this.readSourceText(element) : (binding ? this.readSourceText(binding.element, binding.attr) : null),
+                    hash: element ? element.getAttribute('data-content-hash') : null,
+                    url
+                });
+            });
+        }
+
+        /**
+         * Default-language content (or attribute value) of an element, or null if the page was rendered in
+         * another language and the element was never restored
+         */
+        readSourceText(element, attr) {
+            const original = this.originals.get(element);
+            if (attr) {
+                if (original && attr in original.attributes) return original.attributes[attr];
+            } else if (original && original.content !== null) {
+                return original.content;
+            }
+            if (!this.isDefaultLanguage(this.renderedLanguage)) return null;
+            return attr ? element.getAttribute(attr) : (this.messagePatterns.get(element) || this.readContent(element));
+        }
+
+        readParams(element) {
+            const raw = element.getAttribute('data-translate-params');
+            if (!raw) return null;
+            try {
+                return JSON.parse(raw);
+            } catch (error) {
+                console.warn('[Translation] Invalid data-translate-params JSON:', raw, error);
+                return null;
+            }
+        }
+
+        /**
+         * Format an ICU message for an element using its data-translate-params (if any).
+         * The pattern is remembered so the element can be re-formatted when its params change.
+         */
+        formatMessage(element, html, languageCode) {
+            const params = this.readParams(element);
+            if (!params) return html;
+            this.messagePatterns.set(element, html);
+            const escape = this.allowsHtml(element) ? escapeHtml : null;
+            return TranslationFormatter.format(html, params, languageCode || this.currentLanguage, escape);
+        }
+
+        /**
+         * Only elements marked data-has-html accept markup; everything else is injected as text
+         */
+        allowsHtml(element) {
+            return element.hasAttribute('data-has-html');
+        }
+
+        /**
+         * Tags and attributes a translation of this element may contain. Falls back to the element's
+         * markup when first seen, which is the source markup unless the page was rendered translated.
+         */
+        getMarkupAllowlist(element) {
+            let allowlist = this.markupAllowlists.get(element);
+            if (!allowlist) {
+                allowlist = element.hasAttribute('data-html-allowlist')
+                    ? TranslationSanitizer.parseAllowlist(element.getAttribute('data-html-allowlist'))
+                    : TranslationSanitizer.allowlistFromElement(element);
+                this.markupAllowlists.set(element, allowlist);
+            }
+            return allowlist;
+        }
+
+        /**
+         * Content of an element (or of a swap element destined for it) in the form renderContent expects
+         */
+        readContent(element, source = element) {
+            return this.allowsHtml(element) ? source.innerHTML : source.textContent;
+        }
+
+        /**
+         * The single place translated content reaches the DOM: HTML elements get sanitized markup,
+         * all other elements get text
+         */
+        renderContent(element, content, languageCode) {
+            this.rememberOriginal(element);
+            if (this.allowsHtml(element)) {
+                const allowlist = this.getMarkupAllowlist(element);
+                element.innerHTML = TranslationSanitizer.sanitize(this.formatMessage(element, content, languageCode), allowlist);
+            } else {
+                element.textContent = this.formatMessage(element, content, languageCode);
+            }
+        }
+
+        /**
+         * Set a translated attribute value unless it is an event handler or an unsafe URL
+         */
+        setTranslatedAttribute(element, attr, value) {
+            if (!TranslationSanitizer.isSafeAttribute(attr, value)) {
+                console.warn(`[Translation] Rejected unsafe translation for ${attr} attribute`);
+                return false;
+            }
+            this.rememberOriginal(element, attr);
+            element.setAttribute(attr, value);
+            return true;
+        }
+
+        /**
+         * Format all parameterized elements in place (used for server-rendered source text)
+         */
+        formatParameterizedElements(root = document) {
+            root.querySelectorAll('[data-translate-key][data-translate-params]').forEach(element => {
+                const pattern = this.messagePatterns.get(element) || this.readContent(element);
+                this.renderContent(element, pattern, this.currentLanguage);
+            });
+        }
+
+        /**
+         * Reformat the [data-format] elements within root (and root itself) for the language with Intl.
+         * data-value holds the raw value (a <time datetime> is used without it), data-format-options the Intl
+         * options, data-currency and data-unit shortcuts for the currency code and relative unit.
+         * Pseudo-locales format as the default language.
+         */
+        formatValues(languageCode, root = document) {
+            const locale = TranslationPseudoLocalizer.isPseudoLocale(languageCode) ? this.defaultLanguage : languageCode;
+            const elements = Array.from(root.querySelectorAll('[data-format]'));
+            if (root.matches && root.matches('[data-format]')) elements.push(root);
+
+            elements.forEach(element => {
+                const value = element.getAttribute('data-value') ?? element.getAttribute('datetime');
+                if (value == null) return;
+
+                let options = {};
+                try {
+                    options = JSON.parse(element.getAttribute('data-format-options') || '{}') || {};
+                } catch (error) {
+                    console.warn('[Translation] Invalid data-format-options:', element, error);
+                }
+                if (element.hasAttribute('data-currency')) options.currency = element.getAttribute('data-currency');
+                if (element.hasAttribute('data-unit')) options.unit = element.getAttribute('data-unit');
+
+                const text = TranslationFormatter.formatValue(element.getAttribute('data-format'), value, locale, options);
+                if (text === null) {
+                    if (this.debug) console.warn('[Translation] Could not format value:', element);
+                } else if (element.textContent !== text) {
+                    element.textContent = text;
+                }
+            });
+        }
+
+        /**
+         * Update the ICU params of an element and re-render it in the current language
+         */
+        setParams(element, params) {
+            if (!element) return;
+            const pattern = this.messagePatterns.get(element) || this.readContent(element);
+            element.setAttribute('data-translate-params', JSON.stringify(params || {}));
+            this.renderContent(element, pattern, this.currentLanguage);
+        }
+
+        /**
+         * Watch the document for [data-translate-key] elements inserted after load
+         * (modals, infinite scroll, client-rendered widgets) and translate them in batches
+         */
+        startObserving() {
+            if (this.mutationObserver || typeof MutationObserver === 'undefined' || !document.body) return;
+
+            this.mutationObserver = new MutationObserver(mutations => {
+                for (const mutation of mutations) {
+                    mutation.addedNodes.forEach(node => this.queueTranslatableNode(node));
+                }
+            });
+            this.mutationObserver.observe(document.body, { childList: true, subtree: true });
+
+            if (this.debug) console.log('[Translation] Observing DOM for inserted content');
+        }
+
+        stopObserving() {
+            if (this.mutationObserver) {
+                this.mutationObserver.disconnect();
+                this.mutationObserver = null;
+            }
+            clearTimeout(this.mutationTimer);
+            this.mutationTimer = null;
+            this.pendingElements.clear();
+        }
+
+        queueTranslatableNode(node) {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            // Formatting is local, so inserted values are localized straight away
+            if (!this.isDefaultLanguage(this.currentLanguage)) this.formatValues(this.currentLanguage, node);
+
+            const selector = '[data-translate-key], [data-translate-attr]';
+            const elements = Array.from(node.querySelectorAll(selector));
+            if (node.matches(selector)) elements.push(node);
+
+            elements.forEach(el => {
+                if (el.getAttribute('data-translated-lang') !== this.currentLanguage) {
+                    this.pendingElements.add(el);
+                }
+            });
+
+            if (this.pendingElements.size > 0) this.schedulePendingFlush();
+        }
+
+        schedulePendingFlush() {
+            clearTimeout(this.mutationTimer);
+            this.mutationTimer = setTimeout(() => this.flushPendingElements(), this.mutationDebounce);
+        }
+
+        /**
+         * Translate the batch of inserted elements into the current language with a single request
+         */
+        async flushPendingElements() {
+            this.mutationTimer = null;
+            const languageCode = this.currentLanguage;
+
+            if (this.isDefaultLanguage(languageCode)) {
+                this.pendingElements.clear();
+                return;
+            }
+
+            if (TranslationPseudoLocalizer.isPseudoLocale(languageCode)) {
+                this.pseudoLocalizeElements(Array.from(this.pendingElements).filter(el => el.isConnected), languageCode);
+                this.pendingElements.clear();
+                return;
+            }
+
+            // A full switch is running; retry once it has settled
+            if (this.isTranslating) {
+                this.schedulePendingFlush();
+                return;
+            }
+
+            const elements = Array.from(this.pendingElements).filter(el => el.isConnected);
+            this.pendingElements.clear();
+            if (elements.length === 0) return;
+
+            const keys = Array.from(new Set(elements.flatMap(el => this.getElementKeys(el))));
+
+            try {
+                const { updatedCount, keys: returnedKeys } = await this.requestTranslations(languageCode, keys);
+                this.recordMissingKeys(languageCode, keys.filter(key => !returnedKeys.has(key)));
+                if (this.debug) {
+                    console.log(`[Translation] Translated inserted content (${updatedCount}/${keys.length} elements updated)`);
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.error('[Translation] Error translating inserted content:', error);
+                this.emit('error', { phase: 'observer', language: languageCode, keys, error });
+            }
+        }
+
+        /**
+         * Translate the keyed elements within root into the current language now, e.g. content swapped in by
+         * htmx. renderedLanguage is the language the server rendered them in: when it is not the default
+         * language, switching back to the default reloads, as their original text is not the default text.
+         */
+        translateElements(root, renderedLanguage) {
+            if (renderedLanguage && !this.isDefaultLanguage(renderedLanguage) &&
+                root.querySelector('[data-translate-key], [data-translate-attr]')) {
+                this.translatedFragments = true;
+            }
+            this.queueTranslatableNode(root);
+            clearTimeout(this.mutationTimer);
+            return this.flushPendingElements();
+        }
+
+        /**
+         * Start a switch posted by htmx (hx-post="/Language/Switch/{lang}" with the translation extension).
+         * Returns a handle holding the keys to post, or null if a beforeswitch listener cancelled the switch.
+         */
+        beginDeclarativeSwitch(languageCode) {
+            const previousLanguage = this.currentLanguage;
+            if (!this.emit('beforeswitch', { language: languageCode, previousLanguage })) return null;
+            if (this.switchController) this.switchController.abort();
+            this.stopLazyTranslation();
+            if (TranslationPseudoLocalizer.isPseudoLocale(previousLanguage)) this.restoreAll(this.defaultLanguage);
+
+            const controller = new AbortController();
+            const handle = { languageCode, previousLanguage, controller, keys: this.collectTranslationKeys(), translations: {}, swapped: new Set() };
+            // requestKeys are posted: the page's keys and the UI strings not loaded yet
+            handle.uiKeys = this.pendingUiKeys(languageCode);
+            handle.requestKeys = handle.keys.concat(handle.uiKeys);
+            this.switchController = controller;
+            this.pendingLanguage = languageCode;
+            this.pendingSwitch = new Promise((resolve, reject) => {
+                handle.resolve = resolve;
+                handle.reject = reject;
+            });
+            // Rejections reach whoever shares the switch through switchLanguage
+            this.pendingSwitch.catch(() => {});
+            this.isTranslating = true;
+            this.showLoadingIndicator();
+            return handle;
+        }
+
+        /**
+         * The switch response as htmx should swap it. Each hx-swap-oob element bound to a key gets the content
+         * renderContent would write (sanitized markup or text, message params applied); one aimed at an element
+         * without that key is dropped. A superseded switch swaps nothing.
+         */
+        prepareDeclarativeResponse(handle, html) {
+            if (handle.controller.signal.aborted) return '';
+
+            const temp = document.createElement('template');
+            temp.innerHTML = html;
+            temp.content.querySelectorAll('[hx-swap-oob]').forEach(swap => {
+                const target = swap.id ? document.getElementById(swap.id) : null;
+                const key = swap.getAttribute('data-translate-key') || (target && target.getAttribute('data-translate-key'));
+                if (!key) return;
+
+                handle.translations[key] = { value: { html: swap.innerHTML, text: swap.textContent }, transport: 'htmx' };
+                if (!target || target.getAttribute('data-translate-key') !== key) {
+                    swap.remove();
+                    return;
+                }
+                this.rememberOriginal(target);
+                const content = this.formatMessage(target, this.readContent(target, swap), handle.languageCode);
+                swap.innerHTML = this.allowsHtml(target)
+                    ? TranslationSanitizer.sanitize(content, this.getMarkupAllowlist(target))
+                    : escapeHtml(content);
+                handle.swapped.add(target);
+            });
+            return temp.innerHTML;
+        }
+
+        /**
+         * Finish a declarative switch once htmx has swapped the response (or failed): translate the other
+         * elements and attributes bound to the returned keys, then commit it like any other switch
+         */
+        async finishDeclarativeSwitch(handle, error) {
+            const { languageCode, previousLanguage, controller } = handle;
+            try {
+                if (controller.signal.aborted) throw new DOMException('Language switch superseded', 'AbortError');
+                if (error) throw error;
+
+                const { updatedCount, keys } = this.applyTranslations(handle.translations, languageCode, handle.swapped);
+                if (handle.uiKeys.length > 0) this.markUiStringsLoaded(languageCode, false);
+                const missingKeys = handle.keys.filter(key => !keys.has(key));
+                if (this.debug) console.log(`[Translation] Language switched to ${languageCode} by htmx (${updatedCount} elements updated)`);
+                this.completeSwitch(languageCode, previousLanguage, { requestedKeys: handle.keys, missingKeys, deferredKeys: [], updatedCount });
+                this.recordMissingKeys(languageCode, missingKeys);
+                if (this.enableNotifications) {
+                    this.showNotification(this.uiText('languageChanged', { language: this.getLanguageName(languageCode) }), 'success');
+                }
+                handle.resolve(languageCode);
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    console.error('[Translation] Error switching language:', err);
+                    this.emit('error', { phase: 'switch', language: languageCode, previousLanguage, error: err });
+                    if (this.enableNotifications) this.showError(this.uiText('switchFailed'), { phase: 'switch', language: languageCode, error: err });
+                }
+                handle.reject(err);
+            } finally {
+                if (this.switchController === controller) {
+                    this.switchController = null;
+                    this.pendingLanguage = null;
+                    this.pendingSwitch = null;
+                    this.isTranslating = false;
+                    this.hideLoadingIndicator();
+                }
+            }
+        }
+
+        async switchLanguage(languageCode) {
+            if (languageCode === this.currentLanguage) {
+                // Switching back before a pending switch finished: stay on the current language
+                this.cancelPendingSwitch();
+                if (this.debug) console.log('[Translation] Already in this language');
+                return languageCode;
+            }
+
+            if (this.isDefaultLanguage(languageCode)) {
+                return this.restoreDefaultLanguage(languageCode);
+            }
+
+            if (TranslationPseudoLocalizer.isPseudoLocale(languageCode)) {
+                return this.applyPseudoLocale(languageCode);
+            }
 
-        /**
-         * Collect all translation keys from the current page
-         */
-        collectTranslationKeys() {
-            const elements = document.querySelectorAll('[data-translate-key]');
-            return Array.from(elements).map(el => el.getAttribute('data-translate-key'));
+            return this.switchLanguageHtmx(languageCode);
         }
 
         /**
-         * Switch language using HTMX OOB swaps
+         * Switch to a pseudo-locale (qps-ploc, or qps-plocm mirrored right-to-left) without a server round trip.
+         * Every keyed element and attribute is rendered from its original source text, so untouched strings are
+         * the hard-coded ones.
          */
-        async switchLanguageHtmx(languageCode) {
-            if (this.isTranslating) {
-                if (this.debug) console.log('[Translation] Already translating, ignoring request');
-                return;
+        applyPseudoLocale(languageCode) {
+            this.cancelPendingSwitch();
+            const previousLanguage = this.currentLanguage;
+            if (!this.emit('beforeswitch', { language: languageCode, previousLanguage })) {
+                throw new DOMException('Language switch prevented by a beforeswitch listener', 'AbortError');
             }
 
-            try {
-                this.isTranslating = true;
-                this.showLoadingIndicator();
+            const elements = document.querySelectorAll('[data-translate-key], [data-translate-attr]');
+            const updatedCount = this.pseudoLocalizeElements(elements, languageCode);
 
-                const keys = this.collectTranslationKeys();
+            if (this.debug) console.log(`[Translation] Pseudo-localized ${updatedCount} elements (${languageCode})`);
+            this.completeSwitch(languageCode, previousLanguage, { requestedKeys: [], missingKeys: [], updatedCount });
+            return languageCode;
+        }
 
-                if (keys.length === 0) {
-                    if (this.debug) console.log('[Translation] No translatable content on this page');
-                    this.currentLanguage = languageCode;
-                    document.cookie = `preferred-language=${languageCode}; path=/; max-age=31536000; SameSite=Lax`;
-                    this.updateCurrentLanguageDisplay(languageCode);
-                    return;
+        /**
+         * Render elements' original content and translated attributes through the pseudo-localizer.
+         * Returns the number of updated targets.
+         */
+        pseudoLocalizeElements(elements, languageCode) {
+            const options = { mirror: TranslationPseudoLocalizer.isMirrored(languageCode), expansion: this.pseudoExpansion };
+            let updatedCount = 0;
+            elements.forEach(element => {
+                const key = element.getAttribute('data-translate-key');
+                if (key) {
+                    this.rememberOriginal(element);
+                    const source = this.originals.get(element).content;
+                    const content = this.allowsHtml(element)
+                        ? TranslationPseudoLocalizer.localizeHtml(source, options)
+                        : TranslationPseudoLocalizer.localize(source, options);
+                    this.renderContent(element, content, languageCode);
+                    this.markTranslated(element, languageCode);
+                    this.emit('element-updated', { key, language: languageCode, source: 'pseudo' }, element);
+                    updatedCount++;
                 }
 
-                const formData = new FormData();
-                keys.forEach(key => formData.append('keys', key));
-
-                const response = await fetch(`/Language/Switch/${languageCode}`, {
-                    method: 'POST',
-                    body: formData
+                this.readAttributeKeys(element).forEach(({ attr, key: attributeKey }) => {
+                    this.rememberOriginal(element, attr);
+                    const source = this.originals.get(element).attributes[attr];
+                    if (source === null || !this.setTranslatedAttribute(element, attr, TranslationPseudoLocalizer.localize(source, options))) return;
+                    element.setAttribute('data-translated-lang', languageCode);
+                    this.emit('element-updated', { key: attributeKey, attribute: attr, language: languageCode, source: 'pseudo' }, element);
+                    updatedCount++;
                 });
+            });
+            return updatedCount;
+        }
 
-                if (!response.ok) {
-                    throw new Error(`Failed to switch language: ${response.statusText}`);
-                }
-
-                const html = await response.text();
-                const temp = document.createElement('div');
-                temp.innerHTML = html;
+        /**
+         * Switch back to the default language by restoring the snapshotted original content and attributes
+         * in place, keeping form input, scroll position and client state. Falls back to a reload when the
+         * page was server-rendered in another language, as its original content is not the default text then.
+         */
+        restoreDefaultLanguage(languageCode) {
+            this.cancelPendingSwitch();
+            const previousLanguage = this.currentLanguage;
+            const reload = !this.isDefaultLanguage(this.renderedLanguage) || this.translatedFragments;
+            if (!this.emit('beforeswitch', { language: languageCode, previousLanguage, reload })) {
+                throw new DOMException('Language switch prevented by a beforeswitch listener', 'AbortError');
+            }
 
-                let updatedCount = 0;
-                temp.querySelectorAll('[hx-swap-oob]').forEach(element => {
-                    const targetId = element.id;
-                    const target = document.getElementById(targetId);
+            if (reload) {
+                this.setLanguageCookie(languageCode);
+                if (this.urlLanguage) {
+                    // Reloading would render the language still in the URL
+                    window.location[this.urlHistory === 'push' ? 'assign' : 'replace'](this.urlForLanguage(languageCode));
+                } else {
+                    window.location.reload();
+                }
+                return languageCode;
+            }
 
-                    if (target) {
-                        target.innerHTML = element.innerHTML;
-                        this.animateTranslationUpdate(target);
-                        updatedCount++;
-                    }
-                });
+            const updatedCount = this.restoreAll(languageCode);
 
-                this.currentLanguage = languageCode;
-                this.updateCurrentLanguageDisplay(languageCode);
+            if (this.debug) console.log(`[Translation] Restored ${updatedCount} elements to ${languageCode}`);
+            this.completeSwitch(languageCode, previousLanguage, { requestedKeys: [], missingKeys: [], updatedCount });
 
-                if (this.debug) {
-                    console.log(`[Translation] Language switched to ${languageCode} (${updatedCount}/${keys.length} elements updated)`);
-                }
+            if (this.enableNotifications) {
+                this.showNotification(this.uiText('languageChanged', { language: this.getLanguageName(languageCode) }), 'success');
+            }
+            return languageCode;
+        }
 
-                if (this.enableNotifications) {
-                    this.showNotification(`Language changed to ${this.getLanguageName(languageCode)}`, 'success');
-                }
+        /**
+         * Restore every translated element on the page. Returns the number of restored elements.
+         */
+        restoreAll(languageCode) {
+            let updatedCount = 0;
+            document.querySelectorAll('[data-translate-key], [data-translate-attr]').forEach(element => {
+                if (this.restoreOriginal(element, languageCode)) updatedCount++;
+            });
+            return updatedCount;
+        }
 
-            } catch (error) {
-                console.error('[Translation] Error switching language:', error);
-                if (this.enableNotifications) {
-                    this.showNotification('Failed to switch language', 'error');
-                }
-            } finally {
-                this.isTranslating = false;
-                this.hideLoadingIndicator();
+        /**
+         * Snapshot an element's original content, lang/dir and (when given) attribute before the first
+         * translation touches it. Later calls never overwrite what was recorded first.
+         */
+        rememberOriginal(element, attr) {
+            let original = this.originals.get(element);
+            if (!original) {
+                original = {
+                    content: element.hasAttribute('data-translate-key') ? (this.messagePatterns.get(element) || this.readContent(element)) : null,
+                    attributes: { lang: element.getAttribute('lang'), dir: element.getAttribute('dir') }
+                };
+                this.originals.set(element, original);
+            }
+            if (attr && !(attr in original.attributes)) {
+                original.attributes[attr] = element.getAttribute(attr);
             }
         }
 
-        async switchLanguage(languageCode) {
-            if (languageCode === this.currentLanguage) {
-                if (this.debug) console.log('[Translation] Already in this language');
-                return;
-            }
+        /**
+         * Put an element back to its snapshot. Returns false if it was never translated.
+         */
+        restoreOriginal(element, languageCode) {
+            const original = this.originals.get(element);
+            if (!original) return false;
 
-            if (languageCode === 'en') {
-                document.cookie = `preferred-language=en; path=/; max-age=31536000; SameSite=Lax`;
-                window.location.reload();
-                return;
+            if (original.content !== null) {
+                // Original markup was server-rendered, so it is restored as-is rather than sanitized
+                const content = this.formatMessage(element, original.content, languageCode);
+                if (this.allowsHtml(element)) {
+                    element.innerHTML = content;
+                } else {
+                    element.textContent = content;
+                }
             }
+            Object.entries(original.attributes).forEach(([attr, value]) => {
+                if (value === null) {
+                    element.removeAttribute(attr);
+                } else {
+                    element.setAttribute(attr, value);
+                }
+            });
+            element.removeAttribute('data-translated-lang');
 
-            await this.switchLanguageHtmx(languageCode);
+            this.emit('element-updated', { key: element.getAttribute('data-translate-key'), language: languageCode, source: 'restore' }, element);
+            return true;
         }
 
         animateTranslationUpdate(element) {
@@ -144,77 +2295,159 @@
             }, 500);
         }
 
+        isRtlLanguage(languageCode) {
+            if (!languageCode) return false;
+            const code = languageCode.toLowerCase();
+            if (TranslationPseudoLocalizer.isMirrored(code)) return true;
+            if (this.rtlLanguages.includes(code) || this.rtlLanguages.includes(code.split('-')[0])) return true;
+            // Script subtags such as pa-Arab or az-Arab
+            return /-(arab|hebr|thaa|syrc|nkoo|adlm|rohg)\b/.test(code);
+        }
+
+        getTextDirection(languageCode) {
+            return this.isRtlLanguage(languageCode) ? 'rtl' : 'ltr';
+        }
+
+        /**
+         * Record the language of an element's text so screen readers and bidi layout follow it
+         */
+        markTranslated(element, languageCode) {
+            element.setAttribute('data-translated-lang', languageCode);
+            element.setAttribute('lang', languageCode);
+            element.setAttribute('dir', this.getTextDirection(languageCode));
+        }
+
+        /**
+         * Set <html lang/dir> for the active language. Keyed elements that have not been translated yet
+         * keep the source language explicitly so they are not read or laid out as the new language.
+         */
+        applyDocumentLanguage(languageCode) {
+            const root = document.documentElement;
+            root.setAttribute('lang', languageCode);
+            root.setAttribute('dir', this.getTextDirection(languageCode));
+
+            if (this.isDefaultLanguage(languageCode)) return;
+            document.querySelectorAll('[data-translate-key]:not([data-translated-lang]):not([lang])').forEach(element => {
+                this.rememberOriginal(element);
+                element.setAttribute('lang', this.defaultLanguage);
+                element.setAttribute('dir', this.getTextDirection(this.defaultLanguage));
+            });
+        }
+
         updateCurrentLanguageDisplay(langCode) {
             const displays = document.querySelectorAll('#current-lang, [data-current-lang]');
             displays.forEach(display => {
                 try {
-                    display.textContent = (langCode || 'en').toUpperCase();
+                    display.textContent = (langCode || this.defaultLanguage).toUpperCase();
                 } catch {
                     display.textContent = langCode;
                 }
             });
         }
 
+        /**
+         * Call a renderer method, if the renderer has it. A failing custom renderer is logged, never thrown.
+         */
+        render(method, ...args) {
+            const fn = this.renderer && this.renderer[method];
+            if (typeof fn !== 'function') return undefined;
+            try {
+                return fn.apply(this.renderer, args);
+            } catch (error) {
+                console.error(`[Translation] Renderer ${method} failed:`, error);
+                return undefined;
+            }
+        }
+
+        /**
+         * A UI string in a language (default: the current one): its translation when known, else the English
+         * text, formatted with params. Pseudo-locales pseudo-localize the English text.
+         */
+        uiText(name, params = {}, languageCode = this.currentLanguage) {
+            const code = String(languageCode || this.defaultLanguage).toLowerCase();
+            const fallback = UI_STRINGS[name] != null ? UI_STRINGS[name] : name;
+            if (TranslationPseudoLocalizer.isPseudoLocale(code)) {
+                const pseudo = TranslationPseudoLocalizer.localize(fallback, { mirror: TranslationPseudoLocalizer.isMirrored(code), expansion: this.pseudoExpansion });
+                return TranslationFormatter.format(pseudo, params, this.defaultLanguage);
+            }
+            const strings = this.uiStrings[code] || this.uiStrings[code.split('-')[0]] || {};
+            return TranslationFormatter.format(strings[name] != null ? strings[name] : fallback, params, code);
+        }
+
+        /**
+         * Keys of the UI strings a language still needs, requested once per language along with a switch's
+         * own keys. Empty when they are loaded or not translated.
+         */
+        pendingUiKeys(languageCode) {
+            const code = String(languageCode).toLowerCase();
+            if (!this.translateUi || this.uiStringsLoaded.has(code) || this.isDefaultLanguage(code) ||
+                TranslationPseudoLocalizer.isPseudoLocale(code)) return [];
+            return Object.keys(UI_STRINGS).map(name => UI_KEY_PREFIX + name);
+        }
+
+        // Offline answers may lack strings the server has, so they are asked for again next time
+        markUiStringsLoaded(languageCode, offline) {
+            if (!offline) this.uiStringsLoaded.add(String(languageCode).toLowerCase());
+        }
+
+        setUiString(languageCode, key, text) {
+            // Servers answer an unregistered key with the key itself: the English text is better than that
+            if (text == null || text === key) return;
+            const code = languageCode.toLowerCase();
+            (this.uiStrings[code] || (this.uiStrings[code] = {}))[key.slice(UI_KEY_PREFIX.length)] = text;
+        }
+
+        /**
+         * Request only the UI strings of a language, for a switch with no keys of its own to request.
+         * Strings without a translation keep their English text; failures only cost the translated UI, so
+         * nothing is thrown.
+         */
+        async loadUiStrings(languageCode, signal) {
+            const keys = this.pendingUiKeys(languageCode);
+            if (keys.length === 0) return;
+
+            try {
+                const { translations, offline } = await this.fetchTranslations(languageCode, keys, signal);
+                Object.entries(translations).forEach(([key, { value }]) => {
+                    this.setUiString(languageCode, key, typeof value === 'string' ? value : value.text);
+                });
+                this.markUiStringsLoaded(languageCode, offline);
+            } catch (error) {
+                if (error.name !== 'AbortError') console.warn(`[Translation] Unable to load the UI strings for ${languageCode}:`, error);
+            }
+        }
+
         showLoadingIndicator() {
             const indicators = document.querySelectorAll('#translation-loading-indicator, [data-translation-loading]');
             indicators.forEach(indicator => indicator.classList.remove('d-none'));
-
-            let indicator = document.getElementById('translation-loading');
-            if (!indicator) {
-                indicator = document.createElement('div');
-                indicator.id = 'translation-loading';
-                indicator.className = 'toast-container position-fixed top-0 end-0 p-3';
-                indicator.innerHTML = `
-                    <div class="toast show" role="alert">
-                        <div class="toast-body d-flex align-items-center gap-2">
-                            <div class="spinner-border spinner-border-sm" role="status">
-                                <span class="visually-hidden">Loading...</span>
-                            </div>
-                            <span>Loading translations...</span>
-                        </div>
-                    </div>
-                `;
-                document.body.appendChild(indicator);
-            } else {
-                indicator.style.display = 'block';
-            }
+            this.render('showLoading', { message: this.uiText('loading') });
         }
 
         hideLoadingIndicator() {
             const indicators = document.querySelectorAll('#translation-loading-indicator, [data-translation-loading]');
             indicators.forEach(indicator => indicator.classList.add('d-none'));
-
-            const indicator = document.getElementById('translation-loading');
-            if (indicator) {
-                setTimeout(() => {
-                    indicator.style.display = 'none';
-                }, 300);
-            }
+            this.render('hideLoading');
         }
 
         showNotification(message, type = 'info') {
-            const container = document.getElementById('translation-notifications') || this.createNotificationContainer();
-            const notification = document.createElement('div');
-            notification.className = `alert alert-${type === 'error' ? 'danger' : type === 'success' ? 'success' : 'info'} alert-dismissible fade show`;
-            notification.innerHTML = `
-                ${message}
-                <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
-            `;
-            container.appendChild(notification);
-
-            setTimeout(() => {
-                notification.classList.remove('show');
-                setTimeout(() => notification.remove(), 150);
-            }, 3000);
+            if (type === 'error') {
+                this.showError(message);
+                return;
+            }
+            this.render('notify', { message, type, closeLabel: this.uiText('close') });
         }
 
-        createNotificationContainer() {
-            const container = document.createElement('div');
-            container.id = 'translation-notifications';
-            container.className = 'position-fixed top-0 end-0 p-3';
-            container.style.zIndex = '1060';
-            document.body.appendChild(container);
-            return container;
+        /**
+         * Report a failure through the renderer's error method, or as an error notification.
+         * details: { phase, language, error } as in the translation:error event.
+         */
+        showError(message, details = {}) {
+            const closeLabel = this.uiText('close');
+            if (this.renderer && typeof this.renderer.error === 'function') {
+                this.render('error', { message, ...details, closeLabel });
+            } else {
+                this.render('notify', { message, type: 'error', closeLabel });
+            }
         }
 
         getLanguageName(code) {
@@ -226,6 +2459,246 @@
             return names[code.toLowerCase()] || (code || 'en').toUpperCase();
         }
 
+        /**
+         * Languages the site offers: availableLanguages from the config, otherwise /Language/Available.
+         * The default language is always included.
+         */
+        async getAvailableLanguages() {
+            let languages = this.availableLanguages;
+            if (!languages) {
+                const response = await fetch('/Language/Available');
+                if (!response.ok) {
+                    throw new Error(`Failed to load available languages: ${response.statusText}`);
+                }
+                languages = await response.json();
+            }
+            return [this.defaultLanguage, ...languages.filter(code => !this.isDefaultLanguage(code))];
+        }
+
+        /**
+         * Best match for the browser's preferred languages among the available ones, or null
+         */
+        async negotiateLanguage() {
+            const requested = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+            return negotiateLanguage(requested.filter(Boolean), await this.getAvailableLanguages());
+        }
+
+        /**
+         * First visit: switch to the negotiated language, or offer it in a banner when languageNegotiation is
+         * 'suggest'. The outcome is persisted in the language cookie, so this happens once per browser.
+         */
+        async applyLanguageNegotiation() {
+            try {
+                const languageCode = await this.negotiateLanguage();
+                // The visitor picked a language while the available ones were loading
+                if (this.hasLanguageCookie() || this.switchController) return;
+
+                if (!languageCode || languageCode.toLowerCase() === this.currentLanguage.toLowerCase()) {
+                    this.setLanguageCookie(this.currentLanguage);
+                } else if (this.languageNegotiation === 'suggest') {
+                    this.showLanguageSuggestion(languageCode);
+                } else {
+                    if (this.debug) console.log(`[Translation] Negotiated ${languageCode} from the browser languages`);
+                    this.urlUpdate = { language: languageCode, mode: 'replace' };
+                    await this.switchLanguage(languageCode);
+                }
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.error('[Translation] Language negotiation failed:', error);
+                this.emit('error', { phase: 'negotiation', language: null, error });
+            }
+        }
+
+        /**
+         * Banner offering the negotiated language. Declining keeps the current language and persists it.
+         */
+        showLanguageSuggestion(languageCode) {
+            const language = this.getLanguageName(languageCode);
+            this.render('suggestion', {
+                label: this.uiText('suggestionLabel'),
+                text: this.uiText('suggestionText', { language }),
+                acceptLabel: this.uiText('suggestionAccept', { language }),
+                dismissLabel: this.uiText('suggestionDismiss'),
+                onAccept: () => this.switchLanguage(languageCode).catch(() => {}),
+                onDismiss: () => this.setLanguageCookie(this.currentLanguage)
+            });
+        }
+
+        /**
+         * Apply a single translated string to every element and attribute bound to its key.
+         * Ignored unless it is for the current language.
+         */
+        applyStringTranslation(key, languageCode, translatedText, source) {
+            if (key.startsWith(UI_KEY_PREFIX)) {
+                this.setUiString(languageCode, key, translatedText);
+                return;
+            }
+            if (languageCode !== this.currentLanguage) return;
+
+            // Element ids are server-side xxHash64 values, so look elements up by key instead
+            const elements = this.findElementsByKey(key);
+            elements.forEach(element => {
+                this.renderContent(element, translatedText, languageCode);
+                this.markTranslated(element, languageCode);
+                this.animateTranslationUpdate(element);
+                this.emit('element-updated', { key, language: languageCode, source }, element);
+            });
+
+            if (this.cache) {
+                const hash = elements.length > 0 ? elements[0].getAttribute('data-content-hash') : null;
+                this.cache.set(languageCode, key, hash, translatedText);
+            }
+
+            const bindings = this.indexAttributeBindings().get(key) || [];
+            bindings.forEach(({ element, attr }) => {
+                if (!this.setTranslatedAttribute(element, attr, translatedText)) return;
+                this.emit('element-updated', { key, attribute: attr, language: languageCode, source }, element);
+            });
+        }
+
+        /**
+         * In-context editor: Alt-click a [data-translate-key] element to review and correct its translation.
+         * Only active when the scripts tag helper rendered editor settings for the current user.
+         */
+        enableEditor() {
+            if (!this.editor || this.editorClickHandler) return;
+
+            this.editorClickHandler = (event) => {
+                if (!event.altKey) return;
+                const element = event.target.closest && event.target.closest('[data-translate-key]');
+                if (!element || (this.editorPanel && this.editorPanel.element && this.editorPanel.element.contains(element))) return;
+                // Alt-click on a link or button must not also follow it
+                event.preventDefault();
+                event.stopPropagation();
+                this.openEditor(element);
+            };
+            document.addEventListener('click', this.editorClickHandler, true);
+            if (this.debug) console.log('[Translation] Editor enabled: Alt-click a translated element to edit it');
+        }
+
+        disableEditor() {
+            if (this.editorClickHandler) document.removeEventListener('click', this.editorClickHandler, true);
+            this.editorClickHandler = null;
+            this.closeEditor();
+        }
+
+        /**
+         * Open the editor panel for an element: key, category, description, source text and the
+         * stored translation, which is loaded from the server so the reviewer edits what is saved
+         */
+        async openEditor(element) {
+            if (!this.editor) {
+                console.warn('[Translation] The translation editor is not enabled for this user');
+                return;
+            }
+            const key = element.getAttribute('data-translate-key');
+            const languageCode = this.currentLanguage;
+            if (this.isDefaultLanguage(languageCode) || TranslationPseudoLocalizer.isPseudoLocale(languageCode)) {
+                this.showNotification(this.uiText('editorNeedsLanguage'), 'info');
+                return;
+            }
+
+            this.closeEditor();
+            this.rememberOriginal(element);
+            const panel = this.createEditorPanel({
+                key,
+                languageCode,
+                category: element.getAttribute('data-translate-category'),
+                description: element.getAttribute('data-translate-description'),
+                sourceText: this.isDefaultLanguage(this.renderedLanguage) ? this.originals.get(element).content : '',
+                translatedText: this.readContent(element)
+            });
+            if (!panel) {
+                console.warn(`[Translation] The ${this.renderer.name || 'custom'} renderer has no editor`);
+                return;
+            }
+            this.editorPanel = panel;
+
+            try {
+                const response = await fetch(`/Language/Entry/${encodeURIComponent(languageCode)}?key=${encodeURIComponent(key)}`, {
+                    headers: { 'Accept': 'application/json' }
+                });
+                if (!response.ok) throw new Error(`Failed to load translation: ${response.statusText}`);
+                const entry = await response.json();
+                if (this.editorPanel !== panel) return;
+
+                panel.update({
+                    category: entry.category,
+                    description: entry.context,
+                    sourceText: entry.defaultText,
+                    translatedText: entry.translatedText
+                });
+            } catch (error) {
+                console.warn('[Translation] Editor could not load the stored translation:', error);
+            }
+        }
+
+        // The editor panel comes from the renderer (see TranslationRenderers); null when it has none
+        createEditorPanel(entry) {
+            let panel = null;
+            const save = text => this.saveEditor(panel, entry.key, entry.languageCode, text);
+            panel = this.render('editor', {
+                label: this.uiText('editorLabel'),
+                key: entry.key,
+                language: entry.languageCode,
+                category: entry.category,
+                description: entry.description,
+                sourceText: entry.sourceText,
+                translatedText: entry.translatedText,
+                labels: {
+                    category: this.uiText('editorCategory'),
+                    description: this.uiText('editorDescription'),
+                    source: this.uiText('editorSource'),
+                    translation: this.uiText('editorTranslation'),
+                    cancel: this.uiText('editorCancel'),
+                    save: this.uiText('editorSave')
+                },
+                onSave: save,
+                onCancel: () => {
+                    if (this.editorPanel === panel) this.closeEditor();
+                }
+            }) || null;
+            return panel;
+        }
+
+        /**
+         * POST the edited translation. The server broadcasts it to other clients as StringTranslated;
+         * this page applies it straight away.
+         */
+        async saveEditor(panel, key, languageCode, text) {
+            if (!text.trim()) return;
+            panel.setBusy(true);
+
+            const formData = new FormData();
+            formData.append('key', key);
+            formData.append('text', text);
+            const headers = {};
+            if (this.editor.token) headers[this.editor.tokenHeader || 'RequestVerificationToken'] = this.editor.token;
+
+            try {
+                const response = await fetch(`/Language/Save/${encodeURIComponent(languageCode)}`, {
+                    method: 'POST',
+                    body: formData,
+                    headers
+                });
+                if (!response.ok) throw new Error(`Failed to save translation: ${response.statusText}`);
+
+                this.applyStringTranslation(key, languageCode, text, 'editor');
+                if (this.editorPanel === panel) this.closeEditor();
+                if (this.enableNotifications) this.showNotification(this.uiText('translationSaved'), 'success');
+            } catch (error) {
+                console.error('[Translation] Error saving translation:', error);
+                this.emit('error', { phase: 'editor', language: languageCode, key, error });
+                panel.setBusy(false);
+                if (this.enableNotifications) this.showError(this.uiText('saveFailed'), { phase: 'editor', language: languageCode, error });
+            }
+        }
+
+        closeEditor() {
+            if (this.editorPanel) this.editorPanel.close();
+            this.editorPanel = null;
+        }
+
         /**
          * Initialize SignalR connection for real-time updates
          */
@@ -252,27 +2725,22 @@
 
                 this.signalRConnection.on('StringTranslated', (data) => {
                     if (this.debug) console.log('[Translation] String translated:', data);
-
-                    const elementId = `t-${this.simpleHash(data.key)}`;
-                    const element = document.getElementById(elementId);
-
-                    if (element && data.languageCode === this.currentLanguage) {
-                        element.innerHTML = data.translatedText;
-                        this.animateTranslationUpdate(element);
-                    }
+                    this.applyStringTranslation(data.key, data.languageCode, data.translatedText, 'signalr');
                 });
 
                 this.signalRConnection.on('TranslationProgress', (data) => {
                     if (this.debug) console.log('[Translation] Progress:', data);
                     this.updateProgressToast(data);
+                    this.emit('progress', { ...data, done: false });
                 });
 
                 this.signalRConnection.on('TranslationComplete', (data) => {
                     if (this.debug) console.log('[Translation] Complete:', data);
                     this.hideProgressToast(true);
+                    this.emit('progress', { ...data, done: true });
 
                     if (this.enableNotifications) {
-                        this.showNotification(`${data.translatedCount} translations completed`, 'success');
+                        this.showNotification(this.uiText('translationsCompleted', { count: data.translatedCount }), 'success');
                     }
                 });
 
@@ -283,6 +2751,7 @@
                     })
                     .catch(err => {
                         console.error('[Translation] SignalR connection error:', err);
+                        this.emit('error', { phase: 'signalr', error: err });
                     });
 
             } catch (error) {
@@ -290,74 +2759,57 @@
             }
         }
 
-        // Progress Toast UI (bottom-right, closable)
-        ensureProgressToast() {
-            if (sessionStorage.getItem('translationToastDismissed') === '1') return null;
-            let toast = document.getElementById('translation-progress-toast');
-            if (toast) return toast;
-
-            const container = document.createElement('div');
-            container.id = 'translation-progress-toast';
-            container.className = 'position-fixed bottom-0 end-0 p-3';
-            container.style.zIndex = '1060';
-            container.style.maxWidth = '360px';
-            container.setAttribute('role', 'status');
-            container.setAttribute('aria-live', 'polite');
-
-            container.innerHTML = `
-                <div class="toast show" style="min-width:280px;" data-bs-autohide="false">
-                    <div class="toast-header">
-                        <strong class="me-auto">Translating…</strong>
-                        <small id="translation-progress-text">0 / 0 (0%)</small>
-                        <button type="button" class="btn-close ms-2 mb-1" aria-label="Close"></button>
-                    </div>
-                    <div class="toast-body">
-                        <div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100">
-                            <div class="progress-bar" id="translation-progress-bar" style="width: 0%"></div>
-                        </div>
-                        <div class="mt-2 small text-muted" id="translation-progress-current"></div>
-                    </div>
-                </div>`;
-
-            document.body.appendChild(container);
-
-            const closeBtn = container.querySelector('.btn-close');
-            closeBtn?.addEventListener('click', () => {
-                sessionStorage.setItem('translationToastDismissed', '1');
-                container.remove();
-            });
-
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    sessionStorage.setItem('translationToastDismissed', '1');
-                    container.remove();
-                }
-            }, { once: true });
-
-            return container;
-        }
-
+        /**
+         * Background translation progress from SignalR, until the reader closes it for this session
+         */
         updateProgressToast(data) {
-            const toast = this.ensureProgressToast();
-            if (!toast) return;
-            const bar = toast.querySelector('#translation-progress-bar');
-            const text = toast.querySelector('#translation-progress-text');
-            const cur = toast.querySelector('#translation-progress-current');
-            if (bar) bar.style.width = `${data.percentage}%`;
-            if (text) text.textContent = `${data.completed} / ${data.total} (${Math.round(data.percentage)}%)`;
-            if (cur) cur.textContent = data.currentKey ? `Current: ${data.currentKey}` : '';
+            if (sessionStorage.getItem('translationToastDismissed') === '1') return;
+            clearTimeout(this.progressTimer);
+            if (!this.progressEscapeHandler) {
+                this.progressEscapeHandler = (event) => {
+                    if (event.key === 'Escape') this.dismissProgressToast();
+                };
+                document.addEventListener('keydown', this.progressEscapeHandler);
+            }
+            this.render('progress', {
+                title: this.uiText('translating'),
+                status: `${data.completed} / ${data.total} (${Math.round(data.percentage)}%)`,
+                percentage: data.percentage,
+                current: data.currentKey ? this.uiText('progressCurrent', { key: data.currentKey }) : '',
+                done: false,
+                closeLabel: this.uiText('close'),
+                onClose: () => this.dismissProgressToast()
+            });
         }
 
         hideProgressToast(completed = false) {
-            const toast = document.getElementById('translation-progress-toast');
-            if (!toast) return;
+            // Nothing is showing unless progress was reported
+            if (!this.progressEscapeHandler) return;
             if (completed) {
-                const header = toast.querySelector('.toast-header .me-auto');
-                if (header) header.textContent = 'Translations complete';
+                this.render('progress', {
+                    title: this.uiText('translationsComplete'),
+                    status: '',
+                    percentage: 100,
+                    current: '',
+                    done: true,
+                    closeLabel: this.uiText('close'),
+                    onClose: () => this.dismissProgressToast()
+                });
             }
-            setTimeout(() => {
-                toast.remove();
-            }, completed ? 1500 : 300);
+            clearTimeout(this.progressTimer);
+            this.progressTimer = setTimeout(() => this.closeProgressToast(), completed ? 1500 : 300);
+        }
+
+        dismissProgressToast() {
+            sessionStorage.setItem('translationToastDismissed', '1');
+            this.closeProgressToast();
+        }
+
+        closeProgressToast() {
+            clearTimeout(this.progressTimer);
+            if (this.progressEscapeHandler) document.removeEventListener('keydown', this.progressEscapeHandler);
+            this.progressEscapeHandler = null;
+            this.render('hideProgress');
         }
 
         simpleHash(str) {
@@ -372,15 +2824,60 @@
 
         initialize() {
             this.updateCurrentLanguageDisplay(this.currentLanguage);
+            if (!this.isDefaultLanguage(this.currentLanguage)) {
+                this.applyDocumentLanguage(this.currentLanguage);
+            }
+            this.formatParameterizedElements();
 
-            const desiredLang = this.currentLanguage || 'en';
-            if (desiredLang && desiredLang.toLowerCase() !== 'en') {
+            const desiredLang = this.currentLanguage || this.defaultLanguage;
+            if (this.urlLanguage) {
+                // A language from the cookie is written into the URL, so the address can be shared as it is
+                if (!this.isDefaultLanguage(desiredLang) && !TranslationPseudoLocalizer.isPseudoLocale(desiredLang)) {
+                    this.urlUpdate = { language: desiredLang, mode: 'replace' };
+                    this.updateUrl(desiredLang);
+                }
+                this.startUrlTracking();
+            }
+            if (TranslationPseudoLocalizer.isPseudoLocale(desiredLang)) {
+                // A pseudo-locale from the URL is rendered in the browser, with nothing to request
+                try {
+                    this.applyPseudoLocale(desiredLang);
+                } catch (error) {
+                    // Cancelled by a beforeswitch listener
+                    if (this.debug) console.log('[Translation] Pseudo-locale not applied:', error);
+                }
+            } else if (!this.isDefaultLanguage(desiredLang)) {
+                // Apply persisted translations before first paint, the deferred switch only requests what is stale
+                if (this.cache) this.applyCachedTranslations(desiredLang);
                 setTimeout(() => {
-                    this.switchLanguageHtmx(desiredLang);
+                    // Failures are already logged/notified; a superseded switch is expected
+                    this.switchLanguageHtmx(desiredLang).catch(() => {});
                 }, 100);
             }
 
             this.initializeSignalR();
+            this.registerServiceWorker();
+
+            if (!this.onlineHandler) {
+                this.onlineHandler = () => this.refreshOfflineTranslations();
+                window.addEventListener('online', this.onlineHandler);
+            }
+
+            if (this.syncTabs) {
+                this.startTabSync();
+            }
+
+            if (this.observeMutations) {
+                this.startObserving();
+            }
+
+            if (this.editor) {
+                this.enableEditor();
+            }
+
+            if (this.languageNegotiation && !this.hasLanguageCookie() && !this.getUrlLanguage()) {
+                this.applyLanguageNegotiation();
+            }
 
             if (this.debug) {
                 console.log(`[Translation] System initialized (language: ${this.currentLanguage})`);
@@ -390,13 +2887,47 @@
 
     // Global API
     window.TranslationManager = TranslationManager;
+    window.TranslationSanitizer = TranslationSanitizer;
+    window.TranslationPseudoLocalizer = TranslationPseudoLocalizer;
+    window.TranslationTransports = TranslationTransports;
+    window.TranslationRenderers = TranslationRenderers;
 
     // Auto-initialize with config from tag helper or defaults
     const config = window.translationConfig || {};
     window.translationManager = new TranslationManager({
         debug: config.debug || false,
         signalRHub: config.signalRHub || '/hubs/translation',
-        enableNotifications: config.enableNotifications !== false
+        enableNotifications: config.enableNotifications !== false,
+        observeMutations: config.observeMutations || false,
+        mutationDebounce: config.mutationDebounce,
+        rtlLanguages: config.rtlLanguages,
+        persistentCache: config.persistentCache || false,
+        cacheMaxAge: config.cacheMaxAge,
+        defaultLanguage: config.defaultLanguage,
+        pseudoExpansion: config.pseudoExpansion,
+        editor: config.editor,
+        reportMissingKeys: config.reportMissingKeys || false,
+        missingKeysEndpoint: config.missingKeysEndpoint,
+        missingKeysDelay: config.missingKeysDelay,
+        lazyTranslation: config.lazyTranslation || false,
+        languageNegotiation: config.languageNegotiation,
+        availableLanguages: config.availableLanguages,
+        lazyRootMargin: config.lazyRootMargin,
+        chunkSize: config.chunkSize,
+        transports: config.transports,
+        staticBaseUrl: config.staticBaseUrl,
+        staticNamespaces: config.staticNamespaces,
+        staticManifest: config.staticManifest,
+        syncTabs: config.syncTabs,
+        urlLanguage: config.urlLanguage,
+        urlParameter: config.urlParameter,
+        urlLanguages: config.urlLanguages,
+        urlHistory: config.urlHistory,
+        serviceWorker: config.serviceWorker,
+        headless: config.headless || false,
+        renderer: config.renderer,
+        translateUi: config.translateUi,
+        uiStrings: config.uiStrings
     });
 
     // Provide a simple, vanilla-friendly facade to match client-only API
@@ -405,18 +2936,60 @@
             if (opts.debug != null) window.translationManager.debug = !!opts.debug;
             if (opts.signalRHub) window.translationManager.signalRHub = opts.signalRHub;
             if (opts.enableNotifications != null) window.translationManager.enableNotifications = !!opts.enableNotifications;
+            if (opts.observeMutations != null) window.translationManager.observeMutations = !!opts.observeMutations;
+            if (opts.mutationDebounce != null) window.translationManager.mutationDebounce = opts.mutationDebounce;
+            if (Array.isArray(opts.rtlLanguages)) window.translationManager.rtlLanguages = opts.rtlLanguages.map(code => code.toLowerCase());
+            if (opts.pseudoExpansion != null) window.translationManager.pseudoExpansion = opts.pseudoExpansion;
+            if (opts.reportMissingKeys != null) window.translationManager.missingKeys.report = !!opts.reportMissingKeys;
+            if (opts.missingKeysEndpoint) window.translationManager.missingKeys.endpoint = opts.missingKeysEndpoint;
+            if (opts.lazyTranslation != null) window.translationManager.lazyTranslation = !!opts.lazyTranslation;
+            if (opts.lazyRootMargin) window.translationManager.lazyRootMargin = opts.lazyRootMargin;
+            if (opts.chunkSize != null) window.translationManager.chunkSize = opts.chunkSize;
+            if (opts.syncTabs != null) {
+                window.translationManager.syncTabs = !!opts.syncTabs;
+                if (!opts.syncTabs) window.translationManager.stopTabSync();
+            }
+            if (opts.serviceWorker) window.translationManager.serviceWorker = opts.serviceWorker;
+            if (opts.headless || opts.renderer) {
+                window.translationManager.renderer = TranslationRenderers.resolve(opts.headless ? 'none' : opts.renderer);
+            }
+            if (opts.translateUi != null) window.translationManager.translateUi = !!opts.translateUi;
+            if (opts.uiStrings) {
+                Object.entries(opts.uiStrings).forEach(([code, strings]) => {
+                    const key = code.toLowerCase();
+                    window.translationManager.uiStrings[key] = { ...window.translationManager.uiStrings[key], ...strings };
+                });
+            }
+            if (opts.urlLanguage != null) window.translationManager.urlLanguage = opts.urlLanguage;
+            if (opts.urlParameter) window.translationManager.urlParameter = opts.urlParameter;
+            if (Array.isArray(opts.urlLanguages)) window.translationManager.urlLanguages = opts.urlLanguages;
+            if (opts.urlHistory) window.translationManager.urlHistory = opts.urlHistory;
+            if (opts.transports) window.translationManager.transports = TranslationTransports.resolve(opts.transports, opts);
+            if (opts.languageNegotiation != null) window.translationManager.languageNegotiation = opts.languageNegotiation;
+            if (Array.isArray(opts.availableLanguages)) window.translationManager.availableLanguages = opts.availableLanguages;
+            if (opts.defaultLanguage || opts.urlLanguage != null) {
+                // Without a cookie or URL language the page language is the default, so re-derive it from the new settings
+                if (opts.defaultLanguage) window.translationManager.defaultLanguage = String(opts.defaultLanguage).toLowerCase();
+                window.translationManager.currentLanguage = window.translationManager.getCurrentLanguage();
+                window.translationManager.renderedLanguage = window.translationManager.currentLanguage;
+            }
+            if (opts.persistentCache != null) {
+                window.translationManager.cache = opts.persistentCache
+                    ? (window.translationManager.cache || new PersistentTranslationCache({ maxAge: opts.cacheMaxAge }))
+                    : null;
+            }
             const desired = (opts.defaultLang) ? String(opts.defaultLang) : window.translationManager.getCurrentLanguage();
             if (document.readyState === 'loading') {
                 document.addEventListener('DOMContentLoaded', () => {
                     window.translationManager.initialize();
-                    if (desired && desired.toLowerCase() !== 'en') {
-                        window.translationManager.switchLanguageHtmx(desired);
+                    if (!window.translationManager.isDefaultLanguage(desired)) {
+                        window.translationManager.switchLanguageHtmx(desired).catch(() => {});
                     }
                 }, { once: true });
             } else {
                 window.translationManager.initialize();
-                if (desired && desired.toLowerCase() !== 'en') {
-                    window.translationManager.switchLanguageHtmx(desired);
+                if (!window.translationManager.isDefaultLanguage(desired)) {
+                    window.translationManager.switchLanguageHtmx(desired).catch(() => {});
                 }
             }
         },
@@ -427,11 +3000,68 @@
             return window.translationManager.getCurrentLanguage();
         },
         translatePage: function (lang) {
-            const target = lang || window.translationManager.currentLanguage || 'en';
+            const target = lang || window.translationManager.currentLanguage || window.translationManager.defaultLanguage;
             return window.translationManager.switchLanguageHtmx(target);
+        },
+        format: function (message, params, lang) {
+            return TranslationFormatter.format(message, params, lang || window.translationManager.currentLanguage);
+        },
+        // A UI string (loading, languageChanged, suggestionText, ...) in the current language, for custom renderers
+        uiText: function (name, params, lang) {
+            return window.translationManager.uiText(name, params, lang);
+        },
+        setParams: function (element, params) {
+            window.translationManager.setParams(element, params);
+        },
+        // Translate the keyed elements within root now (content inserted by htmx or other scripts)
+        translateElements: function (root, renderedLanguage) {
+            return window.translationManager.translateElements(root || document.body, renderedLanguage);
+        },
+        // Reformat [data-format] values within root (default: the document) for the current language
+        formatValues: function (root) {
+            window.translationManager.formatValues(window.translationManager.currentLanguage, root || document);
+        },
+        getTextDirection: function (lang) {
+            return window.translationManager.getTextDirection(lang || window.translationManager.currentLanguage);
+        },
+        clearCache: function (lang) {
+            if (window.translationManager.cache) window.translationManager.cache.clear(lang);
+            window.translationManager.transports.forEach(transport => {
+                if (typeof transport.clear === 'function') transport.clear(lang);
+            });
+        },
+        observe: function () {
+            window.translationManager.startObserving();
+        },
+        disconnect: function () {
+            window.translationManager.stopObserving();
+        },
+        on: function (name, handler) {
+            return window.translationManager.on(name, handler);
+        },
+        off: function (name, handler) {
+            window.translationManager.off(name, handler);
+        },
+        edit: function (element) {
+            return window.translationManager.openEditor(element);
+        },
+        // Best match for navigator.languages among the available languages (resolves null if none)
+        negotiateLanguage: function () {
+            return window.translationManager.negotiateLanguage();
+        },
+        // [{ key, language, sourceText, hash, url }] the server had no translation for, optionally for one language
+        getMissingKeys: function (lang) {
+            return window.translationManager.missingKeys.list(lang);
         }
     };
 
+    // The scripts tag helper renders at the end of <body>, so keyed elements already exist here even though
+    // readyState is still 'loading'; applying persisted translations now avoids a flash of source text
+    const initialLang = window.translationManager.currentLanguage;
+    if (window.translationManager.cache && document.body && !window.translationManager.isDefaultLanguage(initialLang)) {
+        window.translationManager.applyCachedTranslations(initialLang);
+    }
+
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => {
@@ -443,7 +3073,8 @@
 
     // Global function for language switching (backward compatibility)
     window.setLanguage = function(languageCode) {
-        window.translationManager.switchLanguage(languageCode);
+        // Called from onclick handlers: errors are surfaced through notifications instead
+        window.translationManager.switchLanguage(languageCode).catch(() => {});
     };
 
 })(window);
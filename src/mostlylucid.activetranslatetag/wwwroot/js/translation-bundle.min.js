@@ -1 +1 @@
-!function(t){"use strict";class n{constructor(t={}){this.currentLanguage=this.getCurrentLanguage(),this.isTranslating=!1,this.debug=t.debug||!1,this.signalRHub=t.signalRHub||"/hubs/translation",this.enableNotifications=!1!==t.enableNotifications,this.signalRConnection=null,this.debug&&console.log("[Translation] Initializing with options:",t)}getCurrentLanguage(){const t=`; ${document.cookie}`.split("; preferred-language=");return 2===t.length?t.pop().split(";").shift():"en"}collectTranslationKeys(){const t=document.querySelectorAll("[data-translate-key]");return Array.from(t).map(t=>t.getAttribute("data-translate-key"))}async switchLanguageHtmx(t){if(this.isTranslating)this.debug&&console.log("[Translation] Already translating, ignoring request");else try{this.isTranslating=!0,this.showLoadingIndicator();const n=this.collectTranslationKeys();if(0===n.length)return this.debug&&console.log("[Translation] No translatable content on this page"),this.currentLanguage=t,document.cookie=`preferred-language=${t}; path=/; max-age=31536000; SameSite=Lax`,void this.updateCurrentLanguageDisplay(t);const e=new FormData;n.forEach(t=>e.append("keys",t));const a=await fetch(`/Language/Switch/${t}`,{method:"POST",body:e});if(!a.ok)throw new Error(`Failed to switch language: ${a.statusText}`);const i=await a.text(),s=document.createElement("div");s.innerHTML=i;let o=0;s.querySelectorAll("[hx-swap-oob]").forEach(t=>{const n=t.id,e=document.getElementById(n);e&&(e.innerHTML=t.innerHTML,this.animateTranslationUpdate(e),o++)}),this.currentLanguage=t,this.updateCurrentLanguageDisplay(t),this.debug&&console.log(`[Translation] Language switched to ${t} (${o}/${n.length} elements updated)`),this.enableNotifications&&this.showNotification(`Language changed to ${this.getLanguageName(t)}`,"success")}catch(t){console.error("[Translation] Error switching language:",t),this.enableNotifications&&this.showNotification("Failed to switch language","error")}finally{this.isTranslating=!1,this.hideLoadingIndicator()}}async switchLanguage(n){if(n!==this.currentLanguage)return"en"===n?(document.cookie="preferred-language=en; path=/; max-age=31536000; SameSite=Lax",void t.location.reload()):void await this.switchLanguageHtmx(n);this.debug&&console.log("[Translation] Already in this language")}animateTranslationUpdate(t){t.style.transition="background-color 0.5s ease",t.style.backgroundColor="#ffffcc",setTimeout(()=>{t.style.backgroundColor="",setTimeout(()=>{t.style.transition=""},500)},500)}updateCurrentLanguageDisplay(t){document.querySelectorAll("#current-lang, [data-current-lang]").forEach(n=>{try{n.textContent=(t||"en").toUpperCase()}catch{n.textContent=t}})}showLoadingIndicator(){document.querySelectorAll("#translation-loading-indicator, [data-translation-loading]").forEach(t=>t.classList.remove("d-none"));let t=document.getElementById("translation-loading");t?t.style.display="block":(t=document.createElement("div"),t.id="translation-loading",t.className="toast-container position-fixed top-0 end-0 p-3",t.innerHTML='\n                    <div class="toast show" role="alert">\n                        <div class="toast-body d-flex align-items-center gap-2">\n                            <div class="spinner-border spinner-border-sm" role="status">\n                                <span class="visually-hidden">Loading...</span>\n                            </div>\n                            <span>Loading translations...</span>\n                        </div>\n                    </div>\n                ',document.body.appendChild(t))}hideLoadingIndicator(){document.querySelectorAll("#translation-loading-indicator, [data-translation-loading]").forEach(t=>t.classList.add("d-none"));const t=document.getElementById("translation-loading");t&&setTimeout(()=>{t.style.display="none"},300)}showNotification(t,n="info"){const e=document.getElementById("translation-notifications")||this.createNotificationContainer(),a=document.createElement("div");a.className=`alert alert-${"error"===n?"danger":"success"===n?"success":"info"} alert-dismissible fade show`,a.innerHTML=`\n                ${t}\n                <button type="button" class="btn-close" data-bs-dismiss="alert"></button>\n            `,e.appendChild(a),setTimeout(()=>{a.classList.remove("show"),setTimeout(()=>a.remove(),150)},3e3)}createNotificationContainer(){const t=document.createElement("div");return t.id="translation-notifications",t.className="position-fixed top-0 end-0 p-3",t.style.zIndex="1060",document.body.appendChild(t),t}getLanguageName(t){return{en:"English",es:"Español",fr:"Français",de:"Deutsch",it:"Italiano",pt:"Português",ru:"Русский",ja:"日本語",ko:"한국어",zh:"中文",ar:"العربية",hi:"हिन्दी"}[t.toLowerCase()]||(t||"en").toUpperCase()}initializeSignalR(){if(!1!==(t.translationConfig||{}).enableSignalR)if("undefined"!=typeof signalR)try{if(t.__translationHubConnected)return void(this.debug&&console.log("[Translation] SignalR already initialized"));this.signalRConnection=(new signalR.HubConnectionBuilder).withUrl(this.signalRHub).withAutomaticReconnect().build(),this.signalRConnection.on("StringTranslated",t=>{this.debug&&console.log("[Translation] String translated:",t);const n=`t-${this.simpleHash(t.key)}`,e=document.getElementById(n);e&&t.languageCode===this.currentLanguage&&(e.innerHTML=t.translatedText,this.animateTranslationUpdate(e))}),this.signalRConnection.on("TranslationProgress",t=>{this.debug&&console.log("[Translation] Progress:",t),this.updateProgressToast(t)}),this.signalRConnection.on("TranslationComplete",t=>{this.debug&&console.log("[Translation] Complete:",t),this.hideProgressToast(!0),this.enableNotifications&&this.showNotification(`${t.translatedCount} translations completed`,"success")}),this.signalRConnection.start().then(()=>{t.__translationHubConnected=!0,this.debug&&console.log("[Translation] SignalR connected")}).catch(t=>{console.error("[Translation] SignalR connection error:",t)})}catch(t){console.error("[Translation] Error initializing SignalR:",t)}else this.debug&&console.warn("[Translation] SignalR not available, skipping real-time updates");else this.debug&&console.warn("[Translation] SignalR disabled by config")}ensureProgressToast(){if("1"===sessionStorage.getItem("translationToastDismissed"))return null;let t=document.getElementById("translation-progress-toast");if(t)return t;const n=document.createElement("div");n.id="translation-progress-toast",n.className="position-fixed bottom-0 end-0 p-3",n.style.zIndex="1060",n.style.maxWidth="360px",n.setAttribute("role","status"),n.setAttribute("aria-live","polite"),n.innerHTML='\n                <div class="toast show" style="min-width:280px;" data-bs-autohide="false">\n                    <div class="toast-header">\n                        <strong class="me-auto">Translating…</strong>\n                        <small id="translation-progress-text">0 / 0 (0%)</small>\n                        <button type="button" class="btn-close ms-2 mb-1" aria-label="Close"></button>\n                    </div>\n                    <div class="toast-body">\n                        <div class="progress" role="progressbar" aria-valuemin="0" aria-valuemax="100">\n                            <div class="progress-bar" id="translation-progress-bar" style="width: 0%"></div>\n                        </div>\n                        <div class="mt-2 small text-muted" id="translation-progress-current"></div>\n                    </div>\n                </div>',document.body.appendChild(n);const e=n.querySelector(".btn-close");return e?.addEventListener("click",()=>{sessionStorage.setItem("translationToastDismissed","1"),n.remove()}),document.addEventListener("keydown",t=>{"Escape"===t.key&&(sessionStorage.setItem("translationToastDismissed","1"),n.remove())},{once:!0}),n}updateProgressToast(t){const n=this.ensureProgressToast();if(!n)return;const e=n.querySelector("#translation-progress-bar"),a=n.querySelector("#translation-progress-text"),i=n.querySelector("#translation-progress-current");e&&(e.style.width=`${t.percentage}%`),a&&(a.textContent=`${t.completed} / ${t.total} (${Math.round(t.percentage)}%)`),i&&(i.textContent=t.currentKey?`Current: ${t.currentKey}`:"")}hideProgressToast(t=!1){const n=document.getElementById("translation-progress-toast");if(n){if(t){const t=n.querySelector(".toast-header .me-auto");t&&(t.textContent="Translations complete")}setTimeout(()=>{n.remove()},t?1500:300)}}simpleHash(t){let n=0;for(let e=0;e<t.length;e++){n=(n<<5)-n+t.charCodeAt(e),n|=0}return Math.abs(n).toString(16).substring(0,16).padStart(16,"0")}initialize(){this.updateCurrentLanguageDisplay(this.currentLanguage);const t=this.currentLanguage||"en";t&&"en"!==t.toLowerCase()&&setTimeout(()=>{this.switchLanguageHtmx(t)},100),this.initializeSignalR(),this.debug&&console.log(`[Translation] System initialized (language: ${this.currentLanguage})`)}}t.TranslationManager=n;const e=t.translationConfig||{};t.translationManager=new n({debug:e.debug||!1,signalRHub:e.signalRHub||"/hubs/translation",enableNotifications:!1!==e.enableNotifications}),t.TranslationClient={init:function(n={}){null!=n.debug&&(t.translationManager.debug=!!n.debug),n.signalRHub&&(t.translationManager.signalRHub=n.signalRHub),null!=n.enableNotifications&&(t.translationManager.enableNotifications=!!n.enableNotifications);const e=n.defaultLang?String(n.defaultLang):t.translationManager.getCurrentLanguage();"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{t.translationManager.initialize(),e&&"en"!==e.toLowerCase()&&t.translationManager.switchLanguageHtmx(e)},{once:!0}):(t.translationManager.initialize(),e&&"en"!==e.toLowerCase()&&t.translationManager.switchLanguageHtmx(e))},setLanguage:function(n){return t.translationManager.switchLanguage(n)},getCurrentLanguage:function(){return t.translationManager.getCurrentLanguage()},translatePage:function(n){const e=n||t.translationManager.currentLanguage||"en";return t.translationManager.switchLanguageHtmx(e)}},"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{t.translationManager.initialize()}):t.translationManager.initialize(),t.setLanguage=function(n){t.translationManager.switchLanguage(n)}}(window);
\ No newline at end of file
+!function(t){"use strict";const e=t.TranslationFormatter||(console.warn("[Translation] translation-formatter.js is not loaded; messages get plain {name} interpolation"),{format:(t,e,a,n)=>"string"==typeof t&&e?t.replace(/\{\s*([\w.-]+)\s*\}/g,(t,a)=>a in e?n?n(e[a]):String(e[a]):t):t,formatValue:()=>null});function a(t){return String(t).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;").replace(/'/g,"&#39;")}const n=function(){const t=new Set(["script","style","iframe","object","embed","frame","frameset","template","noscript","base","link","meta","svg","math"]),e=new Set(["href","src","action","formaction","xlink:href","poster","cite","background"]),a=/^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;function n(t,n){const r=t.toLowerCase();return!r.startsWith("on")&&"srcdoc"!==r&&(!e.has(r)||a.test(String(n).replace(/[\u0000- ]/g,"")))}function r(e,a){Array.from(e.childNodes).forEach(e=>{if(e.nodeType===Node.COMMENT_NODE)return void e.remove();if(e.nodeType!==Node.ELEMENT_NODE)return;const s=e.localName;if(t.has(s))return void e.remove();r(e,a);const i=a.get(s);i?Array.from(e.attributes).forEach(t=>{i.has(t.name.toLowerCase())&&n(t.name,t.value)||e.removeAttribute(t.name)}):e.replaceWith(...e.childNodes)})}return{parseAllowlist:function(e){const a=new Map;return(e||"").split(";").forEach(e=>{const n=e.indexOf(":"),r=(-1===n?e:e.slice(0,n)).trim().toLowerCase();if(!r||t.has(r))return;const s=-1===n?[]:e.slice(n+1).split(",");a.set(r,new Set(s.map(t=>t.trim().toLowerCase()).filter(Boolean)))}),a},allowlistFromElement:function(e){const a=new Map;return e.querySelectorAll("*").forEach(e=>{const n=e.localName;t.has(n)||(a.has(n)||a.set(n,new Set),Array.from(e.attributes).forEach(t=>a.get(n).add(t.name.toLowerCase())))}),a},isSafeAttribute:n,sanitize:function(t,e){const a=document.createElement("template");return a.innerHTML=t,r(a.content,e||new Map),a.innerHTML}}}(),r=function(){const t={"qps-ploc":!1,"qps-plocm":!0},e=Array.from("ÅƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŦÛṼŴẊÝŽåƀçđéƒĝĥîĵķļɱñöþǫŕšŧûṽŵẋýž"),a=/<!--[\s\S]*?-->|<(?:[^>"']|"[^"]*"|'[^']*')*>|&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);/gi;function n(e){return!!e&&Object.prototype.hasOwnProperty.call(t,e.toLowerCase())}function r(t,a){const n=Array.from(t,t=>{const a="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz".indexOf(t);return-1===a?t:e[a]}).join("");return a&&n.trim()?`‮${n}‬`:n}function s(t,e={}){if("string"!=typeof t||!t.trim())return t;const[,a,n,s]=/^(\s*)([\s\S]*?)(\s*)$/.exec(t);let i="",o="",l=0,u=0;for(const t of n)"{"===t||"}"===t?(l%2==0&&(i+=r(o,e.mirror),o=""),l=Math.max(0,l+("{"===t?1:-1)),i+=t):l%2==0?(o+=t,/\p{L}/u.test(t)&&u++):i+=t;i+=r(o,e.mirror);const g=null!=e.expansion?e.expansion:.4,c="~".repeat(Math.ceil(u*g));return`${a}[${i}${c?" "+c:""}]${s}`}return{isPseudoLocale:n,isMirrored:function(e){return n(e)&&t[e.toLowerCase()]},localize:s,localizeHtml:function(t,e={}){if("string"!=typeof t||!t.trim())return t;const n=[];return s(t.replace(a,t=>`{#${n.push(t)-1}#}`),e).replace(/\{#(\d+)#\}/g,(t,e)=>n[Number(e)])}}}(),s=/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;const i=["ar","arc","ckb","dv","fa","ha","he","iw","khw","ks","ps","sd","ug","ur","yi"];class o{constructor(t={}){this.prefix=t.prefix||"translation-cache:",this.maxAge=null!=t.maxAge?t.maxAge:6048e5,this.stores={},this.saveTimers={}}load(t){if(this.stores[t])return this.stores[t];let e={};try{e=JSON.parse(localStorage.getItem(this.prefix+t)||"{}")||{}}catch{e={}}return this.stores[t]=e,e}get(t,e,a){const n=this.load(t)[e];return n?a&&n.hash&&n.hash!==a||this.maxAge>0&&Date.now()-n.at>this.maxAge?null:n.text:null}set(t,e,a,n){this.load(t)[e]={hash:a||null,text:n,at:Date.now()},clearTimeout(this.saveTimers[t]),this.saveTimers[t]=setTimeout(()=>this.save(t),0)}save(t){try{localStorage.setItem(this.prefix+t,JSON.stringify(this.stores[t]||{}))}catch(t){console.warn("[Translation] Unable to persist translation cache:",t)}}clear(t){(t?[t]:Object.keys(this.stores)).forEach(t=>{delete this.stores[t];try{localStorage.removeItem(this.prefix+t)}catch{}})}}class l{constructor(e={}){this.report=e.report||!1,this.endpoint=e.endpoint||"/Language/Missing",this.delay=null!=e.delay?e.delay:2e3,this.batchSize=e.batchSize||100,this.entries=new Map,this.unsent=[],this.timer=null,document.addEventListener("visibilitychange",()=>{"hidden"===document.visibilityState&&this.flush()}),t.addEventListener("pagehide",()=>this.flush())}record(t){const e=`${t.language}\n${t.key}`;this.entries.has(e)||(this.entries.set(e,t),this.report&&(this.unsent.push(t),this.timer||(this.timer=setTimeout(()=>this.flush(),this.delay))))}list(t){const e=Array.from(this.entries.values());return(t?e.filter(e=>e.language===t):e).map(t=>({...t}))}flush(){clearTimeout(this.timer),this.timer=null;const t=new Map;this.unsent.forEach(({language:e,...a})=>{t.has(e)||t.set(e,[]),t.get(e).push(a)}),this.unsent=[],t.forEach((t,e)=>{for(let a=0;a<t.length;a+=this.batchSize)this.send(JSON.stringify({languageCode:e,keys:t.slice(a,a+this.batchSize)}))})}send(t){navigator.sendBeacon&&navigator.sendBeacon(this.endpoint,new Blob([t],{type:"application/json"}))||fetch(this.endpoint,{method:"POST",body:t,headers:{"Content-Type":"application/json"},keepalive:!0}).catch(t=>console.warn("[Translation] Unable to report missing keys:",t))}}class u{constructor(e){this.onLanguage=e,this.channel=null,this.storageHandler=null,"undefined"!=typeof BroadcastChannel?(this.channel=new BroadcastChannel(u.NAME),this.channel.onmessage=t=>this.receive(t.data)):(this.storageHandler=t=>{if(t.key===u.NAME&&t.newValue)try{this.receive(JSON.parse(t.newValue))}catch{}},t.addEventListener("storage",this.storageHandler))}post(t){const e={language:t,at:Date.now()};if(this.channel)this.channel.postMessage(e);else try{localStorage.setItem(u.NAME,JSON.stringify(e))}catch{}}receive(t){t&&"string"==typeof t.language&&t.language&&this.onLanguage(t.language)}close(){this.channel&&this.channel.close(),this.storageHandler&&t.removeEventListener("storage",this.storageHandler)}}u.NAME="translation-language";const g=function(){function t(t={}){const a=t.endpoint||(t=>`/Language/Switch/${encodeURIComponent(t)}`);return{name:"oob",async fetch(t,n,{signal:r}={}){const s=new FormData;n.forEach(t=>s.append("keys",t));const i=await fetch(a(t),{method:"POST",body:s,signal:r});if(!i.ok)throw new Error(`Failed to switch language: ${i.statusText}`);return e(await i.text())}}}function e(t){const e=document.createElement("template");e.innerHTML=t;const a={};return e.content.querySelectorAll("[hx-swap-oob]").forEach(t=>{const e=t.id?document.getElementById(t.id):null,n=t.getAttribute("data-translate-key")||e&&e.getAttribute("data-translate-key");n&&(a[n]={html:t.innerHTML,text:t.textContent})}),a}function a(t,e){const a={},n=async(t,a)=>{const n=await fetch(e(t),{cache:"no-cache",signal:a});if(404===n.status)return{};if(!n.ok)throw new Error(`Failed to load translations for ${t}: ${n.statusText}`);return function(t){const e={};return Array.isArray(t)?t.forEach(t=>{const a=t&&(t.text||t.translatedText);t&&t.key&&"string"==typeof a&&(e[t.key]=a)}):t&&"object"==typeof t&&Object.entries(t).forEach(([t,a])=>{"string"==typeof a&&a.length>0&&(e[t]=a)}),e}(await n.json())};return{name:t,async fetch(t,e,{signal:r}={}){a[t]||(a[t]=n(t,r).catch(e=>{throw delete a[t],e}));const s=await a[t],i={};return e.forEach(t=>{t in s&&(i[t]=s[t])}),i},clear(t){t?delete a[t]:Object.keys(a).forEach(t=>delete a[t])}}}function n(t={}){return a("json",t.endpoint||(t=>`/Language/GetAll/${encodeURIComponent(t)}`))}function r(t={}){const e=(t.baseUrl||"/translations").replace(/\/$/,"");return t.namespaces?function(t,e){const n=t=>t.indexOf(".")>0?t.slice(0,t.indexOf(".")):"common";let r=null;const s=()=>e?(r||(r=fetch(e,{cache:"no-cache"}).then(t=>{if(!t.ok)throw new Error(`Failed to load ${e}: ${t.statusText}`);return t.json()}).then(t=>t&&t.namespaces||{}).catch(t=>(console.warn("[Translation] Loading every requested namespace without a manifest:",t),null))),r):Promise.resolve(null),i={};return{name:"static",async fetch(e,r,{signal:o}={}){const l=await s(),u=Array.from(new Set(r.map(n))).filter(t=>!l||Object.prototype.hasOwnProperty.call(l,t)),g=await Promise.all(u.map(s=>{if(!i[s]){const e=l?l[s]:null,n=e?`?v=${encodeURIComponent(e)}`:"";i[s]=a("static",e=>`${t}/${encodeURIComponent(e)}/${encodeURIComponent(s)}.json${n}`)}return i[s].fetch(e,r.filter(t=>n(t)===s),{signal:o})}));return Object.assign({},...g)},clear(t){Object.values(i).forEach(e=>e.clear(t))}}}(e,t.manifest):a("static",t.endpoint||(t=>`${e}/${encodeURIComponent(t)}.json`))}return{oob:t,json:n,staticFiles:r,parseSwapResponse:e,resolve:function(e,a={}){const s=(Array.isArray(e)?e:String(e||"oob").split(",")).map(e=>{if(e&&"function"==typeof e.fetch)return e;if("function"==typeof e)return{name:e.name||"custom",fetch:e};switch(String(e).trim()){case"oob":return t();case"json":return n();case"static":return r({baseUrl:a.staticBaseUrl,namespaces:a.staticNamespaces,manifest:a.staticManifest});default:return console.warn(`[Translation] Unknown translation transport: ${e}`),null}}).filter(Boolean);return s.length>0?s:[t()]}}}(),c={loading:"Loading translations...",languageChanged:"Language changed to {language}",languageChangedOffline:"Language changed to {language} (offline: some text is not translated yet)",switchFailed:"Failed to switch language",translating:"Translating…",translationsComplete:"Translations complete",translationsCompleted:"{count, plural, one {# translation completed} other {# translations completed}}",progressCurrent:"Current: {key}",close:"Close",suggestionLabel:"Language suggestion",suggestionText:"This page is available in {language}.",suggestionAccept:"Switch to {language}",suggestionDismiss:"No thanks",editorLabel:"Edit translation",editorCategory:"Category",editorDescription:"Description",editorSource:"Source",editorTranslation:"Translation",editorCancel:"Cancel",editorSave:"Save",editorNeedsLanguage:"Switch to a translated language to edit translations",translationSaved:"Translation saved",saveFailed:"Failed to save translation",languageSelectLabel:"Language"},d="translation.ui.",h=function(){const t={bootstrap:{stack:"position-fixed top-0 end-0 p-3",corner:"position-fixed bottom-0 end-0 p-3",loading:"toast show toast-body d-flex align-items-center gap-2 mb-2",spinner:"spinner-border spinner-border-sm",notice:t=>`alert alert-${"error"===t?"danger":t} d-flex align-items-center gap-2 mb-2`,close:"btn-close ms-auto",closeText:"",progress:"toast show",progressHeader:"toast-header",progressTitle:"me-auto",progressStatus:"text-body-secondary",progressBody:"toast-body",progressBar:"progress",progressFill:"progress-bar",progressCurrent:"mt-2 small text-muted",banner:"alert alert-info d-flex align-items-center gap-2 position-fixed bottom-0 start-50 translate-middle-x mb-3",accept:"btn btn-sm btn-primary",dismiss:"btn btn-sm btn-outline-secondary",editor:"toast show",editorHeader:"toast-header gap-2",editorKey:"me-auto",editorBadge:"badge bg-secondary",editorBody:"toast-body",editorDetails:"small mb-2",editorLabel:"form-label small fw-bold",editorInput:"form-control",editorActions:"d-flex justify-content-end gap-2 mt-2"},daisyui:{stack:"toast toast-top toast-end",corner:"toast toast-bottom toast-end",loading:"alert alert-info",spinner:"loading loading-spinner loading-sm",notice:t=>`alert alert-${t}`,close:"btn btn-ghost btn-xs ms-auto",closeText:"✕",progress:"card card-compact w-80 bg-base-100 shadow-lg",progressHeader:"flex items-center gap-2 px-4 pt-3",progressTitle:"font-bold me-auto",progressStatus:"text-xs opacity-70",progressBody:"card-body pt-2",progressBar:"h-2 w-full overflow-hidden rounded bg-base-300",progressFill:"h-full bg-primary transition-all",progressCurrent:"text-xs opacity-70",banner:"alert alert-info fixed bottom-4 left-1/2 w-auto -translate-x-1/2",accept:"btn btn-sm btn-primary",dismiss:"btn btn-sm btn-ghost",editor:"card card-compact w-96 max-w-full bg-base-100 shadow-lg",editorHeader:"flex items-center gap-2 px-4 pt-3",editorKey:"me-auto",editorBadge:"badge badge-neutral",editorBody:"card-body pt-2",editorDetails:"text-xs",editorLabel:"label-text font-bold",editorInput:"textarea textarea-bordered w-full",editorActions:"card-actions justify-end"},plain:{style:"\n.translation-ui-stack{position:fixed;top:1rem;inset-inline-end:1rem;display:flex;flex-direction:column;gap:.5rem;width:min(22rem,calc(100vw - 2rem));font:14px/1.4 system-ui,sans-serif}\n.translation-ui-stack--bottom{top:auto;bottom:1rem}\n.translation-ui-card{display:flex;align-items:center;gap:.5rem;padding:.6rem .8rem;border:1px solid var(--translation-ui-border,#d0d7de);border-inline-start-width:4px;border-radius:6px;background:var(--translation-ui-bg,#fff);color:var(--translation-ui-fg,#1f2328);box-shadow:0 4px 12px rgba(0,0,0,.12)}\n.translation-ui-card--success{border-inline-start-color:var(--translation-ui-success,#1a7f37)}\n.translation-ui-card--info{border-inline-start-color:var(--translation-ui-info,#0969da)}\n.translation-ui-card--error{border-inline-start-color:var(--translation-ui-error,#cf222e)}\n.translation-ui-card--column{flex-direction:column;align-items:stretch}\n.translation-ui-row{display:flex;align-items:center;gap:.5rem}\n.translation-ui-title{margin-inline-end:auto}\n.translation-ui-muted{font-size:.85em;opacity:.7}\n.translation-ui-spinner{flex:none;width:1em;height:1em;border:2px solid currentColor;border-inline-end-color:transparent;border-radius:50%;animation:translation-ui-spin .75s linear infinite}\n@keyframes translation-ui-spin{to{transform:rotate(360deg)}}\n.translation-ui-progress{height:6px;border-radius:3px;overflow:hidden;background:var(--translation-ui-border,#d0d7de)}\n.translation-ui-progress-fill{height:100%;background:var(--translation-ui-info,#0969da);transition:width .2s}\n.translation-ui-close{margin-inline-start:auto;padding:0 .25rem;border:0;background:none;color:inherit;font-size:1.2em;line-height:1;cursor:pointer}\n.translation-ui-banner{position:fixed;bottom:1rem;left:50%;transform:translateX(-50%);max-width:calc(100vw - 2rem)}\n.translation-ui-button{padding:.25rem .6rem;border:1px solid var(--translation-ui-border,#d0d7de);border-radius:4px;background:none;color:inherit;font:inherit;cursor:pointer}\n.translation-ui-button--primary{border-color:var(--translation-ui-info,#0969da);background:var(--translation-ui-info,#0969da);color:#fff}\n.translation-ui-details{display:grid;grid-template-columns:auto 1fr;gap:.15rem .5rem;margin:0;font-size:.85em}\n.translation-ui-details dt{font-weight:600}\n.translation-ui-details dd{margin:0;overflow-wrap:anywhere}\n.translation-ui-label{font-weight:600}\n.translation-ui-input{box-sizing:border-box;width:100%;padding:.35rem .5rem;border:1px solid var(--translation-ui-border,#d0d7de);border-radius:4px;background:var(--translation-ui-bg,#fff);color:inherit;font:inherit;resize:vertical}\n.translation-ui-actions{display:flex;justify-content:flex-end;gap:.5rem}",stack:"translation-ui-stack",corner:"translation-ui-stack translation-ui-stack--bottom",loading:"translation-ui-card translation-ui-card--info",spinner:"translation-ui-spinner",notice:t=>`translation-ui-card translation-ui-card--${t}`,close:"translation-ui-close",closeText:"×",progress:"translation-ui-card translation-ui-card--info translation-ui-card--column",progressHeader:"translation-ui-row",progressTitle:"translation-ui-title",progressStatus:"translation-ui-muted",progressBody:"",progressBar:"translation-ui-progress",progressFill:"translation-ui-progress-fill",progressCurrent:"translation-ui-muted",banner:"translation-ui-card translation-ui-card--info translation-ui-banner",accept:"translation-ui-button translation-ui-button--primary",dismiss:"translation-ui-button",editor:"translation-ui-card translation-ui-card--info translation-ui-card--column",editorHeader:"translation-ui-row",editorKey:"translation-ui-title",editorBadge:"translation-ui-muted",editorBody:"",editorDetails:"translation-ui-details",editorLabel:"translation-ui-label",editorInput:"translation-ui-input",editorActions:"translation-ui-actions"}};function e(t,e,a){const n=document.createElement(t);return e&&(n.className=e),null!=a&&(n.textContent=a),n}function a(t,a,n,r){const s=e("button",t,a);return s.type="button",n&&s.setAttribute("aria-label",n),s.addEventListener("click",r),s}function n(t,a,n="var(--translation-ui-z-index, 1060)"){const r=e("div",t);return a&&(r.id=a),r.style.zIndex=n,document.body.appendChild(r),r}function r(t,r){let s=null,i=null,o=null,l=null;const u=()=>{if(!r.style||document.getElementById("translation-ui-style"))return;const t=e("style",null,r.style);t.id="translation-ui-style",document.head.appendChild(t)},g=()=>(u(),s&&s.isConnected||(s=n(r.stack,"translation-notifications")),s);return{name:t,showLoading({message:t}){clearTimeout(o),i||(i=e("div",r.loading),i.id="translation-loading",i.setAttribute("role","status"),i.append(e("span",r.spinner),e("span"))),i.lastChild.textContent=t,i.isConnected||g().prepend(i)},hideLoading(){clearTimeout(o),o=setTimeout(()=>i&&i.remove(),300)},notify({message:t,type:n="info",closeLabel:s}){const i=e("div",r.notice(n));i.setAttribute("role","error"===n?"alert":"status"),i.append(e("span",null,t),a(r.close,r.closeText,s,()=>i.remove())),g().appendChild(i),setTimeout(()=>i.remove(),"error"===n?6e3:3e3)},progress({title:t,status:s,percentage:i,current:o,closeLabel:g,onClose:c}){if(!l||!l.root.isConnected){u();const t=n(r.corner,"translation-progress-toast");t.setAttribute("role","status"),t.setAttribute("aria-live","polite");const s=e("div",r.progress),i=e("div",r.progressHeader),o=e("div",r.progressBody),d=e("div",r.progressBar);d.setAttribute("role","progressbar"),d.setAttribute("aria-valuemin","0"),d.setAttribute("aria-valuemax","100"),l={root:t,bar:d,title:e("strong",r.progressTitle),status:e("small",r.progressStatus),fill:e("div",r.progressFill),current:e("div",r.progressCurrent)},i.append(l.title,l.status,a(r.close,r.closeText,g,()=>c&&c())),d.appendChild(l.fill),o.append(d,l.current),s.append(i,o),t.appendChild(s)}const d=Math.max(0,Math.min(100,Math.round(i||0)));l.title.textContent=t,l.status.textContent=s||"",l.fill.style.width=`${d}%`,l.bar.setAttribute("aria-valuenow",String(d)),l.current.textContent=o||""},hideProgress(){l&&l.root.remove(),l=null},suggestion({label:t,text:s,acceptLabel:i,dismissLabel:o,onAccept:l,onDismiss:g}){u();const c=n(r.banner);c.setAttribute("role","region"),c.setAttribute("aria-label",t),c.append(e("span",null,s),a(r.accept,i,null,()=>{c.remove(),l()}),a(r.dismiss,o,null,()=>{c.remove(),g()}))},editor({label:t,key:s,language:i,category:o,description:l,sourceText:g,translatedText:c,labels:d,onSave:h,onCancel:p}){u();const m=n(r.corner,"translation-editor","calc(var(--translation-ui-z-index, 1060) + 10)");m.setAttribute("role","dialog"),m.setAttribute("aria-label",t);const f=e("div",r.editor),b=e("div",r.editorHeader);b.append(e("code",r.editorKey,s),e("span",r.editorBadge,i.toUpperCase()));const y=e("dl",r.editorDetails),L=(t,a)=>{const n=e("dd",null,a);return y.append(e("dt",null,d[t]),n),n},w={category:L("category",o||"-"),description:L("description",l||"-"),source:L("source",g||"")},T=e("textarea",r.editorInput);T.id="translation-editor-text",T.rows=4,T.value=T.defaultValue=c||"";const v=e("label",r.editorLabel,d.translation);v.htmlFor=T.id;const C=a(r.accept,d.save,null,()=>h(T.value)),x=e("div",r.editorActions);x.append(a(r.dismiss,d.cancel,null,()=>p()),C);const S=e("div",r.editorBody);return S.append(y,v,T,x),f.append(b,S),m.appendChild(f),m.addEventListener("keydown",t=>{"Escape"===t.key&&p(),"Enter"===t.key&&(t.ctrlKey||t.metaKey)&&h(T.value)}),T.focus(),{element:m,update(t){t.category&&(w.category.textContent=t.category),t.description&&(w.description.textContent=t.description),null!=t.sourceText&&(w.source.textContent=t.sourceText),null!=t.translatedText&&T.value===T.defaultValue&&(T.value=T.defaultValue=t.translatedText)},setBusy(t){C.disabled=t},close(){m.remove()}}}}}function s(){return r("bootstrap",t.bootstrap)}function i(){return r("daisyui",t.daisyui)}function o(){return r("plain",t.plain)}return{bootstrap:s,daisyui:i,plain:o,resolve:function(t){if(t&&"object"==typeof t)return t;switch(String(t||"bootstrap").trim().toLowerCase()){case"plain":return o();case"bootstrap":return s();case"daisyui":case"tailwind":return i();case"none":return{name:"none"};default:return console.warn(`[Translation] Unknown translation renderer: ${t}, using bootstrap`),s()}}}}();class p{constructor(t={}){this.defaultLanguage=(t.defaultLanguage||"en").toLowerCase(),this.urlLanguage=t.urlLanguage||!1,this.urlParameter=t.urlParameter||"lang",this.urlLanguages=t.urlLanguages||[],this.urlHistory=t.urlHistory||"push",this.urlUpdate=null,this.urlPopstateHandler=null,this.currentLanguage=this.getCurrentLanguage(),this.renderedLanguage=this.currentLanguage,this.isTranslating=!1,this.debug=t.debug||!1,this.signalRHub=t.signalRHub||"/hubs/translation",this.enableNotifications=!1!==t.enableNotifications,this.signalRConnection=null,this.switchController=null,this.pendingLanguage=null,this.pendingSwitch=null,this.observeMutations=t.observeMutations||!1,this.mutationDebounce=null!=t.mutationDebounce?t.mutationDebounce:150,this.mutationObserver=null,this.mutationTimer=null,this.pendingElements=new Set,this.messagePatterns=new WeakMap,this.markupAllowlists=new WeakMap,this.originals=new WeakMap,this.rtlLanguages=(t.rtlLanguages||i).map(t=>t.toLowerCase()),this.pseudoExpansion=null!=t.pseudoExpansion?t.pseudoExpansion:.4,this.editor=t.editor||null,this.editorPanel=null,this.editorClickHandler=null,this.cache=t.persistentCache?new o({maxAge:t.cacheMaxAge}):null,this.lazyTranslation=t.lazyTranslation||!1,this.lazyRootMargin=t.lazyRootMargin||"200px",this.chunkSize=null!=t.chunkSize?t.chunkSize:200,this.transports=g.resolve(t.transports,t),this.lazyController=null,this.languageNegotiation=t.languageNegotiation||!1,this.availableLanguages=t.availableLanguages||null,this.syncTabs=!1!==t.syncTabs,this.tabSync=null,this.tabSyncVisibilityHandler=null,this.remoteLanguage=null,this.deferredRemoteLanguage=null,this.serviceWorker=t.serviceWorker||null,this.offlineTransport=null,this.offlineLanguage=null,this.onlineHandler=null,this.translatedFragments=!1,this.renderer=h.resolve(t.headless?"none":t.renderer),this.translateUi=!1!==t.translateUi,this.uiStrings={},Object.entries(t.uiStrings||{}).forEach(([t,e])=>{this.uiStrings[t.toLowerCase()]={...e}}),this.uiStringsLoaded=new Set(Object.keys(this.uiStrings)),this.progressTimer=null,this.progressEscapeHandler=null,this.missingKeys=new l({report:t.reportMissingKeys,endpoint:t.missingKeysEndpoint,delay:t.missingKeysDelay}),this.debug&&console.log("[Translation] Initializing with options:",t)}getCurrentLanguage(){const t=this.getUrlLanguage();if(t)return t;const e=`; ${document.cookie}`.split("; preferred-language=");return 2===e.length?e.pop().split(";").shift():this.defaultLanguage}getUrlLanguage(){if("query"===this.urlLanguage){const e=new URLSearchParams(t.location.search).get(this.urlParameter);return e&&s.test(e)?e:null}if("path"===this.urlLanguage){const e=t.location.pathname.split("/")[1]||"";return this.urlLanguages.find(t=>t.toLowerCase()===e.toLowerCase())||null}return null}urlForLanguage(e){const a=new URL(t.location.href),n=!this.isDefaultLanguage(e);if("path"===this.urlLanguage){const t=a.pathname.split("/"),r=(t[1]||"").toLowerCase();this.urlLanguages.some(t=>t.toLowerCase()===r)&&t.splice(1,1),n&&t.splice(1,0,e),a.pathname=t.join("/")||"/"}else a.searchParams.delete(this.urlParameter),n&&a.searchParams.set(this.urlParameter,e);return a.pathname+a.search+a.hash}updateUrl(e){const a=this.urlUpdate&&this.urlUpdate.language===e?this.urlUpdate.mode:null;this.urlUpdate=null;const n=a||this.urlHistory;if(!this.urlLanguage||"none"===n)return;const r=this.urlForLanguage(e);r!==t.location.pathname+t.location.search+t.location.hash&&("push"===n?t.history.pushState(null,"",r):t.history.replaceState(t.history.state,"",r))}startUrlTracking(){this.urlPopstateHandler||(this.urlPopstateHandler=()=>{const t=this.getUrlLanguage()||this.defaultLanguage;t.toLowerCase()!==String(this.pendingLanguage||this.currentLanguage).toLowerCase()&&(this.debug&&console.log(`[Translation] Following the URL back to ${t}`),this.urlUpdate={language:t,mode:"none"},this.switchLanguage(t).catch(()=>{}))},t.addEventListener("popstate",this.urlPopstateHandler))}hasLanguageCookie(){return/(?:^|;\s*)preferred-language=/.test(document.cookie)}isDefaultLanguage(t){return!t||t.toLowerCase()===this.defaultLanguage}collectTranslationKeys(){const t=new Set;return document.querySelectorAll("[data-translate-key], [data-translate-attr]").forEach(e=>{this.getElementKeys(e).forEach(e=>t.add(e))}),Array.from(t)}getElementKeys(t){const e=this.readAttributeKeys(t).map(t=>t.key),a=t.getAttribute("data-translate-key");return a&&e.unshift(a),e}readAttributeKeys(t){const e=t.getAttribute("data-translate-attr");return e?e.split(";").map(t=>{const e=t.indexOf(":");return e>0?{attr:t.slice(0,e).trim(),key:t.slice(e+1).trim()}:null}).filter(t=>t&&t.attr&&t.key):[]}indexAttributeBindings(){const t=new Map;return document.querySelectorAll("[data-translate-attr]").forEach(e=>{this.readAttributeKeys(e).forEach(({attr:a,key:n})=>{t.has(n)||t.set(n,[]),t.get(n).push({element:e,attr:a})})}),t}findElementsByKey(e){const a=t.CSS&&CSS.escape?CSS.escape(e):e.replace(/["\\]/g,"\\$&");return Array.from(document.querySelectorAll(`[data-translate-key="${a}"]`))}emit(t,e,a=document){const n=new CustomEvent(`translation:${t}`,{detail:e,bubbles:!0,cancelable:"beforeswitch"===t});return a.dispatchEvent(n)}on(t,e){const a=t.startsWith("translation:")?t:`translation:${t}`;return document.addEventListener(a,e),()=>this.off(t,e)}off(t,e){const a=t.startsWith("translation:")?t:`translation:${t}`;document.removeEventListener(a,e)}switchLanguageHtmx(t){if(this.switchController){if(this.pendingLanguage===t)return this.pendingSwitch;this.debug&&console.log(`[Translation] Superseding in-flight switch with ${t}`),this.switchController.abort()}this.stopLazyTranslation();const e=new AbortController;return this.switchController=e,this.pendingLanguage=t,this.pendingSwitch=this.performSwitch(t,e),this.pendingSwitch}async performSwitch(t,e){const a=this.currentLanguage;try{if(!this.emit("beforeswitch",{language:t,previousLanguage:a}))throw new DOMException("Language switch prevented by a beforeswitch listener","AbortError");r.isPseudoLocale(a)&&this.restoreAll(this.defaultLanguage),this.isTranslating=!0,this.showLoadingIndicator();const n=this.cache?Array.from(new Set(this.applyCachedTranslations(t))):this.collectTranslationKeys();if(0===n.length){if(this.debug&&console.log("[Translation] No translations to request for this page"),await this.loadUiStrings(t,e.signal),e.signal.aborted)throw new DOMException("Language switch superseded","AbortError");return this.completeSwitch(t,a,{requestedKeys:[],missingKeys:[],deferredKeys:[],updatedCount:0,fromCache:!!this.cache}),t}let s=n,i=[];if(this.lazyTranslation&&"undefined"!=typeof IntersectionObserver&&(({now:s,later:i}=await this.partitionByViewport(n)),e.signal.aborted))throw new DOMException("Language switch superseded","AbortError");this.offlineLanguage===t&&(this.offlineLanguage=null);const o=this.pendingUiKeys(t),{updatedCount:l,keys:u,offline:g}=await this.requestTranslations(t,s.concat(o),e.signal);o.length>0&&this.markUiStringsLoaded(t,g);const c=s.filter(t=>!u.has(t));return this.debug&&console.log(`[Translation] Language switched to ${t} (${l}/${s.length} elements updated, ${i.length} keys deferred${g?", offline":""})`),this.completeSwitch(t,a,{requestedKeys:s,missingKeys:c,deferredKeys:i,updatedCount:l,offline:g}),this.recordMissingKeys(t,c),i.length>0&&this.translateDeferred(t,i),this.enableNotifications&&g?this.showNotification(this.uiText("languageChangedOffline",{language:this.getLanguageName(t)}),"info"):this.enableNotifications&&this.showNotification(this.uiText("languageChanged",{language:this.getLanguageName(t)}),"success"),t}catch(e){if("AbortError"===e.name)throw this.debug&&console.log(`[Translation] Switch to ${t} cancelled`),e;throw console.error("[Translation] Error switching language:",e),this.emit("error",{phase:"switch",language:t,previousLanguage:a,error:e}),this.enableNotifications&&this.showError(this.uiText("switchFailed"),{phase:"switch",language:t,error:e}),e}finally{this.switchController===e&&(this.switchController=null,this.pendingLanguage=null,this.pendingSwitch=null,this.isTranslating=!1,this.hideLoadingIndicator())}}completeSwitch(t,e,a){this.currentLanguage=t,r.isPseudoLocale(t)||(this.setLanguageCookie(t),this.tabSync&&t!==this.remoteLanguage&&this.tabSync.post(t),this.updateUrl(t)),this.remoteLanguage=null,this.updateCurrentLanguageDisplay(t),this.applyDocumentLanguage(t),this.formatValues(t),this.emit("switched",{language:t,previousLanguage:e,fromCache:!1,partial:a.missingKeys.length>0,offline:!1,...a})}async refreshOfflineTranslations(){const t=this.offlineLanguage;if(!t||t!==this.currentLanguage||this.switchController)return;this.offlineLanguage=null;const e=this.collectTranslationKeys();try{const{updatedCount:a,keys:n}=await this.requestTranslations(t,e);this.recordMissingKeys(t,e.filter(t=>!n.has(t))),this.debug&&console.log(`[Translation] Back online: ${a} elements updated`)}catch(e){if("AbortError"===e.name)return;console.error("[Translation] Error refreshing translations after going online:",e),this.emit("error",{phase:"online",language:t,error:e})}}registerServiceWorker(){this.serviceWorker&&"serviceWorker"in navigator&&navigator.serviceWorker.register(this.serviceWorker).catch(t=>{console.warn("[Translation] Service worker registration failed:",t)})}startTabSync(){this.tabSync||(this.tabSync=new u(t=>this.applyRemoteLanguage(t)),this.tabSyncVisibilityHandler||(this.tabSyncVisibilityHandler=()=>{if("visible"!==document.visibilityState||!this.deferredRemoteLanguage)return;const t=this.deferredRemoteLanguage;this.deferredRemoteLanguage=null,this.applyRemoteLanguage(t)},document.addEventListener("visibilitychange",this.tabSyncVisibilityHandler)))}stopTabSync(){this.tabSync&&this.tabSync.close(),this.tabSync=null,this.deferredRemoteLanguage=null}applyRemoteLanguage(t){if("hidden"===document.visibilityState)return void(this.deferredRemoteLanguage=t);t.toLowerCase()!==String(this.pendingLanguage||this.currentLanguage).toLowerCase()&&(this.debug&&console.log(`[Translation] Applying ${t} from another tab`),this.remoteLanguage=t,this.urlUpdate={language:t,mode:"replace"},this.switchLanguage(t).catch(()=>{}).finally(()=>{this.remoteLanguage===t&&(this.remoteLanguage=null)}))}cancelPendingSwitch(){this.switchController&&this.switchController.abort(),this.stopLazyTranslation()}setLanguageCookie(t){document.cookie=`preferred-language=${t}; path=/; max-age=31536000; SameSite=Lax`}applyCachedTranslations(t){if(!this.cache)return this.collectTranslationKeys();const e=[];return document.querySelectorAll("[data-translate-key]").forEach(a=>{if(a.getAttribute("data-translated-lang")===t)return;const n=a.getAttribute("data-translate-key"),r=this.cache.get(t,n,a.getAttribute("data-content-hash"));null!==r?(this.renderContent(a,r,t),this.markTranslated(a,t),this.emit("element-updated",{key:n,language:t,source:"cache"},a)):e.push(n)}),this.indexAttributeBindings().forEach((a,n)=>{const r=this.cache.get(t,n,null);null!==r?a.forEach(({element:e,attr:a})=>{e.getAttribute(a)!==r&&this.setTranslatedAttribute(e,a,r)&&this.emit("element-updated",{key:n,attribute:a,language:t,source:"cache"},e)}):e.push(n)}),this.debug&&console.log(`[Translation] Applied cached translations for ${t} (${e.length} keys stale or missing)`),e}async fetchTranslations(t,e,a){const n={};let r=!1,s=e,i=null;for(const e of this.transports){if(0===s.length)break;try{const r=await e.fetch(t,s,{signal:a})||{};s.forEach(t=>{null!=r[t]&&(n[t]={value:r[t],transport:e.name})}),s=s.filter(t=>!(t in n))}catch(o){if("AbortError"===o.name)throw o;console.warn(`[Translation] ${e.name} transport failed:`,o),i=o}}if(i&&0===Object.keys(n).length){if(!((o=i)&&"TypeError"===o.name||!1===navigator.onLine))throw i;if(r=!0,!this.transports.some(t=>"json"===t.name)){this.offlineTransport=this.offlineTransport||g.json();try{const r=await this.offlineTransport.fetch(t,e,{signal:a});Object.entries(r).forEach(([t,e])=>{n[t]={value:e,transport:"json"}})}catch(o){if("AbortError"===o.name)throw o}}}var o;return{translations:n,offline:r}}async requestTranslations(t,e,a){const n=Array.from(new Set(e)),r=this.chunkSize>0?this.chunkSize:n.length,s=new Set;let i=0,o=!1;for(let e=0;e<n.length;e+=r){const l=await this.fetchTranslations(t,n.slice(e,e+r),a),u=l.translations;if(o=o||l.offline,a?a.aborted:t!==this.currentLanguage)throw new DOMException("Language switch superseded","AbortError");const g=this.applyTranslations(u,t);i+=g.updatedCount,g.keys.forEach(t=>s.add(t))}return o&&(this.offlineLanguage=t),{updatedCount:i,keys:s,offline:o}}partitionByViewport(e){const a=new Set(e),n=Array.from(document.querySelectorAll("[data-translate-key], [data-translate-attr]")).filter(t=>this.getElementKeys(t).some(t=>a.has(t)));return 0===n.length?Promise.resolve({now:[],later:e}):new Promise(r=>{const s=new Set,i=new Set;let o=0;const l=new IntersectionObserver(u=>{if(u.forEach(e=>{if(!e.isIntersecting)return;const n=e.boundingClientRect,r=n.bottom>0&&n.top<t.innerHeight&&n.right>0&&n.left<t.innerWidth;this.getElementKeys(e.target).forEach(t=>{a.has(t)&&(r?s:i).add(t)})}),o+=u.length,o<n.length)return;l.disconnect();const g=[...s,...Array.from(i).filter(t=>!s.has(t))];r({now:g,later:e.filter(t=>!s.has(t)&&!i.has(t))})},{rootMargin:this.lazyRootMargin});n.forEach(t=>l.observe(t))})}translateDeferred(t,e){const a=new AbortController;this.lazyController=a;const n=new Set(e),r=new Set,s=this.chunkSize>0?this.chunkSize:n.size;let i=!1;const o=new IntersectionObserver(t=>{t.forEach(t=>{t.isIntersecting&&(o.unobserve(t.target),this.getElementKeys(t.target).forEach(t=>{n.delete(t)&&r.add(t)}))}),r.size>0&&l()},{rootMargin:this.lazyRootMargin});a.signal.addEventListener("abort",()=>o.disconnect());const l=async()=>{if(i||a.signal.aborted)return;const e=r.size>0?r:n;if(0===e.size)return this.debug&&console.log(`[Translation] Finished deferred translation for ${t}`),void this.stopLazyTranslation(a);const o=Array.from(e).slice(0,s);o.forEach(t=>e.delete(t)),i=!0;try{const{keys:e}=await this.requestTranslations(t,o,a.signal);this.recordMissingKeys(t,o.filter(t=>!e.has(t)))}catch(e){if("AbortError"===e.name)return;return console.error("[Translation] Error translating deferred content:",e),this.emit("error",{phase:"lazy",language:t,keys:o,error:e}),void this.stopLazyTranslation(a)}finally{i=!1}r.size>0?l():this.whenIdle(l)};document.querySelectorAll("[data-translate-key], [data-translate-attr]").forEach(t=>{this.getElementKeys(t).some(t=>n.has(t))&&o.observe(t)}),this.whenIdle(l)}stopLazyTranslation(t=this.lazyController){t&&t===this.lazyController&&(t.abort(),this.lazyController=null)}whenIdle(t){"function"==typeof requestIdleCallback?requestIdleCallback(t,{timeout:2e3}):setTimeout(t,50)}applyTranslations(t,e,a=null){const n=this.indexAttributeBindings(),r=new Map;document.querySelectorAll("[data-translate-key]").forEach(t=>{const e=t.getAttribute("data-translate-key");r.has(e)||r.set(e,[]),r.get(e).push(t)});const s=new Set;let i=0;return Object.entries(t).forEach(([t,{value:o,transport:l}])=>{const u="string"==typeof o?o:o.html,g="string"==typeof o?o:o.text;if(t.startsWith(d))return void this.setUiString(e,t,g);s.add(t),(r.get(t)||[]).forEach(n=>{const r=this.allowsHtml(n)?u:g;a&&a.has(n)||this.renderContent(n,r,e),this.markTranslated(n,e),this.cache&&this.cache.set(e,t,n.getAttribute("data-content-hash"),r),this.animateTranslationUpdate(n),this.emit("element-updated",{key:t,language:e,source:"switch",transport:l},n),i++});const c=n.get(t)||[];c.forEach(({element:a,attr:n})=>{this.setTranslatedAttribute(a,n,g)&&(a.setAttribute("data-translated-lang",e),this.emit("element-updated",{key:t,attribute:n,language:e,source:"switch",transport:l},a),i++)}),this.cache&&c.length>0&&this.cache.set(e,t,null,g)}),{updatedCount:i,keys:s}}applySwapResponse(t,e){const a={};return Object.entries(g.parseSwapResponse(t)).forEach(([t,e])=>{a[t]={value:e,transport:"oob"}}),this.applyTranslations(a,e)}recordMissingKeys(t,e){if(0===e.length||this.isDefaultLanguage(t)||t===this.offlineLanguage)return;const a=this.indexAttributeBindings(),n=location.origin+location.pathname;new Set(e).forEach(e=>{const r=this.findElementsByKey(e)[0],s=r?null:(a.get(e)||[])[0];this.missingKeys.record({key:e,language:t,sourceText:r?this.readSourceText(r):s?this.readSourceText(s.element,s.attr):null,hash:r?r.getAttribute("data-content-hash"):null,url:n})})}readSourceText(t,e){const a=this.originals.get(t);if(e){if(a&&e in a.attributes)return a.attributes[e]}else if(a&&null!==a.content)return a.content;return this.isDefaultLanguage(this.renderedLanguage)?e?t.getAttribute(e):this.messagePatterns.get(t)||this.readContent(t):null}readParams(t){const e=t.getAttribute("data-translate-params");if(!e)return null;try{return JSON.parse(e)}catch(t){return console.warn("[Translation] Invalid data-translate-params JSON:",e,t),null}}formatMessage(t,n,r){const s=this.readParams(t);if(!s)return n;this.messagePatterns.set(t,n);const i=this.allowsHtml(t)?a:null;return e.format(n,s,r||this.currentLanguage,i)}allowsHtml(t){return t.hasAttribute("data-has-html")}getMarkupAllowlist(t){let e=this.markupAllowlists.get(t);return e||(e=t.hasAttribute("data-html-allowlist")?n.parseAllowlist(t.getAttribute("data-html-allowlist")):n.allowlistFromElement(t),this.markupAllowlists.set(t,e)),e}readContent(t,e=t){return this.allowsHtml(t)?e.innerHTML:e.textContent}renderContent(t,e,a){if(this.rememberOriginal(t),this.allowsHtml(t)){const r=this.getMarkupAllowlist(t);t.innerHTML=n.sanitize(this.formatMessage(t,e,a),r)}else t.textContent=this.formatMessage(t,e,a)}setTranslatedAttribute(t,e,a){return n.isSafeAttribute(e,a)?(this.rememberOriginal(t,e),t.setAttribute(e,a),!0):(console.warn(`[Translation] Rejected unsafe translation for ${e} attribute`),!1)}formatParameterizedElements(t=document){t.querySelectorAll("[data-translate-key][data-translate-params]").forEach(t=>{const e=this.messagePatterns.get(t)||this.readContent(t);this.renderContent(t,e,this.currentLanguage)})}formatValues(t,a=document){const n=r.isPseudoLocale(t)?this.defaultLanguage:t,s=Array.from(a.querySelectorAll("[data-format]"));a.matches&&a.matches("[data-format]")&&s.push(a),s.forEach(t=>{const a=t.getAttribute("data-value")??t.getAttribute("datetime");if(null==a)return;let r={};try{r=JSON.parse(t.getAttribute("data-format-options")||"{}")||{}}catch(e){console.warn("[Translation] Invalid data-format-options:",t,e)}t.hasAttribute("data-currency")&&(r.currency=t.getAttribute("data-currency")),t.hasAttribute("data-unit")&&(r.unit=t.getAttribute("data-unit"));const s=e.formatValue(t.getAttribute("data-format"),a,n,r);null===s?this.debug&&console.warn("[Translation] Could not format value:",t):t.textContent!==s&&(t.textContent=s)})}setParams(t,e){if(!t)return;const a=this.messagePatterns.get(t)||this.readContent(t);t.setAttribute("data-translate-params",JSON.stringify(e||{})),this.renderContent(t,a,this.currentLanguage)}startObserving(){!this.mutationObserver&&"undefined"!=typeof MutationObserver&&document.body&&(this.mutationObserver=new MutationObserver(t=>{for(const e of t)e.addedNodes.forEach(t=>this.queueTranslatableNode(t))}),this.mutationObserver.observe(document.body,{childList:!0,subtree:!0}),this.debug&&console.log("[Translation] Observing DOM for inserted content"))}stopObserving(){this.mutationObserver&&(this.mutationObserver.disconnect(),this.mutationObserver=null),clearTimeout(this.mutationTimer),this.mutationTimer=null,this.pendingElements.clear()}queueTranslatableNode(t){if(t.nodeType!==Node.ELEMENT_NODE)return;this.isDefaultLanguage(this.currentLanguage)||this.formatValues(this.currentLanguage,t);const e="[data-translate-key], [data-translate-attr]",a=Array.from(t.querySelectorAll(e));t.matches(e)&&a.push(t),a.forEach(t=>{t.getAttribute("data-translated-lang")!==this.currentLanguage&&this.pendingElements.add(t)}),this.pendingElements.size>0&&this.schedulePendingFlush()}schedulePendingFlush(){clearTimeout(this.mutationTimer),this.mutationTimer=setTimeout(()=>this.flushPendingElements(),this.mutationDebounce)}async flushPendingElements(){this.mutationTimer=null;const t=this.currentLanguage;if(this.isDefaultLanguage(t))return void this.pendingElements.clear();if(r.isPseudoLocale(t))return this.pseudoLocalizeElements(Array.from(this.pendingElements).filter(t=>t.isConnected),t),void this.pendingElements.clear();if(this.isTranslating)return void this.schedulePendingFlush();const e=Array.from(this.pendingElements).filter(t=>t.isConnected);if(this.pendingElements.clear(),0===e.length)return;const a=Array.from(new Set(e.flatMap(t=>this.getElementKeys(t))));try{const{updatedCount:e,keys:n}=await this.requestTranslations(t,a);this.recordMissingKeys(t,a.filter(t=>!n.has(t))),this.debug&&console.log(`[Translation] Translated inserted content (${e}/${a.length} elements updated)`)}catch(e){if("AbortError"===e.name)return;console.error("[Translation] Error translating inserted content:",e),this.emit("error",{phase:"observer",language:t,keys:a,error:e})}}translateElements(t,e){return e&&!this.isDefaultLanguage(e)&&t.querySelector("[data-translate-key], [data-translate-attr]")&&(this.translatedFragments=!0),this.queueTranslatableNode(t),clearTimeout(this.mutationTimer),this.flushPendingElements()}beginDeclarativeSwitch(t){const e=this.currentLanguage;if(!this.emit("beforeswitch",{language:t,previousLanguage:e}))return null;this.switchController&&this.switchController.abort(),this.stopLazyTranslation(),r.isPseudoLocale(e)&&this.restoreAll(this.defaultLanguage);const a=new AbortController,n={languageCode:t,previousLanguage:e,controller:a,keys:this.collectTranslationKeys(),translations:{},swapped:new Set};return n.uiKeys=this.pendingUiKeys(t),n.requestKeys=n.keys.concat(n.uiKeys),this.switchController=a,this.pendingLanguage=t,this.pendingSwitch=new Promise((t,e)=>{n.resolve=t,n.reject=e}),this.pendingSwitch.catch(()=>{}),this.isTranslating=!0,this.showLoadingIndicator(),n}prepareDeclarativeResponse(t,e){if(t.controller.signal.aborted)return"";const r=document.createElement("template");return r.innerHTML=e,r.content.querySelectorAll("[hx-swap-oob]").forEach(e=>{const r=e.id?document.getElementById(e.id):null,s=e.getAttribute("data-translate-key")||r&&r.getAttribute("data-translate-key");if(!s)return;if(t.translations[s]={value:{html:e.innerHTML,text:e.textContent},transport:"htmx"},!r||r.getAttribute("data-translate-key")!==s)return void e.remove();this.rememberOriginal(r);const i=this.formatMessage(r,this.readContent(r,e),t.languageCode);e.innerHTML=this.allowsHtml(r)?n.sanitize(i,this.getMarkupAllowlist(r)):a(i),t.swapped.add(r)}),r.innerHTML}async finishDeclarativeSwitch(t,e){const{languageCode:a,previousLanguage:n,controller:r}=t;try{if(r.signal.aborted)throw new DOMException("Language switch superseded","AbortError");if(e)throw e;const{updatedCount:s,keys:i}=this.applyTranslations(t.translations,a,t.swapped);t.uiKeys.length>0&&this.markUiStringsLoaded(a,!1);const o=t.keys.filter(t=>!i.has(t));this.debug&&console.log(`[Translation] Language switched to ${a} by htmx (${s} elements updated)`),this.completeSwitch(a,n,{requestedKeys:t.keys,missingKeys:o,deferredKeys:[],updatedCount:s}),this.recordMissingKeys(a,o),this.enableNotifications&&this.showNotification(this.uiText("languageChanged",{language:this.getLanguageName(a)}),"success"),t.resolve(a)}catch(e){"AbortError"!==e.name&&(console.error("[Translation] Error switching language:",e),this.emit("error",{phase:"switch",language:a,previousLanguage:n,error:e}),this.enableNotifications&&this.showError(this.uiText("switchFailed"),{phase:"switch",language:a,error:e})),t.reject(e)}finally{this.switchController===r&&(this.switchController=null,this.pendingLanguage=null,this.pendingSwitch=null,this.isTranslating=!1,this.hideLoadingIndicator())}}async switchLanguage(t){return t===this.currentLanguage?(this.cancelPendingSwitch(),this.debug&&console.log("[Translation] Already in this language"),t):this.isDefaultLanguage(t)?this.restoreDefaultLanguage(t):r.isPseudoLocale(t)?this.applyPseudoLocale(t):this.switchLanguageHtmx(t)}applyPseudoLocale(t){this.cancelPendingSwitch();const e=this.currentLanguage;if(!this.emit("beforeswitch",{language:t,previousLanguage:e}))throw new DOMException("Language switch prevented by a beforeswitch listener","AbortError");const a=document.querySelectorAll("[data-translate-key], [data-translate-attr]"),n=this.pseudoLocalizeElements(a,t);return this.debug&&console.log(`[Translation] Pseudo-localized ${n} elements (${t})`),this.completeSwitch(t,e,{requestedKeys:[],missingKeys:[],updatedCount:n}),t}pseudoLocalizeElements(t,e){const a={mirror:r.isMirrored(e),expansion:this.pseudoExpansion};let n=0;return t.forEach(t=>{const s=t.getAttribute("data-translate-key");if(s){this.rememberOriginal(t);const i=this.originals.get(t).content,o=this.allowsHtml(t)?r.localizeHtml(i,a):r.localize(i,a);this.renderContent(t,o,e),this.markTranslated(t,e),this.emit("element-updated",{key:s,language:e,source:"pseudo"},t),n++}this.readAttributeKeys(t).forEach(({attr:s,key:i})=>{this.rememberOriginal(t,s);const o=this.originals.get(t).attributes[s];null!==o&&this.setTranslatedAttribute(t,s,r.localize(o,a))&&(t.setAttribute("data-translated-lang",e),this.emit("element-updated",{key:i,attribute:s,language:e,source:"pseudo"},t),n++)})}),n}restoreDefaultLanguage(e){this.cancelPendingSwitch();const a=this.currentLanguage,n=!this.isDefaultLanguage(this.renderedLanguage)||this.translatedFragments;if(!this.emit("beforeswitch",{language:e,previousLanguage:a,reload:n}))throw new DOMException("Language switch prevented by a beforeswitch listener","AbortError");if(n)return this.setLanguageCookie(e),this.urlLanguage?t.location["push"===this.urlHistory?"assign":"replace"](this.urlForLanguage(e)):t.location.reload(),e;const r=this.restoreAll(e);return this.debug&&console.log(`[Translation] Restored ${r} elements to ${e}`),this.completeSwitch(e,a,{requestedKeys:[],missingKeys:[],updatedCount:r}),this.enableNotifications&&this.showNotification(this.uiText("languageChanged",{language:this.getLanguageName(e)}),"success"),e}restoreAll(t){let e=0;return document.querySelectorAll("[data-translate-key], [data-translate-attr]").forEach(a=>{this.restoreOriginal(a,t)&&e++}),e}rememberOriginal(t,e){let a=this.originals.get(t);a||(a={content:t.hasAttribute("data-translate-key")?this.messagePatterns.get(t)||this.readContent(t):null,attributes:{lang:t.getAttribute("lang"),dir:t.getAttribute("dir")}},this.originals.set(t,a)),e&&!(e in a.attributes)&&(a.attributes[e]=t.getAttribute(e))}restoreOriginal(t,e){const a=this.originals.get(t);if(!a)return!1;if(null!==a.content){const n=this.formatMessage(t,a.content,e);this.allowsHtml(t)?t.innerHTML=n:t.textContent=n}return Object.entries(a.attributes).forEach(([e,a])=>{null===a?t.removeAttribute(e):t.setAttribute(e,a)}),t.removeAttribute("data-translated-lang"),this.emit("element-updated",{key:t.getAttribute("data-translate-key"),language:e,source:"restore"},t),!0}animateTranslationUpdate(t){t.style.transition="background-color 0.5s ease",t.style.backgroundColor="#ffffcc",setTimeout(()=>{t.style.backgroundColor="",setTimeout(()=>{t.style.transition=""},500)},500)}isRtlLanguage(t){if(!t)return!1;const e=t.toLowerCase();return!!r.isMirrored(e)||(!(!this.rtlLanguages.includes(e)&&!this.rtlLanguages.includes(e.split("-")[0]))||/-(arab|hebr|thaa|syrc|nkoo|adlm|rohg)\b/.test(e))}getTextDirection(t){return this.isRtlLanguage(t)?"rtl":"ltr"}markTranslated(t,e){t.setAttribute("data-translated-lang",e),t.setAttribute("lang",e),t.setAttribute("dir",this.getTextDirection(e))}applyDocumentLanguage(t){const e=document.documentElement;e.setAttribute("lang",t),e.setAttribute("dir",this.getTextDirection(t)),this.isDefaultLanguage(t)||document.querySelectorAll("[data-translate-key]:not([data-translated-lang]):not([lang])").forEach(t=>{this.rememberOriginal(t),t.setAttribute("lang",this.defaultLanguage),t.setAttribute("dir",this.getTextDirection(this.defaultLanguage))})}updateCurrentLanguageDisplay(t){document.querySelectorAll("#current-lang, [data-current-lang]").forEach(e=>{try{e.textContent=(t||this.defaultLanguage).toUpperCase()}catch{e.textContent=t}})}render(t,...e){const a=this.renderer&&this.renderer[t];if("function"==typeof a)try{return a.apply(this.renderer,e)}catch(e){return void console.error(`[Translation] Renderer ${t} failed:`,e)}}uiText(t,a={},n=this.currentLanguage){const s=String(n||this.defaultLanguage).toLowerCase(),i=null!=c[t]?c[t]:t;if(r.isPseudoLocale(s)){const t=r.localize(i,{mirror:r.isMirrored(s),expansion:this.pseudoExpansion});return e.format(t,a,this.defaultLanguage)}const o=this.uiStrings[s]||this.uiStrings[s.split("-")[0]]||{};return e.format(null!=o[t]?o[t]:i,a,s)}pendingUiKeys(t){const e=String(t).toLowerCase();return!this.translateUi||this.uiStringsLoaded.has(e)||this.isDefaultLanguage(e)||r.isPseudoLocale(e)?[]:Object.keys(c).map(t=>d+t)}markUiStringsLoaded(t,e){e||this.uiStringsLoaded.add(String(t).toLowerCase())}setUiString(t,e,a){if(null==a||a===e)return;const n=t.toLowerCase();(this.uiStrings[n]||(this.uiStrings[n]={}))[e.slice(15)]=a}async loadUiStrings(t,e){const a=this.pendingUiKeys(t);if(0!==a.length)try{const{translations:n,offline:r}=await this.fetchTranslations(t,a,e);Object.entries(n).forEach(([e,{value:a}])=>{this.setUiString(t,e,"string"==typeof a?a:a.text)}),this.markUiStringsLoaded(t,r)}catch(e){"AbortError"!==e.name&&console.warn(`[Translation] Unable to load the UI strings for ${t}:`,e)}}showLoadingIndicator(){document.querySelectorAll("#translation-loading-indicator, [data-translation-loading]").forEach(t=>t.classList.remove("d-none")),this.render("showLoading",{message:this.uiText("loading")})}hideLoadingIndicator(){document.querySelectorAll("#translation-loading-indicator, [data-translation-loading]").forEach(t=>t.classList.add("d-none")),this.render("hideLoading")}showNotification(t,e="info"){"error"!==e?this.render("notify",{message:t,type:e,closeLabel:this.uiText("close")}):this.showError(t)}showError(t,e={}){const a=this.uiText("close");this.renderer&&"function"==typeof this.renderer.error?this.render("error",{message:t,...e,closeLabel:a}):this.render("notify",{message:t,type:"error",closeLabel:a})}getLanguageName(t){return{en:"English",es:"Español",fr:"Français",de:"Deutsch",it:"Italiano",pt:"Português",ru:"Русский",ja:"日本語",ko:"한국어",zh:"中文",ar:"العربية",hi:"हिन्दी"}[t.toLowerCase()]||(t||"en").toUpperCase()}async getAvailableLanguages(){let t=this.availableLanguages;if(!t){const e=await fetch("/Language/Available");if(!e.ok)throw new Error(`Failed to load available languages: ${e.statusText}`);t=await e.json()}return[this.defaultLanguage,...t.filter(t=>!this.isDefaultLanguage(t))]}async negotiateLanguage(){return function(t,e){const a=e.map(t=>({code:t,tag:String(t).toLowerCase()}));for(const e of t){const t=String(e).toLowerCase(),n=t.split("-")[0],r=a.find(e=>e.tag===t)||a.find(t=>t.tag===n)||a.find(t=>t.tag.split("-")[0]===n);if(r)return r.code}return null}((navigator.languages&&navigator.languages.length>0?navigator.languages:[navigator.language]).filter(Boolean),await this.getAvailableLanguages())}async applyLanguageNegotiation(){try{const t=await this.negotiateLanguage();if(this.hasLanguageCookie()||this.switchController)return;t&&t.toLowerCase()!==this.currentLanguage.toLowerCase()?"suggest"===this.languageNegotiation?this.showLanguageSuggestion(t):(this.debug&&console.log(`[Translation] Negotiated ${t} from the browser languages`),this.urlUpdate={language:t,mode:"replace"},await this.switchLanguage(t)):this.setLanguageCookie(this.currentLanguage)}catch(t){if("AbortError"===t.name)return;console.error("[Translation] Language negotiation failed:",t),this.emit("error",{phase:"negotiation",language:null,error:t})}}showLanguageSuggestion(t){const e=this.getLanguageName(t);this.render("suggestion",{label:this.uiText("suggestionLabel"),text:this.uiText("suggestionText",{language:e}),acceptLabel:this.uiText("suggestionAccept",{language:e}),dismissLabel:this.uiText("suggestionDismiss"),onAccept:()=>this.switchLanguage(t).catch(()=>{}),onDismiss:()=>this.setLanguageCookie(this.currentLanguage)})}applyStringTranslation(t,e,a,n){if(t.startsWith(d))return void this.setUiString(e,t,a);if(e!==this.currentLanguage)return;const r=this.findElementsByKey(t);if(r.forEach(r=>{this.renderContent(r,a,e),this.markTranslated(r,e),this.animateTranslationUpdate(r),this.emit("element-updated",{key:t,language:e,source:n},r)}),this.cache){const n=r.length>0?r[0].getAttribute("data-content-hash"):null;this.cache.set(e,t,n,a)}(this.indexAttributeBindings().get(t)||[]).forEach(({element:r,attr:s})=>{this.setTranslatedAttribute(r,s,a)&&this.emit("element-updated",{key:t,attribute:s,language:e,source:n},r)})}enableEditor(){this.editor&&!this.editorClickHandler&&(this.editorClickHandler=t=>{if(!t.altKey)return;const e=t.target.closest&&t.target.closest("[data-translate-key]");!e||this.editorPanel&&this.editorPanel.element&&this.editorPanel.element.contains(e)||(t.preventDefault(),t.stopPropagation(),this.openEditor(e))},document.addEventListener("click",this.editorClickHandler,!0),this.debug&&console.log("[Translation] Editor enabled: Alt-click a translated element to edit it"))}disableEditor(){this.editorClickHandler&&document.removeEventListener("click",this.editorClickHandler,!0),this.editorClickHandler=null,this.closeEditor()}async openEditor(t){if(!this.editor)return void console.warn("[Translation] The translation editor is not enabled for this user");const e=t.getAttribute("data-translate-key"),a=this.currentLanguage;if(this.isDefaultLanguage(a)||r.isPseudoLocale(a))return void this.showNotification(this.uiText("editorNeedsLanguage"),"info");this.closeEditor(),this.rememberOriginal(t);const n=this.createEditorPanel({key:e,languageCode:a,category:t.getAttribute("data-translate-category"),description:t.getAttribute("data-translate-description"),sourceText:this.isDefaultLanguage(this.renderedLanguage)?this.originals.get(t).content:"",translatedText:this.readContent(t)});if(n){this.editorPanel=n;try{const t=await fetch(`/Language/Entry/${encodeURIComponent(a)}?key=${encodeURIComponent(e)}`,{headers:{Accept:"application/json"}});if(!t.ok)throw new Error(`Failed to load translation: ${t.statusText}`);const r=await t.json();if(this.editorPanel!==n)return;n.update({category:r.category,description:r.context,sourceText:r.defaultText,translatedText:r.translatedText})}catch(t){console.warn("[Translation] Editor could not load the stored translation:",t)}}else console.warn(`[Translation] The ${this.renderer.name||"custom"} renderer has no editor`)}createEditorPanel(t){let e=null;return e=this.render("editor",{label:this.uiText("editorLabel"),key:t.key,language:t.languageCode,category:t.category,description:t.description,sourceText:t.sourceText,translatedText:t.translatedText,labels:{category:this.uiText("editorCategory"),description:this.uiText("editorDescription"),source:this.uiText("editorSource"),translation:this.uiText("editorTranslation"),cancel:this.uiText("editorCancel"),save:this.uiText("editorSave")},onSave:a=>this.saveEditor(e,t.key,t.languageCode,a),onCancel:()=>{this.editorPanel===e&&this.closeEditor()}})||null,e}async saveEditor(t,e,a,n){if(!n.trim())return;t.setBusy(!0);const r=new FormData;r.append("key",e),r.append("text",n);const s={};this.editor.token&&(s[this.editor.tokenHeader||"RequestVerificationToken"]=this.editor.token);try{const i=await fetch(`/Language/Save/${encodeURIComponent(a)}`,{method:"POST",body:r,headers:s});if(!i.ok)throw new Error(`Failed to save translation: ${i.statusText}`);this.applyStringTranslation(e,a,n,"editor"),this.editorPanel===t&&this.closeEditor(),this.enableNotifications&&this.showNotification(this.uiText("translationSaved"),"success")}catch(n){console.error("[Translation] Error saving translation:",n),this.emit("error",{phase:"editor",language:a,key:e,error:n}),t.setBusy(!1),this.enableNotifications&&this.showError(this.uiText("saveFailed"),{phase:"editor",language:a,error:n})}}closeEditor(){this.editorPanel&&this.editorPanel.close(),this.editorPanel=null}initializeSignalR(){if(!1!==(t.translationConfig||{}).enableSignalR)if("undefined"!=typeof signalR)try{if(t.__translationHubConnected)return void(this.debug&&console.log("[Translation] SignalR already initialized"));this.signalRConnection=(new signalR.HubConnectionBuilder).withUrl(this.signalRHub).withAutomaticReconnect().build(),this.signalRConnection.on("StringTranslated",t=>{this.debug&&console.log("[Translation] String translated:",t),this.applyStringTranslation(t.key,t.languageCode,t.translatedText,"signalr")}),this.signalRConnection.on("TranslationProgress",t=>{this.debug&&console.log("[Translation] Progress:",t),this.updateProgressToast(t),this.emit("progress",{...t,done:!1})}),this.signalRConnection.on("TranslationComplete",t=>{this.debug&&console.log("[Translation] Complete:",t),this.hideProgressToast(!0),this.emit("progress",{...t,done:!0}),this.enableNotifications&&this.showNotification(this.uiText("translationsCompleted",{count:t.translatedCount}),"success")}),this.signalRConnection.start().then(()=>{t.__translationHubConnected=!0,this.debug&&console.log("[Translation] SignalR connected")}).catch(t=>{console.error("[Translation] SignalR connection error:",t),this.emit("error",{phase:"signalr",error:t})})}catch(t){console.error("[Translation] Error initializing SignalR:",t)}else this.debug&&console.warn("[Translation] SignalR not available, skipping real-time updates");else this.debug&&console.warn("[Translation] SignalR disabled by config")}updateProgressToast(t){"1"!==sessionStorage.getItem("translationToastDismissed")&&(clearTimeout(this.progressTimer),this.progressEscapeHandler||(this.progressEscapeHandler=t=>{"Escape"===t.key&&this.dismissProgressToast()},document.addEventListener("keydown",this.progressEscapeHandler)),this.render("progress",{title:this.uiText("translating"),status:`${t.completed} / ${t.total} (${Math.round(t.percentage)}%)`,percentage:t.percentage,current:t.currentKey?this.uiText("progressCurrent",{key:t.currentKey}):"",done:!1,closeLabel:this.uiText("close"),onClose:()=>this.dismissProgressToast()}))}hideProgressToast(t=!1){this.progressEscapeHandler&&(t&&this.render("progress",{title:this.uiText("translationsComplete"),status:"",percentage:100,current:"",done:!0,closeLabel:this.uiText("close"),onClose:()=>this.dismissProgressToast()}),clearTimeout(this.progressTimer),this.progressTimer=setTimeout(()=>this.closeProgressToast(),t?1500:300))}dismissProgressToast(){sessionStorage.setItem("translationToastDismissed","1"),this.closeProgressToast()}closeProgressToast(){clearTimeout(this.progressTimer),this.progressEscapeHandler&&document.removeEventListener("keydown",this.progressEscapeHandler),this.progressEscapeHandler=null,this.render("hideProgress")}simpleHash(t){let e=0;for(let a=0;a<t.length;a++){e=(e<<5)-e+t.charCodeAt(a),e|=0}return Math.abs(e).toString(16).substring(0,16).padStart(16,"0")}initialize(){this.updateCurrentLanguageDisplay(this.currentLanguage),this.isDefaultLanguage(this.currentLanguage)||this.applyDocumentLanguage(this.currentLanguage),this.formatParameterizedElements();const e=this.currentLanguage||this.defaultLanguage;if(this.urlLanguage&&(this.isDefaultLanguage(e)||r.isPseudoLocale(e)||(this.urlUpdate={language:e,mode:"replace"},this.updateUrl(e)),this.startUrlTracking()),r.isPseudoLocale(e))try{this.applyPseudoLocale(e)}catch(t){this.debug&&console.log("[Translation] Pseudo-locale not applied:",t)}else this.isDefaultLanguage(e)||(this.cache&&this.applyCachedTranslations(e),setTimeout(()=>{this.switchLanguageHtmx(e).catch(()=>{})},100));this.initializeSignalR(),this.registerServiceWorker(),this.onlineHandler||(this.onlineHandler=()=>this.refreshOfflineTranslations(),t.addEventListener("online",this.onlineHandler)),this.syncTabs&&this.startTabSync(),this.observeMutations&&this.startObserving(),this.editor&&this.enableEditor(),!this.languageNegotiation||this.hasLanguageCookie()||this.getUrlLanguage()||this.applyLanguageNegotiation(),this.debug&&console.log(`[Translation] System initialized (language: ${this.currentLanguage})`)}}t.TranslationManager=p,t.TranslationSanitizer=n,t.TranslationPseudoLocalizer=r,t.TranslationTransports=g,t.TranslationRenderers=h;const m=t.translationConfig||{};t.translationManager=new p({debug:m.debug||!1,signalRHub:m.signalRHub||"/hubs/translation",enableNotifications:!1!==m.enableNotifications,observeMutations:m.observeMutations||!1,mutationDebounce:m.mutationDebounce,rtlLanguages:m.rtlLanguages,persistentCache:m.persistentCache||!1,cacheMaxAge:m.cacheMaxAge,defaultLanguage:m.defaultLanguage,pseudoExpansion:m.pseudoExpansion,editor:m.editor,reportMissingKeys:m.reportMissingKeys||!1,missingKeysEndpoint:m.missingKeysEndpoint,missingKeysDelay:m.missingKeysDelay,lazyTranslation:m.lazyTranslation||!1,languageNegotiation:m.languageNegotiation,availableLanguages:m.availableLanguages,lazyRootMargin:m.lazyRootMargin,chunkSize:m.chunkSize,transports:m.transports,staticBaseUrl:m.staticBaseUrl,staticNamespaces:m.staticNamespaces,staticManifest:m.staticManifest,syncTabs:m.syncTabs,urlLanguage:m.urlLanguage,urlParameter:m.urlParameter,urlLanguages:m.urlLanguages,urlHistory:m.urlHistory,serviceWorker:m.serviceWorker,headless:m.headless||!1,renderer:m.renderer,translateUi:m.translateUi,uiStrings:m.uiStrings}),t.TranslationClient={init:function(e={}){null!=e.debug&&(t.translationManager.debug=!!e.debug),e.signalRHub&&(t.translationManager.signalRHub=e.signalRHub),null!=e.enableNotifications&&(t.translationManager.enableNotifications=!!e.enableNotifications),null!=e.observeMutations&&(t.translationManager.observeMutations=!!e.observeMutations),null!=e.mutationDebounce&&(t.translationManager.mutationDebounce=e.mutationDebounce),Array.isArray(e.rtlLanguages)&&(t.translationManager.rtlLanguages=e.rtlLanguages.map(t=>t.toLowerCase())),null!=e.pseudoExpansion&&(t.translationManager.pseudoExpansion=e.pseudoExpansion),null!=e.reportMissingKeys&&(t.translationManager.missingKeys.report=!!e.reportMissingKeys),e.missingKeysEndpoint&&(t.translationManager.missingKeys.endpoint=e.missingKeysEndpoint),null!=e.lazyTranslation&&(t.translationManager.lazyTranslation=!!e.lazyTranslation),e.lazyRootMargin&&(t.translationManager.lazyRootMargin=e.lazyRootMargin),null!=e.chunkSize&&(t.translationManager.chunkSize=e.chunkSize),null!=e.syncTabs&&(t.translationManager.syncTabs=!!e.syncTabs,e.syncTabs||t.translationManager.stopTabSync()),e.serviceWorker&&(t.translationManager.serviceWorker=e.serviceWorker),(e.headless||e.renderer)&&(t.translationManager.renderer=h.resolve(e.headless?"none":e.renderer)),null!=e.translateUi&&(t.translationManager.translateUi=!!e.translateUi),e.uiStrings&&Object.entries(e.uiStrings).forEach(([e,a])=>{const n=e.toLowerCase();t.translationManager.uiStrings[n]={...t.translationManager.uiStrings[n],...a}}),null!=e.urlLanguage&&(t.translationManager.urlLanguage=e.urlLanguage),e.urlParameter&&(t.translationManager.urlParameter=e.urlParameter),Array.isArray(e.urlLanguages)&&(t.translationManager.urlLanguages=e.urlLanguages),e.urlHistory&&(t.translationManager.urlHistory=e.urlHistory),e.transports&&(t.translationManager.transports=g.resolve(e.transports,e)),null!=e.languageNegotiation&&(t.translationManager.languageNegotiation=e.languageNegotiation),Array.isArray(e.availableLanguages)&&(t.translationManager.availableLanguages=e.availableLanguages),(e.defaultLanguage||null!=e.urlLanguage)&&(e.defaultLanguage&&(t.translationManager.defaultLanguage=String(e.defaultLanguage).toLowerCase()),t.translationManager.currentLanguage=t.translationManager.getCurrentLanguage(),t.translationManager.renderedLanguage=t.translationManager.currentLanguage),null!=e.persistentCache&&(t.translationManager.cache=e.persistentCache?t.translationManager.cache||new o({maxAge:e.cacheMaxAge}):null);const a=e.defaultLang?String(e.defaultLang):t.translationManager.getCurrentLanguage();"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{t.translationManager.initialize(),t.translationManager.isDefaultLanguage(a)||t.translationManager.switchLanguageHtmx(a).catch(()=>{})},{once:!0}):(t.translationManager.initialize(),t.translationManager.isDefaultLanguage(a)||t.translationManager.switchLanguageHtmx(a).catch(()=>{}))},setLanguage:function(e){return t.translationManager.switchLanguage(e)},getCurrentLanguage:function(){return t.translationManager.getCurrentLanguage()},translatePage:function(e){const a=e||t.translationManager.currentLanguage||t.translationManager.defaultLanguage;return t.translationManager.switchLanguageHtmx(a)},format:function(a,n,r){return e.format(a,n,r||t.translationManager.currentLanguage)},uiText:function(e,a,n){return t.translationManager.uiText(e,a,n)},setParams:function(e,a){t.translationManager.setParams(e,a)},translateElements:function(e,a){return t.translationManager.translateElements(e||document.body,a)},formatValues:function(e){t.translationManager.formatValues(t.translationManager.currentLanguage,e||document)},getTextDirection:function(e){return t.translationManager.getTextDirection(e||t.translationManager.currentLanguage)},clearCache:function(e){t.translationManager.cache&&t.translationManager.cache.clear(e),t.translationManager.transports.forEach(t=>{"function"==typeof t.clear&&t.clear(e)})},observe:function(){t.translationManager.startObserving()},disconnect:function(){t.translationManager.stopObserving()},on:function(e,a){return t.translationManager.on(e,a)},off:function(e,a){t.translationManager.off(e,a)},edit:function(e){return t.translationManager.openEditor(e)},negotiateLanguage:function(){return t.translationManager.negotiateLanguage()},getMissingKeys:function(e){return t.translationManager.missingKeys.list(e)}};const f=t.translationManager.currentLanguage;t.translationManager.cache&&document.body&&!t.translationManager.isDefaultLanguage(f)&&t.translationManager.applyCachedTranslations(f),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{t.translationManager.initialize()}):t.translationManager.initialize(),t.setLanguage=function(e){t.translationManager.switchLanguage(e).catch(()=>{})}}(window);
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * ICU message formatting shared by translation-bundle.js and translation.client.js, which both use it when it is
+ * loaded first (the translation-scripts tag helper includes it) and fall back to plain {name} arguments otherwise.
+ *
+ * Usage:
+ * - Include once, before the translation script: <script src="/js/translation-formatter.js"></script>
+ * - TranslationFormatter.format('{count, plural, one {# item} other {# items}}', { count: 2 }, 'en')
+ * - TranslationFormatter.formatValue('currency', 5, 'de', { currency: 'EUR' })
+ */
+(function (global) {
+  if (global.TranslationFormatter) return;
+
+  /**
+   * ICU MessageFormat subset: {name}, {n, number}, {d, date|time[, short|medium|long|full]},
+   * {n, plural|selectordinal, [offset:N] =0 {..} one {..} other {..}} with #, and {x, select, a {..} other {..}}
+   */
+  global.TranslationFormatter = (function () {
+    const pluralRulesCache = {};
+
+    function pluralCategory(locale, n, type) {
+      const cacheKey = `${locale}|${type}`;
+      try {
+        if (!pluralRulesCache[cacheKey]) pluralRulesCache[cacheKey] = new Intl.PluralRules(locale, { type });
+        return pluralRulesCache[cacheKey].select(n);
+      } catch {
+        return 'other';
+      }
+    }
+
+    function formatNumber(locale, value, style) {
+      const opts = style === 'percent' ? { style: 'percent' } : style === 'integer' ? { maximumFractionDigits: 0 } : {};
+      try {
+        return new Intl.NumberFormat(locale, opts).format(value);
+      } catch {
+        return String(value);
+      }
+    }
+
+    function formatDate(locale, value, type, style) {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) return String(value);
+      const opts = type === 'time' ? { timeStyle: style || 'short' } : { dateStyle: style || 'medium' };
+      try {
+        return new Intl.DateTimeFormat(locale, opts).format(date);
+      } catch {
+        return date.toLocaleString();
+      }
+    }
+
+    /**
+     * Format an ICU message pattern. `escape` is applied to interpolated values
+     * (pass an HTML escaper when the pattern is injected as markup).
+     */
+    function format(message, params, locale, escape) {
+      if (typeof message !== 'string' || message.indexOf('{') === -1) return message;
+      const values = params || {};
+      const esc = escape || (v => v);
+      let i = 0;
+
+      function skipWhitespace() {
+        while (i < message.length && /\s/.test(message[i])) i++;
+      }
+
+      function readUntil(stops) {
+        const start = i;
+        while (i < message.length && stops.indexOf(message[i]) === -1) i++;
+        return message.slice(start, i).trim();
+      }
+
+      // Literal text and nested arguments up to the closing brace of the current block
+      function readMessage(pluralValue) {
+        let out = '';
+        while (i < message.length) {
+          const ch = message[i];
+          if (ch === '}') break;
+          if (ch === '{') {
+            out += readArgument(pluralValue);
+            continue;
+          }
+          if (ch === '#' && pluralValue !== undefined) {
+            out += esc(formatNumber(locale, pluralValue));
+            i++;
+            continue;
+          }
+          if (ch === "'") {
+            const next = message[i + 1];
+            if (next === "'") {
+              out += "'";
+              i += 2;
+              continue;
+            }
+            if (next === '{' || next === '}' || (next === '#' && pluralValue !== undefined)) {
+              const end = message.indexOf("'", i + 1);
+              const stop = end === -1 ? message.length : end;
+              out += message.slice(i + 1, stop);
+              i = stop + 1;
+              continue;
+            }
+          }
+          out += ch;
+          i++;
+        }
+        return out;
+      }
+
+      function readCases(pluralValue) {
+        const cases = {};
+        for (;;) {
+          skipWhitespace();
+          if (i >= message.length || message[i] === '}') break;
+          const selector = readUntil(['{', ' ', '\t', '\n', '\r']);
+          skipWhitespace();
+          if (message[i] !== '{') break;
+          i++;
+          cases[selector] = readMessage(pluralValue);
+          i++; // closing brace of the case
+        }
+        return cases;
+      }
+
+      function readArgument(outerPluralValue) {
+        const start = i;
+        i++; // opening brace
+        const name = readUntil([',', '}']);
+        const value = values[name];
+
+        if (message[i] === '}') {
+          i++;
+          if (value === undefined || value === null) return message.slice(start, i);
+          return esc(typeof value === 'number' ? formatNumber(locale, value) : String(value));
+        }
+
+        i++; // comma
+        const type = readUntil([',', '}']);
+
+        if (type === 'plural' || type === 'selectordinal' || type === 'select') {
+          i++; // comma
+          if (type === 'select') {
+            const cases = readCases(outerPluralValue);
+            i++;
+            const picked = cases[String(value)];
+            return picked !== undefined ? picked : (cases.other || '');
+          }
+
+          const number = Number(value);
+          let offset = 0;
+          skipWhitespace();
+          if (message.startsWith('offset:', i)) {
+            i += 7;
+            offset = Number(readUntil(['{', ' ', '\t', '\n', '\r'])) || 0;
+          }
+          const adjusted = number - offset;
+          const cases = readCases(adjusted);
+          i++;
+          const exact = cases[`=${number}`];
+          if (exact !== undefined) return exact;
+          const category = pluralCategory(locale, adjusted, type === 'plural' ? 'cardinal' : 'ordinal');
+          return cases[category] !== undefined ? cases[category] : (cases.other || '');
+        }
+
+        let style = '';
+        if (message[i] === ',') {
+          i++;
+          style = readUntil(['}']);
+        }
+        i++;
+        if (value === undefined || value === null) return message.slice(start, i);
+        if (type === 'number') return esc(formatNumber(locale, Number(value), style));
+        if (type === 'date' || type === 'time') return esc(formatDate(locale, value, type, style));
+        return esc(String(value));
+      }
+
+      return readMessage(undefined);
+    }
+
+    // Largest unit first, in seconds; a month is 30 days
+    const RELATIVE_UNITS = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60], ['second', 1]];
+
+    /**
+     * Format a raw value for data-format="date|number|currency|relative" with Intl options.
+     * Dates are ISO strings or epoch milliseconds. A relative value is a date compared with now, or an
+     * amount of options.unit ('day', 'hour', ...). Returns null for values or options Intl rejects.
+     */
+    function formatValue(type, value, locale, options) {
+      const { unit, ...opts } = options || {};
+      const toDate = raw => {
+        const date = new Date(/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : raw);
+        return isNaN(date.getTime()) ? null : date;
+      };
+      try {
+        if (type === 'number' || type === 'currency') {
+          const number = Number(value);
+          if (value == null || String(value).trim() === '' || isNaN(number)) return null;
+          return new Intl.NumberFormat(locale, type === 'currency' ? { style: 'currency', ...opts } : opts).format(number);
+        }
+        if (type === 'date') {
+          const date = toDate(value);
+          if (!date) return null;
+          return new Intl.DateTimeFormat(locale, Object.keys(opts).length ? opts : { dateStyle: 'medium' }).format(date);
+        }
+        if (type === 'relative') {
+          let amount = Number(value);
+          let relativeUnit = unit;
+          if (!relativeUnit) {
+            const date = toDate(value);
+            if (!date) return null;
+            const seconds = (date.getTime() - Date.now()) / 1000;
+            const [name, size] = RELATIVE_UNITS.find(([, s]) => Math.abs(seconds) >= s) || ['second', 1];
+            amount = Math.round(seconds / size);
+            relativeUnit = name;
+          }
+          if (isNaN(amount)) return null;
+          return new Intl.RelativeTimeFormat(locale, { numeric: 'auto', ...opts }).format(amount, relativeUnit);
+        }
+      } catch {
+        // Unknown currency, unit or option: keep the server-rendered text
+      }
+      return null;
+    }
+
+    return { format, formatValue };
+  })();
+})(window);
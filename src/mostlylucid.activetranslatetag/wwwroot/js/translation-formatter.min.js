@@ -0,0 +1 @@
+!function(t){t.TranslationFormatter||(t.TranslationFormatter=function(){const t={};function n(t,n,e){const r="percent"===e?{style:"percent"}:"integer"===e?{maximumFractionDigits:0}:{};try{return new Intl.NumberFormat(t,r).format(n)}catch{return String(n)}}const e=[["year",31536e3],["month",2592e3],["week",604800],["day",86400],["hour",3600],["minute",60],["second",1]];return{format:function(e,r,i,o){if("string"!=typeof e||-1===e.indexOf("{"))return e;const u=r||{},c=o||(t=>t);let l=0;function s(){for(;l<e.length&&/\s/.test(e[l]);)l++}function a(t){const n=l;for(;l<e.length&&-1===t.indexOf(e[l]);)l++;return e.slice(n,l).trim()}function f(t){let r="";for(;l<e.length;){const o=e[l];if("}"===o)break;if("{"!==o)if("#"!==o||void 0===t){if("'"===o){const n=e[l+1];if("'"===n){r+="'",l+=2;continue}if("{"===n||"}"===n||"#"===n&&void 0!==t){const t=e.indexOf("'",l+1),n=-1===t?e.length:t;r+=e.slice(l+1,n),l=n+1;continue}}r+=o,l++}else r+=c(n(i,t)),l++;else r+=d(t)}return r}function m(t){const n={};for(;s(),!(l>=e.length||"}"===e[l]);){const r=a(["{"," ","\t","\n","\r"]);if(s(),"{"!==e[l])break;l++,n[r]=f(t),l++}return n}function d(r){const o=l;l++;const f=a([",","}"]),d=u[f];if("}"===e[l])return l++,null==d?e.slice(o,l):c("number"==typeof d?n(i,d):String(d));l++;const g=a([",","}"]);if("plural"===g||"selectordinal"===g||"select"===g){if(l++,"select"===g){const t=m(r);l++;const n=t[String(d)];return void 0!==n?n:t.other||""}const n=Number(d);let o=0;s(),e.startsWith("offset:",l)&&(l+=7,o=Number(a(["{"," ","\t","\n","\r"]))||0);const u=n-o,c=m(u);l++;const f=c[`=${n}`];if(void 0!==f)return f;const h=function(n,e,r){const i=`${n}|${r}`;try{return t[i]||(t[i]=new Intl.PluralRules(n,{type:r})),t[i].select(e)}catch{return"other"}}(i,u,"plural"===g?"cardinal":"ordinal");return void 0!==c[h]?c[h]:c.other||""}let h="";return","===e[l]&&(l++,h=a(["}"])),l++,null==d?e.slice(o,l):c("number"===g?n(i,Number(d),h):"date"===g||"time"===g?function(t,n,e,r){const i=n instanceof Date?n:new Date(n);if(isNaN(i.getTime()))return String(n);const o="time"===e?{timeStyle:r||"short"}:{dateStyle:r||"medium"};try{return new Intl.DateTimeFormat(t,o).format(i)}catch{return i.toLocaleString()}}(i,d,g,h):String(d))}return f(void 0)},formatValue:function(t,n,r,i){const{unit:o,...u}=i||{},c=t=>{const n=new Date(/^-?\d+$/.test(String(t).trim())?Number(t):t);return isNaN(n.getTime())?null:n};try{if("number"===t||"currency"===t){const e=Number(n);return null==n||""===String(n).trim()||isNaN(e)?null:new Intl.NumberFormat(r,"currency"===t?{style:"currency",...u}:u).format(e)}if("date"===t){const t=c(n);return t?new Intl.DateTimeFormat(r,Object.keys(u).length?u:{dateStyle:"medium"}).format(t):null}if("relative"===t){let t=Number(n),i=o;if(!i){const r=c(n);if(!r)return null;const o=(r.getTime()-Date.now())/1e3,[u,l]=e.find(([,t])=>Math.abs(o)>=t)||["second",1];t=Math.round(o/l),i=u}return isNaN(t)?null:new Intl.RelativeTimeFormat(r,{numeric:"auto",...u}).format(t,i)}}catch{}return null}}}())}(window);
\ No newline at end of file
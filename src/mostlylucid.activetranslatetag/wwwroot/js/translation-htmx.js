@@ -0,0 +1,147 @@
+/**
+ * htmx extension connecting htmx requests to translation-bundle.js or translation.client.js.
+ *
+ * Usage:
+ * - Include after htmx and the translation script: <script src="/js/translation-htmx.js"></script>
+ *   (or the translation-scripts tag helper's htmx-extension attribute), then enable it: <body hx-ext="translation">
+ * - Every same-origin htmx request sends the page's current language in the X-Translation-Language header,
+ *   which TranslationHelper.GetCurrentLanguage honours, so fragments render in the language on screen
+ * - [data-translate-key] elements swapped in by htmx, out-of-band swaps included, are translated into the
+ *   current language
+ * - With translation-bundle.js, a language switch can be declared in markup:
+ *     <button hx-post="/Language/Switch/fr" hx-swap="none">Français</button>
+ *   The page's keys are posted and htmx performs the hx-swap-oob swaps of the response, each one sanitized
+ *   and formatted as the bundle would render it. The usual translation: events fire.
+ */
+(function (global) {
+  const htmx = global.htmx;
+  if (!htmx) {
+    console.warn('[TranslationHtmx] htmx is not loaded; include translation-htmx.js after htmx');
+    return;
+  }
+
+  const HEADER = 'X-Translation-Language';
+  const SWITCH_PATH = /\/Language\/Switch\/([^/?#]+)\/?$/i;
+
+  // Switch handles from translationManager.beginDeclarativeSwitch: by element until htmx creates the request,
+  // then by request
+  const configured = new WeakMap();
+  const switches = new WeakMap();
+  // Language each request was sent with, i.e. the language the server rendered its response in
+  const sentLanguages = new WeakMap();
+  // Response htmx is swapping in: its language, and its switch handle so the out-of-band swaps of a switch
+  // are not translated a second time
+  let responseLanguage;
+  let swapping = null;
+
+  function translation() {
+    return global.TranslationClient;
+  }
+
+  function isPseudo(lang) {
+    return !!(lang && global.TranslationPseudoLocalizer && global.TranslationPseudoLocalizer.isPseudoLocale(lang));
+  }
+
+  // A custom header on a cross-origin request would need a CORS preflight
+  function isSameOrigin(path) {
+    try {
+      return new URL(path, global.location.href).origin === global.location.origin;
+    } catch {
+      return false;
+    }
+  }
+
+  // Target language of a POST to the switch endpoint, or null
+  function switchLanguage(detail) {
+    if (String(detail.verb).toLowerCase() !== 'post') return null;
+    const match = SWITCH_PATH.exec(new URL(detail.path, global.location.href).pathname);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  function configureRequest(evt) {
+    const detail = evt.detail;
+    const client = translation();
+    if (!client || !isSameOrigin(detail.path)) return true;
+
+    const manager = global.translationManager;
+    const target = manager ? switchLanguage(detail) : null;
+    if (target) {
+      // Nothing to fetch: the default language is restored in place and pseudo-locales are generated locally
+      if (manager.isDefaultLanguage(target) || isPseudo(target)) {
+        evt.preventDefault();
+        client.setLanguage(target).catch(() => {});
+        return false;
+      }
+      const handle = manager.beginDeclarativeSwitch(target);
+      if (!handle) {
+        evt.preventDefault();
+        return false;
+      }
+      configured.set(detail.elt, handle);
+      detail.parameters.keys = handle.requestKeys;
+    }
+
+    // A pseudo-locale is rendered in the browser: the server keeps serving the last real language.
+    // The bundle's getCurrentLanguage reads the cookie, which a pseudo-locale leaves alone.
+    const current = manager ? manager.currentLanguage : client.getCurrentLanguage();
+    if (current && !isPseudo(current)) detail.headers[HEADER] = current;
+    return true;
+  }
+
+  function translateSwapped(target, renderedLanguage) {
+    const client = translation();
+    if (!client || !target || typeof client.translateElements !== 'function') return;
+    Promise.resolve(client.translateElements(target, renderedLanguage)).catch(err =>
+      console.error('[TranslationHtmx] Error translating swapped content:', err));
+  }
+
+  htmx.defineExtension('translation', {
+    onEvent: function (name, evt) {
+      const detail = evt.detail || {};
+      switch (name) {
+        case 'htmx:configRequest':
+          return configureRequest(evt);
+
+        case 'htmx:beforeRequest': {
+          const headers = detail.requestConfig && detail.requestConfig.headers;
+          if (headers && detail.xhr) sentLanguages.set(detail.xhr, headers[HEADER]);
+          const handle = configured.get(detail.elt);
+          if (handle && detail.xhr) {
+            configured.delete(detail.elt);
+            switches.set(detail.xhr, handle);
+          }
+          break;
+        }
+
+        case 'htmx:afterSwap':
+          if (!switches.has(detail.xhr)) translateSwapped(detail.target, responseLanguage);
+          break;
+
+        case 'htmx:oobAfterSwap':
+          if (!swapping) translateSwapped(detail.target, responseLanguage);
+          break;
+
+        case 'htmx:afterRequest': {
+          const handle = switches.get(detail.xhr);
+          if (!handle) break;
+          switches.delete(detail.xhr);
+          swapping = null;
+          const error = detail.successful === false
+            ? new Error(`Language switch failed: ${detail.xhr.status} ${detail.xhr.statusText}`)
+            : null;
+          global.translationManager.finishDeclarativeSwitch(handle, error);
+          break;
+        }
+      }
+      return true;
+    },
+
+    transformResponse: function (text, xhr) {
+      responseLanguage = sentLanguages.get(xhr);
+      const handle = switches.get(xhr);
+      swapping = handle || null;
+      if (!handle) return text;
+      return global.translationManager.prepareDeclarativeResponse(handle, text);
+    }
+  });
+})(window);
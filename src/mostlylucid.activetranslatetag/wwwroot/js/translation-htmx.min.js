@@ -0,0 +1 @@
+!function(e){const t=e.htmx;if(!t)return void console.warn("[TranslationHtmx] htmx is not loaded; include translation-htmx.js after htmx");const n="X-Translation-Language",a=/\/Language\/Switch\/([^/?#]+)\/?$/i,r=new WeakMap,o=new WeakMap,s=new WeakMap;let i,c=null;function l(){return e.TranslationClient}function u(t){return!!(t&&e.TranslationPseudoLocalizer&&e.TranslationPseudoLocalizer.isPseudoLocale(t))}function f(t){const o=t.detail,s=l();if(!s||!function(t){try{return new URL(t,e.location.href).origin===e.location.origin}catch{return!1}}(o.path))return!0;const i=e.translationManager,c=i?function(t){if("post"!==String(t.verb).toLowerCase())return null;const n=a.exec(new URL(t.path,e.location.href).pathname);return n?decodeURIComponent(n[1]):null}(o):null;if(c){if(i.isDefaultLanguage(c)||u(c))return t.preventDefault(),s.setLanguage(c).catch(()=>{}),!1;const e=i.beginDeclarativeSwitch(c);if(!e)return t.preventDefault(),!1;r.set(o.elt,e),o.parameters.keys=e.requestKeys}const f=i?i.currentLanguage:s.getCurrentLanguage();return f&&!u(f)&&(o.headers[n]=f),!0}function h(e,t){const n=l();n&&e&&"function"==typeof n.translateElements&&Promise.resolve(n.translateElements(e,t)).catch(e=>console.error("[TranslationHtmx] Error translating swapped content:",e))}t.defineExtension("translation",{onEvent:function(t,a){const l=a.detail||{};switch(t){case"htmx:configRequest":return f(a);case"htmx:beforeRequest":{const e=l.requestConfig&&l.requestConfig.headers;e&&l.xhr&&s.set(l.xhr,e[n]);const t=r.get(l.elt);t&&l.xhr&&(r.delete(l.elt),o.set(l.xhr,t));break}case"htmx:afterSwap":o.has(l.xhr)||h(l.target,i);break;case"htmx:oobAfterSwap":c||h(l.target,i);break;case"htmx:afterRequest":{const t=o.get(l.xhr);if(!t)break;o.delete(l.xhr),c=null;const n=!1===l.successful?new Error(`Language switch failed: ${l.xhr.status} ${l.xhr.statusText}`):null;e.translationManager.finishDeclarativeSwitch(t,n);break}}return!0},transformResponse:function(t,n){i=s.get(n);const a=o.get(n);return c=a||null,a?e.translationManager.prepareDeclarativeResponse(a,t):t}})}(window);
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Optional service worker that keeps translations available on flaky or missing connections.
+ * Works with translation-bundle.js and translation.client.js.
+ *
+ * Usage:
+ * - Serve it from the site root (e.g. wwwroot/translation-sw.js): a worker only controls pages under its own folder
+ * - Register through the scripts: serviceWorker: '/translation-sw.js?languages=fr,de' (or the tag helper's
+ *   service-worker attribute), or yourself with navigator.serviceWorker.register(...)
+ * - Worker URL parameters:
+ *   languages  languages whose bundles are cached on install, comma-separated
+ *   precache   bundles cached on install: static ({baseUrl}/{lang}.json) and/or json ({api}/GetAll/{lang}); default static
+ *   baseUrl    folder of the static files (default /translations)
+ *   manifest   namespace manifest ({ namespaces: { name: version } }); static precaching then reads
+ *              {baseUrl}/{lang}/{name}.json?v={version} for every listed namespace
+ *   api        route of the LanguageController endpoints (default /Language)
+ *   timeout    ms to wait for the network before answering GetAll and Available from the cache (default 4000)
+ *   version    change it to drop everything cached under the previous value
+ * - Static files are served from the cache first and revalidated in the background. GetAll, Available and the
+ *   manifest go to the network first and fall back to the cache. Error responses are never cached.
+ */
+(function (self) {
+  const params = new URL(self.location.href).searchParams;
+  const list = name => (params.get(name) || '').split(',').map(s => s.trim()).filter(Boolean);
+
+  const config = {
+    languages: list('languages'),
+    precache: params.has('precache') ? list('precache') : ['static'],
+    baseUrl: (params.get('baseUrl') || '/translations').replace(/\/$/, ''),
+    manifest: params.get('manifest') ? new URL(params.get('manifest'), self.location.origin).pathname : null,
+    api: (params.get('api') || '/Language').replace(/\/$/, ''),
+    timeout: Number(params.get('timeout')) || 4000
+  };
+  const CACHE_PREFIX = 'translations-';
+  const CACHE = `${CACHE_PREFIX}${params.get('version') || '1'}`;
+
+  // Store a successful response. A versioned file (?v=) replaces the other versions of the same file.
+  async function store(cache, request, response) {
+    if (!response.ok) return response;
+    const url = new URL(request.url);
+    if (url.searchParams.has('v')) {
+      const keys = await cache.keys();
+      await Promise.all(keys
+        .filter(key => {
+          const cached = new URL(key.url);
+          return cached.pathname === url.pathname && cached.search !== url.search;
+        })
+        .map(key => cache.delete(key)));
+    }
+    await cache.put(request, response.clone());
+    return response;
+  }
+
+  // { name: version } of the manifest, cached along the way; null when it cannot be read
+  async function readManifest(cache) {
+    try {
+      const response = await store(cache, new Request(config.manifest), await fetch(config.manifest, { cache: 'no-cache' }));
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+      return (await response.json()).namespaces || {};
+    } catch (err) {
+      console.warn('[TranslationSW] Unable to read the manifest:', err);
+      return null;
+    }
+  }
+
+  async function precacheUrls(cache) {
+    const urls = [];
+    if (config.precache.includes('static')) {
+      if (config.manifest) {
+        const namespaces = await readManifest(cache) || {};
+        config.languages.forEach(lang => Object.entries(namespaces).forEach(([ns, version]) => {
+          const query = version ? `?v=${encodeURIComponent(version)}` : '';
+          urls.push(`${config.baseUrl}/${encodeURIComponent(lang)}/${encodeURIComponent(ns)}.json${query}`);
+        }));
+      } else {
+        config.languages.forEach(lang => urls.push(`${config.baseUrl}/${encodeURIComponent(lang)}.json`));
+      }
+    }
+    if (config.precache.includes('json')) {
+      config.languages.forEach(lang => urls.push(`${config.api}/GetAll/${encodeURIComponent(lang)}`));
+    }
+    return urls;
+  }
+
+  self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+      const cache = await caches.open(CACHE);
+      const urls = await precacheUrls(cache);
+      // A missing or failing bundle must not fail the install: it is cached the first time it loads
+      await Promise.all(urls.map(url => fetch(url, { cache: 'no-cache' })
+        .then(response => store(cache, new Request(url), response))
+        .catch(err => console.warn(`[TranslationSW] Unable to precache ${url}:`, err))));
+      await self.skipWaiting();
+    })());
+  });
+
+  self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE).map(name => caches.delete(name)));
+      await self.clients.claim();
+    })());
+  });
+
+  // Answer from the cache when there is a copy and refresh it for the next load
+  async function cacheFirst(event, request) {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request).then(response => store(cache, request, response));
+    if (!cached) return network;
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  // Ask the network; use the cached copy when it fails, answers with a server error or takes longer than the timeout
+  async function networkFirst(event, request) {
+    const cache = await caches.open(CACHE);
+    const network = fetch(request).then(response => store(cache, request, response));
+    event.waitUntil(network.catch(() => {}));
+    const slow = new Promise(resolve => setTimeout(resolve, config.timeout)).then(() => cache.match(request));
+    try {
+      const response = await Promise.race([network, slow.then(cached => cached || network)]);
+      if (response.status < 500) return response;
+      return (await cache.match(request)) || response;
+    } catch (err) {
+      const cached = await cache.match(request);
+      if (cached) return cached;
+      throw err;
+    }
+  }
+
+  self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const path = url.pathname;
+    const api = config.api.toLowerCase();
+    if (path === config.manifest) {
+      event.respondWith(networkFirst(event, request));
+    } else if (path.startsWith(`${config.baseUrl}/`) && path.endsWith('.json')) {
+      event.respondWith(cacheFirst(event, request));
+    } else if (path.toLowerCase().startsWith(`${api}/getall/`) || path.toLowerCase() === `${api}/available`) {
+      event.respondWith(networkFirst(event, request));
+    }
+  });
+})(self);
@@ -0,0 +1 @@
+!function(t){const e=new URL(t.location.href).searchParams,a=t=>(e.get(t)||"").split(",").map(t=>t.trim()).filter(Boolean),n={languages:a("languages"),precache:e.has("precache")?a("precache"):["static"],baseUrl:(e.get("baseUrl")||"/translations").replace(/\/$/,""),manifest:e.get("manifest")?new URL(e.get("manifest"),t.location.origin).pathname:null,api:(e.get("api")||"/Language").replace(/\/$/,""),timeout:Number(e.get("timeout"))||4e3},s="translations-",c=`${s}${e.get("version")||"1"}`;async function i(t,e,a){if(!a.ok)return a;const n=new URL(e.url);if(n.searchParams.has("v")){const e=await t.keys();await Promise.all(e.filter(t=>{const e=new URL(t.url);return e.pathname===n.pathname&&e.search!==n.search}).map(e=>t.delete(e)))}return await t.put(e,a.clone()),a}async function o(t){const e=[];if(n.precache.includes("static"))if(n.manifest){const a=await async function(t){try{const e=await i(t,new Request(n.manifest),await fetch(n.manifest,{cache:"no-cache"}));if(!e.ok)throw new Error(`${e.status} ${e.statusText}`);return(await e.json()).namespaces||{}}catch(t){return console.warn("[TranslationSW] Unable to read the manifest:",t),null}}(t)||{};n.languages.forEach(t=>Object.entries(a).forEach(([a,s])=>{const c=s?`?v=${encodeURIComponent(s)}`:"";e.push(`${n.baseUrl}/${encodeURIComponent(t)}/${encodeURIComponent(a)}.json${c}`)}))}else n.languages.forEach(t=>e.push(`${n.baseUrl}/${encodeURIComponent(t)}.json`));return n.precache.includes("json")&&n.languages.forEach(t=>e.push(`${n.api}/GetAll/${encodeURIComponent(t)}`)),e}async function r(t,e){const a=await caches.open(c),s=fetch(e).then(t=>i(a,e,t));t.waitUntil(s.catch(()=>{}));const o=new Promise(t=>setTimeout(t,n.timeout)).then(()=>a.match(e));try{const t=await Promise.race([s,o.then(t=>t||s)]);return t.status<500?t:await a.match(e)||t}catch(t){const n=await a.match(e);if(n)return n;throw t}}t.addEventListener("install",e=>{e.waitUntil((async()=>{const e=await caches.open(c),a=await o(e);await Promise.all(a.map(t=>fetch(t,{cache:"no-cache"}).then(a=>i(e,new Request(t),a)).catch(e=>console.warn(`[TranslationSW] Unable to precache ${t}:`,e)))),await t.skipWaiting()})())}),t.addEventListener("activate",e=>{e.waitUntil((async()=>{const e=await caches.keys();await Promise.all(e.filter(t=>t.startsWith(s)&&t!==c).map(t=>caches.delete(t))),await t.clients.claim()})())}),t.addEventListener("fetch",e=>{const a=e.request;if("GET"!==a.method)return;const s=new URL(a.url);if(s.origin!==t.location.origin)return;const o=s.pathname,h=n.api.toLowerCase();o===n.manifest?e.respondWith(r(e,a)):o.startsWith(`${n.baseUrl}/`)&&o.endsWith(".json")?e.respondWith(async function(t,e){const a=await caches.open(c),n=await a.match(e),s=fetch(e).then(t=>i(a,e,t));return n?(t.waitUntil(s.catch(()=>{})),n):s}(e,a)):(o.toLowerCase().startsWith(`${h}/getall/`)||o.toLowerCase()===`${h}/available`)&&e.respondWith(r(e,a))})}(self);
\ No newline at end of file
@@ -3,21 +3,143 @@
  * Works without any server endpoints. Provide static JSON files under `/translations/{lang}.json`.
  *
  * Usage:
- * - Include: <script src="/js/translation.client.js"></script>
+ * - Include: <script src="/js/translation-formatter.js"></script> <script src="/js/translation.client.js"></script>
  * - Call: TranslationClient.init({ baseUrl: '/translations', defaultLang: 'en' })
  * - Mark elements: <span data-translate-key="home.title">Welcome</span>
+ * - Mark attributes: <input placeholder="Email" data-translate-attr="placeholder:forms.email">
  * - Switch: TranslationClient.setLanguage('fr')
+ * - Regional files fall back to their base language and defaultLang: fr-CA.json -> fr.json -> en.json
+ * - Large apps: init({ namespaces: true }) loads /translations/{lang}/{prefix}.json only for key prefixes on the page
  */
 (function (global) {
+  // Elements whose content or attributes are translated
+  const TRANSLATABLE = '[data-translate-key], [data-translate-attr]';
+
   const state = {
     defaultLang: 'en',
     currentLang: 'en',
     baseUrl: '/translations', // folder with {lang}.json files
-    cache: {}, // { lang: { key: value } }
+    cache: {}, // { lang: { key: value } } merged along the fallback chain
+    files: {}, // { lang: { key: value } | null } as loaded from {lang}.json (or 'lang/namespace'), null when missing
+    namespaces: false, // split files by key prefix: checkout.* -> {baseUrl}/{lang}/checkout.json
+    defaultNamespace: 'common', // namespace of keys without a prefix
+    manifest: null, // URL of { namespaces: { name: version } }; unlisted namespaces are never requested
+    fallbacks: {}, // { 'fr-CA': ['fr'] } explicit chains, otherwise derived from the language tag
+    persistentCache: false, // keep applied translations in localStorage, validated against data-content-hash
+    cacheMaxAge: 7 * 24 * 60 * 60 * 1000,
+    pseudoExpansion: 0.4, // extra length added by the qps-ploc/qps-plocm pseudo-locales
+    reportMissingKeys: false, // send keys without a translation to missingKeysEndpoint with navigator.sendBeacon
+    missingKeysEndpoint: '/Language/Missing',
+    missingKeysDelay: 2000, // ms to collect missing keys before reporting them in one batch
+    languageNegotiation: false, // 'auto' or 'suggest': match navigator.languages on a visit without a language cookie
+    availableLanguages: null, // languages there are {lang}.json files for, required for negotiation
+    rtlLanguages: ['ar', 'arc', 'ckb', 'dv', 'fa', 'ha', 'he', 'iw', 'khw', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi'],
     loading: false,
-    debug: false
+    controller: null, // AbortController of the switch in flight
+    pendingLang: null,
+    pendingSwitch: null,
+    debug: false,
+    observeMutations: false,
+    mutationDebounce: 150, // ms to wait before translating a burst of inserted elements
+    observer: null,
+    pending: new Set(),
+    pendingTimer: null,
+    syncTabs: true, // apply switches made in other tabs of this origin (BroadcastChannel, else storage events)
+    tabSync: null, // { post, close } while syncing
+    remoteLang: null, // language being applied from another tab, not broadcast back
+    deferredRemoteLang: null, // received while the tab was hidden
+    urlLanguage: false, // 'query' (?lang=fr) or 'path' (/fr/about): the URL language wins over the cookie
+    urlParameter: 'lang',
+    urlLanguages: [], // path prefixes recognised as languages in 'path' mode
+    urlHistory: 'push', // 'replace' to switch without adding history entries
+    urlUpdate: null, // { lang, mode } overriding urlHistory for one switch
+    serviceWorker: null, // URL of translation-sw.js (with its parameters), registered on init
+    renderer: null, // { suggestion(...) } drawing the language suggestion instead of the unstyled banner; {} for headless pages
+    uiStrings: {}, // { lang: { name: text } } overriding the translation.ui.* keys of the loaded translations
+    offline: new Set(), // languages loaded without some of their files because the network was down
+    missing: new Map(), // 'lang\nkey' -> { key, language, sourceText, hash, url }
+    unreported: [],
+    missingTimer: null
   };
 
+  // ICU message formatting from translation-formatter.js. Without it messages still get their {name}
+  // arguments; plural, select and Intl value formatting need the formatter.
+  const TranslationFormatter = global.TranslationFormatter || (function () {
+    console.warn('[TranslationClient] translation-formatter.js is not loaded; messages get plain {name} interpolation');
+    return {
+      format: function (message, params) {
+        if (typeof message !== 'string' || !params) return message;
+        return message.replace(/\{\s*([\w.-]+)\s*\}/g, (match, name) => (name in params ? String(params[name]) : match));
+      },
+      // Keeps the server-rendered text
+      formatValue: function () {
+        return null;
+      }
+    };
+  })();
+
+  /**
+   * Pseudo-locales for QA: qps-ploc accents, brackets and pads source text by ~40% so hard-coded strings and
+   * layouts that cannot take longer translations stand out; qps-plocm also mirrors it right-to-left.
+   * ICU arguments such as {name} or {count, plural, ...} are kept, so only the translatable text changes.
+   */
+  const TranslationPseudoLocalizer = (function () {
+    const LOCALES = { 'qps-ploc': false, 'qps-plocm': true }; // pseudo-locale -> mirrored
+    const PLAIN = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+    const ACCENTED = Array.from('ÅƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŦÛṼŴẊÝŽåƀçđéƒĝĥîĵķļɱñöþǫŕšŧûṽŵẋýž');
+
+    function isPseudoLocale(lang) {
+      return !!lang && Object.prototype.hasOwnProperty.call(LOCALES, lang.toLowerCase());
+    }
+
+    function isMirrored(lang) {
+      return isPseudoLocale(lang) && LOCALES[lang.toLowerCase()];
+    }
+
+    function accent(run, mirror) {
+      const text = Array.from(run, ch => {
+        const i = PLAIN.indexOf(ch);
+        return i === -1 ? ch : ACCENTED[i];
+      }).join('');
+      // Right-to-left override shows each run mirrored, as an RTL translation would be laid out
+      return mirror && text.trim() ? `\u202E${text}\u202C` : text;
+    }
+
+    // Text at an even brace depth is message text (top level and plural/select cases); odd depths are
+    // argument syntax and are copied unchanged
+    function localize(message, options) {
+      options = options || {};
+      if (typeof message !== 'string' || !message.trim()) return message;
+      const [, leading, body, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(message);
+      let out = '';
+      let run = '';
+      let depth = 0;
+      let letters = 0;
+      for (const ch of body) {
+        if (ch === '{' || ch === '}') {
+          if (depth % 2 === 0) {
+            out += accent(run, options.mirror);
+            run = '';
+          }
+          depth = Math.max(0, depth + (ch === '{' ? 1 : -1));
+          out += ch;
+        } else if (depth % 2 === 0) {
+          run += ch;
+          if (/\p{L}/u.test(ch)) letters++;
+        } else {
+          out += ch;
+        }
+      }
+      out += accent(run, options.mirror);
+
+      const expansion = options.expansion != null ? options.expansion : 0.4;
+      const padding = '~'.repeat(Math.ceil(letters * expansion));
+      return `${leading}[${out}${padding ? ' ' + padding : ''}]${trailing}`;
+    }
+
+    return { isPseudoLocale, isMirrored, localize };
+  })();
+
   function normalizeMap(input) {
     // Accept either object map { key: "text" } or array [{ key, text|translatedText }]
     if (!input) return {};
@@ -34,28 +156,733 @@
     return input; // assume already { key: value }
   }
 
-  async function loadLang(lang) {
-    if (state.cache[lang]) return state.cache[lang];
-    const url = `${state.baseUrl}/${encodeURIComponent(lang)}.json`;
-    const res = await fetch(url, { cache: 'no-cache' });
-    if (!res.ok) throw new Error(`Failed to load translations for ${lang}`);
+  // Ordered list of files to merge for a language, most specific first:
+  // explicit state.fallbacks[lang] if configured, otherwise derived by dropping subtags (zh-Hant-TW -> zh-Hant -> zh),
+  // always ending with defaultLang
+  function getFallbackChain(lang) {
+    const chain = [lang];
+    const explicit = state.fallbacks[lang];
+    if (Array.isArray(explicit)) {
+      chain.push(...explicit);
+    } else {
+      const parts = lang.split('-');
+      while (parts.length > 1) {
+        parts.pop();
+        chain.push(parts.join('-'));
+      }
+    }
+    if (state.defaultLang) chain.push(state.defaultLang);
+    return chain.filter((l, i) => l && chain.indexOf(l) === i);
+  }
+
+  // Loads a single {lang}.json or {lang}/{namespace}.json file; resolves null when the file does not exist and
+  // undefined when the network is down (not remembered, so the next load tries again).
+  // Versioned namespace files are left to the HTTP cache, since a new version changes the URL.
+  async function loadFile(lang, signal, ns, version) {
+    const id = ns ? `${lang}/${ns}` : lang;
+    if (id in state.files) return state.files[id];
+    const url = ns
+      ? `${state.baseUrl}/${encodeURIComponent(lang)}/${encodeURIComponent(ns)}.json${version ? `?v=${encodeURIComponent(version)}` : ''}`
+      : `${state.baseUrl}/${encodeURIComponent(lang)}.json`;
+    let res;
+    try {
+      res = await fetch(url, { cache: version ? 'default' : 'no-cache', signal });
+    } catch (err) {
+      // fetch() rejects with a TypeError when the network (or a service worker without a copy) fails
+      if (err.name === 'AbortError' || !(err.name === 'TypeError' || navigator.onLine === false)) throw err;
+      if (state.debug) console.log(`[TranslationClient] ${id} unavailable offline`);
+      return undefined;
+    }
+    if (res.status === 404) {
+      if (state.debug) console.log(`[TranslationClient] No translation file for ${id}`);
+      state.files[id] = null;
+      return null;
+    }
+    if (!res.ok) throw new Error(`Failed to load translations for ${id}`);
     const json = await res.json();
-    state.cache[lang] = normalizeMap(json) || {};
-    return state.cache[lang];
+    state.files[id] = normalizeMap(json) || {};
+    return state.files[id];
+  }
+
+  // Namespace of a key: the part before the first dot (checkout.total -> checkout)
+  function namespaceOf(key) {
+    const i = key.indexOf('.');
+    return i > 0 ? key.slice(0, i) : state.defaultNamespace;
   }
 
-  async function applyTranslations(lang) {
-    const map = await loadLang(lang);
-    const elements = document.querySelectorAll('[data-translate-key]');
+  // { name: version } from the manifest, or null without one; a manifest that fails to load counts as none
+  let manifestLoad = null;
+
+  function loadManifest() {
+    if (!state.manifest) return Promise.resolve(null);
+    if (!manifestLoad) {
+      manifestLoad = fetch(state.manifest, { cache: 'no-cache' })
+        .then(res => {
+          if (!res.ok) throw new Error(`Failed to load ${state.manifest}: ${res.status}`);
+          return res.json();
+        })
+        .then(json => (json && json.namespaces) || {})
+        .catch(err => {
+          console.warn('[TranslationClient] Loading every referenced namespace without a manifest:', err);
+          return null;
+        });
+    }
+    return manifestLoad;
+  }
+
+  // 'lang|namespace' -> { promise, signal }; the promise merges the namespace along the fallback chain
+  // into state.cache[lang]
+  const namespaceLoads = {};
+
+  function loadNamespace(lang, ns, version, signal) {
+    const id = `${lang}|${ns}`;
+    const current = namespaceLoads[id];
+    // A load started by a superseded switch is about to reject, so it is not shared
+    if (current && !(current.signal && current.signal.aborted)) return current.promise;
+    const entry = { signal };
+    entry.promise = Promise.all(getFallbackChain(lang).map(l => loadFile(l, signal, ns, version)))
+      .then(maps => {
+        // Least specific first, as for whole-language files; namespaces never share keys
+        state.cache[lang] = Object.assign(state.cache[lang] || {}, ...maps.filter(Boolean).reverse());
+        if (maps.includes(undefined)) {
+          // Loaded offline: load it again next time
+          state.offline.add(lang);
+          if (namespaceLoads[id] === entry) delete namespaceLoads[id];
+        }
+      })
+      .catch(err => {
+        // A failed or aborted load is retried by the next switch
+        if (namespaceLoads[id] === entry) delete namespaceLoads[id];
+        throw err;
+      });
+    namespaceLoads[id] = entry;
+    return entry.promise;
+  }
+
+  // Loads the namespaces the given elements reference that are not loaded yet
+  async function loadNamespaces(lang, signal, elements) {
+    const names = new Set();
     elements.forEach(el => {
       const key = el.getAttribute('data-translate-key');
-      const text = map[key];
+      if (key) names.add(namespaceOf(key));
+      readAttributeKeys(el).forEach(b => names.add(namespaceOf(b.key)));
+    });
+    const manifest = await loadManifest();
+    const wanted = Array.from(names).filter(ns => !manifest || Object.prototype.hasOwnProperty.call(manifest, ns));
+    if (state.debug) console.log(`[TranslationClient] Namespaces for ${lang}: ${wanted.join(', ') || '(none)'}`);
+    await Promise.all(wanted.map(ns => loadNamespace(lang, ns, manifest ? manifest[ns] : null, signal)));
+    return state.cache[lang] || {};
+  }
+
+  // Merged map for a language; in namespaced mode only the namespaces of `elements` (default: the page) are loaded
+  async function loadLang(lang, signal, elements) {
+    if (state.namespaces) return loadNamespaces(lang, signal, elements || document.querySelectorAll(TRANSLATABLE));
+    if (state.cache[lang]) return state.cache[lang];
+    const chain = getFallbackChain(lang);
+    const maps = await Promise.all(chain.map(l => loadFile(l, signal)));
+    if (maps.every(m => m === null)) throw new Error(`Failed to load translations for ${lang}`);
+    // Merge least specific first so each key resolves to the most specific translation available
+    const merged = Object.assign({}, ...maps.filter(Boolean).reverse());
+    // Offline the switch goes ahead with the files that loaded; the merge is not kept, so they load again
+    if (maps.includes(undefined)) {
+      state.offline.add(lang);
+      return merged;
+    }
+    state.cache[lang] = merged;
+    return merged;
+  }
+
+  // Persistent per-language cache: localStorage['translation-cache:{lang}'] = { key: { hash, text, at } }
+  const persisted = {};
+  const persistTimers = {};
+
+  function loadPersisted(lang) {
+    if (persisted[lang]) return persisted[lang];
+    try {
+      persisted[lang] = JSON.parse(localStorage.getItem(`translation-cache:${lang}`) || '{}') || {};
+    } catch {
+      persisted[lang] = {};
+    }
+    return persisted[lang];
+  }
+
+  function getPersisted(lang, key, hash) {
+    const entry = loadPersisted(lang)[key];
+    if (!entry) return null;
+    if (hash && entry.hash && entry.hash !== hash) return null;
+    if (state.cacheMaxAge > 0 && Date.now() - entry.at > state.cacheMaxAge) return null;
+    return entry.text;
+  }
+
+  function setPersisted(lang, key, hash, text) {
+    loadPersisted(lang)[key] = { hash: hash || null, text, at: Date.now() };
+    clearTimeout(persistTimers[lang]);
+    persistTimers[lang] = setTimeout(() => {
+      try {
+        localStorage.setItem(`translation-cache:${lang}`, JSON.stringify(persisted[lang]));
+      } catch (err) {
+        console.warn('[TranslationClient] Unable to persist translation cache:', err);
+      }
+    }, 0);
+  }
+
+  // Applies valid cached translations synchronously; returns the number of keys still missing or stale
+  function applyPersisted(lang) {
+    const hits = {};
+    let stale = 0;
+    const elements = document.querySelectorAll(TRANSLATABLE);
+    elements.forEach(el => {
+      const key = el.getAttribute('data-translate-key');
+      if (key) {
+        const text = getPersisted(lang, key, el.getAttribute('data-content-hash'));
+        if (text === null) stale++;
+        else hits[key] = text;
+      }
+      readAttributeKeys(el).forEach(b => {
+        const text = getPersisted(lang, b.key, null);
+        if (text === null) stale++;
+        else hits[b.key] = text;
+      });
+    });
+    applyToElements(elements, hits, lang, 'cache');
+    return stale;
+  }
+
+  // Message pattern last applied to each element carrying data-translate-params, so it can be re-formatted
+  const messagePatterns = new WeakMap();
+
+  function readParams(el) {
+    const raw = el.getAttribute('data-translate-params');
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      console.warn('[TranslationClient] Invalid data-translate-params JSON:', raw, err);
+      return null;
+    }
+  }
+
+  // Source text and attribute values of each element as first seen, pseudo-localized for qps-ploc/qps-plocm
+  const sources = new WeakMap();
+
+  function rememberSource(el, attr) {
+    let source = sources.get(el);
+    if (!source) {
+      source = { text: el.hasAttribute('data-translate-key') ? (messagePatterns.get(el) || el.innerText) : null, attributes: {} };
+      sources.set(el, source);
+    }
+    if (attr && !(attr in source.attributes)) source.attributes[attr] = el.getAttribute(attr);
+    return source;
+  }
+
+  // Translations are only ever applied as text; attribute values must not become handlers or script URLs
+  const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite', 'background'];
+  const SAFE_URL = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+  function isSafeAttribute(name, value) {
+    const attr = name.toLowerCase();
+    if (attr.startsWith('on') || attr === 'srcdoc') return false;
+    return !URL_ATTRIBUTES.includes(attr) || SAFE_URL.test(String(value).replace(/[\u0000- ]/g, ''));
+  }
+
+  // data-translate-attr="placeholder:forms.email;title:forms.email.hint" -> [{ attr, key }]
+  function readAttributeKeys(el) {
+    const spec = el.getAttribute('data-translate-attr');
+    if (!spec) return [];
+    return spec.split(';')
+      .map(pair => {
+        const i = pair.indexOf(':');
+        return i > 0 ? { attr: pair.slice(0, i).trim(), key: pair.slice(i + 1).trim() } : null;
+      })
+      .filter(b => b && b.attr && b.key);
+  }
+
+  // Keys missing from a loaded language file are recorded once per page, and reported in batches when enabled
+  function recordMissing(lang, key, el, attr) {
+    if (!lang || lang.toLowerCase() === state.defaultLang.toLowerCase()) return;
+    const id = `${lang}\n${key}`;
+    if (state.missing.has(id)) return;
+    const source = rememberSource(el, attr);
+    const entry = {
+      key,
+      language: lang,
+      sourceText: attr ? source.attributes[attr] : source.text,
+      hash: attr ? null : el.getAttribute('data-content-hash'),
+      url: location.origin + location.pathname
+    };
+    state.missing.set(id, entry);
+    if (!state.reportMissingKeys) return;
+    state.unreported.push(entry);
+    if (!state.missingTimer) state.missingTimer = setTimeout(reportMissing, state.missingKeysDelay);
+  }
+
+  // One beacon per language and 100 keys; a beacon outlives the page, so this also runs when it is hidden
+  function reportMissing() {
+    clearTimeout(state.missingTimer);
+    state.missingTimer = null;
+    const byLang = {};
+    state.unreported.forEach(({ language, ...entry }) => (byLang[language] = byLang[language] || []).push(entry));
+    state.unreported = [];
+    Object.entries(byLang).forEach(([languageCode, keys]) => {
+      for (let i = 0; i < keys.length; i += 100) {
+        const body = JSON.stringify({ languageCode, keys: keys.slice(i, i + 100) });
+        if (navigator.sendBeacon && navigator.sendBeacon(state.missingKeysEndpoint, new Blob([body], { type: 'application/json' }))) continue;
+        fetch(state.missingKeysEndpoint, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+          .catch(err => console.warn('[TranslationClient] Unable to report missing keys:', err));
+      }
+    });
+  }
+
+  // source ('switch', 'observer', 'cache', 'params', 'pseudo') is reported on translation:element-updated; cached
+  // and pseudo-localized strings are not persisted. Returns the keys the map had no translation for; those of
+  // a loaded language file are also recorded for getMissingKeys().
+  function applyToElements(elements, map, lang, source) {
+    const shouldPersist = state.persistentCache && source !== 'cache' && source !== 'pseudo';
+    // Keys untranslated because the network is down are not missing from the files
+    const record = (source === 'switch' || source === 'observer') && !state.offline.has(lang);
+    const missing = new Set();
+    function markMissing(el, key, attr) {
+      missing.add(key);
+      if (record) recordMissing(lang, key, el, attr);
+    }
+    elements.forEach(el => {
+      readAttributeKeys(el).forEach(({ attr, key }) => {
+        const value = map[key];
+        if (typeof value === 'string' && value.length > 0) {
+          if (!isSafeAttribute(attr, value)) {
+            console.warn(`[TranslationClient] Rejected unsafe translation for ${attr} attribute`);
+            return;
+          }
+          rememberSource(el, attr);
+          el.setAttribute(attr, value);
+          if (shouldPersist) setPersisted(lang, key, null, value);
+          emit('element-updated', { key, attribute: attr, language: lang, source }, el);
+        } else {
+          markMissing(el, key, attr);
+        }
+      });
+
+      const key = el.getAttribute('data-translate-key');
+      if (!key) return;
+      rememberSource(el);
+      const params = readParams(el);
+      let text = map[key];
       if (typeof text === 'string' && text.length > 0) {
-        el.innerText = text;
+        if (params) messagePatterns.set(el, text);
+        if (shouldPersist) setPersisted(lang, key, el.getAttribute('data-content-hash'), text);
+      } else if (params) {
+        // No translation: re-format the source (or previously applied) pattern for the new language
+        markMissing(el, key);
+        if (!messagePatterns.has(el)) messagePatterns.set(el, el.innerText);
+        text = messagePatterns.get(el);
+      } else {
+        markMissing(el, key);
+        return;
       }
+      el.innerText = params ? TranslationFormatter.format(text, params, lang) : text;
+      el.setAttribute('lang', lang);
+      el.setAttribute('dir', getTextDirection(lang));
+      emit('element-updated', { key, language: lang, source }, el);
+    });
+    return Array.from(missing);
+  }
+
+  // Render each element's source text through the pseudo-localizer; nothing is fetched or persisted
+  function applyPseudoLocale(elements, lang) {
+    const options = { mirror: TranslationPseudoLocalizer.isMirrored(lang), expansion: state.pseudoExpansion };
+    elements.forEach(el => {
+      const source = rememberSource(el);
+      const map = {};
+      const key = el.getAttribute('data-translate-key');
+      if (key) map[key] = TranslationPseudoLocalizer.localize(source.text, options);
+      readAttributeKeys(el).forEach(b => {
+        rememberSource(el, b.attr);
+        if (source.attributes[b.attr] !== null) map[b.key] = TranslationPseudoLocalizer.localize(source.attributes[b.attr], options);
+      });
+      applyToElements([el], map, lang, 'pseudo');
+    });
+  }
+
+  // Put pseudo-localized elements back to their source text, so keys a real language lacks do not keep it
+  function restoreSources() {
+    document.querySelectorAll(TRANSLATABLE).forEach(el => {
+      const source = sources.get(el);
+      if (!source) return;
+      Object.entries(source.attributes).forEach(([attr, value]) => {
+        if (value === null) el.removeAttribute(attr);
+        else el.setAttribute(attr, value);
+      });
+      if (source.text === null) return;
+      const params = readParams(el);
+      if (params) messagePatterns.set(el, source.text);
+      el.innerText = params ? TranslationFormatter.format(source.text, params, state.defaultLang) : source.text;
+      el.setAttribute('lang', state.defaultLang);
+      el.setAttribute('dir', getTextDirection(state.defaultLang));
+    });
+  }
+
+  // Lifecycle events bubble to document; returns false if a listener called preventDefault()
+  function emit(name, detail, target) {
+    const event = new CustomEvent(`translation:${name}`, {
+      detail,
+      bubbles: true,
+      cancelable: name === 'beforeswitch'
     });
+    return (target || document).dispatchEvent(event);
+  }
+
+  function eventType(name) {
+    return name.startsWith('translation:') ? name : `translation:${name}`;
+  }
+
+  // First requested tag (navigator.languages order) that is available: exact, then base (fr-CA -> fr),
+  // then another region of the base (pt-PT -> pt-BR)
+  function negotiateLanguage(requested, available) {
+    const codes = available.map(code => ({ code, tag: String(code).toLowerCase() }));
+    for (const language of requested) {
+      const tag = String(language).toLowerCase();
+      const base = tag.split('-')[0];
+      const match = codes.find(c => c.tag === tag)
+        || codes.find(c => c.tag === base)
+        || codes.find(c => c.tag.split('-')[0] === base);
+      if (match) return match.code;
+    }
+    return null;
+  }
+
+  function browserLanguages() {
+    const langs = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+    return langs.filter(Boolean);
+  }
+
+  // English text of the client's own UI; each string is also the translation key translation.ui.{name}
+  const UI_STRINGS = {
+    suggestionLabel: 'Language suggestion',
+    suggestionText: 'This page is available in {language}.',
+    suggestionAccept: 'Switch to {language}',
+    suggestionDismiss: 'No thanks',
+    languageSelectLabel: 'Language'
+  };
+  const UI_KEY_PREFIX = 'translation.ui.';
+
+  // A UI string in the current language: uiStrings from init, the loaded translation of its key, else English
+  function uiText(name, params) {
+    const lang = state.currentLang;
+    const own = state.uiStrings[lang.toLowerCase()] || {};
+    const loaded = state.cache[lang] || {};
+    const text = own[name] != null ? own[name]
+      : loaded[UI_KEY_PREFIX + name] != null ? loaded[UI_KEY_PREFIX + name]
+      : UI_STRINGS[name] != null ? UI_STRINGS[name] : name;
+    return TranslationFormatter.format(text, params || {}, TranslationPseudoLocalizer.isPseudoLocale(lang) ? state.defaultLang : lang);
+  }
+
+  // Offer the negotiated language through the renderer, else in an unstyled banner (class translation-suggestion);
+  // declining persists the current one
+  function showSuggestion(lang) {
+    const language = lang.toUpperCase();
+    const suggestion = {
+      label: uiText('suggestionLabel'),
+      text: uiText('suggestionText', { language }),
+      acceptLabel: uiText('suggestionAccept', { language }),
+      dismissLabel: uiText('suggestionDismiss'),
+      onAccept: () => TranslationClient.setLanguage(lang).catch(() => {}),
+      onDismiss: () => setCookieLang(state.currentLang)
+    };
+    if (state.renderer) {
+      if (typeof state.renderer.suggestion === 'function') state.renderer.suggestion(suggestion);
+      return;
+    }
+
+    const banner = document.createElement('div');
+    banner.className = 'translation-suggestion';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', suggestion.label);
+    banner.style.cssText = 'position:fixed;bottom:1rem;left:50%;transform:translateX(-50%);z-index:var(--translation-ui-z-index, 1060)';
+    const text = document.createElement('span');
+    text.textContent = `${suggestion.text} `;
+    const accept = document.createElement('button');
+    accept.type = 'button';
+    accept.textContent = suggestion.acceptLabel;
+    accept.addEventListener('click', () => {
+      banner.remove();
+      suggestion.onAccept();
+    });
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.textContent = suggestion.dismissLabel;
+    dismiss.addEventListener('click', () => {
+      banner.remove();
+      suggestion.onDismiss();
+    });
+    banner.append(text, accept, ' ', dismiss);
+    document.body.appendChild(banner);
+  }
+
+  function getTextDirection(lang) {
+    const code = (lang || '').toLowerCase();
+    const rtl = TranslationPseudoLocalizer.isMirrored(code) || state.rtlLanguages.includes(code) || state.rtlLanguages.includes(code.split('-')[0]) ||
+      /-(arab|hebr|thaa|syrc|nkoo|adlm|rohg)\b/.test(code);
+    return rtl ? 'rtl' : 'ltr';
+  }
+
+  // <html lang/dir> follows the active language; keyed elements not translated yet keep the source language
+  function applyDocumentLanguage(lang) {
+    const root = document.documentElement;
+    root.setAttribute('lang', lang);
+    root.setAttribute('dir', getTextDirection(lang));
+    if (isDefaultLang(lang)) return;
+    // Keyed elements still showing source text keep the source language
+    const dir = getTextDirection(state.defaultLang);
+    document.querySelectorAll('[data-translate-key]:not([lang])').forEach(el => {
+      el.setAttribute('lang', state.defaultLang);
+      el.setAttribute('dir', dir);
+    });
+  }
+
+  function isDefaultLang(lang) {
+    return !!lang && lang.toLowerCase() === String(state.defaultLang).toLowerCase();
+  }
+
+  // Reformat [data-format] elements with Intl: data-value (or a <time datetime>) is the raw value,
+  // data-format-options the Intl options, data-currency/data-unit shortcuts. Pseudo-locales use defaultLang.
+  function formatValues(lang, root) {
+    const scope = root || document;
+    const locale = TranslationPseudoLocalizer.isPseudoLocale(lang) ? state.defaultLang : lang;
+    const elements = Array.from(scope.querySelectorAll('[data-format]'));
+    if (scope.matches && scope.matches('[data-format]')) elements.push(scope);
+    elements.forEach(el => {
+      const value = el.getAttribute('data-value') ?? el.getAttribute('datetime');
+      if (value == null) return;
+      let options = {};
+      try {
+        options = JSON.parse(el.getAttribute('data-format-options') || '{}') || {};
+      } catch (err) {
+        console.warn('[TranslationClient] Invalid data-format-options:', el, err);
+      }
+      if (el.hasAttribute('data-currency')) options.currency = el.getAttribute('data-currency');
+      if (el.hasAttribute('data-unit')) options.unit = el.getAttribute('data-unit');
+      const text = TranslationFormatter.formatValue(el.getAttribute('data-format'), value, locale, options);
+      if (text === null) {
+        if (state.debug) console.warn('[TranslationClient] Could not format value:', el);
+      } else if (el.textContent !== text) {
+        el.textContent = text;
+      }
+    });
+  }
+
+  function updateBadges(lang) {
     const badges = document.querySelectorAll('#current-lang, [data-current-lang]');
-    badges.forEach(b => b.textContent = (lang || 'en').toUpperCase());
+    badges.forEach(b => b.textContent = (lang || state.defaultLang).toUpperCase());
+  }
+
+  async function applyTranslations(lang, signal) {
+    const elements = document.querySelectorAll(TRANSLATABLE);
+    state.offline.delete(lang);
+    const map = await loadLang(lang, signal, elements);
+    if (signal && signal.aborted) throw new DOMException('Language switch superseded', 'AbortError');
+    const missing = applyToElements(elements, map, lang, 'switch');
+    updateBadges(lang);
+    return missing;
+  }
+
+  // Translate [data-translate-key] elements inserted after the initial pass, batching bursts of inserts
+  function queueNode(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (state.currentLang && state.currentLang !== state.defaultLang) formatValues(state.currentLang, node);
+    if (node.matches(TRANSLATABLE)) state.pending.add(node);
+    node.querySelectorAll(TRANSLATABLE).forEach(el => state.pending.add(el));
+    if (state.pending.size === 0) return;
+    clearTimeout(state.pendingTimer);
+    state.pendingTimer = setTimeout(flushPending, state.mutationDebounce);
+  }
+
+  async function flushPending() {
+    state.pendingTimer = null;
+    const elements = Array.from(state.pending).filter(el => el.isConnected);
+    state.pending.clear();
+    const lang = state.currentLang;
+    if (elements.length === 0 || !lang || isDefaultLang(lang)) return;
+    if (TranslationPseudoLocalizer.isPseudoLocale(lang)) {
+      applyPseudoLocale(elements, lang);
+      return;
+    }
+    try {
+      const map = await loadLang(lang, undefined, elements);
+      if (lang !== state.currentLang) return;
+      applyToElements(elements, map, lang, 'observer');
+      if (state.debug) console.log(`[TranslationClient] Translated ${elements.length} inserted element(s)`);
+    } catch (err) {
+      // A namespace load shared with a superseded switch; the next switch translates these elements
+      if (err.name === 'AbortError') return;
+      console.error('[TranslationClient] Failed to translate inserted content:', err);
+      emit('error', { phase: 'observer', language: lang, error: err });
+    }
+  }
+
+  function startObserving() {
+    if (state.observer || typeof MutationObserver === 'undefined' || !document.body) return;
+    state.observer = new MutationObserver(mutations => {
+      for (const m of mutations) m.addedNodes.forEach(queueNode);
+    });
+    state.observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  function stopObserving() {
+    if (state.observer) state.observer.disconnect();
+    state.observer = null;
+    clearTimeout(state.pendingTimer);
+    state.pending.clear();
+  }
+
+  async function switchTo(lang, controller) {
+    const previousLanguage = state.currentLang;
+    try {
+      if (!emit('beforeswitch', { language: lang, previousLanguage })) {
+        throw new DOMException('Language switch prevented by a beforeswitch listener', 'AbortError');
+      }
+      state.loading = true;
+      // Cached strings are applied synchronously (before first paint on init); fetch only if something is stale
+      let missingKeys = [];
+      let fromCache = false;
+      const pseudo = TranslationPseudoLocalizer.isPseudoLocale(lang);
+      if (pseudo) {
+        applyPseudoLocale(document.querySelectorAll(TRANSLATABLE), lang);
+        updateBadges(lang);
+      } else {
+        if (TranslationPseudoLocalizer.isPseudoLocale(previousLanguage)) restoreSources();
+        fromCache = state.persistentCache && applyPersisted(lang) === 0;
+        if (fromCache) {
+          if (state.debug) console.log(`[TranslationClient] All keys for ${lang} served from cache`);
+          updateBadges(lang);
+        } else {
+          missingKeys = await applyTranslations(lang, controller.signal);
+        }
+      }
+      state.currentLang = lang;
+      applyDocumentLanguage(lang);
+      formatValues(lang);
+      // Pseudo-locales are for the current session only and never reach the server
+      if (!pseudo) {
+        setCookieLang(lang);
+        // Switches received from another tab are not sent back, or two tabs could keep flipping each other
+        if (state.tabSync && lang !== state.remoteLang) state.tabSync.post({ language: lang, at: Date.now() });
+        updateUrl(lang);
+      }
+      state.remoteLang = null;
+      const offline = state.offline.has(lang);
+      emit('switched', { language: lang, previousLanguage, fromCache, missingKeys, partial: missingKeys.length > 0, offline });
+      return lang;
+    } catch (err) {
+      if (err.name !== 'AbortError') emit('error', { phase: 'switch', language: lang, previousLanguage, error: err });
+      throw err;
+    } finally {
+      if (state.controller === controller) {
+        state.controller = null;
+        state.pendingLang = null;
+        state.pendingSwitch = null;
+        state.loading = false;
+      }
+    }
+  }
+
+  // Same channel name and message shape as translation-bundle.js, so pages using either script stay in step
+  const TAB_SYNC_NAME = 'translation-language';
+
+  function startTabSync() {
+    if (state.tabSync) return;
+    const receive = message => {
+      if (message && typeof message.language === 'string' && message.language) applyRemoteLanguage(message.language);
+    };
+    if (typeof BroadcastChannel !== 'undefined') {
+      const channel = new BroadcastChannel(TAB_SYNC_NAME);
+      channel.onmessage = e => receive(e.data);
+      state.tabSync = {
+        post: message => channel.postMessage(message),
+        close: () => channel.close()
+      };
+    } else {
+      const onStorage = e => {
+        if (e.key !== TAB_SYNC_NAME || !e.newValue) return;
+        try { receive(JSON.parse(e.newValue)); } catch { /* not written by this script */ }
+      };
+      global.addEventListener('storage', onStorage);
+      state.tabSync = {
+        post: message => {
+          try { localStorage.setItem(TAB_SYNC_NAME, JSON.stringify(message)); } catch { /* storage disabled */ }
+        },
+        close: () => global.removeEventListener('storage', onStorage)
+      };
+    }
+  }
+
+  function stopTabSync() {
+    if (state.tabSync) state.tabSync.close();
+    state.tabSync = null;
+    state.deferredRemoteLang = null;
+  }
+
+  // A hidden tab applies the last language it received once it is shown again
+  function applyRemoteLanguage(lang) {
+    if (document.visibilityState === 'hidden') {
+      state.deferredRemoteLang = lang;
+      return;
+    }
+    if (lang.toLowerCase() === String(state.pendingLang || state.currentLang).toLowerCase()) return;
+    if (state.debug) console.log(`[TranslationClient] Applying ${lang} from another tab`);
+    state.remoteLang = lang;
+    state.urlUpdate = { lang, mode: 'replace' };
+    TranslationClient.setLanguage(lang)
+      .catch(() => {})
+      .finally(() => {
+        if (state.remoteLang === lang) state.remoteLang = null;
+      });
+  }
+
+  const LANGUAGE_CODE = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+  function getUrlLang() {
+    if (state.urlLanguage === 'query') {
+      const value = new URLSearchParams(global.location.search).get(state.urlParameter);
+      return value && LANGUAGE_CODE.test(value) ? value : null;
+    }
+    if (state.urlLanguage === 'path') {
+      const segment = (global.location.pathname.split('/')[1] || '').toLowerCase();
+      return state.urlLanguages.find(l => l.toLowerCase() === segment) || null;
+    }
+    return null;
+  }
+
+  // This page's path, query and hash in a language; the default language gets the URL without one
+  function urlForLang(lang) {
+    const url = new URL(global.location.href);
+    const marked = lang.toLowerCase() !== String(state.defaultLang).toLowerCase();
+    if (state.urlLanguage === 'path') {
+      const segments = url.pathname.split('/');
+      const first = (segments[1] || '').toLowerCase();
+      if (state.urlLanguages.some(l => l.toLowerCase() === first)) segments.splice(1, 1);
+      if (marked) segments.splice(1, 0, lang);
+      url.pathname = segments.join('/') || '/';
+    } else {
+      url.searchParams.delete(state.urlParameter);
+      if (marked) url.searchParams.set(state.urlParameter, lang);
+    }
+    return url.pathname + url.search + url.hash;
+  }
+
+  // Popstate switches leave the URL alone and switches from other tabs replace it (state.urlUpdate)
+  function updateUrl(lang) {
+    const override = state.urlUpdate && state.urlUpdate.lang === lang ? state.urlUpdate.mode : null;
+    state.urlUpdate = null;
+    const mode = override || state.urlHistory;
+    if (!state.urlLanguage || mode === 'none') return;
+    const url = urlForLang(lang);
+    if (url === global.location.pathname + global.location.search + global.location.hash) return;
+    if (mode === 'push') global.history.pushState(null, '', url);
+    else global.history.replaceState(global.history.state, '', url);
+  }
+
+  function setCookieLang(lang) {
+    document.cookie = `preferred-language=${encodeURIComponent(lang)}; path=/; max-age=31536000; SameSite=Lax`;
   }
 
   function getCookieLang() {
@@ -68,28 +895,99 @@
       opts = opts || {};
       if (opts.baseUrl) state.baseUrl = opts.baseUrl;
       if (opts.defaultLang) state.defaultLang = opts.defaultLang;
+      if (opts.fallbacks && typeof opts.fallbacks === 'object') state.fallbacks = opts.fallbacks;
+      if (typeof opts.namespaces === 'boolean') state.namespaces = opts.namespaces;
+      if (opts.defaultNamespace) state.defaultNamespace = opts.defaultNamespace;
+      if (opts.manifest) state.manifest = opts.manifest;
+      if (typeof opts.persistentCache === 'boolean') state.persistentCache = opts.persistentCache;
+      if (typeof opts.cacheMaxAge === 'number') state.cacheMaxAge = opts.cacheMaxAge;
+      if (typeof opts.pseudoExpansion === 'number') state.pseudoExpansion = opts.pseudoExpansion;
+      if (typeof opts.reportMissingKeys === 'boolean') state.reportMissingKeys = opts.reportMissingKeys;
+      if (opts.missingKeysEndpoint) state.missingKeysEndpoint = opts.missingKeysEndpoint;
+      if (typeof opts.missingKeysDelay === 'number') state.missingKeysDelay = opts.missingKeysDelay;
+      if (Array.isArray(opts.rtlLanguages)) state.rtlLanguages = opts.rtlLanguages.map(l => l.toLowerCase());
       if (typeof opts.debug === 'boolean') state.debug = opts.debug;
+      if (typeof opts.observeMutations === 'boolean') state.observeMutations = opts.observeMutations;
+      if (typeof opts.mutationDebounce === 'number') state.mutationDebounce = opts.mutationDebounce;
+      if (opts.languageNegotiation != null) state.languageNegotiation = opts.languageNegotiation;
+      if (Array.isArray(opts.availableLanguages)) state.availableLanguages = opts.availableLanguages;
+      if (typeof opts.syncTabs === 'boolean') state.syncTabs = opts.syncTabs;
+      if (opts.serviceWorker) state.serviceWorker = opts.serviceWorker;
+      if (opts.headless) state.renderer = {};
+      else if (opts.renderer && typeof opts.renderer === 'object') state.renderer = opts.renderer;
+      if (opts.uiStrings && typeof opts.uiStrings === 'object') {
+        Object.entries(opts.uiStrings).forEach(([lang, strings]) => {
+          state.uiStrings[lang.toLowerCase()] = Object.assign(state.uiStrings[lang.toLowerCase()] || {}, strings);
+        });
+      }
+      if (opts.urlLanguage != null) state.urlLanguage = opts.urlLanguage;
+      if (opts.urlParameter) state.urlParameter = opts.urlParameter;
+      if (Array.isArray(opts.urlLanguages)) state.urlLanguages = opts.urlLanguages;
+      if (opts.urlHistory) state.urlHistory = opts.urlHistory;
 
+      const urlLang = getUrlLang();
       const cookieLang = getCookieLang();
-      state.currentLang = cookieLang || state.defaultLang || 'en';
+      state.currentLang = urlLang || cookieLang || state.defaultLang || 'en';
 
-      if (state.currentLang && state.currentLang.toLowerCase() !== 'en') {
-        this.setLanguage(state.currentLang);
+      // First visit: pick the browser's language from the configured list; the outcome goes into the cookie
+      let suggestion = null;
+      if (!cookieLang && !urlLang && state.languageNegotiation) {
+        if (!state.availableLanguages) {
+          console.warn('[TranslationClient] languageNegotiation needs availableLanguages');
+        } else {
+          const negotiated = negotiateLanguage(browserLanguages(), [state.defaultLang, ...state.availableLanguages]);
+          if (!negotiated || negotiated.toLowerCase() === state.currentLang.toLowerCase()) {
+            setCookieLang(state.currentLang);
+          } else if (state.languageNegotiation === 'suggest') {
+            suggestion = negotiated;
+          } else {
+            if (state.debug) console.log(`[TranslationClient] Negotiated ${negotiated} from the browser languages`);
+            state.currentLang = negotiated;
+          }
+        }
+      }
+
+      // A language from the cookie or negotiation is written into the URL, so the address can be shared as it is
+      if (state.urlLanguage && !TranslationPseudoLocalizer.isPseudoLocale(state.currentLang)) {
+        state.urlUpdate = { lang: state.currentLang, mode: 'replace' };
+        updateUrl(state.currentLang);
+      }
+
+      if (state.currentLang && !isDefaultLang(state.currentLang)) {
+        this.setLanguage(state.currentLang).catch(err => {
+          if (err.name !== 'AbortError') console.error('[TranslationClient] Failed to apply initial language:', err);
+        });
       } else {
-        const badges = document.querySelectorAll('#current-lang, [data-current-lang]');
-        badges.forEach(b => b.textContent = 'EN');
+        updateBadges(state.currentLang);
+        applyToElements(document.querySelectorAll('[data-translate-key][data-translate-params]'), {}, state.currentLang, 'params');
+      }
+
+      if (state.observeMutations) startObserving();
+      if (state.syncTabs) startTabSync();
+      else stopTabSync();
+      if (state.serviceWorker && 'serviceWorker' in navigator) {
+        navigator.serviceWorker.register(state.serviceWorker)
+          .catch(err => console.warn('[TranslationClient] Service worker registration failed:', err));
       }
+      if (suggestion) showSuggestion(suggestion);
     },
-    setLanguage: async function (lang) {
-      if (!lang || state.loading) return;
-      try {
-        state.loading = true;
-        await applyTranslations(lang);
-        state.currentLang = lang;
-        document.cookie = `preferred-language=${encodeURIComponent(lang)}; path=/; max-age=31536000; SameSite=Lax`;
-      } finally {
-        state.loading = false;
+    // Latest requested language wins: a switch still loading is aborted and its promise rejects with an AbortError
+    setLanguage: function (lang) {
+      if (!lang) return Promise.resolve(state.currentLang);
+      if (state.controller) {
+        if (state.pendingLang === lang) return state.pendingSwitch;
+        state.controller.abort();
       }
+      const controller = new AbortController();
+      state.controller = controller;
+      state.pendingLang = lang;
+      state.pendingSwitch = switchTo(lang, controller);
+      return state.pendingSwitch;
+    },
+    // Best match for navigator.languages among the given (or configured) languages, or null
+    negotiateLanguage: function (available) {
+      const langs = available || state.availableLanguages || [];
+      return negotiateLanguage(browserLanguages(), [state.defaultLang, ...langs]);
     },
     getCurrentLanguage: function() {
       return state.currentLang || getCookieLang() || state.defaultLang || 'en';
@@ -97,9 +995,86 @@
     translatePage: function(lang) {
       const target = lang || this.getCurrentLanguage();
       return applyTranslations(target);
+    },
+    getTextDirection: function (lang) {
+      return getTextDirection(lang || this.getCurrentLanguage());
+    },
+    format: function (message, params, lang) {
+      return TranslationFormatter.format(message, params, lang || this.getCurrentLanguage());
+    },
+    // A UI string (suggestionText, languageSelectLabel, ...) in the current language, for custom renderers
+    uiText: function (name, params) {
+      return uiText(name, params);
+    },
+    formatValues: function (root) {
+      formatValues(this.getCurrentLanguage(), root);
+    },
+    // Translate the keyed elements within root now (content inserted by htmx or other scripts)
+    translateElements: function (root) {
+      queueNode(root || document.body);
+      clearTimeout(state.pendingTimer);
+      return flushPending();
+    },
+    setParams: function (el, params) {
+      if (!el) return;
+      el.setAttribute('data-translate-params', JSON.stringify(params || {}));
+      const lang = this.getCurrentLanguage();
+      applyToElements([el], state.cache[lang] || {}, lang, 'params');
+    },
+    clearCache: function (lang) {
+      const langs = lang ? [lang] : Object.keys(persisted);
+      langs.forEach(l => {
+        delete persisted[l];
+        try { localStorage.removeItem(`translation-cache:${l}`); } catch { /* storage unavailable */ }
+      });
+    },
+    // [{ key, language, sourceText, hash, url }] missing from loaded language files, optionally for one language
+    getMissingKeys: function (lang) {
+      return Array.from(state.missing.values()).filter(e => !lang || e.language === lang).map(e => ({ ...e }));
+    },
+    observe: startObserving,
+    disconnect: stopObserving,
+    // Subscribe to a lifecycle event ('switched' or 'translation:switched'); returns an unsubscribe function
+    on: function (name, handler) {
+      document.addEventListener(eventType(name), handler);
+      return () => TranslationClient.off(name, handler);
+    },
+    off: function (name, handler) {
+      document.removeEventListener(eventType(name), handler);
     }
   };
 
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      reportMissing();
+    } else if (state.deferredRemoteLang) {
+      const lang = state.deferredRemoteLang;
+      state.deferredRemoteLang = null;
+      applyRemoteLanguage(lang);
+    }
+  });
+  global.addEventListener('pagehide', reportMissing);
+
+  // Back online after a switch served offline: load the language again so the page catches up
+  global.addEventListener('online', () => {
+    const lang = state.currentLang;
+    if (!state.offline.has(lang) || state.controller) return;
+    applyTranslations(lang).catch(err => {
+      console.error('[TranslationClient] Failed to refresh translations after going online:', err);
+      emit('error', { phase: 'online', language: lang, error: err });
+    });
+  });
+
+  // Back and forward switch to the language of the URL navigated to
+  global.addEventListener('popstate', () => {
+    if (!state.urlLanguage) return;
+    const lang = getUrlLang() || state.defaultLang;
+    if (lang.toLowerCase() === String(state.pendingLang || state.currentLang).toLowerCase()) return;
+    if (state.debug) console.log(`[TranslationClient] Following the URL back to ${lang}`);
+    state.urlUpdate = { lang, mode: 'none' };
+    TranslationClient.setLanguage(lang).catch(() => {});
+  });
+
   // Auto-init from window.translationConfig if present
   if (global.translationConfig && (global.translationConfig.baseUrl || global.translationConfig.defaultLang)) {
     if (document.readyState === 'loading') {
@@ -109,5 +1084,6 @@
     }
   }
 
+  global.TranslationPseudoLocalizer = TranslationPseudoLocalizer;
   global.TranslationClient = TranslationClient;
 })(window);
@@ -1 +1 @@
-!function(n){const t={defaultLang:"en",currentLang:"en",baseUrl:"/translations",cache:{},loading:!1,debug:!1};async function e(n){if(t.cache[n])return t.cache[n];const e=`${t.baseUrl}/${encodeURIComponent(n)}.json`,a=await fetch(e,{cache:"no-cache"});if(!a.ok)throw new Error(`Failed to load translations for ${n}`);const r=await a.json();return t.cache[n]=function(n){if(!n)return{};if(Array.isArray(n)){const t={};for(const e of n){if(!e)continue;const n=e.key||e.Key,a=e.text||e.translatedText||e.Text||e.TranslatedText;n&&"string"==typeof a&&(t[n]=a)}return t}return n}(r)||{},t.cache[n]}async function a(n){const t=await e(n);document.querySelectorAll("[data-translate-key]").forEach(n=>{const e=n.getAttribute("data-translate-key"),a=t[e];"string"==typeof a&&a.length>0&&(n.innerText=a)});document.querySelectorAll("#current-lang, [data-current-lang]").forEach(t=>t.textContent=(n||"en").toUpperCase())}function r(){const n=(document.cookie.match(/(?:^|; )preferred-language=([^;]*)/)||[])[1];return decodeURIComponent(n||"")}const o={init:function(n){(n=n||{}).baseUrl&&(t.baseUrl=n.baseUrl),n.defaultLang&&(t.defaultLang=n.defaultLang),"boolean"==typeof n.debug&&(t.debug=n.debug);const e=r();if(t.currentLang=e||t.defaultLang||"en",t.currentLang&&"en"!==t.currentLang.toLowerCase())this.setLanguage(t.currentLang);else{document.querySelectorAll("#current-lang, [data-current-lang]").forEach(n=>n.textContent="EN")}},setLanguage:async function(n){if(n&&!t.loading)try{t.loading=!0,await a(n),t.currentLang=n,document.cookie=`preferred-language=${encodeURIComponent(n)}; path=/; max-age=31536000; SameSite=Lax`}finally{t.loading=!1}},getCurrentLanguage:function(){return t.currentLang||r()||t.defaultLang||"en"},translatePage:function(n){return a(n||this.getCurrentLanguage())}};n.translationConfig&&(n.translationConfig.baseUrl||n.translationConfig.defaultLang)&&("loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>o.init(n.translationConfig)):o.init(n.translationConfig)),n.TranslationClient=o}(window);
\ No newline at end of file
+!function(e){const t="[data-translate-key], [data-translate-attr]",n={defaultLang:"en",currentLang:"en",baseUrl:"/translations",cache:{},files:{},namespaces:!1,defaultNamespace:"common",manifest:null,fallbacks:{},persistentCache:!1,cacheMaxAge:6048e5,pseudoExpansion:.4,reportMissingKeys:!1,missingKeysEndpoint:"/Language/Missing",missingKeysDelay:2e3,languageNegotiation:!1,availableLanguages:null,rtlLanguages:["ar","arc","ckb","dv","fa","ha","he","iw","khw","ks","ps","sd","ug","ur","yi"],loading:!1,controller:null,pendingLang:null,pendingSwitch:null,debug:!1,observeMutations:!1,mutationDebounce:150,observer:null,pending:new Set,pendingTimer:null,syncTabs:!0,tabSync:null,remoteLang:null,deferredRemoteLang:null,urlLanguage:!1,urlParameter:"lang",urlLanguages:[],urlHistory:"push",urlUpdate:null,serviceWorker:null,renderer:null,uiStrings:{},offline:new Set,missing:new Map,unreported:[],missingTimer:null},a=e.TranslationFormatter||(console.warn("[TranslationClient] translation-formatter.js is not loaded; messages get plain {name} interpolation"),{format:function(e,t){return"string"==typeof e&&t?e.replace(/\{\s*([\w.-]+)\s*\}/g,(e,n)=>n in t?String(t[n]):e):e},formatValue:function(){return null}}),r=function(){const e={"qps-ploc":!1,"qps-plocm":!0},t=Array.from("ÅƁÇĐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŦÛṼŴẊÝŽåƀçđéƒĝĥîĵķļɱñöþǫŕšŧûṽŵẋýž");function n(t){return!!t&&Object.prototype.hasOwnProperty.call(e,t.toLowerCase())}function a(e,n){const a=Array.from(e,e=>{const n="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz".indexOf(e);return-1===n?e:t[n]}).join("");return n&&a.trim()?`‮${a}‬`:a}return{isPseudoLocale:n,isMirrored:function(t){return n(t)&&e[t.toLowerCase()]},localize:function(e,t){if(t=t||{},"string"!=typeof e||!e.trim())return e;const[,n,r,o]=/^(\s*)([\s\S]*?)(\s*)$/.exec(e);let s="",i="",l=0,u=0;for(const e of r)"{"===e||"}"===e?(l%2==0&&(s+=a(i,t.mirror),i=""),l=Math.max(0,l+("{"===e?1:-1)),s+=e):l%2==0?(i+=e,/\p{L}/u.test(e)&&u++):s+=e;s+=a(i,t.mirror);const c=null!=t.expansion?t.expansion:.4,g="~".repeat(Math.ceil(u*c));return`${n}[${s}${g?" "+g:""}]${o}`}}}();function o(e){const t=[e],a=n.fallbacks[e];if(Array.isArray(a))t.push(...a);else{const n=e.split("-");for(;n.length>1;)n.pop(),t.push(n.join("-"))}return n.defaultLang&&t.push(n.defaultLang),t.filter((e,n)=>e&&t.indexOf(e)===n)}async function s(e,t,a,r){const o=a?`${e}/${a}`:e;if(o in n.files)return n.files[o];const s=a?`${n.baseUrl}/${encodeURIComponent(e)}/${encodeURIComponent(a)}.json${r?`?v=${encodeURIComponent(r)}`:""}`:`${n.baseUrl}/${encodeURIComponent(e)}.json`;let i;try{i=await fetch(s,{cache:r?"default":"no-cache",signal:t})}catch(e){if("AbortError"===e.name||"TypeError"!==e.name&&!1!==navigator.onLine)throw e;return void(n.debug&&console.log(`[TranslationClient] ${o} unavailable offline`))}if(404===i.status)return n.debug&&console.log(`[TranslationClient] No translation file for ${o}`),n.files[o]=null,null;if(!i.ok)throw new Error(`Failed to load translations for ${o}`);const l=await i.json();return n.files[o]=function(e){if(!e)return{};if(Array.isArray(e)){const t={};for(const n of e){if(!n)continue;const e=n.key||n.Key,a=n.text||n.translatedText||n.Text||n.TranslatedText;e&&"string"==typeof a&&(t[e]=a)}return t}return e}(l)||{},n.files[o]}function i(e){const t=e.indexOf(".");return t>0?e.slice(0,t):n.defaultNamespace}let l=null;const u={};async function c(e,t,a){const r=new Set;a.forEach(e=>{const t=e.getAttribute("data-translate-key");t&&r.add(i(t)),A(e).forEach(e=>r.add(i(e.key)))});const c=await(n.manifest?(l||(l=fetch(n.manifest,{cache:"no-cache"}).then(e=>{if(!e.ok)throw new Error(`Failed to load ${n.manifest}: ${e.status}`);return e.json()}).then(e=>e&&e.namespaces||{}).catch(e=>(console.warn("[TranslationClient] Loading every referenced namespace without a manifest:",e),null))),l):Promise.resolve(null)),g=Array.from(r).filter(e=>!c||Object.prototype.hasOwnProperty.call(c,e));return n.debug&&console.log(`[TranslationClient] Namespaces for ${e}: ${g.join(", ")||"(none)"}`),await Promise.all(g.map(a=>function(e,t,a,r){const i=`${e}|${t}`,l=u[i];if(l&&(!l.signal||!l.signal.aborted))return l.promise;const c={signal:r};return c.promise=Promise.all(o(e).map(e=>s(e,r,t,a))).then(t=>{n.cache[e]=Object.assign(n.cache[e]||{},...t.filter(Boolean).reverse()),t.includes(void 0)&&(n.offline.add(e),u[i]===c&&delete u[i])}).catch(e=>{throw u[i]===c&&delete u[i],e}),u[i]=c,c.promise}(e,a,c?c[a]:null,t))),n.cache[e]||{}}async function g(e,a,r){if(n.namespaces)return c(e,a,r||document.querySelectorAll(t));if(n.cache[e])return n.cache[e];const i=o(e),l=await Promise.all(i.map(e=>s(e,a)));if(l.every(e=>null===e))throw new Error(`Failed to load translations for ${e}`);const u=Object.assign({},...l.filter(Boolean).reverse());return l.includes(void 0)?(n.offline.add(e),u):(n.cache[e]=u,u)}const d={},f={};function m(e){if(d[e])return d[e];try{d[e]=JSON.parse(localStorage.getItem(`translation-cache:${e}`)||"{}")||{}}catch{d[e]={}}return d[e]}function p(e,t,a){const r=m(e)[t];return r?a&&r.hash&&r.hash!==a||n.cacheMaxAge>0&&Date.now()-r.at>n.cacheMaxAge?null:r.text:null}function h(e,t,n,a){m(e)[t]={hash:n||null,text:a,at:Date.now()},clearTimeout(f[e]),f[e]=setTimeout(()=>{try{localStorage.setItem(`translation-cache:${e}`,JSON.stringify(d[e]))}catch(e){console.warn("[TranslationClient] Unable to persist translation cache:",e)}},0)}const b=new WeakMap;function L(e){const t=e.getAttribute("data-translate-params");if(!t)return null;try{return JSON.parse(t)}catch(e){return console.warn("[TranslationClient] Invalid data-translate-params JSON:",t,e),null}}const y=new WeakMap;function w(e,t){let n=y.get(e);return n||(n={text:e.hasAttribute("data-translate-key")?b.get(e)||e.innerText:null,attributes:{}},y.set(e,n)),t&&!(t in n.attributes)&&(n.attributes[t]=e.getAttribute(t)),n}const v=["href","src","action","formaction","xlink:href","poster","cite","background"],C=/^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;function A(e){const t=e.getAttribute("data-translate-attr");return t?t.split(";").map(e=>{const t=e.indexOf(":");return t>0?{attr:e.slice(0,t).trim(),key:e.slice(t+1).trim()}:null}).filter(e=>e&&e.attr&&e.key):[]}function S(){clearTimeout(n.missingTimer),n.missingTimer=null;const e={};n.unreported.forEach(({language:t,...n})=>(e[t]=e[t]||[]).push(n)),n.unreported=[],Object.entries(e).forEach(([e,t])=>{for(let a=0;a<t.length;a+=100){const r=JSON.stringify({languageCode:e,keys:t.slice(a,a+100)});navigator.sendBeacon&&navigator.sendBeacon(n.missingKeysEndpoint,new Blob([r],{type:"application/json"}))||fetch(n.missingKeysEndpoint,{method:"POST",body:r,headers:{"Content-Type":"application/json"},keepalive:!0}).catch(e=>console.warn("[TranslationClient] Unable to report missing keys:",e))}})}function T(e,t,r,o){const s=n.persistentCache&&"cache"!==o&&"pseudo"!==o,i=("switch"===o||"observer"===o)&&!n.offline.has(r),l=new Set;function u(e,t,a){l.add(t),i&&function(e,t,a,r){if(!e||e.toLowerCase()===n.defaultLang.toLowerCase())return;const o=`${e}\n${t}`;if(n.missing.has(o))return;const s=w(a,r),i={key:t,language:e,sourceText:r?s.attributes[r]:s.text,hash:r?null:a.getAttribute("data-content-hash"),url:location.origin+location.pathname};n.missing.set(o,i),n.reportMissingKeys&&(n.unreported.push(i),n.missingTimer||(n.missingTimer=setTimeout(S,n.missingKeysDelay)))}(r,t,e,a)}return e.forEach(e=>{A(e).forEach(({attr:n,key:a})=>{const i=t[a];if("string"==typeof i&&i.length>0){if(!function(e,t){const n=e.toLowerCase();return!n.startsWith("on")&&"srcdoc"!==n&&(!v.includes(n)||C.test(String(t).replace(/[\u0000- ]/g,"")))}(n,i))return void console.warn(`[TranslationClient] Rejected unsafe translation for ${n} attribute`);w(e,n),e.setAttribute(n,i),s&&h(r,a,null,i),x("element-updated",{key:a,attribute:n,language:r,source:o},e)}else u(e,a,n)});const n=e.getAttribute("data-translate-key");if(!n)return;w(e);const i=L(e);let l=t[n];if("string"==typeof l&&l.length>0)i&&b.set(e,l),s&&h(r,n,e.getAttribute("data-content-hash"),l);else{if(!i)return void u(e,n);u(e,n),b.has(e)||b.set(e,e.innerText),l=b.get(e)}e.innerText=i?a.format(l,i,r):l,e.setAttribute("lang",r),e.setAttribute("dir",U(r)),x("element-updated",{key:n,language:r,source:o},e)}),Array.from(l)}function E(e,t){const a={mirror:r.isMirrored(t),expansion:n.pseudoExpansion};e.forEach(e=>{const n=w(e),o={},s=e.getAttribute("data-translate-key");s&&(o[s]=r.localize(n.text,a)),A(e).forEach(t=>{w(e,t.attr),null!==n.attributes[t.attr]&&(o[t.key]=r.localize(n.attributes[t.attr],a))}),T([e],o,t,"pseudo")})}function x(e,t,n){const a=new CustomEvent(`translation:${e}`,{detail:t,bubbles:!0,cancelable:"beforeswitch"===e});return(n||document).dispatchEvent(a)}function k(e){return e.startsWith("translation:")?e:`translation:${e}`}function $(e,t){const n=t.map(e=>({code:e,tag:String(e).toLowerCase()}));for(const t of e){const e=String(t).toLowerCase(),a=e.split("-")[0],r=n.find(t=>t.tag===e)||n.find(e=>e.tag===a)||n.find(e=>e.tag.split("-")[0]===a);if(r)return r.code}return null}function M(){return(navigator.languages&&navigator.languages.length>0?navigator.languages:[navigator.language]).filter(Boolean)}const O={suggestionLabel:"Language suggestion",suggestionText:"This page is available in {language}.",suggestionAccept:"Switch to {language}",suggestionDismiss:"No thanks",languageSelectLabel:"Language"},N="translation.ui.";function P(e,t){const o=n.currentLang,s=n.uiStrings[o.toLowerCase()]||{},i=n.cache[o]||{},l=null!=s[e]?s[e]:null!=i[N+e]?i[N+e]:null!=O[e]?O[e]:e;return a.format(l,t||{},r.isPseudoLocale(o)?n.defaultLang:o)}function U(e){const t=(e||"").toLowerCase();return r.isMirrored(t)||n.rtlLanguages.includes(t)||n.rtlLanguages.includes(t.split("-")[0])||/-(arab|hebr|thaa|syrc|nkoo|adlm|rohg)\b/.test(t)?"rtl":"ltr"}function j(e){return!!e&&e.toLowerCase()===String(n.defaultLang).toLowerCase()}function D(e,t){const o=t||document,s=r.isPseudoLocale(e)?n.defaultLang:e,i=Array.from(o.querySelectorAll("[data-format]"));o.matches&&o.matches("[data-format]")&&i.push(o),i.forEach(e=>{const t=e.getAttribute("data-value")??e.getAttribute("datetime");if(null==t)return;let r={};try{r=JSON.parse(e.getAttribute("data-format-options")||"{}")||{}}catch(t){console.warn("[TranslationClient] Invalid data-format-options:",e,t)}e.hasAttribute("data-currency")&&(r.currency=e.getAttribute("data-currency")),e.hasAttribute("data-unit")&&(r.unit=e.getAttribute("data-unit"));const o=a.formatValue(e.getAttribute("data-format"),t,s,r);null===o?n.debug&&console.warn("[TranslationClient] Could not format value:",e):e.textContent!==o&&(e.textContent=o)})}function K(e){document.querySelectorAll("#current-lang, [data-current-lang]").forEach(t=>t.textContent=(e||n.defaultLang).toUpperCase())}async function R(e,a){const r=document.querySelectorAll(t);n.offline.delete(e);const o=await g(e,a,r);if(a&&a.aborted)throw new DOMException("Language switch superseded","AbortError");const s=T(r,o,e,"switch");return K(e),s}function q(e){e.nodeType===Node.ELEMENT_NODE&&(n.currentLang&&n.currentLang!==n.defaultLang&&D(n.currentLang,e),e.matches(t)&&n.pending.add(e),e.querySelectorAll(t).forEach(e=>n.pending.add(e)),0!==n.pending.size&&(clearTimeout(n.pendingTimer),n.pendingTimer=setTimeout(z,n.mutationDebounce)))}async function z(){n.pendingTimer=null;const e=Array.from(n.pending).filter(e=>e.isConnected);n.pending.clear();const t=n.currentLang;if(0!==e.length&&t&&!j(t))if(r.isPseudoLocale(t))E(e,t);else try{const a=await g(t,void 0,e);if(t!==n.currentLang)return;T(e,a,t,"observer"),n.debug&&console.log(`[TranslationClient] Translated ${e.length} inserted element(s)`)}catch(e){if("AbortError"===e.name)return;console.error("[TranslationClient] Failed to translate inserted content:",e),x("error",{phase:"observer",language:t,error:e})}}function I(){!n.observer&&"undefined"!=typeof MutationObserver&&document.body&&(n.observer=new MutationObserver(e=>{for(const t of e)t.addedNodes.forEach(q)}),n.observer.observe(document.body,{childList:!0,subtree:!0}))}async function W(e,o){const s=n.currentLang;try{if(!x("beforeswitch",{language:e,previousLanguage:s}))throw new DOMException("Language switch prevented by a beforeswitch listener","AbortError");n.loading=!0;let i=[],l=!1;const u=r.isPseudoLocale(e);u?(E(document.querySelectorAll(t),e),K(e)):(r.isPseudoLocale(s)&&document.querySelectorAll(t).forEach(e=>{const t=y.get(e);if(!t)return;if(Object.entries(t.attributes).forEach(([t,n])=>{null===n?e.removeAttribute(t):e.setAttribute(t,n)}),null===t.text)return;const r=L(e);r&&b.set(e,t.text),e.innerText=r?a.format(t.text,r,n.defaultLang):t.text,e.setAttribute("lang",n.defaultLang),e.setAttribute("dir",U(n.defaultLang))}),l=n.persistentCache&&0===function(e){const n={};let a=0;const r=document.querySelectorAll(t);return r.forEach(t=>{const r=t.getAttribute("data-translate-key");if(r){const o=p(e,r,t.getAttribute("data-content-hash"));null===o?a++:n[r]=o}A(t).forEach(t=>{const r=p(e,t.key,null);null===r?a++:n[t.key]=r})}),T(r,n,e,"cache"),a}(e),l?(n.debug&&console.log(`[TranslationClient] All keys for ${e} served from cache`),K(e)):i=await R(e,o.signal)),n.currentLang=e,function(e){const t=document.documentElement;if(t.setAttribute("lang",e),t.setAttribute("dir",U(e)),j(e))return;const a=U(n.defaultLang);document.querySelectorAll("[data-translate-key]:not([lang])").forEach(e=>{e.setAttribute("lang",n.defaultLang),e.setAttribute("dir",a)})}(e),D(e),u||(Z(e),n.tabSync&&e!==n.remoteLang&&n.tabSync.post({language:e,at:Date.now()}),V(e)),n.remoteLang=null;const c=n.offline.has(e);return x("switched",{language:e,previousLanguage:s,fromCache:l,missingKeys:i,partial:i.length>0,offline:c}),e}catch(t){throw"AbortError"!==t.name&&x("error",{phase:"switch",language:e,previousLanguage:s,error:t}),t}finally{n.controller===o&&(n.controller=null,n.pendingLang=null,n.pendingSwitch=null,n.loading=!1)}}const J="translation-language";function B(e){"hidden"!==document.visibilityState?e.toLowerCase()!==String(n.pendingLang||n.currentLang).toLowerCase()&&(n.debug&&console.log(`[TranslationClient] Applying ${e} from another tab`),n.remoteLang=e,n.urlUpdate={lang:e,mode:"replace"},G.setLanguage(e).catch(()=>{}).finally(()=>{n.remoteLang===e&&(n.remoteLang=null)})):n.deferredRemoteLang=e}const F=/^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;function H(){if("query"===n.urlLanguage){const t=new URLSearchParams(e.location.search).get(n.urlParameter);return t&&F.test(t)?t:null}if("path"===n.urlLanguage){const t=(e.location.pathname.split("/")[1]||"").toLowerCase();return n.urlLanguages.find(e=>e.toLowerCase()===t)||null}return null}function V(t){const a=n.urlUpdate&&n.urlUpdate.lang===t?n.urlUpdate.mode:null;n.urlUpdate=null;const r=a||n.urlHistory;if(!n.urlLanguage||"none"===r)return;const o=function(t){const a=new URL(e.location.href),r=t.toLowerCase()!==String(n.defaultLang).toLowerCase();if("path"===n.urlLanguage){const e=a.pathname.split("/"),o=(e[1]||"").toLowerCase();n.urlLanguages.some(e=>e.toLowerCase()===o)&&e.splice(1,1),r&&e.splice(1,0,t),a.pathname=e.join("/")||"/"}else a.searchParams.delete(n.urlParameter),r&&a.searchParams.set(n.urlParameter,t);return a.pathname+a.search+a.hash}(t);o!==e.location.pathname+e.location.search+e.location.hash&&("push"===r?e.history.pushState(null,"",o):e.history.replaceState(e.history.state,"",o))}function Z(e){document.cookie=`preferred-language=${encodeURIComponent(e)}; path=/; max-age=31536000; SameSite=Lax`}function X(){const e=(document.cookie.match(/(?:^|; )preferred-language=([^;]*)/)||[])[1];return decodeURIComponent(e||"")}const G={init:function(t){(t=t||{}).baseUrl&&(n.baseUrl=t.baseUrl),t.defaultLang&&(n.defaultLang=t.defaultLang),t.fallbacks&&"object"==typeof t.fallbacks&&(n.fallbacks=t.fallbacks),"boolean"==typeof t.namespaces&&(n.namespaces=t.namespaces),t.defaultNamespace&&(n.defaultNamespace=t.defaultNamespace),t.manifest&&(n.manifest=t.manifest),"boolean"==typeof t.persistentCache&&(n.persistentCache=t.persistentCache),"number"==typeof t.cacheMaxAge&&(n.cacheMaxAge=t.cacheMaxAge),"number"==typeof t.pseudoExpansion&&(n.pseudoExpansion=t.pseudoExpansion),"boolean"==typeof t.reportMissingKeys&&(n.reportMissingKeys=t.reportMissingKeys),t.missingKeysEndpoint&&(n.missingKeysEndpoint=t.missingKeysEndpoint),"number"==typeof t.missingKeysDelay&&(n.missingKeysDelay=t.missingKeysDelay),Array.isArray(t.rtlLanguages)&&(n.rtlLanguages=t.rtlLanguages.map(e=>e.toLowerCase())),"boolean"==typeof t.debug&&(n.debug=t.debug),"boolean"==typeof t.observeMutations&&(n.observeMutations=t.observeMutations),"number"==typeof t.mutationDebounce&&(n.mutationDebounce=t.mutationDebounce),null!=t.languageNegotiation&&(n.languageNegotiation=t.languageNegotiation),Array.isArray(t.availableLanguages)&&(n.availableLanguages=t.availableLanguages),"boolean"==typeof t.syncTabs&&(n.syncTabs=t.syncTabs),t.serviceWorker&&(n.serviceWorker=t.serviceWorker),t.headless?n.renderer={}:t.renderer&&"object"==typeof t.renderer&&(n.renderer=t.renderer),t.uiStrings&&"object"==typeof t.uiStrings&&Object.entries(t.uiStrings).forEach(([e,t])=>{n.uiStrings[e.toLowerCase()]=Object.assign(n.uiStrings[e.toLowerCase()]||{},t)}),null!=t.urlLanguage&&(n.urlLanguage=t.urlLanguage),t.urlParameter&&(n.urlParameter=t.urlParameter),Array.isArray(t.urlLanguages)&&(n.urlLanguages=t.urlLanguages),t.urlHistory&&(n.urlHistory=t.urlHistory);const a=H(),o=X();n.currentLang=a||o||n.defaultLang||"en";let s=null;if(!o&&!a&&n.languageNegotiation)if(n.availableLanguages){const e=$(M(),[n.defaultLang,...n.availableLanguages]);e&&e.toLowerCase()!==n.currentLang.toLowerCase()?"suggest"===n.languageNegotiation?s=e:(n.debug&&console.log(`[TranslationClient] Negotiated ${e} from the browser languages`),n.currentLang=e):Z(n.currentLang)}else console.warn("[TranslationClient] languageNegotiation needs availableLanguages");n.urlLanguage&&!r.isPseudoLocale(n.currentLang)&&(n.urlUpdate={lang:n.currentLang,mode:"replace"},V(n.currentLang)),n.currentLang&&!j(n.currentLang)?this.setLanguage(n.currentLang).catch(e=>{"AbortError"!==e.name&&console.error("[TranslationClient] Failed to apply initial language:",e)}):(K(n.currentLang),T(document.querySelectorAll("[data-translate-key][data-translate-params]"),{},n.currentLang,"params")),n.observeMutations&&I(),n.syncTabs?function(){if(n.tabSync)return;const t=e=>{e&&"string"==typeof e.language&&e.language&&B(e.language)};if("undefined"!=typeof BroadcastChannel){const e=new BroadcastChannel(J);e.onmessage=e=>t(e.data),n.tabSync={post:t=>e.postMessage(t),close:()=>e.close()}}else{const a=e=>{if(e.key===J&&e.newValue)try{t(JSON.parse(e.newValue))}catch{}};e.addEventListener("storage",a),n.tabSync={post:e=>{try{localStorage.setItem(J,JSON.stringify(e))}catch{}},close:()=>e.removeEventListener("storage",a)}}}():(n.tabSync&&n.tabSync.close(),n.tabSync=null,n.deferredRemoteLang=null),n.serviceWorker&&"serviceWorker"in navigator&&navigator.serviceWorker.register(n.serviceWorker).catch(e=>console.warn("[TranslationClient] Service worker registration failed:",e)),s&&function(e){const t=e.toUpperCase(),a={label:P("suggestionLabel"),text:P("suggestionText",{language:t}),acceptLabel:P("suggestionAccept",{language:t}),dismissLabel:P("suggestionDismiss"),onAccept:()=>G.setLanguage(e).catch(()=>{}),onDismiss:()=>Z(n.currentLang)};if(n.renderer)return void("function"==typeof n.renderer.suggestion&&n.renderer.suggestion(a));const r=document.createElement("div");r.className="translation-suggestion",r.setAttribute("role","region"),r.setAttribute("aria-label",a.label),r.style.cssText="position:fixed;bottom:1rem;left:50%;transform:translateX(-50%);z-index:var(--translation-ui-z-index, 1060)";const o=document.createElement("span");o.textContent=`${a.text} `;const s=document.createElement("button");s.type="button",s.textContent=a.acceptLabel,s.addEventListener("click",()=>{r.remove(),a.onAccept()});const i=document.createElement("button");i.type="button",i.textContent=a.dismissLabel,i.addEventListener("click",()=>{r.remove(),a.onDismiss()}),r.append(o,s," ",i),document.body.appendChild(r)}(s)},setLanguage:function(e){if(!e)return Promise.resolve(n.currentLang);if(n.controller){if(n.pendingLang===e)return n.pendingSwitch;n.controller.abort()}const t=new AbortController;return n.controller=t,n.pendingLang=e,n.pendingSwitch=W(e,t),n.pendingSwitch},negotiateLanguage:function(e){const t=e||n.availableLanguages||[];return $(M(),[n.defaultLang,...t])},getCurrentLanguage:function(){return n.currentLang||X()||n.defaultLang||"en"},translatePage:function(e){return R(e||this.getCurrentLanguage())},getTextDirection:function(e){return U(e||this.getCurrentLanguage())},format:function(e,t,n){return a.format(e,t,n||this.getCurrentLanguage())},uiText:function(e,t){return P(e,t)},formatValues:function(e){D(this.getCurrentLanguage(),e)},translateElements:function(e){return q(e||document.body),clearTimeout(n.pendingTimer),z()},setParams:function(e,t){if(!e)return;e.setAttribute("data-translate-params",JSON.stringify(t||{}));const a=this.getCurrentLanguage();T([e],n.cache[a]||{},a,"params")},clearCache:function(e){(e?[e]:Object.keys(d)).forEach(e=>{delete d[e];try{localStorage.removeItem(`translation-cache:${e}`)}catch{}})},getMissingKeys:function(e){return Array.from(n.missing.values()).filter(t=>!e||t.language===e).map(e=>({...e}))},observe:I,disconnect:function(){n.observer&&n.observer.disconnect(),n.observer=null,clearTimeout(n.pendingTimer),n.pending.clear()},on:function(e,t){return document.addEventListener(k(e),t),()=>G.off(e,t)},off:function(e,t){document.removeEventListener(k(e),t)}};document.addEventListener("visibilitychange",()=>{if("hidden"===document.visibilityState)S();else if(n.deferredRemoteLang){const e=n.deferredRemoteLang;n.deferredRemoteLang=null,B(e)}}),e.addEventListener("pagehide",S),e.addEventListener("online",()=>{const e=n.currentLang;n.offline.has(e)&&!n.controller&&R(e).catch(t=>{console.error("[TranslationClient] Failed to refresh translations after going online:",t),x("error",{phase:"online",language:e,error:t})})}),e.addEventListener("popstate",()=>{if(!n.urlLanguage)return;const e=H()||n.defaultLang;e.toLowerCase()!==String(n.pendingLang||n.currentLang).toLowerCase()&&(n.debug&&console.log(`[TranslationClient] Following the URL back to ${e}`),n.urlUpdate={lang:e,mode:"none"},G.setLanguage(e).catch(()=>{}))}),e.translationConfig&&(e.translationConfig.baseUrl||e.translationConfig.defaultLang)&&("loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>G.init(e.translationConfig)):G.init(e.translationConfig)),e.TranslationPseudoLocalizer=r,e.TranslationClient=G}(window);
\ No newline at end of file
@@ -3,6 +3,22 @@
  * Uses HTMX OOB (Out of Band) swaps for efficient content updates
  */
 
+// Translated markup comes from an LLM provider: these are never injected, whatever the source contained
+const UNSAFE_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'frame', 'frameset', 'template', 'noscript', 'base', 'link', 'meta', 'svg', 'math']);
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'cite', 'background']);
+const SAFE_URL = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+// Scripts written right-to-left; override with translationConfig.rtlLanguages
+const DEFAULT_RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'ha', 'he', 'iw', 'khw', 'ks', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+const VOID_TAGS = new Set(['img', 'br', 'hr', 'input', 'meta', 'link', 'area', 'base', 'col', 'embed', 'param', 'source', 'track', 'wbr']);
+// Placeholders as translation engines return them: "__TAG3__", "__ TAG 3 __", "__tag3__", "{#3#}", "{ #3# }"
+const PLACEHOLDER_TOKEN = /__\s*TAG\s*(?<tag>\d+)\s*__|\{\s*#\s*(?<ph>\d+)\s*#\s*\}/gi;
+
+function canonicalToken(match) {
+    return match.groups.tag !== undefined ? `__TAG${match.groups.tag}__` : `{#${match.groups.ph}#}`;
+}
+
 /**
  * HTML Text Extractor - Extracts plain text from HTML for translation
  */
@@ -21,15 +37,43 @@ class HtmlTextExtractor {
     static extractText(html) {
         if (!html) return '';
 
-        // Create a temporary div to parse HTML
-        const temp = document.createElement('div');
+        // Parse in an inert template so nothing in the markup loads or runs
+        const temp = document.createElement('template');
         temp.innerHTML = html;
 
         // Remove script and style tags
-        temp.querySelectorAll('script, style').forEach(el => el.remove());
+        temp.content.querySelectorAll('script, style').forEach(el => el.remove());
 
         // Get text content (browser handles entity decoding)
-        return temp.textContent || temp.innerText || '';
+        return temp.content.textContent || '';
+    }
+
+    /**
+     * Walk the parsed markup in document order: text parts and tag parts, where every non-void
+     * element yields an opening and a matching closing tag
+     */
+    static collectParts(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const parts = [];
+        const walk = (parent) => {
+            parent.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    parts.push({ text: node.textContent });
+                } else if (node.nodeType === Node.ELEMENT_NODE) {
+                    const isVoid = VOID_TAGS.has(node.localName);
+                    const attributes = Array.from(node.attributes)
+                        .map(a => ` ${a.name}="${a.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+                        .join('');
+                    parts.push({ tag: `<${node.localName}${attributes}>`, isInline: isVoid });
+                    walk(node);
+                    if (!isVoid) parts.push({ tag: `</${node.localName}>`, isInline: false });
+                }
+            });
+        };
+        walk(template.content);
+        return parts;
     }
 
     /**
@@ -42,47 +86,24 @@ class HtmlTextExtractor {
         }
 
         const placeholders = [];
-        let processed = html;
-        let counter = 0;
-
-        // Extract self-closing tags (img, br, hr, etc.)
-        const selfClosingRegex = /<(img|br|hr|input)[^>]*\/?>/gi;
-        processed = processed.replace(selfClosingRegex, (match) => {
-            const placeholder = `{#${counter}#}`;
-            placeholders.push({
-                index: counter,
-                originalHtml: match,
-                placeholder: placeholder,
-                isInline: true
-            });
-            counter++;
-            return placeholder;
-        });
-
-        // Extract other HTML tags
-        const tagRegex = /<[^>]+>/g;
-        processed = processed.replace(tagRegex, (match) => {
-            const placeholder = `{#${counter}#}`;
-            placeholders.push({
-                index: counter,
-                originalHtml: match,
-                placeholder: placeholder,
-                isInline: false
-            });
-            counter++;
-            return placeholder;
+        let plainText = '';
+        this.collectParts(html).forEach(part => {
+            if (part.tag === undefined) {
+                plainText += part.text;
+                return;
+            }
+            const index = placeholders.length;
+            const placeholder = `{#${index}#}`;
+            placeholders.push({ index, originalHtml: part.tag, placeholder, isInline: part.isInline });
+            plainText += placeholder;
         });
 
-        // Decode HTML entities
-        const temp = document.createElement('div');
-        temp.innerHTML = processed;
-        const plainText = temp.textContent || temp.innerText || '';
-
         return { plainText, placeholders };
     }
 
     /**
-     * Re-inject HTML tags back into translated text
+     * Re-inject HTML tags back into translated text. Does not check the translation;
+     * use reinjectHtmlWithValidation for machine-translated text.
      */
     static reinjectHtml(translatedText, placeholders) {
         if (!translatedText || !placeholders || placeholders.length === 0) {
@@ -91,7 +112,7 @@ class HtmlTextExtractor {
 
         let result = translatedText;
         for (const ph of placeholders) {
-            result = result.replace(ph.placeholder, ph.originalHtml);
+            result = result.split(ph.placeholder).join(ph.originalHtml);
         }
 
         return result;
@@ -106,28 +127,24 @@ class HtmlTextExtractor {
         }
 
         const tagMap = {};
-        let processed = html;
+        let cleanText = '';
         let tagCounter = 0;
-
-        // Replace all HTML tags with placeholders
-        const tagRegex = /<[^>]+>/g;
-        processed = processed.replace(tagRegex, (match) => {
-            const tagId = `__TAG${tagCounter}__`;
-            tagMap[tagId] = match;
-            tagCounter++;
-            return tagId;
+        this.collectParts(html).forEach(part => {
+            if (part.tag === undefined) {
+                cleanText += part.text;
+                return;
+            }
+            const tagId = `__TAG${tagCounter++}__`;
+            tagMap[tagId] = part.tag;
+            cleanText += tagId;
         });
 
-        // Decode entities
-        const temp = document.createElement('div');
-        temp.innerHTML = processed;
-        const cleanText = (temp.textContent || temp.innerText || '').trim();
-
-        return { cleanText, tagMap };
+        return { cleanText: cleanText.replace(/ {2,}/g, ' ').trim(), tagMap };
     }
 
     /**
-     * Restore HTML after translation
+     * Restore HTML after translation. Does not check the translation;
+     * use restoreHtmlWithValidation for machine-translated text.
      */
     static restoreHtmlAfterTranslation(translatedText, tagMap) {
         if (!translatedText || !tagMap || Object.keys(tagMap).length === 0) {
@@ -136,17 +153,219 @@ class HtmlTextExtractor {
 
         let result = translatedText;
         for (const [key, value] of Object.entries(tagMap)) {
-            result = result.replace(key, value);
+            result = result.split(key).join(value);
         }
 
         return result;
     }
+
+    /**
+     * Report placeholders the translation dropped (missing), invented (unknown), repeated (duplicated)
+     * or moved out of their tag pair (misnested). `tokens` maps placeholder -> tag HTML.
+     */
+    static validatePlaceholders(translatedText, tokens) {
+        const result = { missing: [], unknown: [], duplicated: [], misnested: [], isValid: true };
+        const seen = new Set();
+        const ordered = [];
+
+        for (const match of (translatedText || '').matchAll(PLACEHOLDER_TOKEN)) {
+            const token = canonicalToken(match);
+            if (!(token in tokens)) {
+                result.unknown.push(match[0]);
+            } else if (seen.has(token)) {
+                result.duplicated.push(token);
+            } else {
+                seen.add(token);
+                ordered.push(token);
+            }
+        }
+        result.missing = Object.keys(tokens).filter(token => !seen.has(token));
+
+        const tagName = (html, closing) => {
+            const match = (closing ? /^<\s*\/\s*([a-z][\w:-]*)/i : /^<\s*([a-z][\w:-]*)/i).exec(html);
+            return match ? match[1].toLowerCase() : null;
+        };
+        const missingTag = (name, closing) => result.missing.some(token => tagName(tokens[token], closing) === name);
+
+        // Pair opening and closing tags by name; only placeholders present in the translation are checked
+        const open = [];
+        ordered.forEach(token => {
+            const html = tokens[token];
+            const closingName = tagName(html, true);
+            if (closingName) {
+                // Openings left inside the pair are fine only if their own closing tag is missing
+                const at = open.map(o => o.name).lastIndexOf(closingName);
+                if (at !== -1 && open.slice(at + 1).every(o => missingTag(o.name, true))) {
+                    open.length = at;
+                } else if (at !== -1 || !missingTag(closingName, false)) {
+                    result.misnested.push(token);
+                }
+                return;
+            }
+            const openingName = tagName(html, false);
+            if (openingName && !VOID_TAGS.has(openingName) && !/\/>\s*$/.test(html)) {
+                open.push({ token, name: openingName });
+            }
+        });
+        // Unclosed openings are misnested unless their closing tag is simply missing
+        open.filter(o => !missingTag(o.name, true)).forEach(o => result.misnested.push(o.token));
+
+        result.isValid = result.missing.length + result.unknown.length + result.duplicated.length + result.misnested.length === 0;
+        return result;
+    }
+
+    /**
+     * Restore __TAGn__ placeholders after validating them. Unknown, duplicated or misspelled placeholders
+     * are repaired; missing or misnested tags cannot be, so sourceHtml is returned instead.
+     * Returns { html, status: 'restored' | 'repaired' | 'fallback', validation }.
+     */
+    static restoreHtmlWithValidation(translatedText, tagMap, sourceHtml) {
+        return this.restoreTokens(translatedText, tagMap || {}, sourceHtml);
+    }
+
+    /**
+     * Validated counterpart of reinjectHtml for {#n#} placeholders, see restoreHtmlWithValidation
+     */
+    static reinjectHtmlWithValidation(translatedText, placeholders, sourceHtml) {
+        const tokens = {};
+        (placeholders || []).forEach(ph => {
+            if (!(ph.placeholder in tokens)) tokens[ph.placeholder] = ph.originalHtml;
+        });
+        return this.restoreTokens(translatedText, tokens, sourceHtml);
+    }
+
+    static restoreTokens(translatedText, tokens, sourceHtml) {
+        const validation = this.validatePlaceholders(translatedText, tokens);
+        if (validation.missing.length > 0 || validation.misnested.length > 0) {
+            return { html: sourceHtml || '', status: 'fallback', validation };
+        }
+
+        // Keep the first occurrence of each placeholder, drop repeats and placeholders we never issued
+        const text = translatedText || '';
+        let repaired = !validation.isValid;
+        const used = new Set();
+        let html = '';
+        let last = 0;
+        for (const match of text.matchAll(PLACEHOLDER_TOKEN)) {
+            html += text.slice(last, match.index);
+            last = match.index + match[0].length;
+            const token = canonicalToken(match);
+            if (match[0] !== token) repaired = true;
+            if (token in tokens && !used.has(token)) {
+                used.add(token);
+                html += tokens[token];
+            }
+        }
+        html += text.slice(last);
+
+        return { html, status: repaired ? 'repaired' : 'restored', validation };
+    }
+
+    /**
+     * Parse a data-html-allowlist value ("tag:attr,attr;tag") into a Map of tag -> Set of attributes
+     */
+    static parseAllowlist(value) {
+        const allowlist = new Map();
+        (value || '').split(';').forEach(entry => {
+            const separator = entry.indexOf(':');
+            const tag = (separator === -1 ? entry : entry.slice(0, separator)).trim().toLowerCase();
+            if (!tag || UNSAFE_TAGS.has(tag)) return;
+            const attributes = separator === -1 ? [] : entry.slice(separator + 1).split(',');
+            allowlist.set(tag, new Set(attributes.map(a => a.trim().toLowerCase()).filter(a => a && !a.startsWith('on'))));
+        });
+        return allowlist;
+    }
+
+    /**
+     * Build the markup allowlist from source HTML: its tags and their attributes,
+     * never script-capable tags or on* handlers
+     */
+    static buildAllowlist(html) {
+        const allowlist = new Map();
+        if (!this.containsHtml(html)) return allowlist;
+
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        template.content.querySelectorAll('*').forEach(node => {
+            const tag = node.localName;
+            if (UNSAFE_TAGS.has(tag)) return;
+            if (!allowlist.has(tag)) allowlist.set(tag, new Set());
+            Array.from(node.attributes)
+                .filter(a => !a.name.toLowerCase().startsWith('on'))
+                .forEach(a => allowlist.get(tag).add(a.name.toLowerCase()));
+        });
+        return allowlist;
+    }
+
+    /**
+     * Remove everything from translated HTML that the allowlist does not cover. Disallowed elements are
+     * unwrapped to their text; script-capable elements are dropped with their content.
+     */
+    static sanitizeHtml(html, allowlist) {
+        const template = document.createElement('template');
+        template.innerHTML = html || '';
+
+        const clean = (parent) => {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                if (UNSAFE_TAGS.has(node.localName)) {
+                    node.remove();
+                    return;
+                }
+                clean(node);
+
+                const allowed = allowlist && allowlist.get(node.localName);
+                if (!allowed) {
+                    node.replaceWith(...node.childNodes);
+                    return;
+                }
+                Array.from(node.attributes).forEach(a => {
+                    if (!allowed.has(a.name.toLowerCase()) || !this.isSafeAttribute(a.name, a.value)) {
+                        node.removeAttribute(a.name);
+                    }
+                });
+            });
+        };
+
+        clean(template.content);
+        return template.innerHTML;
+    }
+
+    /**
+     * False for event handlers and for URL attributes whose value is not a safe URL ("javascript:", "data:")
+     */
+    static isSafeAttribute(name, value) {
+        const attr = name.toLowerCase();
+        if (attr.startsWith('on')) return false;
+        return !URL_ATTRIBUTES.has(attr) || SAFE_URL.test(String(value).replace(/[\u0000- ]/g, ''));
+    }
 }
 
 class TranslationManager {
-    constructor() {
+    constructor(options = {}) {
+        // Language the page is authored in; switching to it restores the original content in place
+        this.defaultLanguage = (options.defaultLanguage || 'en').toLowerCase();
         this.currentLanguage = this.getCurrentLanguage();
+        // Original content is only the default text if the server rendered the default language
+        this.renderedLanguage = this.currentLanguage;
         this.isTranslating = false;
+        // The switch in flight: its AbortController, target language and promise
+        this.switchController = null;
+        this.pendingLanguage = null;
+        this.pendingSwitch = null;
+        this.allowlists = new WeakMap();
+        this.originals = new WeakMap();
+        // Element -> { attr: value } of translated attributes and lang/dir before the first translation
+        this.originalAttributes = new WeakMap();
+        this.rtlLanguages = (options.rtlLanguages || DEFAULT_RTL_LANGUAGES).map(code => code.toLowerCase());
+        // { showLoading({ message }), hideLoading() } replacing the DaisyUI indicator; headless shows none
+        this.renderer = options.headless ? {} : (options.renderer || null);
+        // { language: { loading: text } }: the indicator text per language (translation.ui.loading)
+        this.uiStrings = options.uiStrings || {};
     }
 
     getCurrentLanguage() {
@@ -155,25 +374,158 @@ class TranslationManager {
         if (parts.length === 2) {
             return parts.pop().split(';').shift();
         }
-        return 'en';
+        return this.defaultLanguage;
+    }
+
+    isDefaultLanguage(languageCode) {
+        return !languageCode || languageCode.toLowerCase() === this.defaultLanguage;
+    }
+
+    /**
+     * Allowlist for an element with data-has-html, captured from its source markup on first use
+     */
+    getAllowlist(element) {
+        if (!this.allowlists.has(element)) {
+            const allowlist = element.hasAttribute('data-html-allowlist')
+                ? HtmlTextExtractor.parseAllowlist(element.getAttribute('data-html-allowlist'))
+                : HtmlTextExtractor.buildAllowlist(element.innerHTML);
+            this.allowlists.set(element, allowlist);
+        }
+        return this.allowlists.get(element);
     }
 
     /**
      * Collect all translation keys from the current page
      */
     collectTranslationKeys() {
-        const elements = document.querySelectorAll('[data-translate-key]');
-        return Array.from(elements).map(el => el.getAttribute('data-translate-key'));
+        const keys = new Set();
+        document.querySelectorAll('[data-translate-key], [data-translate-attr]').forEach(el => {
+            const key = el.getAttribute('data-translate-key');
+            if (key) keys.add(key);
+            this.readAttributeKeys(el).forEach(binding => keys.add(binding.key));
+        });
+        return Array.from(keys);
+    }
+
+    /**
+     * Parse data-translate-attr="placeholder:forms.email;title:forms.email.hint" into [{ attr, key }]
+     */
+    readAttributeKeys(element) {
+        const spec = element.getAttribute('data-translate-attr');
+        if (!spec) return [];
+        return spec.split(';')
+            .map(pair => {
+                const separator = pair.indexOf(':');
+                return separator > 0 ? { attr: pair.slice(0, separator).trim(), key: pair.slice(separator + 1).trim() } : null;
+            })
+            .filter(binding => binding && binding.attr && binding.key);
+    }
+
+    /**
+     * Set the attributes bound to a key to its translation. Attribute values are plain text; values that
+     * would add an event handler or a script URL are rejected.
+     */
+    applyAttributeTranslation(key, text, languageCode) {
+        document.querySelectorAll('[data-translate-attr]').forEach(element => {
+            this.readAttributeKeys(element)
+                .filter(binding => binding.key === key)
+                .forEach(({ attr }) => {
+                    if (!HtmlTextExtractor.isSafeAttribute(attr, text)) {
+                        console.warn(`Rejected unsafe translation for ${attr} attribute`);
+                        return;
+                    }
+                    this.rememberAttribute(element, attr);
+                    element.setAttribute(attr, text);
+                    this.emit('element-updated', { key, attribute: attr, language: languageCode, source: 'switch' }, element);
+                });
+        });
+    }
+
+    /**
+     * Snapshot the server-rendered value of an attribute before the first translation so it can be restored
+     */
+    rememberAttribute(element, attr) {
+        if (!this.originalAttributes.has(element)) this.originalAttributes.set(element, {});
+        const originals = this.originalAttributes.get(element);
+        if (!(attr in originals)) originals[attr] = element.getAttribute(attr);
+    }
+
+    /**
+     * Dispatch a translation:* CustomEvent. Element events bubble up to document, so a single
+     * document listener sees everything. Returns false if a listener called preventDefault().
+     */
+    emit(name, detail, target = document) {
+        const event = new CustomEvent(`translation:${name}`, {
+            detail,
+            bubbles: true,
+            cancelable: name === 'beforeswitch'
+        });
+        return target.dispatchEvent(event);
+    }
+
+    isRtlLanguage(languageCode) {
+        if (!languageCode) return false;
+        const code = languageCode.toLowerCase();
+        if (this.rtlLanguages.includes(code) || this.rtlLanguages.includes(code.split('-')[0])) return true;
+        // Script subtags such as pa-Arab or az-Arab
+        return /-(arab|hebr|thaa|syrc|nkoo|adlm|rohg)\b/.test(code);
+    }
+
+    getTextDirection(languageCode) {
+        return this.isRtlLanguage(languageCode) ? 'rtl' : 'ltr';
+    }
+
+    /**
+     * Set the lang/dir of an element (or <html>), remembering its own values first
+     */
+    setLanguageAttributes(element, languageCode) {
+        this.rememberAttribute(element, 'lang');
+        this.rememberAttribute(element, 'dir');
+        element.setAttribute('lang', languageCode);
+        element.setAttribute('dir', this.getTextDirection(languageCode));
+    }
+
+    /**
+     * Set <html lang/dir> for the active language. Keyed elements the switch did not translate keep the
+     * source language explicitly so they are not read or laid out as the new language.
+     */
+    applyDocumentLanguage(languageCode) {
+        const root = document.documentElement;
+        root.setAttribute('lang', languageCode);
+        root.setAttribute('dir', this.getTextDirection(languageCode));
+
+        if (this.isDefaultLanguage(languageCode)) return;
+        document.querySelectorAll('[data-translate-key]:not([lang])').forEach(element => {
+            this.setLanguageAttributes(element, this.defaultLanguage);
+        });
     }
 
     /**
      * Switch language using HTMX OOB swaps
-     * Server returns HTML with hx-swap-oob="innerHTML" for each translated element
+     * Server returns HTML with hx-swap-oob="innerHTML" for each translated element.
+     * The latest switch wins: switching to another language aborts the one in flight, switching to the
+     * language already loading shares it. A superseded switch rejects with an AbortError.
      */
-    async switchLanguageHtmx(languageCode) {
-        if (this.isTranslating) return;
+    switchLanguageHtmx(languageCode) {
+        if (this.switchController) {
+            if (this.pendingLanguage === languageCode) return this.pendingSwitch;
+            this.switchController.abort();
+        }
+
+        const controller = new AbortController();
+        this.switchController = controller;
+        this.pendingLanguage = languageCode;
+        this.pendingSwitch = this.performSwitch(languageCode, controller);
+        return this.pendingSwitch;
+    }
 
+    async performSwitch(languageCode, controller) {
+        const { signal } = controller;
+        const previousLanguage = this.currentLanguage;
         try {
+            if (!this.emit('beforeswitch', { language: languageCode, previousLanguage })) {
+                throw new DOMException('Language switch prevented by a beforeswitch listener', 'AbortError');
+            }
             this.isTranslating = true;
             this.showLoadingIndicator();
 
@@ -184,7 +536,9 @@ class TranslationManager {
                 console.log('No translatable content on this page');
                 this.currentLanguage = languageCode;
                 document.cookie = `preferred-language=${languageCode}; path=/; max-age=31536000; SameSite=Lax`;
-                return;
+                this.applyDocumentLanguage(languageCode);
+                this.emit('switched', { language: languageCode, previousLanguage, fromCache: false, missingKeys: [], partial: false, offline: false });
+                return languageCode;
             }
 
             // Build form data with all keys
@@ -194,7 +548,8 @@ class TranslationManager {
             // Send HTMX request to get OOB swaps
             const response = await fetch(`/Language/Switch/${languageCode}`, {
                 method: 'POST',
-                body: formData
+                body: formData,
+                signal
             });
 
             if (!response.ok) {
@@ -204,18 +559,37 @@ class TranslationManager {
             // Get HTML with OOB swaps
             const html = await response.text();
 
-            // Create a temporary container
-            const temp = document.createElement('div');
+            // A newer switch may have started while the response was read
+            if (signal.aborted) {
+                throw new DOMException('Language switch superseded', 'AbortError');
+            }
+
+            // Parse in an inert template so nothing in the response loads or runs
+            const temp = document.createElement('template');
             temp.innerHTML = html;
 
             // Process all OOB swap elements
-            temp.querySelectorAll('[hx-swap-oob]').forEach(element => {
+            const returnedKeys = new Set();
+            temp.content.querySelectorAll('[hx-swap-oob]').forEach(element => {
                 const targetId = element.id;
                 const target = document.getElementById(targetId);
 
                 if (target) {
+                    // Snapshot the server-rendered content before the first swap so it can be restored
+                    if (target.hasAttribute('data-translate-key') && !this.originals.has(target)) {
+                        this.originals.set(target, target.innerHTML);
+                    }
+
                     // HTMX OOB swap: innerHTML means replace the content, not the element
-                    target.innerHTML = element.innerHTML;
+                    if (target.hasAttribute('data-has-html')) {
+                        target.innerHTML = HtmlTextExtractor.sanitizeHtml(element.innerHTML, this.getAllowlist(target));
+                    } else {
+                        target.textContent = element.textContent;
+                    }
+                    if (target.hasAttribute('data-translate-key')) {
+                        this.setLanguageAttributes(target, languageCode);
+                        this.emit('element-updated', { key: target.getAttribute('data-translate-key'), language: languageCode, source: 'switch' }, target);
+                    }
 
                     // Add subtle fade animation
                     target.style.transition = 'opacity 0.15s';
@@ -224,36 +598,120 @@ class TranslationManager {
                         target.style.opacity = '1';
                     }, 75);
                 }
+
+                const key = element.getAttribute('data-translate-key') || (target && target.getAttribute('data-translate-key'));
+                if (!key) return;
+                returnedKeys.add(key);
+                this.applyAttributeTranslation(key, element.textContent, languageCode);
             });
 
             this.currentLanguage = languageCode;
+            this.applyDocumentLanguage(languageCode);
             console.log(`Language switched to ${languageCode} (${keys.length} elements updated)`);
+            // Keys the server has no translation for yet are being translated in the background
+            const missingKeys = keys.filter(key => !returnedKeys.has(key));
+            this.emit('switched', { language: languageCode, previousLanguage, fromCache: false, missingKeys, partial: missingKeys.length > 0, offline: false });
+            return languageCode;
 
         } catch (error) {
-            console.error('Error switching language:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Error switching language:', error);
+                this.emit('error', { phase: 'switch', language: languageCode, error });
+            }
+            throw error;
         } finally {
-            this.isTranslating = false;
-            this.hideLoadingIndicator();
+            // A superseded switch leaves the state to the switch that replaced it
+            if (this.switchController === controller) {
+                this.switchController = null;
+                this.pendingLanguage = null;
+                this.pendingSwitch = null;
+                this.isTranslating = false;
+                this.hideLoadingIndicator();
+            }
         }
     }
 
+    /**
+     * Abort the switch currently in flight, if any
+     */
+    cancelPendingSwitch() {
+        if (this.switchController) this.switchController.abort();
+    }
+
     async switchLanguage(languageCode) {
         if (languageCode === this.currentLanguage) {
-            return; // Already in this language
+            // Already in this language; a switch still loading would take the page away from it
+            this.cancelPendingSwitch();
+            return languageCode;
         }
 
-        // If switching to English, just reload (fastest option)
-        if (languageCode === 'en') {
-            document.cookie = `preferred-language=en; path=/; max-age=31536000; SameSite=Lax`;
+        if (this.isDefaultLanguage(languageCode)) {
+            this.cancelPendingSwitch();
+            this.restoreDefaultLanguage(languageCode);
+            return languageCode;
+        }
+
+        // Use HTMX OOB swap approach for efficient translation
+        return this.switchLanguageHtmx(languageCode);
+    }
+
+    /**
+     * Restore the snapshotted original content without a reload. A page that was server-rendered in
+     * another language has no default-language content to restore, so it is reloaded instead.
+     */
+    restoreDefaultLanguage(languageCode) {
+        const previousLanguage = this.currentLanguage;
+        const reload = !this.isDefaultLanguage(this.renderedLanguage);
+        if (!this.emit('beforeswitch', { language: languageCode, previousLanguage, reload })) {
+            throw new DOMException('Language switch prevented by a beforeswitch listener', 'AbortError');
+        }
+
+        document.cookie = `preferred-language=${languageCode}; path=/; max-age=31536000; SameSite=Lax`;
+
+        if (reload) {
             window.location.reload();
             return;
         }
 
-        // Use HTMX OOB swap approach for efficient translation
-        await this.switchLanguageHtmx(languageCode);
+        document.querySelectorAll('[data-translate-key], [data-translate-attr]').forEach(element => {
+            const content = this.originals.has(element);
+            if (content) {
+                element.innerHTML = this.originals.get(element);
+            }
+            const originals = this.originalAttributes.get(element) || {};
+            Object.entries(originals).forEach(([attr, value]) => {
+                if (value === null) {
+                    element.removeAttribute(attr);
+                } else {
+                    element.setAttribute(attr, value);
+                }
+            });
+            if (content || Object.keys(originals).length > 0) {
+                this.emit('element-updated', { key: element.getAttribute('data-translate-key'), language: languageCode, source: 'restore' }, element);
+            }
+        });
+
+        const langDisplay = document.getElementById('current-lang');
+        if (langDisplay) {
+            langDisplay.textContent = languageCode.toUpperCase();
+        }
+
+        this.currentLanguage = languageCode;
+        this.applyDocumentLanguage(languageCode);
+        this.emit('switched', { language: languageCode, previousLanguage, fromCache: false, missingKeys: [], partial: false, offline: false });
+        console.log(`Language switched to ${languageCode} (original content restored)`);
+    }
+
+    loadingText() {
+        const strings = this.uiStrings[this.currentLanguage] || {};
+        return strings.loading || 'Loading translations...';
     }
 
     showLoadingIndicator() {
+        if (this.renderer) {
+            if (typeof this.renderer.showLoading === 'function') this.renderer.showLoading({ message: this.loadingText() });
+            return;
+        }
         // Create or show a loading indicator
         let indicator = document.getElementById('translation-loading');
         if (!indicator) {
@@ -263,16 +721,21 @@ class TranslationManager {
             indicator.innerHTML = `
                 <div class="alert alert-info">
                     <span class="loading loading-spinner loading-sm"></span>
-                    <span>Loading translations...</span>
+                    <span data-loading-text></span>
                 </div>
             `;
             document.body.appendChild(indicator);
         } else {
             indicator.style.display = 'block';
         }
+        indicator.querySelector('[data-loading-text]').textContent = this.loadingText();
     }
 
     hideLoadingIndicator() {
+        if (this.renderer) {
+            if (typeof this.renderer.hideLoading === 'function') this.renderer.hideLoading();
+            return;
+        }
         const indicator = document.getElementById('translation-loading');
         if (indicator) {
             setTimeout(() => {
@@ -288,15 +751,15 @@ class TranslationManager {
             langDisplay.textContent = this.currentLanguage.toUpperCase();
         }
 
-        // If a non-English language is already selected (via cookie or prior choice),
+        // If a non-default language is already selected (via cookie or prior choice),
         // immediately kick off the translation pass so first render matches selection.
         // Use the HTMX/OOB path directly to avoid reloads and to populate missing strings.
-        const desiredLang = this.currentLanguage || 'en';
-        if (desiredLang && desiredLang.toLowerCase() !== 'en') {
+        const desiredLang = this.currentLanguage || this.defaultLanguage;
+        if (!this.isDefaultLanguage(desiredLang)) {
             // Defer to end of tick to ensure DOM is fully ready
             setTimeout(() => {
                 // Call the HTMX path directly so we don't early-return due to equality check
-                this.switchLanguageHtmx(desiredLang);
+                this.switchLanguageHtmx(desiredLang).catch(() => {});
             }, 0);
         }
 
@@ -305,7 +768,7 @@ class TranslationManager {
 }
 
 // Create global instance
-window.translationManager = new TranslationManager();
+window.translationManager = new TranslationManager(window.translationConfig || {});
 
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
@@ -318,7 +781,8 @@ if (document.readyState === 'loading') {
 
 // Global function for language switching (called from onclick)
 window.setLanguage = function(languageCode) {
-    window.translationManager.switchLanguage(languageCode);
+    // Failures are logged by the manager; a superseded switch is not an error
+    window.translationManager.switchLanguage(languageCode).catch(() => {});
 };
 
 // Expose HTML text extractor globally
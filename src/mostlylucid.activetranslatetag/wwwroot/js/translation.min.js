@@ -1 +1 @@
-class HtmlTextExtractor{static containsHtml(t){return!!t&&/<[^>]+>/.test(t)}static extractText(t){if(!t)return"";const e=document.createElement("div");return e.innerHTML=t,e.querySelectorAll("script, style").forEach(t=>t.remove()),e.textContent||e.innerText||""}static extractWithPlaceholders(t){if(!t||!this.containsHtml(t))return{plainText:t||"",placeholders:[]};const e=[];let n=t,a=0;n=n.replace(/<(img|br|hr|input)[^>]*\/?>/gi,t=>{const n=`{#${a}#}`;return e.push({index:a,originalHtml:t,placeholder:n,isInline:!0}),a++,n});n=n.replace(/<[^>]+>/g,t=>{const n=`{#${a}#}`;return e.push({index:a,originalHtml:t,placeholder:n,isInline:!1}),a++,n});const i=document.createElement("div");i.innerHTML=n;return{plainText:i.textContent||i.innerText||"",placeholders:e}}static reinjectHtml(t,e){if(!t||!e||0===e.length)return t||"";let n=t;for(const t of e)n=n.replace(t.placeholder,t.originalHtml);return n}static stripHtmlForTranslation(t){if(!this.containsHtml(t))return{cleanText:t,tagMap:{}};const e={};let n=t,a=0;n=n.replace(/<[^>]+>/g,t=>{const n=`__TAG${a}__`;return e[n]=t,a++,n});const i=document.createElement("div");i.innerHTML=n;return{cleanText:(i.textContent||i.innerText||"").trim(),tagMap:e}}static restoreHtmlAfterTranslation(t,e){if(!t||!e||0===Object.keys(e).length)return t||"";let n=t;for(const[t,a]of Object.entries(e))n=n.replace(t,a);return n}}class TranslationManager{constructor(){this.currentLanguage=this.getCurrentLanguage(),this.isTranslating=!1}getCurrentLanguage(){const t=`; ${document.cookie}`.split("; preferred-language=");return 2===t.length?t.pop().split(";").shift():"en"}collectTranslationKeys(){const t=document.querySelectorAll("[data-translate-key]");return Array.from(t).map(t=>t.getAttribute("data-translate-key"))}async switchLanguageHtmx(t){if(!this.isTranslating)try{this.isTranslating=!0,this.showLoadingIndicator();const e=this.collectTranslationKeys();if(0===e.length)return console.log("No translatable content on this page"),this.currentLanguage=t,void(document.cookie=`preferred-language=${t}; path=/; max-age=31536000; SameSite=Lax`);const n=new FormData;e.forEach(t=>n.append("keys",t));const a=await fetch(`/Language/Switch/${t}`,{method:"POST",body:n});if(!a.ok)throw new Error("Failed to switch language");const i=await a.text(),r=document.createElement("div");r.innerHTML=i,r.querySelectorAll("[hx-swap-oob]").forEach(t=>{const e=t.id,n=document.getElementById(e);n&&(n.innerHTML=t.innerHTML,n.style.transition="opacity 0.15s",n.style.opacity="0.8",setTimeout(()=>{n.style.opacity="1"},75))}),this.currentLanguage=t,console.log(`Language switched to ${t} (${e.length} elements updated)`)}catch(t){console.error("Error switching language:",t)}finally{this.isTranslating=!1,this.hideLoadingIndicator()}}async switchLanguage(t){if(t!==this.currentLanguage)return"en"===t?(document.cookie="preferred-language=en; path=/; max-age=31536000; SameSite=Lax",void window.location.reload()):void await this.switchLanguageHtmx(t)}showLoadingIndicator(){let t=document.getElementById("translation-loading");t?t.style.display="block":(t=document.createElement("div"),t.id="translation-loading",t.className="toast toast-center",t.innerHTML='\n                <div class="alert alert-info">\n                    <span class="loading loading-spinner loading-sm"></span>\n                    <span>Loading translations...</span>\n                </div>\n            ',document.body.appendChild(t))}hideLoadingIndicator(){const t=document.getElementById("translation-loading");t&&setTimeout(()=>{t.style.display="none"},300)}initialize(){const t=document.getElementById("current-lang");t&&(t.textContent=this.currentLanguage.toUpperCase());const e=this.currentLanguage||"en";e&&"en"!==e.toLowerCase()&&setTimeout(()=>{this.switchLanguageHtmx(e)},0),console.log(`Translation system initialized (current language: ${this.currentLanguage})`)}}window.translationManager=new TranslationManager,"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{window.translationManager.initialize()}):window.translationManager.initialize(),window.setLanguage=function(t){window.translationManager.switchLanguage(t)},window.HtmlTextExtractor=HtmlTextExtractor;
\ No newline at end of file
+const UNSAFE_TAGS=new Set(["script","style","iframe","object","embed","frame","frameset","template","noscript","base","link","meta","svg","math"]),URL_ATTRIBUTES=new Set(["href","src","action","formaction","xlink:href","poster","cite","background"]),SAFE_URL=/^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i,DEFAULT_RTL_LANGUAGES=["ar","arc","ckb","dv","fa","ha","he","iw","khw","ks","ps","sd","ug","ur","yi"],VOID_TAGS=new Set(["img","br","hr","input","meta","link","area","base","col","embed","param","source","track","wbr"]),PLACEHOLDER_TOKEN=/__\s*TAG\s*(?<tag>\d+)\s*__|\{\s*#\s*(?<ph>\d+)\s*#\s*\}/gi;function canonicalToken(t){return void 0!==t.groups.tag?`__TAG${t.groups.tag}__`:`{#${t.groups.ph}#}`}class HtmlTextExtractor{static containsHtml(t){return!!t&&/<[^>]+>/.test(t)}static extractText(t){if(!t)return"";const e=document.createElement("template");return e.innerHTML=t,e.content.querySelectorAll("script, style").forEach(t=>t.remove()),e.content.textContent||""}static collectParts(t){const e=document.createElement("template");e.innerHTML=t;const a=[],n=t=>{t.childNodes.forEach(t=>{if(t.nodeType===Node.TEXT_NODE)a.push({text:t.textContent});else if(t.nodeType===Node.ELEMENT_NODE){const e=VOID_TAGS.has(t.localName),i=Array.from(t.attributes).map(t=>` ${t.name}="${t.value.replace(/&/g,"&amp;").replace(/"/g,"&quot;")}"`).join("");a.push({tag:`<${t.localName}${i}>`,isInline:e}),n(t),e||a.push({tag:`</${t.localName}>`,isInline:!1})}})};return n(e.content),a}static extractWithPlaceholders(t){if(!t||!this.containsHtml(t))return{plainText:t||"",placeholders:[]};const e=[];let a="";return this.collectParts(t).forEach(t=>{if(void 0===t.tag)return void(a+=t.text);const n=e.length,i=`{#${n}#}`;e.push({index:n,originalHtml:t.tag,placeholder:i,isInline:t.isInline}),a+=i}),{plainText:a,placeholders:e}}static reinjectHtml(t,e){if(!t||!e||0===e.length)return t||"";let a=t;for(const t of e)a=a.split(t.placeholder).join(t.originalHtml);return a}static stripHtmlForTranslation(t){if(!this.containsHtml(t))return{cleanText:t,tagMap:{}};const e={};let a="",n=0;return this.collectParts(t).forEach(t=>{if(void 0===t.tag)return void(a+=t.text);const i=`__TAG${n++}__`;e[i]=t.tag,a+=i}),{cleanText:a.replace(/ {2,}/g," ").trim(),tagMap:e}}static restoreHtmlAfterTranslation(t,e){if(!t||!e||0===Object.keys(e).length)return t||"";let a=t;for(const[t,n]of Object.entries(e))a=a.split(t).join(n);return a}static validatePlaceholders(t,e){const a={missing:[],unknown:[],duplicated:[],misnested:[],isValid:!0},n=new Set,i=[];for(const r of(t||"").matchAll(PLACEHOLDER_TOKEN)){const t=canonicalToken(r);t in e?n.has(t)?a.duplicated.push(t):(n.add(t),i.push(t)):a.unknown.push(r[0])}a.missing=Object.keys(e).filter(t=>!n.has(t));const r=(t,e)=>{const a=(e?/^<\s*\/\s*([a-z][\w:-]*)/i:/^<\s*([a-z][\w:-]*)/i).exec(t);return a?a[1].toLowerCase():null},s=(t,n)=>a.missing.some(a=>r(e[a],n)===t),o=[];return i.forEach(t=>{const n=e[t],i=r(n,!0);if(i){const e=o.map(t=>t.name).lastIndexOf(i);return void(-1!==e&&o.slice(e+1).every(t=>s(t.name,!0))?o.length=e:-1===e&&s(i,!1)||a.misnested.push(t))}const l=r(n,!1);!l||VOID_TAGS.has(l)||/\/>\s*$/.test(n)||o.push({token:t,name:l})}),o.filter(t=>!s(t.name,!0)).forEach(t=>a.misnested.push(t.token)),a.isValid=a.missing.length+a.unknown.length+a.duplicated.length+a.misnested.length===0,a}static restoreHtmlWithValidation(t,e,a){return this.restoreTokens(t,e||{},a)}static reinjectHtmlWithValidation(t,e,a){const n={};return(e||[]).forEach(t=>{t.placeholder in n||(n[t.placeholder]=t.originalHtml)}),this.restoreTokens(t,n,a)}static restoreTokens(t,e,a){const n=this.validatePlaceholders(t,e);if(n.missing.length>0||n.misnested.length>0)return{html:a||"",status:"fallback",validation:n};const i=t||"";let r=!n.isValid;const s=new Set;let o="",l=0;for(const t of i.matchAll(PLACEHOLDER_TOKEN)){o+=i.slice(l,t.index),l=t.index+t[0].length;const a=canonicalToken(t);t[0]!==a&&(r=!0),a in e&&!s.has(a)&&(s.add(a),o+=e[a])}return o+=i.slice(l),{html:o,status:r?"repaired":"restored",validation:n}}static parseAllowlist(t){const e=new Map;return(t||"").split(";").forEach(t=>{const a=t.indexOf(":"),n=(-1===a?t:t.slice(0,a)).trim().toLowerCase();if(!n||UNSAFE_TAGS.has(n))return;const i=-1===a?[]:t.slice(a+1).split(",");e.set(n,new Set(i.map(t=>t.trim().toLowerCase()).filter(t=>t&&!t.startsWith("on"))))}),e}static buildAllowlist(t){const e=new Map;if(!this.containsHtml(t))return e;const a=document.createElement("template");return a.innerHTML=t,a.content.querySelectorAll("*").forEach(t=>{const a=t.localName;UNSAFE_TAGS.has(a)||(e.has(a)||e.set(a,new Set),Array.from(t.attributes).filter(t=>!t.name.toLowerCase().startsWith("on")).forEach(t=>e.get(a).add(t.name.toLowerCase())))}),e}static sanitizeHtml(t,e){const a=document.createElement("template");a.innerHTML=t||"";const n=t=>{Array.from(t.childNodes).forEach(t=>{if(t.nodeType===Node.COMMENT_NODE)return void t.remove();if(t.nodeType!==Node.ELEMENT_NODE)return;if(UNSAFE_TAGS.has(t.localName))return void t.remove();n(t);const a=e&&e.get(t.localName);a?Array.from(t.attributes).forEach(e=>{a.has(e.name.toLowerCase())&&this.isSafeAttribute(e.name,e.value)||t.removeAttribute(e.name)}):t.replaceWith(...t.childNodes)})};return n(a.content),a.innerHTML}static isSafeAttribute(t,e){const a=t.toLowerCase();return!a.startsWith("on")&&(!URL_ATTRIBUTES.has(a)||SAFE_URL.test(String(e).replace(/[\u0000- ]/g,"")))}}class TranslationManager{constructor(t={}){this.defaultLanguage=(t.defaultLanguage||"en").toLowerCase(),this.currentLanguage=this.getCurrentLanguage(),this.renderedLanguage=this.currentLanguage,this.isTranslating=!1,this.switchController=null,this.pendingLanguage=null,this.pendingSwitch=null,this.allowlists=new WeakMap,this.originals=new WeakMap,this.originalAttributes=new WeakMap,this.rtlLanguages=(t.rtlLanguages||DEFAULT_RTL_LANGUAGES).map(t=>t.toLowerCase()),this.renderer=t.headless?{}:t.renderer||null,this.uiStrings=t.uiStrings||{}}getCurrentLanguage(){const t=`; ${document.cookie}`.split("; preferred-language=");return 2===t.length?t.pop().split(";").shift():this.defaultLanguage}isDefaultLanguage(t){return!t||t.toLowerCase()===this.defaultLanguage}getAllowlist(t){if(!this.allowlists.has(t)){const e=t.hasAttribute("data-html-allowlist")?HtmlTextExtractor.parseAllowlist(t.getAttribute("data-html-allowlist")):HtmlTextExtractor.buildAllowlist(t.innerHTML);this.allowlists.set(t,e)}return this.allowlists.get(t)}collectTranslationKeys(){const t=new Set;return document.querySelectorAll("[data-translate-key], [data-translate-attr]").forEach(e=>{const a=e.getAttribute("data-translate-key");a&&t.add(a),this.readAttributeKeys(e).forEach(e=>t.add(e.key))}),Array.from(t)}readAttributeKeys(t){const e=t.getAttribute("data-translate-attr");return e?e.split(";").map(t=>{const e=t.indexOf(":");return e>0?{attr:t.slice(0,e).trim(),key:t.slice(e+1).trim()}:null}).filter(t=>t&&t.attr&&t.key):[]}applyAttributeTranslation(t,e,a){document.querySelectorAll("[data-translate-attr]").forEach(n=>{this.readAttributeKeys(n).filter(e=>e.key===t).forEach(({attr:i})=>{HtmlTextExtractor.isSafeAttribute(i,e)?(this.rememberAttribute(n,i),n.setAttribute(i,e),this.emit("element-updated",{key:t,attribute:i,language:a,source:"switch"},n)):console.warn(`Rejected unsafe translation for ${i} attribute`)})})}rememberAttribute(t,e){this.originalAttributes.has(t)||this.originalAttributes.set(t,{});const a=this.originalAttributes.get(t);e in a||(a[e]=t.getAttribute(e))}emit(t,e,a=document){const n=new CustomEvent(`translation:${t}`,{detail:e,bubbles:!0,cancelable:"beforeswitch"===t});return a.dispatchEvent(n)}isRtlLanguage(t){if(!t)return!1;const e=t.toLowerCase();return!(!this.rtlLanguages.includes(e)&&!this.rtlLanguages.includes(e.split("-")[0]))||/-(arab|hebr|thaa|syrc|nkoo|adlm|rohg)\b/.test(e)}getTextDirection(t){return this.isRtlLanguage(t)?"rtl":"ltr"}setLanguageAttributes(t,e){this.rememberAttribute(t,"lang"),this.rememberAttribute(t,"dir"),t.setAttribute("lang",e),t.setAttribute("dir",this.getTextDirection(e))}applyDocumentLanguage(t){const e=document.documentElement;e.setAttribute("lang",t),e.setAttribute("dir",this.getTextDirection(t)),this.isDefaultLanguage(t)||document.querySelectorAll("[data-translate-key]:not([lang])").forEach(t=>{this.setLanguageAttributes(t,this.defaultLanguage)})}switchLanguageHtmx(t){if(this.switchController){if(this.pendingLanguage===t)return this.pendingSwitch;this.switchController.abort()}const e=new AbortController;return this.switchController=e,this.pendingLanguage=t,this.pendingSwitch=this.performSwitch(t,e),this.pendingSwitch}async performSwitch(t,e){const{signal:a}=e,n=this.currentLanguage;try{if(!this.emit("beforeswitch",{language:t,previousLanguage:n}))throw new DOMException("Language switch prevented by a beforeswitch listener","AbortError");this.isTranslating=!0,this.showLoadingIndicator();const e=this.collectTranslationKeys();if(0===e.length)return console.log("No translatable content on this page"),this.currentLanguage=t,document.cookie=`preferred-language=${t}; path=/; max-age=31536000; SameSite=Lax`,this.applyDocumentLanguage(t),this.emit("switched",{language:t,previousLanguage:n,fromCache:!1,missingKeys:[],partial:!1,offline:!1}),t;const i=new FormData;e.forEach(t=>i.append("keys",t));const r=await fetch(`/Language/Switch/${t}`,{method:"POST",body:i,signal:a});if(!r.ok)throw new Error("Failed to switch language");const s=await r.text();if(a.aborted)throw new DOMException("Language switch superseded","AbortError");const o=document.createElement("template");o.innerHTML=s;const l=new Set;o.content.querySelectorAll("[hx-swap-oob]").forEach(e=>{const a=e.id,n=document.getElementById(a);n&&(n.hasAttribute("data-translate-key")&&!this.originals.has(n)&&this.originals.set(n,n.innerHTML),n.hasAttribute("data-has-html")?n.innerHTML=HtmlTextExtractor.sanitizeHtml(e.innerHTML,this.getAllowlist(n)):n.textContent=e.textContent,n.hasAttribute("data-translate-key")&&(this.setLanguageAttributes(n,t),this.emit("element-updated",{key:n.getAttribute("data-translate-key"),language:t,source:"switch"},n)),n.style.transition="opacity 0.15s",n.style.opacity="0.8",setTimeout(()=>{n.style.opacity="1"},75));const i=e.getAttribute("data-translate-key")||n&&n.getAttribute("data-translate-key");i&&(l.add(i),this.applyAttributeTranslation(i,e.textContent,t))}),this.currentLanguage=t,this.applyDocumentLanguage(t),console.log(`Language switched to ${t} (${e.length} elements updated)`);const c=e.filter(t=>!l.has(t));return this.emit("switched",{language:t,previousLanguage:n,fromCache:!1,missingKeys:c,partial:c.length>0,offline:!1}),t}catch(e){throw"AbortError"!==e.name&&(console.error("Error switching language:",e),this.emit("error",{phase:"switch",language:t,error:e})),e}finally{this.switchController===e&&(this.switchController=null,this.pendingLanguage=null,this.pendingSwitch=null,this.isTranslating=!1,this.hideLoadingIndicator())}}cancelPendingSwitch(){this.switchController&&this.switchController.abort()}async switchLanguage(t){return t===this.currentLanguage?(this.cancelPendingSwitch(),t):this.isDefaultLanguage(t)?(this.cancelPendingSwitch(),this.restoreDefaultLanguage(t),t):this.switchLanguageHtmx(t)}restoreDefaultLanguage(t){const e=this.currentLanguage,a=!this.isDefaultLanguage(this.renderedLanguage);if(!this.emit("beforeswitch",{language:t,previousLanguage:e,reload:a}))throw new DOMException("Language switch prevented by a beforeswitch listener","AbortError");if(document.cookie=`preferred-language=${t}; path=/; max-age=31536000; SameSite=Lax`,a)return void window.location.reload();document.querySelectorAll("[data-translate-key], [data-translate-attr]").forEach(e=>{const a=this.originals.has(e);a&&(e.innerHTML=this.originals.get(e));const n=this.originalAttributes.get(e)||{};Object.entries(n).forEach(([t,a])=>{null===a?e.removeAttribute(t):e.setAttribute(t,a)}),(a||Object.keys(n).length>0)&&this.emit("element-updated",{key:e.getAttribute("data-translate-key"),language:t,source:"restore"},e)});const n=document.getElementById("current-lang");n&&(n.textContent=t.toUpperCase()),this.currentLanguage=t,this.applyDocumentLanguage(t),this.emit("switched",{language:t,previousLanguage:e,fromCache:!1,missingKeys:[],partial:!1,offline:!1}),console.log(`Language switched to ${t} (original content restored)`)}loadingText(){return(this.uiStrings[this.currentLanguage]||{}).loading||"Loading translations..."}showLoadingIndicator(){if(this.renderer)return void("function"==typeof this.renderer.showLoading&&this.renderer.showLoading({message:this.loadingText()}));let t=document.getElementById("translation-loading");t?t.style.display="block":(t=document.createElement("div"),t.id="translation-loading",t.className="toast toast-center",t.innerHTML='\n                <div class="alert alert-info">\n                    <span class="loading loading-spinner loading-sm"></span>\n                    <span data-loading-text></span>\n                </div>\n            ',document.body.appendChild(t)),t.querySelector("[data-loading-text]").textContent=this.loadingText()}hideLoadingIndicator(){if(this.renderer)return void("function"==typeof this.renderer.hideLoading&&this.renderer.hideLoading());const t=document.getElementById("translation-loading");t&&setTimeout(()=>{t.style.display="none"},300)}initialize(){const t=document.getElementById("current-lang");t&&(t.textContent=this.currentLanguage.toUpperCase());const e=this.currentLanguage||this.defaultLanguage;this.isDefaultLanguage(e)||setTimeout(()=>{this.switchLanguageHtmx(e).catch(()=>{})},0),console.log(`Translation system initialized (current language: ${this.currentLanguage})`)}}window.translationManager=new TranslationManager(window.translationConfig||{}),"loading"===document.readyState?document.addEventListener("DOMContentLoaded",()=>{window.translationManager.initialize()}):window.translationManager.initialize(),window.setLanguage=function(t){window.translationManager.switchLanguage(t).catch(()=>{})},window.HtmlTextExtractor=HtmlTextExtractor;
\ No newline at end of file